@@ -12,6 +12,11 @@ class Database {
   }
 
   async init() {
+    // The memory repositories keep everything in process (tests)
+    if (process.env.REPOSITORY_DRIVER === "memory") {
+      return;
+    }
+
     if (this.useSupabase) {
       console.log("🔄 Using Supabase as database");
       try {
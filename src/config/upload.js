@@ -6,6 +6,10 @@ const fs = require("fs");
 // Ensure upload directories exist
 const uploadDir = path.join(__dirname, "../../uploads");
 const productsDir = path.join(uploadDir, "products");
+// Firmware stays outside the public /uploads static route; machines fetch it
+// through signed URLs (GET /api/firmware/download/:id)
+const firmwareDir =
+  process.env.FIRMWARE_DIR || path.join(__dirname, "../../firmware");
 
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
@@ -13,6 +17,9 @@ if (!fs.existsSync(uploadDir)) {
 if (!fs.existsSync(productsDir)) {
   fs.mkdirSync(productsDir, { recursive: true });
 }
+if (!fs.existsSync(firmwareDir)) {
+  fs.mkdirSync(firmwareDir, { recursive: true });
+}
 
 // Choose storage based on environment
 const USE_SUPABASE = process.env.USE_SUPABASE === "true";
@@ -51,4 +58,39 @@ const upload = multer({
   },
 });
 
+// Firmware images always go to disk so their checksum can be computed
+const FIRMWARE_EXTENSIONS = [".bin", ".hex", ".img", ".zip", ".gz"];
+
+const firmware = multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, firmwareDir);
+    },
+    filename: function (req, file, cb) {
+      // firmware-{timestamp}-{random}.{ext}
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const ext = path.extname(file.originalname);
+      cb(null, `firmware-${uniqueSuffix}${ext}`);
+    },
+  }),
+  fileFilter: function (req, file, cb) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!FIRMWARE_EXTENSIONS.includes(ext)) {
+      return cb(
+        new Error(
+          `Firmware must be one of ${FIRMWARE_EXTENSIONS.join(", ")} files`
+        ),
+        false
+      );
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: (parseInt(process.env.FIRMWARE_MAX_SIZE_MB) || 100) * 1024 * 1024,
+  },
+});
+
+upload.firmware = firmware;
+upload.firmwareDir = firmwareDir;
+
 module.exports = upload;
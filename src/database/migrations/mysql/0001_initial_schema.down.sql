@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS admin_users;
+DROP TABLE IF EXISTS telemetry;
+DROP TABLE IF EXISTS stock_logs;
+DROP TABLE IF EXISTS dispense_logs;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS slots;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS machines;
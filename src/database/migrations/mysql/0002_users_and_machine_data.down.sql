@@ -0,0 +1,4 @@
+ALTER TABLE orders DROP FOREIGN KEY fk_orders_user;
+ALTER TABLE orders DROP COLUMN user_id;
+DROP TABLE IF EXISTS machine_data;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,40 @@
+-- ============================================
+-- Buyer accounts and periodic machine sensor readings
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS users (
+  id CHAR(36) PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  full_name VARCHAR(100) NOT NULL,
+  phone VARCHAR(20),
+  role ENUM('admin', 'buyer', 'guest') NOT NULL DEFAULT 'buyer',
+  is_active BOOLEAN DEFAULT TRUE,
+  fcm_token TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  last_login TIMESTAMP NULL,
+  INDEX idx_users_role (role)
+);
+
+CREATE TABLE IF NOT EXISTS machine_data (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL,
+  temperature DECIMAL(5,2),
+  humidity DECIMAL(5,2),
+  door_status VARCHAR(20),
+  power_status VARCHAR(20),
+  stock_summary JSON,
+  sales_count INT DEFAULT 0,
+  error_codes JSON,
+  status ENUM('normal', 'warning', 'error', 'offline') DEFAULT 'normal',
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  INDEX idx_machine_data_time (machine_id, recorded_at),
+  INDEX idx_machine_data_status (status)
+);
+
+ALTER TABLE orders
+  ADD COLUMN user_id CHAR(36) NULL,
+  ADD CONSTRAINT fk_orders_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,21 @@
+-- ============================================
+-- Order items for multi-item checkout
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id VARCHAR(100) NOT NULL,
+  slot_id INT NOT NULL,
+  product_id INT NOT NULL,
+  product_name VARCHAR(100) NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10,2) NOT NULL,
+  total DECIMAL(10,2) NOT NULL,
+  dispense_status ENUM('PENDING', 'DISPENSING', 'COMPLETED', 'FAILED') DEFAULT 'PENDING',
+  dispensed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (slot_id) REFERENCES slots(id),
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  INDEX idx_order_items_order (order_id)
+);
@@ -0,0 +1,43 @@
+-- ============================================
+-- Announcements and their view/click/dismiss tracking
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS announcements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(200) NOT NULL,
+  message TEXT NOT NULL,
+  type ENUM('INFO', 'WARNING', 'ERROR', 'MAINTENANCE', 'PROMOTION') DEFAULT 'INFO',
+  priority INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  show_on_web BOOLEAN DEFAULT TRUE,
+  show_on_mobile BOOLEAN DEFAULT TRUE,
+  icon VARCHAR(50),
+  bg_color VARCHAR(20),
+  text_color VARCHAR(20),
+  target_machines JSON,
+  target_users JSON,
+  start_date TIMESTAMP NULL,
+  end_date TIMESTAMP NULL,
+  view_count INT DEFAULT 0,
+  click_count INT DEFAULT 0,
+  dismiss_count INT DEFAULT 0,
+  has_action_button BOOLEAN DEFAULT FALSE,
+  action_button_text VARCHAR(50),
+  action_button_url VARCHAR(500),
+  created_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_announcements_active (is_active, start_date, end_date),
+  INDEX idx_announcements_type (type)
+);
+
+CREATE TABLE IF NOT EXISTS announcement_views (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  announcement_id INT NOT NULL,
+  user_id VARCHAR(100),
+  machine_id VARCHAR(50),
+  action ENUM('VIEWED', 'CLICKED', 'DISMISSED'),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (announcement_id) REFERENCES announcements(id) ON DELETE CASCADE,
+  INDEX idx_announcement_views_user (user_id)
+);
@@ -0,0 +1,25 @@
+-- ============================================
+-- Gateway refunds for failed dispenses
+-- item_ids lists the order_items covered by a partial refund (NULL = whole order)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id VARCHAR(100) NOT NULL,
+  payment_id INT NULL,
+  item_ids JSON,
+  amount DECIMAL(10,2) NOT NULL,
+  reason VARCHAR(255),
+  status ENUM('PENDING', 'SUCCESS', 'FAILED') DEFAULT 'PENDING',
+  gateway_name VARCHAR(50),
+  gateway_refund_id VARCHAR(255),
+  raw_response JSON,
+  error_message TEXT,
+  requested_by VARCHAR(100),
+  processed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(id),
+  INDEX idx_refunds_order (order_id),
+  INDEX idx_refunds_status (status)
+);
@@ -0,0 +1,20 @@
+-- ============================================
+-- Slot stock held by pending and paid orders
+-- Taken before the order row is written, so order_id has no foreign key
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id VARCHAR(100) NOT NULL,
+  machine_id VARCHAR(50) NOT NULL,
+  slot_id INT NOT NULL,
+  quantity INT NOT NULL,
+  status ENUM('ACTIVE', 'RELEASED', 'CONSUMED') DEFAULT 'ACTIVE',
+  expires_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id),
+  FOREIGN KEY (slot_id) REFERENCES slots(id),
+  UNIQUE KEY uniq_order_slot (order_id, slot_id),
+  INDEX idx_slot_status (slot_id, status)
+);
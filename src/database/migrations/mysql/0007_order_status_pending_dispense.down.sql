@@ -0,0 +1,4 @@
+UPDATE orders SET status = 'FAILED' WHERE status = 'PENDING_DISPENSE';
+
+ALTER TABLE orders
+  MODIFY status ENUM('PENDING', 'PAID', 'DISPENSING', 'COMPLETED', 'FAILED', 'REFUNDED') DEFAULT 'PENDING';
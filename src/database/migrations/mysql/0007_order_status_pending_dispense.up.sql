@@ -0,0 +1,6 @@
+-- ============================================
+-- Paid orders whose dispense could not be sent wait in PENDING_DISPENSE
+-- ============================================
+
+ALTER TABLE orders
+  MODIFY status ENUM('PENDING', 'PAID', 'DISPENSING', 'PENDING_DISPENSE', 'COMPLETED', 'FAILED', 'REFUNDED') DEFAULT 'PENDING';
@@ -0,0 +1,7 @@
+-- ============================================
+-- Machine JWTs carry the token_version they were issued for;
+-- bumping it revokes every outstanding token of that machine
+-- ============================================
+
+ALTER TABLE machines
+  ADD COLUMN token_version INT NOT NULL DEFAULT 0 AFTER token;
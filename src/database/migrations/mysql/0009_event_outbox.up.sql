@@ -0,0 +1,20 @@
+-- ============================================
+-- Domain events published on the event bus, kept for replay
+-- failed_handlers lists the subscribers that threw on the last dispatch
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS event_outbox (
+  id VARCHAR(36) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  aggregate_id VARCHAR(100),
+  payload JSON NOT NULL,
+  status ENUM('PENDING', 'DISPATCHED', 'FAILED') DEFAULT 'PENDING',
+  attempts INT DEFAULT 0,
+  failed_handlers JSON,
+  last_error TEXT,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  dispatched_at TIMESTAMP NULL,
+  INDEX idx_outbox_type_created (type, created_at),
+  INDEX idx_outbox_status (status),
+  INDEX idx_outbox_aggregate (aggregate_id)
+);
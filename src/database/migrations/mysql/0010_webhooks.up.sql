@@ -0,0 +1,35 @@
+-- ============================================
+-- Outbound webhooks for partner systems (ERP, pharmacy inventory)
+-- Deliveries are retried with backoff; DEAD rows are the dead-letter list
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  secret VARCHAR(255) NOT NULL,
+  event_types JSON NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  subscription_id INT NOT NULL,
+  event_id VARCHAR(36) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSON NOT NULL,
+  status ENUM('PENDING', 'RETRYING', 'SUCCESS', 'DEAD') DEFAULT 'PENDING',
+  attempts INT DEFAULT 0,
+  next_attempt_at TIMESTAMP NULL,
+  last_status_code INT NULL,
+  last_error TEXT,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+  INDEX idx_webhook_deliveries_subscription (subscription_id, created_at)
+);
@@ -0,0 +1,40 @@
+-- ============================================
+-- Alerting: low stock, temperature, door and machine faults
+-- alert_rules only holds overrides of the defaults in alertService.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  rule_type VARCHAR(50) PRIMARY KEY,
+  is_active BOOLEAN DEFAULT TRUE,
+  severity ENUM('INFO', 'WARNING', 'CRITICAL') DEFAULT 'WARNING',
+  params JSON,
+  channels JSON,
+  updated_by VARCHAR(100),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  rule_type VARCHAR(50) NOT NULL,
+  severity ENUM('INFO', 'WARNING', 'CRITICAL') DEFAULT 'WARNING',
+  status ENUM('OPEN', 'ACKNOWLEDGED', 'RESOLVED') DEFAULT 'OPEN',
+  machine_id VARCHAR(50) NOT NULL,
+  slot_id INT NULL,
+  dedup_key VARCHAR(191) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  details JSON,
+  occurrences INT DEFAULT 1,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  notifications JSON,
+  notified_at TIMESTAMP NULL,
+  acknowledged_by VARCHAR(100),
+  acknowledged_at TIMESTAMP NULL,
+  resolved_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  INDEX idx_alerts_dedup (dedup_key, status),
+  INDEX idx_alerts_status (status, created_at),
+  INDEX idx_alerts_machine (machine_id, created_at)
+);
@@ -0,0 +1,40 @@
+-- ============================================
+-- Restock planning: one plan per visit day, one item per slot to load
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS restock_plans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  plan_date DATE NOT NULL,
+  status ENUM('OPEN', 'COMPLETED', 'CANCELLED') DEFAULT 'OPEN',
+  lookback_days INT NOT NULL,
+  forecast_days DECIMAL(5,2) NOT NULL,
+  notes TEXT,
+  created_by VARCHAR(100),
+  completed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_restock_plans_date (plan_date)
+);
+
+CREATE TABLE IF NOT EXISTS restock_plan_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id INT NOT NULL,
+  machine_id VARCHAR(50) NOT NULL,
+  slot_id INT NOT NULL,
+  slot_number INT NOT NULL,
+  product_id INT NULL,
+  product_name VARCHAR(255),
+  current_stock INT NOT NULL,
+  capacity INT NOT NULL,
+  forecast_sales DECIMAL(10,2) DEFAULT 0,
+  planned_quantity INT NOT NULL,
+  loaded_quantity INT NULL,
+  status ENUM('PENDING', 'APPLIED') DEFAULT 'PENDING',
+  confirmed_by VARCHAR(100),
+  confirmed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (plan_id) REFERENCES restock_plans(id) ON DELETE CASCADE,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  FOREIGN KEY (slot_id) REFERENCES slots(id) ON DELETE CASCADE,
+  INDEX idx_restock_plan_items_plan (plan_id, machine_id)
+);
@@ -0,0 +1,2 @@
+ALTER TABLE stock_logs DROP INDEX idx_stock_logs_visit, DROP COLUMN visit_id;
+DROP TABLE IF EXISTS technician_visits;
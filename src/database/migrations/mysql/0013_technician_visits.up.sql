@@ -0,0 +1,27 @@
+-- ============================================
+-- Technician visits: counts and restocks done on site are grouped per visit;
+-- their stock_logs rows carry the visit_id
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS technician_visits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL,
+  status ENUM('OPEN', 'CLOSED') DEFAULT 'OPEN',
+  technician VARCHAR(100) NOT NULL,
+  technician_id VARCHAR(100),
+  door_command_sent BOOLEAN DEFAULT FALSE,
+  notes TEXT,
+  slots_before JSON,
+  slots_after JSON,
+  summary JSON,
+  opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  INDEX idx_technician_visits_machine (machine_id, status)
+);
+
+ALTER TABLE stock_logs
+  ADD COLUMN visit_id INT NULL AFTER performed_by,
+  ADD INDEX idx_stock_logs_visit (visit_id);
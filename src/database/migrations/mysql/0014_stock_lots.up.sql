@@ -0,0 +1,28 @@
+-- ============================================
+-- Stock lots: batch number and expiry of the units in a slot
+-- Slots keep current_stock; lots record which batches make it up
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS stock_lots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL,
+  slot_id INT NOT NULL,
+  product_id INT NULL,
+  batch_number VARCHAR(100) NOT NULL,
+  expiry_date DATE NULL,
+  quantity_received INT NOT NULL,
+  quantity_remaining INT NOT NULL,
+  status ENUM('ACTIVE', 'DEPLETED', 'EXPIRED', 'RECALLED') DEFAULT 'ACTIVE',
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  received_by VARCHAR(100),
+  recalled_at TIMESTAMP NULL,
+  recall_reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  FOREIGN KEY (slot_id) REFERENCES slots(id) ON DELETE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL,
+  INDEX idx_stock_lots_slot (slot_id, status, expiry_date),
+  INDEX idx_stock_lots_batch (batch_number, product_id),
+  INDEX idx_stock_lots_expiry (status, expiry_date)
+);
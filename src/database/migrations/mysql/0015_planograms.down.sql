@@ -0,0 +1,6 @@
+DELETE FROM stock_logs WHERE change_type = 'PLANOGRAM';
+
+ALTER TABLE stock_logs
+  MODIFY change_type ENUM('RESTOCK', 'DISPENSE', 'MANUAL_ADJUST', 'AUDIT') NOT NULL;
+
+DROP TABLE IF EXISTS planograms;
@@ -0,0 +1,25 @@
+-- ============================================
+-- Planograms: versioned slot layouts per machine. A DRAFT is edited, then
+-- applied to the slots; product swaps are logged as PLANOGRAM stock changes
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS planograms (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL,
+  version INT NOT NULL,
+  status ENUM('DRAFT', 'APPLIED', 'SUPERSEDED') DEFAULT 'DRAFT',
+  notes TEXT,
+  layout JSON NOT NULL,
+  created_by VARCHAR(100),
+  applied_by VARCHAR(100),
+  applied_at TIMESTAMP NULL,
+  config_sent BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_machine_version (machine_id, version),
+  INDEX idx_planograms_machine (machine_id, status)
+);
+
+ALTER TABLE stock_logs
+  MODIFY change_type ENUM('RESTOCK', 'DISPENSE', 'MANUAL_ADJUST', 'AUDIT', 'PLANOGRAM') NOT NULL;
@@ -0,0 +1,8 @@
+UPDATE machines SET status = 'OFFLINE' WHERE status = 'DECOMMISSIONED';
+
+ALTER TABLE machines
+  DROP INDEX idx_machines_status,
+  DROP COLUMN decommission_reason,
+  DROP COLUMN decommissioned_by,
+  DROP COLUMN decommissioned_at,
+  MODIFY status ENUM('ONLINE', 'OFFLINE', 'MAINTENANCE') DEFAULT 'OFFLINE';
@@ -0,0 +1,11 @@
+-- ============================================
+-- Fleet management: machines registered through the API can be
+-- decommissioned; the row stays so order history keeps its machine
+-- ============================================
+
+ALTER TABLE machines
+  MODIFY status ENUM('ONLINE', 'OFFLINE', 'MAINTENANCE', 'DECOMMISSIONED') DEFAULT 'OFFLINE',
+  ADD COLUMN decommissioned_at TIMESTAMP NULL AFTER config,
+  ADD COLUMN decommissioned_by VARCHAR(100) AFTER decommissioned_at,
+  ADD COLUMN decommission_reason VARCHAR(255) AFTER decommissioned_by,
+  ADD INDEX idx_machines_status (status);
@@ -0,0 +1,24 @@
+-- ============================================
+-- Remote machine config: every change is a new version published on
+-- vm/{id}/config; it is APPLIED once the machine reports the version back
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS machine_configs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL,
+  version INT NOT NULL,
+  config JSON NOT NULL,
+  status ENUM('PENDING', 'APPLIED', 'FAILED', 'SUPERSEDED') DEFAULT 'PENDING',
+  rollback_of INT NULL,
+  notes TEXT,
+  created_by VARCHAR(100),
+  config_sent BOOLEAN DEFAULT FALSE,
+  published_at TIMESTAMP NULL,
+  applied_at TIMESTAMP NULL,
+  error VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_machine_config_version (machine_id, version),
+  INDEX idx_machine_configs_status (machine_id, status)
+);
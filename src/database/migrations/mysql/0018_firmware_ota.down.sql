@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS firmware_rollout_machines;
+DROP TABLE IF EXISTS firmware_rollouts;
+DROP TABLE IF EXISTS firmware_artifacts;
@@ -0,0 +1,52 @@
+-- ============================================
+-- Firmware OTA: uploaded firmware artifacts and staged rollouts. Each
+-- rollout machine tracks its OTA progress reported on the status topic
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS firmware_artifacts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  version VARCHAR(50) NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255),
+  size_bytes BIGINT NOT NULL,
+  checksum_sha256 CHAR(64) NOT NULL,
+  release_notes TEXT,
+  uploaded_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_firmware_version (version)
+);
+
+CREATE TABLE IF NOT EXISTS firmware_rollouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  firmware_id INT NOT NULL,
+  status ENUM('CANARY', 'FLEET', 'COMPLETED', 'HALTED', 'CANCELLED') DEFAULT 'CANARY',
+  failure_threshold_pct INT NOT NULL DEFAULT 20,
+  notes TEXT,
+  created_by VARCHAR(100),
+  halted_reason VARCHAR(255),
+  promoted_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (firmware_id) REFERENCES firmware_artifacts(id),
+  INDEX idx_firmware_rollouts_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS firmware_rollout_machines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  rollout_id INT NOT NULL,
+  machine_id VARCHAR(50) NOT NULL,
+  stage ENUM('CANARY', 'FLEET') NOT NULL,
+  status ENUM('PENDING', 'SENT', 'DOWNLOADING', 'INSTALLING', 'SUCCEEDED', 'FAILED', 'SKIPPED') DEFAULT 'PENDING',
+  progress INT NOT NULL DEFAULT 0,
+  previous_version VARCHAR(50),
+  error VARCHAR(255),
+  sent_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (rollout_id) REFERENCES firmware_rollouts(id) ON DELETE CASCADE,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_rollout_machine (rollout_id, machine_id),
+  INDEX idx_rollout_machines_machine (machine_id, status)
+);
@@ -0,0 +1,24 @@
+-- ============================================
+-- Remote device commands (door, reboot, motor test, ...): every command
+-- sent on vm/{id}/command is audited and matched with the machine's
+-- response on vm/{id}/command_result by command_id
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS machine_commands (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  command_id VARCHAR(50) NOT NULL,
+  machine_id VARCHAR(50) NOT NULL,
+  type ENUM('unlock_door', 'reboot', 'motor_test', 'calibrate_drop_sensor', 'telemetry_snapshot') NOT NULL,
+  params JSON,
+  status ENUM('SENT', 'ACKNOWLEDGED', 'SUCCEEDED', 'FAILED', 'TIMEOUT') DEFAULT 'SENT',
+  result JSON,
+  error VARCHAR(255),
+  sent_by VARCHAR(100),
+  acknowledged_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (machine_id) REFERENCES machines(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_command_id (command_id),
+  INDEX idx_machine_commands_machine (machine_id, created_at)
+);
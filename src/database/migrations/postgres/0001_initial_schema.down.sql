@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS admin_users CASCADE;
+DROP TABLE IF EXISTS telemetry CASCADE;
+DROP TABLE IF EXISTS stock_logs CASCADE;
+DROP TABLE IF EXISTS dispense_logs CASCADE;
+DROP TABLE IF EXISTS payments CASCADE;
+DROP TABLE IF EXISTS orders CASCADE;
+DROP TABLE IF EXISTS slots CASCADE;
+DROP TABLE IF EXISTS products CASCADE;
+DROP TABLE IF EXISTS machines CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column();
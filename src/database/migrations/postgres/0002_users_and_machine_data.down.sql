@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_orders_user_id;
+ALTER TABLE orders DROP COLUMN IF EXISTS user_id;
+DROP VIEW IF EXISTS today_machine_data;
+DROP VIEW IF EXISTS latest_machine_data;
+DROP TABLE IF EXISTS machine_data CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
@@ -0,0 +1,87 @@
+-- ============================================
+-- Buyer accounts and periodic machine sensor readings
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  full_name VARCHAR(100) NOT NULL,
+  phone VARCHAR(20),
+  role VARCHAR(20) NOT NULL DEFAULT 'buyer' CHECK (role IN ('admin', 'buyer', 'guest')),
+  is_active BOOLEAN DEFAULT TRUE,
+  fcm_token TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  last_login TIMESTAMPTZ
+);
+
+-- Older hand-applied versions of this table had no is_active
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS machine_data (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  temperature DECIMAL(5,2),
+  humidity DECIMAL(5,2),
+  door_status VARCHAR(20),
+  power_status VARCHAR(20),
+  stock_summary JSONB,
+  sales_count INTEGER DEFAULT 0,
+  error_codes JSONB,
+  status VARCHAR(20) DEFAULT 'normal' CHECK (status IN ('normal', 'warning', 'error', 'offline')),
+  recorded_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_machine_data_machine_id ON machine_data(machine_id);
+CREATE INDEX IF NOT EXISTS idx_machine_data_recorded_at ON machine_data(recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_machine_data_status ON machine_data(status);
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Latest reading for each machine
+DROP VIEW IF EXISTS latest_machine_data;
+CREATE VIEW latest_machine_data AS
+SELECT DISTINCT ON (machine_id) *
+FROM machine_data
+ORDER BY machine_id, recorded_at DESC;
+
+-- Today's readings with the machine name and location
+DROP VIEW IF EXISTS today_machine_data;
+CREATE VIEW today_machine_data AS
+SELECT md.*, m.name AS machine_name, m.location
+FROM machine_data md
+JOIN machines m ON md.machine_id = m.id
+WHERE DATE(md.recorded_at) = CURRENT_DATE
+ORDER BY md.recorded_at DESC;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE machine_data ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to users" ON users;
+CREATE POLICY "Service role has full access to users"
+  ON users FOR ALL
+  USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Users can view own profile" ON users;
+CREATE POLICY "Users can view own profile"
+  ON users FOR SELECT
+  USING (auth.uid()::text = id::text);
+
+DROP POLICY IF EXISTS "Public can view machine data" ON machine_data;
+CREATE POLICY "Public can view machine data"
+  ON machine_data FOR SELECT
+  USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to machine_data" ON machine_data;
+CREATE POLICY "Service role has full access to machine_data"
+  ON machine_data FOR ALL
+  USING (auth.role() = 'service_role');
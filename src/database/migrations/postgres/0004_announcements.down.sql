@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS announcement_views CASCADE;
+DROP TABLE IF EXISTS announcements CASCADE;
+DROP FUNCTION IF EXISTS update_announcements_updated_at();
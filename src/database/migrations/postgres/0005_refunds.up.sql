@@ -0,0 +1,33 @@
+-- ============================================
+-- Gateway refunds for failed dispenses
+-- item_ids lists the order_items covered by a partial refund (NULL = whole order)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id SERIAL PRIMARY KEY,
+  order_id VARCHAR(100) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  payment_id INTEGER REFERENCES payments(id),
+  item_ids JSONB,
+  amount DECIMAL(10,2) NOT NULL,
+  reason VARCHAR(255),
+  status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SUCCESS', 'FAILED')),
+  gateway_name VARCHAR(50),
+  gateway_refund_id VARCHAR(255),
+  raw_response JSONB,
+  error_message TEXT,
+  requested_by VARCHAR(100),
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to refunds" ON refunds;
+CREATE POLICY "Service role has full access to refunds"
+  ON refunds FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE refunds IS 'Gateway refunds for failed or cancelled dispenses';
@@ -0,0 +1,34 @@
+-- ============================================
+-- Slot stock held by pending and paid orders
+-- Taken before the order row is written, so order_id has no foreign key.
+-- expires_at is cleared once the order is paid (held until dispense).
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id SERIAL PRIMARY KEY,
+  order_id VARCHAR(100) NOT NULL,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id),
+  slot_id INTEGER NOT NULL REFERENCES slots(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'RELEASED', 'CONSUMED')),
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (order_id, slot_id)
+);
+
+DROP TRIGGER IF EXISTS update_stock_reservations_updated_at ON stock_reservations;
+CREATE TRIGGER update_stock_reservations_updated_at BEFORE UPDATE ON stock_reservations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_slot_status ON stock_reservations(slot_id, status);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order_id ON stock_reservations(order_id);
+
+ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to stock_reservations" ON stock_reservations;
+CREATE POLICY "Service role has full access to stock_reservations"
+  ON stock_reservations FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE stock_reservations IS 'Slot stock reserved by pending and paid orders';
@@ -0,0 +1,5 @@
+UPDATE orders SET status = 'FAILED' WHERE status = 'PENDING_DISPENSE';
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('PENDING', 'PAID', 'DISPENSING', 'COMPLETED', 'FAILED', 'REFUNDED'));
@@ -0,0 +1,7 @@
+-- ============================================
+-- Paid orders whose dispense could not be sent wait in PENDING_DISPENSE
+-- ============================================
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('PENDING', 'PAID', 'DISPENSING', 'PENDING_DISPENSE', 'COMPLETED', 'FAILED', 'REFUNDED'));
@@ -0,0 +1,30 @@
+-- ============================================
+-- Domain events published on the event bus, kept for replay
+-- failed_handlers lists the subscribers that threw on the last dispatch
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS event_outbox (
+  id VARCHAR(36) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  aggregate_id VARCHAR(100),
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DISPATCHED', 'FAILED')),
+  attempts INTEGER DEFAULT 0,
+  failed_handlers JSONB,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  dispatched_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_type_created ON event_outbox(type, created_at);
+CREATE INDEX IF NOT EXISTS idx_outbox_status ON event_outbox(status);
+CREATE INDEX IF NOT EXISTS idx_outbox_aggregate ON event_outbox(aggregate_id);
+
+ALTER TABLE event_outbox ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to event_outbox" ON event_outbox;
+CREATE POLICY "Service role has full access to event_outbox"
+  ON event_outbox FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE event_outbox IS 'Domain events from the event bus, kept for replay';
@@ -0,0 +1,61 @@
+-- ============================================
+-- Alerting: low stock, temperature, door and machine faults
+-- alert_rules only holds overrides of the defaults in alertService.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  rule_type VARCHAR(50) PRIMARY KEY,
+  is_active BOOLEAN DEFAULT TRUE,
+  severity VARCHAR(20) DEFAULT 'WARNING' CHECK (severity IN ('INFO', 'WARNING', 'CRITICAL')),
+  params JSONB,
+  channels JSONB,
+  updated_by VARCHAR(100),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id SERIAL PRIMARY KEY,
+  rule_type VARCHAR(50) NOT NULL,
+  severity VARCHAR(20) DEFAULT 'WARNING' CHECK (severity IN ('INFO', 'WARNING', 'CRITICAL')),
+  status VARCHAR(20) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'ACKNOWLEDGED', 'RESOLVED')),
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  slot_id INTEGER,
+  dedup_key VARCHAR(191) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  details JSONB,
+  occurrences INTEGER DEFAULT 1,
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  notifications JSONB,
+  notified_at TIMESTAMPTZ,
+  acknowledged_by VARCHAR(100),
+  acknowledged_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_dedup ON alerts(dedup_key, status);
+CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_alerts_machine ON alerts(machine_id, created_at);
+
+DROP TRIGGER IF EXISTS update_alert_rules_updated_at ON alert_rules;
+CREATE TRIGGER update_alert_rules_updated_at BEFORE UPDATE ON alert_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_alerts_updated_at ON alerts;
+CREATE TRIGGER update_alerts_updated_at BEFORE UPDATE ON alerts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alerts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to alert_rules" ON alert_rules;
+CREATE POLICY "Service role has full access to alert_rules"
+  ON alert_rules FOR ALL
+  USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to alerts" ON alerts;
+CREATE POLICY "Service role has full access to alerts"
+  ON alerts FOR ALL
+  USING (auth.role() = 'service_role');
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS restock_plan_items;
+DROP TABLE IF EXISTS restock_plans;
@@ -0,0 +1,55 @@
+-- ============================================
+-- Restock planning: one plan per visit day, one item per slot to load
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS restock_plans (
+  id SERIAL PRIMARY KEY,
+  plan_date DATE NOT NULL,
+  status VARCHAR(20) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'COMPLETED', 'CANCELLED')),
+  lookback_days INTEGER NOT NULL,
+  forecast_days DECIMAL(5,2) NOT NULL,
+  notes TEXT,
+  created_by VARCHAR(100),
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS restock_plan_items (
+  id SERIAL PRIMARY KEY,
+  plan_id INTEGER NOT NULL REFERENCES restock_plans(id) ON DELETE CASCADE,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  slot_id INTEGER NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+  slot_number INTEGER NOT NULL,
+  product_id INTEGER,
+  product_name VARCHAR(255),
+  current_stock INTEGER NOT NULL,
+  capacity INTEGER NOT NULL,
+  forecast_sales DECIMAL(10,2) DEFAULT 0,
+  planned_quantity INTEGER NOT NULL,
+  loaded_quantity INTEGER,
+  status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPLIED')),
+  confirmed_by VARCHAR(100),
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_restock_plans_date ON restock_plans(plan_date);
+CREATE INDEX IF NOT EXISTS idx_restock_plan_items_plan ON restock_plan_items(plan_id, machine_id);
+
+DROP TRIGGER IF EXISTS update_restock_plans_updated_at ON restock_plans;
+CREATE TRIGGER update_restock_plans_updated_at BEFORE UPDATE ON restock_plans
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE restock_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE restock_plan_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to restock_plans" ON restock_plans;
+CREATE POLICY "Service role has full access to restock_plans"
+  ON restock_plans FOR ALL
+  USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to restock_plan_items" ON restock_plan_items;
+CREATE POLICY "Service role has full access to restock_plan_items"
+  ON restock_plan_items FOR ALL
+  USING (auth.role() = 'service_role');
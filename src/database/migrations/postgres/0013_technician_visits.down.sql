@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_stock_logs_visit;
+ALTER TABLE stock_logs DROP COLUMN IF EXISTS visit_id;
+DROP TABLE IF EXISTS technician_visits;
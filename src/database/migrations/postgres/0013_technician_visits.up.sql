@@ -0,0 +1,38 @@
+-- ============================================
+-- Technician visits: counts and restocks done on site are grouped per visit;
+-- their stock_logs rows carry the visit_id
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS technician_visits (
+  id SERIAL PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  status VARCHAR(20) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'CLOSED')),
+  technician VARCHAR(100) NOT NULL,
+  technician_id VARCHAR(100),
+  door_command_sent BOOLEAN DEFAULT FALSE,
+  notes TEXT,
+  slots_before JSONB,
+  slots_after JSONB,
+  summary JSONB,
+  opened_at TIMESTAMPTZ DEFAULT NOW(),
+  closed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_technician_visits_machine ON technician_visits(machine_id, status);
+
+ALTER TABLE stock_logs
+  ADD COLUMN IF NOT EXISTS visit_id INTEGER;
+CREATE INDEX IF NOT EXISTS idx_stock_logs_visit ON stock_logs(visit_id);
+
+DROP TRIGGER IF EXISTS update_technician_visits_updated_at ON technician_visits;
+CREATE TRIGGER update_technician_visits_updated_at BEFORE UPDATE ON technician_visits
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE technician_visits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to technician_visits" ON technician_visits;
+CREATE POLICY "Service role has full access to technician_visits"
+  ON technician_visits FOR ALL
+  USING (auth.role() = 'service_role');
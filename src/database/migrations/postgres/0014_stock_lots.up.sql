@@ -0,0 +1,37 @@
+-- ============================================
+-- Stock lots: batch number and expiry of the units in a slot
+-- Slots keep current_stock; lots record which batches make it up
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS stock_lots (
+  id SERIAL PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  slot_id INTEGER NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  batch_number VARCHAR(100) NOT NULL,
+  expiry_date DATE,
+  quantity_received INTEGER NOT NULL,
+  quantity_remaining INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'DEPLETED', 'EXPIRED', 'RECALLED')),
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  received_by VARCHAR(100),
+  recalled_at TIMESTAMPTZ,
+  recall_reason VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_lots_slot ON stock_lots(slot_id, status, expiry_date);
+CREATE INDEX IF NOT EXISTS idx_stock_lots_batch ON stock_lots(batch_number, product_id);
+CREATE INDEX IF NOT EXISTS idx_stock_lots_expiry ON stock_lots(status, expiry_date);
+
+DROP TRIGGER IF EXISTS update_stock_lots_updated_at ON stock_lots;
+CREATE TRIGGER update_stock_lots_updated_at BEFORE UPDATE ON stock_lots
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE stock_lots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to stock_lots" ON stock_lots;
+CREATE POLICY "Service role has full access to stock_lots"
+  ON stock_lots FOR ALL
+  USING (auth.role() = 'service_role');
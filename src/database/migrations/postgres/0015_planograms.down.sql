@@ -0,0 +1,7 @@
+DELETE FROM stock_logs WHERE change_type = 'PLANOGRAM';
+
+ALTER TABLE stock_logs DROP CONSTRAINT IF EXISTS stock_logs_change_type_check;
+ALTER TABLE stock_logs ADD CONSTRAINT stock_logs_change_type_check
+  CHECK (change_type IN ('RESTOCK', 'DISPENSE', 'MANUAL_ADJUST', 'AUDIT'));
+
+DROP TABLE IF EXISTS planograms;
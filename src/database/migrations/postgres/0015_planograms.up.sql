@@ -0,0 +1,37 @@
+-- ============================================
+-- Planograms: versioned slot layouts per machine. A DRAFT is edited, then
+-- applied to the slots; product swaps are logged as PLANOGRAM stock changes
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS planograms (
+  id SERIAL PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'APPLIED', 'SUPERSEDED')),
+  notes TEXT,
+  layout JSONB NOT NULL,
+  created_by VARCHAR(100),
+  applied_by VARCHAR(100),
+  applied_at TIMESTAMPTZ,
+  config_sent BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (machine_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_planograms_machine ON planograms(machine_id, status);
+
+ALTER TABLE stock_logs DROP CONSTRAINT IF EXISTS stock_logs_change_type_check;
+ALTER TABLE stock_logs ADD CONSTRAINT stock_logs_change_type_check
+  CHECK (change_type IN ('RESTOCK', 'DISPENSE', 'MANUAL_ADJUST', 'AUDIT', 'PLANOGRAM'));
+
+DROP TRIGGER IF EXISTS update_planograms_updated_at ON planograms;
+CREATE TRIGGER update_planograms_updated_at BEFORE UPDATE ON planograms
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE planograms ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to planograms" ON planograms;
+CREATE POLICY "Service role has full access to planograms"
+  ON planograms FOR ALL
+  USING (auth.role() = 'service_role');
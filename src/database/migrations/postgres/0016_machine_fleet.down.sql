@@ -0,0 +1,12 @@
+UPDATE machines SET status = 'OFFLINE' WHERE status = 'DECOMMISSIONED';
+
+DROP INDEX IF EXISTS idx_machines_status;
+
+ALTER TABLE machines
+  DROP COLUMN IF EXISTS decommission_reason,
+  DROP COLUMN IF EXISTS decommissioned_by,
+  DROP COLUMN IF EXISTS decommissioned_at;
+
+ALTER TABLE machines DROP CONSTRAINT IF EXISTS machines_status_check;
+ALTER TABLE machines ADD CONSTRAINT machines_status_check
+  CHECK (status IN ('ONLINE', 'OFFLINE', 'MAINTENANCE'));
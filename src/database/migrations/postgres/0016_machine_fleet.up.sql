@@ -0,0 +1,15 @@
+-- ============================================
+-- Fleet management: machines registered through the API can be
+-- decommissioned; the row stays so order history keeps its machine
+-- ============================================
+
+ALTER TABLE machines DROP CONSTRAINT IF EXISTS machines_status_check;
+ALTER TABLE machines ADD CONSTRAINT machines_status_check
+  CHECK (status IN ('ONLINE', 'OFFLINE', 'MAINTENANCE', 'DECOMMISSIONED'));
+
+ALTER TABLE machines
+  ADD COLUMN IF NOT EXISTS decommissioned_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS decommissioned_by VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS decommission_reason VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_machines_status ON machines(status);
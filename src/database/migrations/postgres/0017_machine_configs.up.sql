@@ -0,0 +1,35 @@
+-- ============================================
+-- Remote machine config: every change is a new version published on
+-- vm/{id}/config; it is APPLIED once the machine reports the version back
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS machine_configs (
+  id SERIAL PRIMARY KEY,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  config JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPLIED', 'FAILED', 'SUPERSEDED')),
+  rollback_of INTEGER,
+  notes TEXT,
+  created_by VARCHAR(100),
+  config_sent BOOLEAN DEFAULT FALSE,
+  published_at TIMESTAMPTZ,
+  applied_at TIMESTAMPTZ,
+  error VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (machine_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_machine_configs_status ON machine_configs(machine_id, status);
+
+DROP TRIGGER IF EXISTS update_machine_configs_updated_at ON machine_configs;
+CREATE TRIGGER update_machine_configs_updated_at BEFORE UPDATE ON machine_configs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE machine_configs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to machine_configs" ON machine_configs;
+CREATE POLICY "Service role has full access to machine_configs"
+  ON machine_configs FOR ALL
+  USING (auth.role() = 'service_role');
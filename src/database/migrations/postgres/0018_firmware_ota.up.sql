@@ -0,0 +1,77 @@
+-- ============================================
+-- Firmware OTA: uploaded firmware artifacts and staged rollouts. Each
+-- rollout machine tracks its OTA progress reported on the status topic
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS firmware_artifacts (
+  id SERIAL PRIMARY KEY,
+  version VARCHAR(50) NOT NULL UNIQUE,
+  filename VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255),
+  size_bytes BIGINT NOT NULL,
+  checksum_sha256 CHAR(64) NOT NULL,
+  release_notes TEXT,
+  uploaded_by VARCHAR(100),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS firmware_rollouts (
+  id SERIAL PRIMARY KEY,
+  firmware_id INTEGER NOT NULL REFERENCES firmware_artifacts(id),
+  status VARCHAR(20) DEFAULT 'CANARY' CHECK (status IN ('CANARY', 'FLEET', 'COMPLETED', 'HALTED', 'CANCELLED')),
+  failure_threshold_pct INTEGER NOT NULL DEFAULT 20,
+  notes TEXT,
+  created_by VARCHAR(100),
+  halted_reason VARCHAR(255),
+  promoted_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_firmware_rollouts_status ON firmware_rollouts(status);
+
+CREATE TABLE IF NOT EXISTS firmware_rollout_machines (
+  id SERIAL PRIMARY KEY,
+  rollout_id INTEGER NOT NULL REFERENCES firmware_rollouts(id) ON DELETE CASCADE,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  stage VARCHAR(10) NOT NULL CHECK (stage IN ('CANARY', 'FLEET')),
+  status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'DOWNLOADING', 'INSTALLING', 'SUCCEEDED', 'FAILED', 'SKIPPED')),
+  progress INTEGER NOT NULL DEFAULT 0,
+  previous_version VARCHAR(50),
+  error VARCHAR(255),
+  sent_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (rollout_id, machine_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rollout_machines_machine ON firmware_rollout_machines(machine_id, status);
+
+DROP TRIGGER IF EXISTS update_firmware_rollouts_updated_at ON firmware_rollouts;
+CREATE TRIGGER update_firmware_rollouts_updated_at BEFORE UPDATE ON firmware_rollouts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_firmware_rollout_machines_updated_at ON firmware_rollout_machines;
+CREATE TRIGGER update_firmware_rollout_machines_updated_at BEFORE UPDATE ON firmware_rollout_machines
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE firmware_artifacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE firmware_rollouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE firmware_rollout_machines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to firmware_artifacts" ON firmware_artifacts;
+CREATE POLICY "Service role has full access to firmware_artifacts"
+  ON firmware_artifacts FOR ALL
+  USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to firmware_rollouts" ON firmware_rollouts;
+CREATE POLICY "Service role has full access to firmware_rollouts"
+  ON firmware_rollouts FOR ALL
+  USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role has full access to firmware_rollout_machines" ON firmware_rollout_machines;
+CREATE POLICY "Service role has full access to firmware_rollout_machines"
+  ON firmware_rollout_machines FOR ALL
+  USING (auth.role() = 'service_role');
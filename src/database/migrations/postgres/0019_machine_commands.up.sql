@@ -0,0 +1,34 @@
+-- ============================================
+-- Remote device commands (door, reboot, motor test, ...): every command
+-- sent on vm/{id}/command is audited and matched with the machine's
+-- response on vm/{id}/command_result by command_id
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS machine_commands (
+  id SERIAL PRIMARY KEY,
+  command_id VARCHAR(50) NOT NULL UNIQUE,
+  machine_id VARCHAR(50) NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL CHECK (type IN ('unlock_door', 'reboot', 'motor_test', 'calibrate_drop_sensor', 'telemetry_snapshot')),
+  params JSONB,
+  status VARCHAR(20) DEFAULT 'SENT' CHECK (status IN ('SENT', 'ACKNOWLEDGED', 'SUCCEEDED', 'FAILED', 'TIMEOUT')),
+  result JSONB,
+  error VARCHAR(255),
+  sent_by VARCHAR(100),
+  acknowledged_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_machine_commands_machine ON machine_commands(machine_id, created_at);
+
+DROP TRIGGER IF EXISTS update_machine_commands_updated_at ON machine_commands;
+CREATE TRIGGER update_machine_commands_updated_at BEFORE UPDATE ON machine_commands
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE machine_commands ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to machine_commands" ON machine_commands;
+CREATE POLICY "Service role has full access to machine_commands"
+  ON machine_commands FOR ALL
+  USING (auth.role() = 'service_role');
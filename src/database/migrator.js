@@ -0,0 +1,309 @@
+/**
+ * Migrator - versioned schema migrations for MySQL and Supabase (PostgreSQL)
+ *
+ * Each dialect has its own folder under src/database/migrations/ holding
+ * NNNN_name.up.sql / NNNN_name.down.sql pairs; both folders carry the same
+ * versions so MySQL and Supabase deployments end up with the same tables.
+ * Applied versions are recorded in schema_migrations together with the
+ * SHA-256 checksum of their up file, so an edit to a migration that already
+ * ran is reported instead of silently ignored.
+ *
+ * Supabase is migrated over a direct Postgres connection (SUPABASE_DB_URL),
+ * because the REST client used by the app cannot run DDL.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+require("dotenv").config();
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const DIALECTS = ["mysql", "postgres"];
+const FILE_PATTERN = /^(\d{4})_(\w+)\.(up|down)\.sql$/;
+
+function defaultDialect() {
+  return process.env.USE_SUPABASE === "true" ? "postgres" : "mysql";
+}
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+/**
+ * Read the migrations of one dialect, ordered by version
+ */
+function loadMigrations(dialect, dir = path.join(MIGRATIONS_DIR, dialect)) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(
+        `Migration ${version} has two names: ${migration.name} and ${name}`
+      );
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    migrations.set(version, migration);
+  }
+
+  return Array.from(migrations.values()).map((migration) => {
+    if (!migration.up) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} has no up file`
+      );
+    }
+    return { ...migration, checksum: checksum(migration.up) };
+  });
+}
+
+class MySQLDriver {
+  async connect() {
+    const mysql = require("mysql2/promise");
+    this.connection = await mysql.createConnection({
+      host: process.env.DB_HOST || "localhost",
+      port: process.env.DB_PORT || 3306,
+      user: process.env.DB_USER || "root",
+      password: process.env.DB_PASSWORD || "",
+      database: process.env.DB_NAME || "vending_machine",
+      multipleStatements: true,
+    });
+
+    await this.connection.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async history() {
+    const [rows] = await this.connection.query(
+      "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return rows;
+  }
+
+  // MySQL commits DDL implicitly, so a migration that fails halfway stays
+  // partly applied - keep statements re-runnable (IF NOT EXISTS)
+  async apply(migration) {
+    await this.connection.query(migration.up);
+    await this.connection.query(
+      "INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)",
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+
+  async revert(migration) {
+    await this.connection.query(migration.down);
+    await this.connection.query(
+      "DELETE FROM schema_migrations WHERE version = ?",
+      [migration.version]
+    );
+  }
+
+  async close() {
+    if (this.connection) {
+      await this.connection.end();
+    }
+  }
+}
+
+class PostgresDriver {
+  async connect() {
+    const connectionString = process.env.SUPABASE_DB_URL;
+    if (!connectionString) {
+      throw new Error(
+        "SUPABASE_DB_URL is required to migrate Supabase (Project Settings → Database → Connection string)"
+      );
+    }
+
+    const { Client } = require("pg");
+    this.client = new Client({ connectionString });
+    await this.client.connect();
+
+    await this.client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+  }
+
+  async history() {
+    const { rows } = await this.client.query(
+      "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return rows;
+  }
+
+  async transaction(callback) {
+    await this.client.query("BEGIN");
+    try {
+      await callback();
+      await this.client.query("COMMIT");
+    } catch (error) {
+      await this.client.query("ROLLBACK");
+      throw error;
+    }
+  }
+
+  async apply(migration) {
+    await this.transaction(async () => {
+      await this.client.query(migration.up);
+      await this.client.query(
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+        [migration.version, migration.name, migration.checksum]
+      );
+    });
+  }
+
+  async revert(migration) {
+    await this.transaction(async () => {
+      await this.client.query(migration.down);
+      await this.client.query(
+        "DELETE FROM schema_migrations WHERE version = $1",
+        [migration.version]
+      );
+    });
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.end();
+    }
+  }
+}
+
+const DRIVERS = {
+  mysql: MySQLDriver,
+  postgres: PostgresDriver,
+};
+
+class Migrator {
+  constructor({ dialect = defaultDialect(), dir } = {}) {
+    if (!DIALECTS.includes(dialect)) {
+      throw new Error(
+        `Unknown dialect: ${dialect} (expected ${DIALECTS.join(" or ")})`
+      );
+    }
+    this.dialect = dialect;
+    this.dir = dir;
+  }
+
+  async withDriver(callback) {
+    const driver = new DRIVERS[this.dialect]();
+    try {
+      await driver.connect();
+      return await callback(driver);
+    } finally {
+      await driver.close();
+    }
+  }
+
+  /**
+   * Compare the migration files with schema_migrations.
+   * state: applied | pending | changed (file edited after it ran) |
+   *        missing (recorded, but the file is gone)
+   */
+  async plan(driver) {
+    const migrations = loadMigrations(this.dialect, this.dir);
+    const history = new Map(
+      (await driver.history()).map((row) => [row.version, row])
+    );
+
+    const entries = migrations.map((migration) => {
+      const applied = history.get(migration.version);
+      history.delete(migration.version);
+
+      let state = "pending";
+      if (applied) {
+        state = applied.checksum === migration.checksum ? "applied" : "changed";
+      }
+      return { ...migration, state, applied_at: applied?.applied_at || null };
+    });
+
+    for (const row of history.values()) {
+      entries.push({ ...row, state: "missing" });
+    }
+
+    return entries.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  async status() {
+    return this.withDriver(async (driver) => {
+      const entries = await this.plan(driver);
+      return entries.map(({ version, name, state, applied_at }) => ({
+        version,
+        name,
+        state,
+        applied_at,
+      }));
+    });
+  }
+
+  /**
+   * Apply pending migrations in order, up to and including `to` if given
+   */
+  async up({ to = null } = {}) {
+    return this.withDriver(async (driver) => {
+      const entries = await this.plan(driver);
+
+      const changed = entries.filter((entry) => entry.state === "changed");
+      if (changed.length > 0) {
+        throw new Error(
+          `Applied migrations were modified: ${changed
+            .map((entry) => `${entry.version}_${entry.name}`)
+            .join(", ")}. Add a new migration instead of editing one that ran.`
+        );
+      }
+
+      const pending = entries.filter(
+        (entry) => entry.state === "pending" && (!to || entry.version <= to)
+      );
+
+      const applied = [];
+      for (const migration of pending) {
+        console.log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+        await driver.apply(migration);
+        applied.push(migration.version);
+      }
+      return applied;
+    });
+  }
+
+  /**
+   * Revert the last `steps` applied migrations, newest first
+   */
+  async down({ steps = 1 } = {}) {
+    return this.withDriver(async (driver) => {
+      const entries = await this.plan(driver);
+      const targets = entries
+        .filter((entry) => entry.state !== "pending")
+        .reverse()
+        .slice(0, steps);
+
+      const reverted = [];
+      for (const migration of targets) {
+        if (!migration.down) {
+          throw new Error(
+            `Migration ${migration.version}_${migration.name} has no down file`
+          );
+        }
+        console.log(`⬇️  Reverting ${migration.version}_${migration.name}...`);
+        await driver.revert(migration);
+        reverted.push(migration.version);
+      }
+      return reverted;
+    });
+  }
+}
+
+module.exports = { Migrator, loadMigrations, DIALECTS };
@@ -0,0 +1,295 @@
+/**
+ * Auth middleware - JWT verification and role-based permissions
+ *
+ * Tokens come from three places: dashboard admins (POST /api/auth/login,
+ * roles SUPER_ADMIN/ADMIN/TECHNICIAN), app users (POST /api/users/login,
+ * roles admin/buyer/guest) and machines (POST /api/auth/machine). All of
+ * them are signed with the same secret and mapped onto one permission
+ * matrix, so routes only declare what they need:
+ *
+ *   router.post("/update", verifyToken, requirePermission("stock:write"), ...)
+ *   router.post("/update", authorize("stock:write"), ...)   // same thing
+ *
+ * Machine tokens carry the machine's token_version; rotating or revoking
+ * (POST /api/machines/:id/rotate-token, /revoke-token) bumps it and every
+ * older token of that machine stops working. Device endpoints take
+ * authorizeMachine(permission), which also rejects a machine_id that is not
+ * the one in the token.
+ *
+ * EventSource can't send headers, so SSE streams take a stream token in the
+ * query string instead (POST /api/events/token): it expires after a minute,
+ * opens one stream only and is refused as a Bearer token.
+ */
+
+const jwt = require("jsonwebtoken");
+const repositories = require("../repositories");
+
+const DEV_JWT_SECRET = "dev-only-jwt-secret";
+
+// Role -> permissions. "*" grants everything.
+const PERMISSIONS = {
+  SUPER_ADMIN: ["*"],
+  ADMIN: [
+    "products:write",
+    "stock:write",
+    "machines:write",
+    "machines:credentials",
+    "machines:monitor",
+    "planograms:write",
+    "config:write",
+    "fleet:read",
+    "fleet:manage",
+    "firmware:manage",
+    "commands:send",
+    "reports:read",
+    "refunds:read",
+    "refunds:write",
+    "announcements:manage",
+    "users:read",
+    "jobs:read",
+    "jobs:run",
+    "events:read",
+    "events:replay",
+    "webhooks:manage",
+    "alerts:read",
+    "alerts:acknowledge",
+    "alerts:manage",
+    "debug:access",
+    "profile:read",
+    "profile:write",
+  ],
+  TECHNICIAN: [
+    "stock:write",
+    "machines:write",
+    "machines:monitor",
+    "fleet:read",
+    "commands:send",
+    "jobs:read",
+    "alerts:read",
+    "alerts:acknowledge",
+  ],
+  buyer: ["profile:read", "profile:write"],
+  guest: [],
+  machine: [
+    "machines:write",
+    "machines:monitor",
+    "telemetry:write",
+    "stock:report",
+    "dispense:trigger",
+    "dispense:confirm",
+  ],
+};
+
+// app users with role "admin" are treated like dashboard admins
+const ROLE_ALIASES = {
+  admin: "ADMIN",
+  super_admin: "SUPER_ADMIN",
+  technician: "TECHNICIAN",
+};
+
+let warnedAboutSecret = false;
+
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+  if (!warnedAboutSecret) {
+    console.warn(
+      "⚠️  JWT_SECRET not set, using an insecure development secret"
+    );
+    warnedAboutSecret = true;
+  }
+  return DEV_JWT_SECRET;
+}
+
+function signToken(payload, options = {}) {
+  return jwt.sign(payload, getJwtSecret(), options);
+}
+
+const MACHINE_TOKEN_TTL = "30d";
+
+function signMachineToken(machine, { expiresIn = MACHINE_TOKEN_TTL } = {}) {
+  return signToken(
+    {
+      machine_id: machine.id,
+      type: "machine",
+      token_version: machine.token_version || 0,
+    },
+    { expiresIn }
+  );
+}
+
+const STREAM_TOKEN_TTL = 60; // seconds
+
+// Short-lived token for one SSE stream (e.g. "machine:VM01") on behalf of user
+function signStreamToken(user, stream) {
+  const { iat, exp, ...identity } = user;
+  return signToken(
+    { type: "stream", stream, user: identity },
+    { expiresIn: STREAM_TOKEN_TTL }
+  );
+}
+
+function roleOf(user) {
+  if (!user) return null;
+  if (user.type === "machine") return "machine";
+  return ROLE_ALIASES[user.role] || user.role;
+}
+
+function hasPermission(user, permission) {
+  const granted = PERMISSIONS[roleOf(user)] || [];
+  return granted.includes("*") || granted.includes(permission);
+}
+
+// A machine token is only valid while the machine still exists and its
+// token_version has not been bumped since the token was signed
+async function isMachineTokenCurrent(payload) {
+  const machine = await repositories.machines.findById(payload.machine_id);
+  return Boolean(
+    machine && (machine.token_version || 0) === (payload.token_version || 0)
+  );
+}
+
+/**
+ * Check a stream token from the query string
+ * @returns {Promise<object|null>} the user it was issued to, null unless it is
+ *   a valid stream token for this stream (and its machine token is current)
+ */
+async function verifyStreamToken(token, stream) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return null;
+  }
+  if (payload.type !== "stream" || payload.stream !== stream) return null;
+  if (
+    payload.user.type === "machine" &&
+    !(await isMachineTokenCurrent(payload.user))
+  ) {
+    return null;
+  }
+  return payload.user;
+}
+
+// Verify the Bearer token and attach its payload as req.user
+const verifyToken = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+
+  if (!token) {
+    return res.status(401).json({
+      error: "Access denied. No token provided.",
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return res.status(401).json({
+      error: "Invalid or expired token",
+    });
+  }
+
+  if (payload.type === "stream") {
+    return res.status(401).json({
+      error: "Stream tokens only open event streams",
+    });
+  }
+
+  try {
+    if (payload.type === "machine" && !(await isMachineTokenCurrent(payload))) {
+      return res.status(401).json({
+        error: "Machine token has been revoked",
+      });
+    }
+  } catch (error) {
+    console.error("Machine token check error:", error);
+    return res.status(500).json({
+      error: "Failed to verify token",
+    });
+  }
+
+  req.user = payload;
+  next();
+};
+
+// Require a permission from the matrix (use after verifyToken)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      error: "Access denied",
+      required_permission: permission,
+    });
+  }
+
+  next();
+};
+
+// verifyToken + requirePermission as one route middleware
+const authorize = (permission) => [verifyToken, requirePermission(permission)];
+
+// Machine tokens may only act for their own machine. The machine ID comes
+// from :machine_id or body.machine_id unless `locate` resolves it (it may be
+// async, e.g. to look up an order). Non-machine users are not affected.
+const requireOwnMachine =
+  (locate = (req) => req.params.machine_id || req.body.machine_id) =>
+  async (req, res, next) => {
+    if (req.user?.type !== "machine") {
+      return next();
+    }
+
+    try {
+      const machineId = await locate(req);
+      if (machineId && machineId !== req.user.machine_id) {
+        return res.status(403).json({
+          error: "Machine ID does not match token",
+        });
+      }
+      next();
+    } catch (error) {
+      console.error("Machine scope check error:", error);
+      res.status(500).json({
+        error: "Failed to verify machine",
+      });
+    }
+  };
+
+const requireMachineToken = (req, res, next) => {
+  if (req.user?.type !== "machine") {
+    return res.status(403).json({
+      error: "Machine token required",
+    });
+  }
+
+  next();
+};
+
+// Device endpoints: a current machine token with the permission, acting for
+// its own machine
+const authorizeMachine = (permission, locate) => [
+  verifyToken,
+  requireMachineToken,
+  requirePermission(permission),
+  requireOwnMachine(locate),
+];
+
+module.exports = {
+  PERMISSIONS,
+  STREAM_TOKEN_TTL,
+  getJwtSecret,
+  signToken,
+  signMachineToken,
+  signStreamToken,
+  verifyStreamToken,
+  roleOf,
+  hasPermission,
+  verifyToken,
+  requirePermission,
+  authorize,
+  requireOwnMachine,
+  authorizeMachine,
+};
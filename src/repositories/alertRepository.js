@@ -0,0 +1,340 @@
+/**
+ * Alert repository - raised alerts and the rule overrides admins saved
+ *
+ * Interface:
+ *   listRules()                          -> saved rule overrides
+ *   saveRule(ruleType, fields)           -> insert or update one override
+ *   findOpen(dedupKey)                   -> OPEN/ACKNOWLEDGED alert with the key, or null
+ *   listOpen({ ruleType, machineId })    -> OPEN/ACKNOWLEDGED alerts
+ *   findById(id)                         -> alert or null
+ *   create(alert)                        -> { id }
+ *   update(id, fields)
+ *   list({ status, machineId, ruleType, severity, limit, offset })
+ *                                        -> { alerts, total }, newest first
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, parseJson } = require("./sql");
+const { byField } = require("./memoryStore");
+
+const OPEN_STATUSES = ["OPEN", "ACKNOWLEDGED"];
+
+function parseRule(rule) {
+  return {
+    ...rule,
+    is_active: Boolean(rule.is_active),
+    params: parseJson(rule.params),
+    channels: parseJson(rule.channels),
+  };
+}
+
+function parseAlert(alert) {
+  if (!alert) return null;
+  return {
+    ...alert,
+    details: parseJson(alert.details),
+    notifications: parseJson(alert.notifications),
+  };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of [
+    "last_seen_at",
+    "notified_at",
+    "acknowledged_at",
+    "resolved_at",
+  ]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+class MySQLAlertRepository {
+  async listRules() {
+    const rows = await db.query("SELECT * FROM alert_rules");
+    return rows.map(parseRule);
+  }
+
+  async saveRule(ruleType, fields) {
+    const insert = buildInsert("alert_rules", {
+      rule_type: ruleType,
+      ...fields,
+    });
+    const set = buildSet(fields);
+    await db.query(`${insert.sql} ON DUPLICATE KEY UPDATE ${set.clause}`, [
+      ...insert.params,
+      ...set.params,
+    ]);
+  }
+
+  async findOpen(dedupKey) {
+    const rows = await db.query(
+      `SELECT * FROM alerts
+       WHERE dedup_key = ? AND status IN ('OPEN', 'ACKNOWLEDGED')
+       ORDER BY id DESC LIMIT 1`,
+      [dedupKey]
+    );
+    return parseAlert(rows[0]);
+  }
+
+  async listOpen({ ruleType, machineId } = {}) {
+    let sql = "SELECT * FROM alerts WHERE status IN ('OPEN', 'ACKNOWLEDGED')";
+    const params = [];
+    if (ruleType) {
+      sql += " AND rule_type = ?";
+      params.push(ruleType);
+    }
+    if (machineId) {
+      sql += " AND machine_id = ?";
+      params.push(machineId);
+    }
+
+    const rows = await db.query(`${sql} ORDER BY id`, params);
+    return rows.map(parseAlert);
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM alerts WHERE id = ?", [id]);
+    return parseAlert(rows[0]);
+  }
+
+  async create(alert) {
+    const insert = buildInsert("alerts", withDates(alert));
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE alerts SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async list({
+    status,
+    machineId,
+    ruleType,
+    severity,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+    if (machineId) {
+      conditions.push("machine_id = ?");
+      params.push(machineId);
+    }
+    if (ruleType) {
+      conditions.push("rule_type = ?");
+      params.push(ruleType);
+    }
+    if (severity) {
+      conditions.push("severity = ?");
+      params.push(severity);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const rows = await db.query(
+      `SELECT * FROM alerts ${where}
+       ORDER BY created_at DESC, id DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM alerts ${where}`,
+      params
+    );
+
+    return { alerts: rows.map(parseAlert), total: count[0].total };
+  }
+}
+
+class SupabaseAlertRepository {
+  async listRules() {
+    const { data, error } = await supabase.from("alert_rules").select("*");
+    if (error) throw error;
+    return data;
+  }
+
+  async saveRule(ruleType, fields) {
+    const { error } = await supabase
+      .from("alert_rules")
+      .upsert({ rule_type: ruleType, ...fields }, { onConflict: "rule_type" });
+    if (error) throw error;
+  }
+
+  async findOpen(dedupKey) {
+    const { data, error } = await supabase
+      .from("alerts")
+      .select("*")
+      .eq("dedup_key", dedupKey)
+      .in("status", OPEN_STATUSES)
+      .order("id", { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  async listOpen({ ruleType, machineId } = {}) {
+    let query = supabase.from("alerts").select("*").in("status", OPEN_STATUSES);
+    if (ruleType) query = query.eq("rule_type", ruleType);
+    if (machineId) query = query.eq("machine_id", machineId);
+
+    const { data, error } = await query.order("id");
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("alerts")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async create(alert) {
+    const { data, error } = await supabase
+      .from("alerts")
+      .insert(alert)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase.from("alerts").update(fields).eq("id", id);
+    if (error) throw error;
+  }
+
+  async list({
+    status,
+    machineId,
+    ruleType,
+    severity,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    let query = supabase.from("alerts").select("*", { count: "exact" });
+    if (status) query = query.eq("status", status);
+    if (machineId) query = query.eq("machine_id", machineId);
+    if (ruleType) query = query.eq("rule_type", ruleType);
+    if (severity) query = query.eq("severity", severity);
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { alerts: data, total: count ?? data.length };
+  }
+}
+
+class MemoryAlertRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listRules() {
+    return this.store.filter("alert_rules");
+  }
+
+  async saveRule(ruleType, fields) {
+    const updated = this.store.update(
+      "alert_rules",
+      (r) => r.rule_type === ruleType,
+      fields
+    );
+    if (updated === 0) {
+      this.store.insert("alert_rules", {
+        id: ruleType,
+        rule_type: ruleType,
+        ...fields,
+      });
+    }
+  }
+
+  async findOpen(dedupKey) {
+    return this.store.find(
+      "alerts",
+      (a) => a.dedup_key === dedupKey && OPEN_STATUSES.includes(a.status)
+    );
+  }
+
+  async listOpen({ ruleType, machineId } = {}) {
+    return this.store
+      .filter(
+        "alerts",
+        (a) =>
+          OPEN_STATUSES.includes(a.status) &&
+          (!ruleType || a.rule_type === ruleType) &&
+          (!machineId || a.machine_id === machineId)
+      )
+      .sort(byField("id"));
+  }
+
+  async findById(id) {
+    return this.store.find("alerts", (a) => a.id === Number(id));
+  }
+
+  async create(alert) {
+    const row = this.store.insert("alerts", {
+      status: "OPEN",
+      occurrences: 1,
+      ...alert,
+    });
+    return { id: row.id };
+  }
+
+  async update(id, fields) {
+    this.store.update("alerts", (a) => a.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async list({
+    status,
+    machineId,
+    ruleType,
+    severity,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const alerts = this.store
+      .filter(
+        "alerts",
+        (a) =>
+          (!status || a.status === status) &&
+          (!machineId || a.machine_id === machineId) &&
+          (!ruleType || a.rule_type === ruleType) &&
+          (!severity || a.severity === severity)
+      )
+      .sort(byField("id", "desc"));
+
+    return {
+      alerts: alerts.slice(offset, offset + limit),
+      total: alerts.length,
+    };
+  }
+}
+
+module.exports = {
+  MySQLAlertRepository,
+  SupabaseAlertRepository,
+  MemoryAlertRepository,
+};
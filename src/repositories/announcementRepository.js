@@ -0,0 +1,328 @@
+/**
+ * Announcement repository - announcements and their view/click/dismiss tracking
+ *
+ * Interface:
+ *   listActive({ platform, machineId, limit })  -> announcements to display now
+ *   list({ isActive, limit, offset })           -> { announcements, total }, newest first
+ *   create(announcement)                        -> { id }
+ *   update(id, fields)
+ *   delete(id)
+ *   track({ announcement_id, user_id, machine_id, action })
+ *                                               -> false if the announcement does not exist
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, parseJson } = require("./sql");
+const { byField, toTime } = require("./memoryStore");
+
+const DISPLAY_COLUMNS = [
+  "id",
+  "title",
+  "message",
+  "type",
+  "priority",
+  "icon",
+  "bg_color",
+  "text_color",
+  "has_action_button",
+  "action_button_text",
+  "action_button_url",
+];
+
+// Counter column bumped for each tracked action
+const COUNTER_BY_ACTION = {
+  VIEWED: "view_count",
+  CLICKED: "click_count",
+  DISMISSED: "dismiss_count",
+};
+
+function parseTargets(announcement) {
+  return {
+    ...announcement,
+    target_machines: parseJson(announcement.target_machines),
+    target_users: parseJson(announcement.target_users),
+  };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["start_date", "end_date"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+class MySQLAnnouncementRepository {
+  async listActive({ platform, machineId, limit = 10 } = {}) {
+    let sql = `SELECT ${DISPLAY_COLUMNS.join(", ")}
+               FROM announcements
+               WHERE is_active = 1
+                 AND (start_date IS NULL OR start_date <= NOW())
+                 AND (end_date IS NULL OR end_date >= NOW())`;
+    const params = [];
+
+    if (platform === "web") {
+      sql += " AND show_on_web = 1";
+    } else if (platform === "mobile") {
+      sql += " AND show_on_mobile = 1";
+    }
+    if (machineId) {
+      sql +=
+        " AND (target_machines IS NULL OR JSON_CONTAINS(target_machines, JSON_QUOTE(?)))";
+      params.push(machineId);
+    }
+
+    return db.query(
+      `${sql} ORDER BY priority DESC, created_at DESC ${pageClause(limit)}`,
+      params
+    );
+  }
+
+  async list({ isActive, limit = 50, offset = 0 } = {}) {
+    let where = "";
+    const params = [];
+    if (isActive !== undefined) {
+      where = "WHERE is_active = ?";
+      params.push(isActive);
+    }
+
+    const rows = await db.query(
+      `SELECT * FROM announcements ${where}
+       ORDER BY created_at DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM announcements ${where}`,
+      params
+    );
+
+    return { announcements: rows.map(parseTargets), total: count[0].total };
+  }
+
+  async create(announcement) {
+    const insert = buildInsert("announcements", withDates(announcement));
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE announcements SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async delete(id) {
+    await db.query("DELETE FROM announcements WHERE id = ?", [id]);
+  }
+
+  async track({ announcement_id, user_id, machine_id, action }) {
+    const counter = COUNTER_BY_ACTION[action];
+    const result = await db.query(
+      `UPDATE announcements SET ${counter} = ${counter} + 1 WHERE id = ?`,
+      [announcement_id]
+    );
+    if (result.affectedRows === 0) return false;
+
+    const insert = buildInsert("announcement_views", {
+      announcement_id,
+      user_id,
+      machine_id,
+      action,
+    });
+    await db.query(insert.sql, insert.params);
+    return true;
+  }
+}
+
+class SupabaseAnnouncementRepository {
+  async listActive({ platform, machineId, limit = 10 } = {}) {
+    const now = new Date().toISOString();
+
+    let query = supabase
+      .from("announcements")
+      .select(DISPLAY_COLUMNS.join(", "))
+      .eq("is_active", true)
+      .or(`start_date.is.null,start_date.lte.${now}`)
+      .or(`end_date.is.null,end_date.gte.${now}`);
+
+    if (platform === "web") {
+      query = query.eq("show_on_web", true);
+    } else if (platform === "mobile") {
+      query = query.eq("show_on_mobile", true);
+    }
+    if (machineId) {
+      // target_machines is a JSONB array: null means every machine
+      query = query.or(
+        `target_machines.is.null,target_machines.cs.["${machineId}"]`
+      );
+    }
+
+    const { data, error } = await query
+      .order("priority", { ascending: false })
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data;
+  }
+
+  async list({ isActive, limit = 50, offset = 0 } = {}) {
+    let query = supabase.from("announcements").select("*", { count: "exact" });
+    if (isActive !== undefined) {
+      query = query.eq("is_active", isActive);
+    }
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { announcements: data, total: count ?? data.length };
+  }
+
+  async create(announcement) {
+    const { data, error } = await supabase
+      .from("announcements")
+      .insert(announcement)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("announcements")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async delete(id) {
+    const { error } = await supabase
+      .from("announcements")
+      .delete()
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async track({ announcement_id, user_id, machine_id, action }) {
+    const counter = COUNTER_BY_ACTION[action];
+
+    const { data: current, error: fetchError } = await supabase
+      .from("announcements")
+      .select(counter)
+      .eq("id", announcement_id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!current) return false;
+
+    const { error: insertError } = await supabase
+      .from("announcement_views")
+      .insert({ announcement_id, user_id, machine_id, action });
+    if (insertError) throw insertError;
+
+    const { error: updateError } = await supabase
+      .from("announcements")
+      .update({ [counter]: (current[counter] || 0) + 1 })
+      .eq("id", announcement_id);
+    if (updateError) throw updateError;
+
+    return true;
+  }
+}
+
+class MemoryAnnouncementRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listActive({ platform, machineId, limit = 10 } = {}) {
+    const now = Date.now();
+    return this.store
+      .filter(
+        "announcements",
+        (a) =>
+          a.is_active !== false &&
+          (!a.start_date || toTime(a.start_date) <= now) &&
+          (!a.end_date || toTime(a.end_date) >= now) &&
+          (platform !== "web" || a.show_on_web !== false) &&
+          (platform !== "mobile" || a.show_on_mobile !== false) &&
+          (!machineId ||
+            !a.target_machines ||
+            a.target_machines.includes(machineId))
+      )
+      .sort(
+        (a, b) =>
+          (b.priority || 0) - (a.priority || 0) ||
+          byField("created_at", "desc")(a, b)
+      )
+      .slice(0, limit)
+      .map((a) =>
+        Object.fromEntries(DISPLAY_COLUMNS.map((column) => [column, a[column]]))
+      );
+  }
+
+  async list({ isActive, limit = 50, offset = 0 } = {}) {
+    const announcements = this.store
+      .filter(
+        "announcements",
+        (a) => isActive === undefined || Boolean(a.is_active) === isActive
+      )
+      .sort(byField("created_at", "desc"));
+
+    return {
+      announcements: announcements.slice(offset, offset + limit),
+      total: announcements.length,
+    };
+  }
+
+  async create(announcement) {
+    const row = this.store.insert("announcements", {
+      is_active: true,
+      view_count: 0,
+      click_count: 0,
+      dismiss_count: 0,
+      ...announcement,
+    });
+    return { id: row.id };
+  }
+
+  async update(id, fields) {
+    this.store.update("announcements", (a) => a.id === id, fields);
+  }
+
+  async delete(id) {
+    this.store.delete("announcements", (a) => a.id === id);
+  }
+
+  async track({ announcement_id, user_id, machine_id, action }) {
+    const announcement = this.store.find(
+      "announcements",
+      (a) => a.id === Number(announcement_id)
+    );
+    if (!announcement) return false;
+
+    const counter = COUNTER_BY_ACTION[action];
+    this.store.insert("announcement_views", {
+      announcement_id: announcement.id,
+      user_id,
+      machine_id,
+      action,
+    });
+    this.store.update("announcements", (a) => a.id === announcement.id, {
+      [counter]: (announcement[counter] || 0) + 1,
+    });
+    return true;
+  }
+}
+
+module.exports = {
+  MySQLAnnouncementRepository,
+  SupabaseAnnouncementRepository,
+  MemoryAnnouncementRepository,
+};
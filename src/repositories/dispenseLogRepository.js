@@ -0,0 +1,301 @@
+/**
+ * Dispense log repository - one row per dispense command sent to a machine
+ *
+ * Interface:
+ *   create(log)                        -> log row (command_sent_at defaults to now)
+ *   update(id, fields)
+ *   recordResult(orderId, slotNumber, result, machineId?)
+ *                                      -> complete the latest log of that order/slot;
+ *                                         inserts a finished log if none was sent
+ *                                         (mobile-initiated dispense, needs machineId)
+ *   listByMachine(machineId, { limit, offset })
+ *                                      -> logs with total_amount, product_name
+ *   findLatestByOrder(orderId)         -> latest log with order_status, or null
+ *   listSince(machineId, since)        -> logs sent since (all when null), oldest first
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause } = require("./sql");
+const { byField, toTime } = require("./memoryStore");
+
+// result: { success, drop_detected, duration_ms, error_message }
+function resultFields(result) {
+  return {
+    completed_at: new Date(),
+    success: Boolean(result.success),
+    drop_detected: Boolean(result.drop_detected),
+    duration_ms: result.duration_ms ?? null,
+    error_message: result.error_message ?? null,
+  };
+}
+
+class MySQLDispenseLogRepository {
+  async create(log) {
+    const insert = buildInsert("dispense_logs", {
+      command_sent_at: new Date(),
+      ...log,
+    });
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId, ...log };
+  }
+
+  async update(id, fields) {
+    const set = buildSet(fields);
+    await db.query(`UPDATE dispense_logs SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async recordResult(orderId, slotNumber, result, machineId = null) {
+    let sql =
+      "SELECT id FROM dispense_logs WHERE order_id = ? AND slot_number = ?";
+    const params = [orderId, slotNumber];
+    if (machineId) {
+      sql += " AND machine_id = ?";
+      params.push(machineId);
+    }
+    const rows = await db.query(`${sql} ORDER BY id DESC LIMIT 1`, params);
+
+    if (rows.length > 0) {
+      await this.update(rows[0].id, resultFields(result));
+      return rows[0].id;
+    }
+    if (!machineId) return null;
+
+    const log = await this.create({
+      order_id: orderId,
+      machine_id: machineId,
+      slot_number: slotNumber,
+      ...resultFields(result),
+    });
+    return log.id;
+  }
+
+  async listByMachine(machineId, { limit = 50, offset = 0 } = {}) {
+    return db.query(
+      `SELECT dl.*, o.total_amount, p.name as product_name
+       FROM dispense_logs dl
+       LEFT JOIN orders o ON dl.order_id = o.id
+       LEFT JOIN products p ON o.product_id = p.id
+       WHERE dl.machine_id = ?
+       ORDER BY dl.command_sent_at DESC
+       ${pageClause(limit, offset)}`,
+      [machineId]
+    );
+  }
+
+  async findLatestByOrder(orderId) {
+    const rows = await db.query(
+      `SELECT dl.*, o.status as order_status
+       FROM dispense_logs dl
+       JOIN orders o ON dl.order_id = o.id
+       WHERE dl.order_id = ?
+       ORDER BY dl.command_sent_at DESC, dl.id DESC
+       LIMIT 1`,
+      [orderId]
+    );
+    return rows[0] || null;
+  }
+
+  async listSince(machineId, since = null) {
+    let sql = "SELECT * FROM dispense_logs WHERE machine_id = ?";
+    const params = [machineId];
+    if (since) {
+      sql += " AND command_sent_at >= ?";
+      params.push(since);
+    }
+    return db.query(`${sql} ORDER BY command_sent_at ASC, id ASC`, params);
+  }
+}
+
+class SupabaseDispenseLogRepository {
+  async create(log) {
+    const { data, error } = await supabase
+      .from("dispense_logs")
+      .insert({ command_sent_at: new Date().toISOString(), ...log })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("dispense_logs")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async recordResult(orderId, slotNumber, result, machineId = null) {
+    let query = supabase
+      .from("dispense_logs")
+      .select("id")
+      .eq("order_id", orderId)
+      .eq("slot_number", slotNumber);
+    if (machineId) {
+      query = query.eq("machine_id", machineId);
+    }
+
+    const { data: existing, error } = await query
+      .order("id", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (existing) {
+      await this.update(existing.id, resultFields(result));
+      return existing.id;
+    }
+    if (!machineId) return null;
+
+    const log = await this.create({
+      order_id: orderId,
+      machine_id: machineId,
+      slot_number: slotNumber,
+      ...resultFields(result),
+    });
+    return log.id;
+  }
+
+  async listByMachine(machineId, { limit = 50, offset = 0 } = {}) {
+    const { data, error } = await supabase
+      .from("dispense_logs")
+      .select("*, orders (total_amount, products (name))")
+      .eq("machine_id", machineId)
+      .order("command_sent_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return data.map(({ orders, ...log }) => ({
+      ...log,
+      total_amount: orders?.total_amount ?? null,
+      product_name: orders?.products?.name ?? null,
+    }));
+  }
+
+  async findLatestByOrder(orderId) {
+    const { data, error } = await supabase
+      .from("dispense_logs")
+      .select("*, orders!inner (status)")
+      .eq("order_id", orderId)
+      .order("command_sent_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+
+    const { orders, ...log } = data;
+    return { ...log, order_status: orders?.status };
+  }
+
+  async listSince(machineId, since = null) {
+    let query = supabase
+      .from("dispense_logs")
+      .select("*")
+      .eq("machine_id", machineId);
+    if (since) {
+      query = query.gte("command_sent_at", new Date(since).toISOString());
+    }
+
+    const { data, error } = await query
+      .order("command_sent_at", { ascending: true })
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+}
+
+class MemoryDispenseLogRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(log) {
+    return this.store.insert("dispense_logs", {
+      command_sent_at: new Date().toISOString(),
+      success: false,
+      drop_detected: false,
+      retry_count: 0,
+      ...log,
+    });
+  }
+
+  async update(id, fields) {
+    this.store.update("dispense_logs", (log) => log.id === id, fields);
+  }
+
+  async recordResult(orderId, slotNumber, result, machineId = null) {
+    const existing = this.store
+      .filter(
+        "dispense_logs",
+        (log) =>
+          log.order_id === orderId &&
+          log.slot_number === Number(slotNumber) &&
+          (!machineId || log.machine_id === machineId)
+      )
+      .sort(byField("id", "desc"))[0];
+
+    if (existing) {
+      await this.update(existing.id, resultFields(result));
+      return existing.id;
+    }
+    if (!machineId) return null;
+
+    const log = await this.create({
+      order_id: orderId,
+      machine_id: machineId,
+      slot_number: Number(slotNumber),
+      ...resultFields(result),
+    });
+    return log.id;
+  }
+
+  async listByMachine(machineId, { limit = 50, offset = 0 } = {}) {
+    return this.store
+      .filter("dispense_logs", (log) => log.machine_id === machineId)
+      .sort(byField("command_sent_at", "desc"))
+      .slice(offset, offset + limit)
+      .map((log) => {
+        const order = this.store.find("orders", (o) => o.id === log.order_id);
+        const product =
+          order &&
+          this.store.find("products", (p) => p.id === order.product_id);
+        return {
+          ...log,
+          total_amount: order?.total_amount ?? null,
+          product_name: product?.name ?? null,
+        };
+      });
+  }
+
+  async findLatestByOrder(orderId) {
+    const order = this.store.find("orders", (o) => o.id === orderId);
+    const log = this.store
+      .filter("dispense_logs", (l) => l.order_id === orderId)
+      .sort(byField("id", "desc"))[0];
+    if (!order || !log) return null;
+
+    return { ...log, order_status: order.status };
+  }
+
+  async listSince(machineId, since = null) {
+    return this.store
+      .filter(
+        "dispense_logs",
+        (log) =>
+          log.machine_id === machineId &&
+          (!since || toTime(log.command_sent_at) >= toTime(since))
+      )
+      .sort(byField("id"));
+  }
+}
+
+module.exports = {
+  MySQLDispenseLogRepository,
+  SupabaseDispenseLogRepository,
+  MemoryDispenseLogRepository,
+};
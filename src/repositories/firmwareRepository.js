@@ -0,0 +1,467 @@
+/**
+ * Firmware repository - firmware artifacts, OTA rollouts and their machines
+ *
+ * Interface:
+ *   createArtifact(artifact)             -> { id }
+ *   findArtifact(id)                     -> artifact or null
+ *   findArtifactByVersion(version)       -> artifact or null
+ *   listArtifacts({ limit, offset })     -> { artifacts, total }, newest first
+ *   removeArtifact(id)
+ *   artifactInUse(id)                    -> true when a rollout uses the artifact
+ *   createRollout(rollout, machines)     -> { id }; machines are rollout machine rows
+ *                                           inserted with the rollout
+ *   findRollout(id)                      -> rollout with version, or null
+ *   listRollouts({ status, limit, offset })
+ *                                        -> { rollouts, total } with version, newest first
+ *   updateRollout(id, fields)
+ *   listRolloutMachines(rolloutId)       -> rollout machines ordered by stage, machine_id
+ *   updateRolloutMachine(id, fields)
+ *   listMachineUpdates(machineId)        -> the machine's unfinished rows (PENDING, SENT,
+ *                                           DOWNLOADING, INSTALLING) in CANARY, FLEET or
+ *                                           HALTED rollouts, with version
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause } = require("./sql");
+const { byField } = require("./memoryStore");
+
+// Rollouts whose machines still report progress (HALTED ones may resume)
+const OPEN_ROLLOUT_STATUSES = ["CANARY", "FLEET", "HALTED"];
+const UNFINISHED_STATUSES = ["PENDING", "SENT", "DOWNLOADING", "INSTALLING"];
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["promoted_at", "finished_at", "sent_at"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+// CANARY before FLEET, then by machine
+function byStage(a, b) {
+  if (a.stage !== b.stage) return a.stage === "CANARY" ? -1 : 1;
+  return String(a.machine_id).localeCompare(String(b.machine_id));
+}
+
+class MySQLFirmwareRepository {
+  async createArtifact(artifact) {
+    const insert = buildInsert("firmware_artifacts", artifact);
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async findArtifact(id) {
+    const rows = await db.query(
+      "SELECT * FROM firmware_artifacts WHERE id = ?",
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async findArtifactByVersion(version) {
+    const rows = await db.query(
+      "SELECT * FROM firmware_artifacts WHERE version = ?",
+      [version]
+    );
+    return rows[0] || null;
+  }
+
+  async listArtifacts({ limit = 50, offset = 0 } = {}) {
+    const rows = await db.query(
+      `SELECT * FROM firmware_artifacts
+       ORDER BY created_at DESC, id DESC
+       ${pageClause(limit, offset)}`
+    );
+    const count = await db.query(
+      "SELECT COUNT(*) as total FROM firmware_artifacts"
+    );
+    return { artifacts: rows, total: count[0].total };
+  }
+
+  async removeArtifact(id) {
+    await db.query("DELETE FROM firmware_artifacts WHERE id = ?", [id]);
+  }
+
+  async artifactInUse(id) {
+    const rows = await db.query(
+      "SELECT id FROM firmware_rollouts WHERE firmware_id = ? LIMIT 1",
+      [id]
+    );
+    return rows.length > 0;
+  }
+
+  async createRollout(rollout, machines) {
+    return db.transaction(async (connection) => {
+      const insert = buildInsert("firmware_rollouts", withDates(rollout));
+      const [result] = await connection.execute(insert.sql, insert.params);
+
+      for (const machine of machines) {
+        const machineInsert = buildInsert("firmware_rollout_machines", {
+          ...withDates(machine),
+          rollout_id: result.insertId,
+        });
+        await connection.execute(machineInsert.sql, machineInsert.params);
+      }
+      return { id: result.insertId };
+    });
+  }
+
+  async findRollout(id) {
+    const rows = await db.query(
+      `SELECT r.*, f.version
+       FROM firmware_rollouts r
+       JOIN firmware_artifacts f ON r.firmware_id = f.id
+       WHERE r.id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async listRollouts({ status, limit = 50, offset = 0 } = {}) {
+    const where = status ? "WHERE r.status = ?" : "";
+    const params = status ? [status] : [];
+
+    const rows = await db.query(
+      `SELECT r.*, f.version
+       FROM firmware_rollouts r
+       JOIN firmware_artifacts f ON r.firmware_id = f.id
+       ${where}
+       ORDER BY r.created_at DESC, r.id DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM firmware_rollouts r ${where}`,
+      params
+    );
+    return { rollouts: rows, total: count[0].total };
+  }
+
+  async updateRollout(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE firmware_rollouts SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async listRolloutMachines(rolloutId) {
+    const rows = await db.query(
+      `SELECT * FROM firmware_rollout_machines
+       WHERE rollout_id = ?
+       ORDER BY machine_id`,
+      [rolloutId]
+    );
+    return rows.sort(byStage);
+  }
+
+  async updateRolloutMachine(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(
+      `UPDATE firmware_rollout_machines SET ${set.clause} WHERE id = ?`,
+      [...set.params, id]
+    );
+  }
+
+  async listMachineUpdates(machineId) {
+    return db.query(
+      `SELECT rm.*, f.version
+       FROM firmware_rollout_machines rm
+       JOIN firmware_rollouts r ON rm.rollout_id = r.id
+       JOIN firmware_artifacts f ON r.firmware_id = f.id
+       WHERE rm.machine_id = ?
+         AND rm.status IN ('PENDING', 'SENT', 'DOWNLOADING', 'INSTALLING')
+         AND r.status IN ('CANARY', 'FLEET', 'HALTED')
+       ORDER BY rm.id`,
+      [machineId]
+    );
+  }
+}
+
+class SupabaseFirmwareRepository {
+  flatten({ firmware_artifacts, firmware_rollouts, ...row }) {
+    const artifact =
+      firmware_artifacts || firmware_rollouts?.firmware_artifacts;
+    return { ...row, version: artifact?.version ?? null };
+  }
+
+  async createArtifact(artifact) {
+    const { data, error } = await supabase
+      .from("firmware_artifacts")
+      .insert(artifact)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findArtifact(id) {
+    const { data, error } = await supabase
+      .from("firmware_artifacts")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findArtifactByVersion(version) {
+    const { data, error } = await supabase
+      .from("firmware_artifacts")
+      .select("*")
+      .eq("version", version)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async listArtifacts({ limit = 50, offset = 0 } = {}) {
+    const { data, error, count } = await supabase
+      .from("firmware_artifacts")
+      .select("*", { count: "exact" })
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return { artifacts: data, total: count ?? data.length };
+  }
+
+  async removeArtifact(id) {
+    const { error } = await supabase
+      .from("firmware_artifacts")
+      .delete()
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async artifactInUse(id) {
+    const { data, error } = await supabase
+      .from("firmware_rollouts")
+      .select("id")
+      .eq("firmware_id", id)
+      .limit(1);
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  async createRollout(rollout, machines) {
+    const { data, error } = await supabase
+      .from("firmware_rollouts")
+      .insert(rollout)
+      .select("id")
+      .single();
+    if (error) throw error;
+
+    if (machines.length > 0) {
+      const { error: machinesError } = await supabase
+        .from("firmware_rollout_machines")
+        .insert(
+          machines.map((machine) => ({ ...machine, rollout_id: data.id }))
+        );
+      if (machinesError) throw machinesError;
+    }
+    return data;
+  }
+
+  async findRollout(id) {
+    const { data, error } = await supabase
+      .from("firmware_rollouts")
+      .select("*, firmware_artifacts(version)")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data && this.flatten(data);
+  }
+
+  async listRollouts({ status, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from("firmware_rollouts")
+      .select("*, firmware_artifacts(version)", { count: "exact" });
+    if (status) query = query.eq("status", status);
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return {
+      rollouts: data.map((rollout) => this.flatten(rollout)),
+      total: count ?? data.length,
+    };
+  }
+
+  async updateRollout(id, fields) {
+    const { error } = await supabase
+      .from("firmware_rollouts")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async listRolloutMachines(rolloutId) {
+    const { data, error } = await supabase
+      .from("firmware_rollout_machines")
+      .select("*")
+      .eq("rollout_id", rolloutId);
+    if (error) throw error;
+    return data.sort(byStage);
+  }
+
+  async updateRolloutMachine(id, fields) {
+    const { error } = await supabase
+      .from("firmware_rollout_machines")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async listMachineUpdates(machineId) {
+    const { data, error } = await supabase
+      .from("firmware_rollout_machines")
+      .select("*, firmware_rollouts!inner(status, firmware_artifacts(version))")
+      .eq("machine_id", machineId)
+      .in("status", UNFINISHED_STATUSES)
+      .in("firmware_rollouts.status", OPEN_ROLLOUT_STATUSES)
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return data.map((row) => this.flatten(row));
+  }
+}
+
+class MemoryFirmwareRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  version(firmwareId) {
+    return (
+      this.store.find("firmware_artifacts", (f) => f.id === firmwareId)
+        ?.version ?? null
+    );
+  }
+
+  async createArtifact(artifact) {
+    const row = this.store.insert("firmware_artifacts", artifact);
+    return { id: row.id };
+  }
+
+  async findArtifact(id) {
+    return this.store.find("firmware_artifacts", (f) => f.id === Number(id));
+  }
+
+  async findArtifactByVersion(version) {
+    return this.store.find("firmware_artifacts", (f) => f.version === version);
+  }
+
+  async listArtifacts({ limit = 50, offset = 0 } = {}) {
+    const artifacts = this.store
+      .filter("firmware_artifacts")
+      .sort(byField("id", "desc"));
+    return {
+      artifacts: artifacts.slice(offset, offset + limit),
+      total: artifacts.length,
+    };
+  }
+
+  async removeArtifact(id) {
+    this.store.delete("firmware_artifacts", (f) => f.id === Number(id));
+  }
+
+  async artifactInUse(id) {
+    return Boolean(
+      this.store.find("firmware_rollouts", (r) => r.firmware_id === Number(id))
+    );
+  }
+
+  async createRollout(rollout, machines) {
+    const row = this.store.insert("firmware_rollouts", {
+      status: "CANARY",
+      failure_threshold_pct: 20,
+      ...rollout,
+    });
+    for (const machine of machines) {
+      this.store.insert("firmware_rollout_machines", {
+        status: "PENDING",
+        progress: 0,
+        ...machine,
+        rollout_id: row.id,
+      });
+    }
+    return { id: row.id };
+  }
+
+  async findRollout(id) {
+    const rollout = this.store.find(
+      "firmware_rollouts",
+      (r) => r.id === Number(id)
+    );
+    return (
+      rollout && { ...rollout, version: this.version(rollout.firmware_id) }
+    );
+  }
+
+  async listRollouts({ status, limit = 50, offset = 0 } = {}) {
+    const rollouts = this.store
+      .filter("firmware_rollouts", (r) => !status || r.status === status)
+      .map((r) => ({ ...r, version: this.version(r.firmware_id) }))
+      .sort(byField("id", "desc"));
+    return {
+      rollouts: rollouts.slice(offset, offset + limit),
+      total: rollouts.length,
+    };
+  }
+
+  async updateRollout(id, fields) {
+    this.store.update("firmware_rollouts", (r) => r.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async listRolloutMachines(rolloutId) {
+    return this.store
+      .filter(
+        "firmware_rollout_machines",
+        (rm) => rm.rollout_id === Number(rolloutId)
+      )
+      .sort(byStage);
+  }
+
+  async updateRolloutMachine(id, fields) {
+    this.store.update(
+      "firmware_rollout_machines",
+      (rm) => rm.id === Number(id),
+      { ...fields, updated_at: new Date().toISOString() }
+    );
+  }
+
+  async listMachineUpdates(machineId) {
+    return this.store
+      .filter(
+        "firmware_rollout_machines",
+        (rm) =>
+          rm.machine_id === machineId && UNFINISHED_STATUSES.includes(rm.status)
+      )
+      .map((rm) => ({
+        rm,
+        rollout: this.store.find(
+          "firmware_rollouts",
+          (r) => r.id === rm.rollout_id
+        ),
+      }))
+      .filter(({ rollout }) => OPEN_ROLLOUT_STATUSES.includes(rollout?.status))
+      .map(({ rm, rollout }) => ({
+        ...rm,
+        version: this.version(rollout.firmware_id),
+      }))
+      .sort(byField("id"));
+  }
+}
+
+module.exports = {
+  MySQLFirmwareRepository,
+  SupabaseFirmwareRepository,
+  MemoryFirmwareRepository,
+};
@@ -0,0 +1,196 @@
+/**
+ * Repositories - one data-access interface over MySQL, Supabase and memory
+ *
+ * Routes and services use these instead of branching on USE_SUPABASE:
+ *
+ *   const repositories = require("../repositories");
+ *   const order = await repositories.orders.findById(orderId);
+ *
+ * The driver follows the database connection (db.useSupabase, which flips to
+ * MySQL when Supabase is unreachable at startup) unless REPOSITORY_DRIVER is
+ * set. REPOSITORY_DRIVER=memory keeps everything in process for tests;
+ * seed or reset it through repositories.memoryStore.
+ */
+
+const db = require("../config/database");
+const { MemoryStore } = require("./memoryStore");
+const machineRepository = require("./machineRepository");
+const slotRepository = require("./slotRepository");
+const orderRepository = require("./orderRepository");
+const paymentRepository = require("./paymentRepository");
+const dispenseLogRepository = require("./dispenseLogRepository");
+const telemetryRepository = require("./telemetryRepository");
+const userRepository = require("./userRepository");
+const announcementRepository = require("./announcementRepository");
+const outboxRepository = require("./outboxRepository");
+const webhookRepository = require("./webhookRepository");
+const alertRepository = require("./alertRepository");
+const restockPlanRepository = require("./restockPlanRepository");
+const visitRepository = require("./visitRepository");
+const lotRepository = require("./lotRepository");
+const planogramRepository = require("./planogramRepository");
+const machineConfigRepository = require("./machineConfigRepository");
+const firmwareRepository = require("./firmwareRepository");
+const machineCommandRepository = require("./machineCommandRepository");
+const reservationRepository = require("./reservationRepository");
+const refundRepository = require("./refundRepository");
+const productRepository = require("./productRepository");
+
+const DRIVERS = ["mysql", "supabase", "memory"];
+
+// repository name -> implementation per driver
+const IMPLEMENTATIONS = {
+  machines: {
+    mysql: machineRepository.MySQLMachineRepository,
+    supabase: machineRepository.SupabaseMachineRepository,
+    memory: machineRepository.MemoryMachineRepository,
+  },
+  slots: {
+    mysql: slotRepository.MySQLSlotRepository,
+    supabase: slotRepository.SupabaseSlotRepository,
+    memory: slotRepository.MemorySlotRepository,
+  },
+  orders: {
+    mysql: orderRepository.MySQLOrderRepository,
+    supabase: orderRepository.SupabaseOrderRepository,
+    memory: orderRepository.MemoryOrderRepository,
+  },
+  payments: {
+    mysql: paymentRepository.MySQLPaymentRepository,
+    supabase: paymentRepository.SupabasePaymentRepository,
+    memory: paymentRepository.MemoryPaymentRepository,
+  },
+  dispenseLogs: {
+    mysql: dispenseLogRepository.MySQLDispenseLogRepository,
+    supabase: dispenseLogRepository.SupabaseDispenseLogRepository,
+    memory: dispenseLogRepository.MemoryDispenseLogRepository,
+  },
+  telemetry: {
+    mysql: telemetryRepository.MySQLTelemetryRepository,
+    supabase: telemetryRepository.SupabaseTelemetryRepository,
+    memory: telemetryRepository.MemoryTelemetryRepository,
+  },
+  users: {
+    mysql: userRepository.MySQLUserRepository,
+    supabase: userRepository.SupabaseUserRepository,
+    memory: userRepository.MemoryUserRepository,
+  },
+  announcements: {
+    mysql: announcementRepository.MySQLAnnouncementRepository,
+    supabase: announcementRepository.SupabaseAnnouncementRepository,
+    memory: announcementRepository.MemoryAnnouncementRepository,
+  },
+  outbox: {
+    mysql: outboxRepository.MySQLOutboxRepository,
+    supabase: outboxRepository.SupabaseOutboxRepository,
+    memory: outboxRepository.MemoryOutboxRepository,
+  },
+  webhooks: {
+    mysql: webhookRepository.MySQLWebhookRepository,
+    supabase: webhookRepository.SupabaseWebhookRepository,
+    memory: webhookRepository.MemoryWebhookRepository,
+  },
+  alerts: {
+    mysql: alertRepository.MySQLAlertRepository,
+    supabase: alertRepository.SupabaseAlertRepository,
+    memory: alertRepository.MemoryAlertRepository,
+  },
+  restockPlans: {
+    mysql: restockPlanRepository.MySQLRestockPlanRepository,
+    supabase: restockPlanRepository.SupabaseRestockPlanRepository,
+    memory: restockPlanRepository.MemoryRestockPlanRepository,
+  },
+  visits: {
+    mysql: visitRepository.MySQLVisitRepository,
+    supabase: visitRepository.SupabaseVisitRepository,
+    memory: visitRepository.MemoryVisitRepository,
+  },
+  lots: {
+    mysql: lotRepository.MySQLLotRepository,
+    supabase: lotRepository.SupabaseLotRepository,
+    memory: lotRepository.MemoryLotRepository,
+  },
+  planograms: {
+    mysql: planogramRepository.MySQLPlanogramRepository,
+    supabase: planogramRepository.SupabasePlanogramRepository,
+    memory: planogramRepository.MemoryPlanogramRepository,
+  },
+  machineConfigs: {
+    mysql: machineConfigRepository.MySQLMachineConfigRepository,
+    supabase: machineConfigRepository.SupabaseMachineConfigRepository,
+    memory: machineConfigRepository.MemoryMachineConfigRepository,
+  },
+  firmware: {
+    mysql: firmwareRepository.MySQLFirmwareRepository,
+    supabase: firmwareRepository.SupabaseFirmwareRepository,
+    memory: firmwareRepository.MemoryFirmwareRepository,
+  },
+  machineCommands: {
+    mysql: machineCommandRepository.MySQLMachineCommandRepository,
+    supabase: machineCommandRepository.SupabaseMachineCommandRepository,
+    memory: machineCommandRepository.MemoryMachineCommandRepository,
+  },
+  reservations: {
+    mysql: reservationRepository.MySQLReservationRepository,
+    supabase: reservationRepository.SupabaseReservationRepository,
+    memory: reservationRepository.MemoryReservationRepository,
+  },
+  refunds: {
+    mysql: refundRepository.MySQLRefundRepository,
+    supabase: refundRepository.SupabaseRefundRepository,
+    memory: refundRepository.MemoryRefundRepository,
+  },
+  products: {
+    mysql: productRepository.MySQLProductRepository,
+    supabase: productRepository.SupabaseProductRepository,
+    memory: productRepository.MemoryProductRepository,
+  },
+};
+
+class Repositories {
+  constructor() {
+    this.driver = null;
+    this.memoryStore = new MemoryStore();
+    this.instances = new Map(); // "driver:name" -> repository
+    this.useDriver(process.env.REPOSITORY_DRIVER || null);
+  }
+
+  getDriver() {
+    return this.driver || (db.useSupabase ? "supabase" : "mysql");
+  }
+
+  /**
+   * Pin the driver (e.g. "memory" in tests); null follows the database again
+   */
+  useDriver(driver) {
+    if (driver && !DRIVERS.includes(driver)) {
+      throw new Error(`Unknown repository driver: ${driver}`);
+    }
+    this.driver = driver;
+  }
+
+  get(name) {
+    const driver = this.getDriver();
+    const key = `${driver}:${name}`;
+
+    if (!this.instances.has(key)) {
+      const Implementation = IMPLEMENTATIONS[name]?.[driver];
+      if (!Implementation) {
+        throw new Error(`Unknown repository: ${name} (${driver})`);
+      }
+      this.instances.set(key, new Implementation(this.memoryStore));
+    }
+    return this.instances.get(key);
+  }
+}
+
+const repositories = new Repositories();
+
+for (const name of Object.keys(IMPLEMENTATIONS)) {
+  Object.defineProperty(repositories, name, {
+    get: () => repositories.get(name),
+    enumerable: true,
+  });
+}
+
+module.exports = repositories;
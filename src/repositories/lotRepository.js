@@ -0,0 +1,405 @@
+/**
+ * Lot repository - batch/expiry lots of the stock in each slot
+ *
+ * Interface:
+ *   create(lot)                          -> { id }
+ *   findById(id)                         -> lot with slot_number, product_name, or null
+ *   update(id, fields)
+ *   list({ machineId, slotId, productId, batchNumber, status, inStock,
+ *          expiringBefore, limit, offset })
+ *                                        -> { lots, total } with slot_number, product_name
+ *   listInSlot(slotId)                   -> lots still holding stock, any status
+ *   listExpiring(before)                 -> ACTIVE/EXPIRED lots holding stock with
+ *                                           expiry_date <= before (YYYY-MM-DD)
+ *   blockedQuantities(slotIds, today)    -> [{ slot_id, quantity }] units that may not be
+ *                                           sold: EXPIRED/RECALLED lots and ACTIVE lots
+ *                                           past expiry_date
+ *
+ * Dates are YYYY-MM-DD strings. Lots without expiry_date never expire.
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const {
+  buildSet,
+  buildInsert,
+  pageClause,
+  placeholders,
+  formatDate,
+} = require("./sql");
+const { byField } = require("./memoryStore");
+
+const HELD_STATUSES = ["ACTIVE", "EXPIRED"];
+
+function parseLot(lot) {
+  if (!lot) return null;
+  return { ...lot, expiry_date: formatDate(lot.expiry_date) };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["received_at", "recalled_at"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+function isBlocked(lot, today) {
+  if (lot.quantity_remaining <= 0) return false;
+  if (lot.status === "EXPIRED" || lot.status === "RECALLED") return true;
+  return (
+    lot.status === "ACTIVE" &&
+    Boolean(lot.expiry_date) &&
+    lot.expiry_date < today
+  );
+}
+
+function sumBySlot(lots) {
+  const totals = new Map();
+  for (const lot of lots) {
+    totals.set(
+      lot.slot_id,
+      (totals.get(lot.slot_id) || 0) + lot.quantity_remaining
+    );
+  }
+  return [...totals].map(([slot_id, quantity]) => ({ slot_id, quantity }));
+}
+
+class MySQLLotRepository {
+  async create(lot) {
+    const insert = buildInsert("stock_lots", withDates(lot));
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async findById(id) {
+    const rows = await db.query(
+      `SELECT l.*, s.slot_number, p.name as product_name
+       FROM stock_lots l
+       JOIN slots s ON l.slot_id = s.id
+       LEFT JOIN products p ON l.product_id = p.id
+       WHERE l.id = ?`,
+      [id]
+    );
+    return parseLot(rows[0]);
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE stock_lots SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async list({
+    machineId,
+    slotId,
+    productId,
+    batchNumber,
+    status,
+    inStock = false,
+    expiringBefore,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    for (const [column, value] of [
+      ["l.machine_id", machineId],
+      ["l.slot_id", slotId],
+      ["l.product_id", productId],
+      ["l.batch_number", batchNumber],
+      ["l.status", status],
+    ]) {
+      if (value !== undefined && value !== null) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (inStock) {
+      conditions.push("l.quantity_remaining > 0");
+    }
+    if (expiringBefore) {
+      conditions.push("l.expiry_date <= ?");
+      params.push(expiringBefore);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const rows = await db.query(
+      `SELECT l.*, s.slot_number, p.name as product_name
+       FROM stock_lots l
+       JOIN slots s ON l.slot_id = s.id
+       LEFT JOIN products p ON l.product_id = p.id
+       ${where}
+       ORDER BY l.machine_id, s.slot_number, l.expiry_date, l.id
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM stock_lots l ${where}`,
+      params
+    );
+
+    return { lots: rows.map(parseLot), total: count[0].total };
+  }
+
+  async listInSlot(slotId) {
+    const rows = await db.query(
+      `SELECT * FROM stock_lots
+       WHERE slot_id = ? AND quantity_remaining > 0
+       ORDER BY id`,
+      [slotId]
+    );
+    return rows.map(parseLot);
+  }
+
+  async listExpiring(before) {
+    const rows = await db.query(
+      `SELECT l.*, s.slot_number, p.name as product_name
+       FROM stock_lots l
+       JOIN slots s ON l.slot_id = s.id
+       LEFT JOIN products p ON l.product_id = p.id
+       WHERE l.status IN ('ACTIVE', 'EXPIRED') AND l.quantity_remaining > 0
+         AND l.expiry_date <= ?
+       ORDER BY l.expiry_date, l.id`,
+      [before]
+    );
+    return rows.map(parseLot);
+  }
+
+  async blockedQuantities(slotIds, today) {
+    if (slotIds.length === 0) return [];
+    return db.query(
+      `SELECT slot_id, SUM(quantity_remaining) as quantity
+       FROM stock_lots
+       WHERE slot_id IN (${placeholders(slotIds)})
+         AND quantity_remaining > 0
+         AND (status IN ('EXPIRED', 'RECALLED')
+              OR (status = 'ACTIVE' AND expiry_date < ?))
+       GROUP BY slot_id`,
+      [...slotIds, today]
+    );
+  }
+}
+
+class SupabaseLotRepository {
+  flatten({ slots, products, ...lot }) {
+    return {
+      ...lot,
+      slot_number: slots?.slot_number ?? null,
+      product_name: products?.name ?? null,
+    };
+  }
+
+  async create(lot) {
+    const { data, error } = await supabase
+      .from("stock_lots")
+      .insert(lot)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("stock_lots")
+      .select("*, slots(slot_number), products(name)")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data && this.flatten(data);
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("stock_lots")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async list({
+    machineId,
+    slotId,
+    productId,
+    batchNumber,
+    status,
+    inStock = false,
+    expiringBefore,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    let query = supabase
+      .from("stock_lots")
+      .select("*, slots(slot_number), products(name)", { count: "exact" });
+    if (machineId) query = query.eq("machine_id", machineId);
+    if (slotId) query = query.eq("slot_id", slotId);
+    if (productId) query = query.eq("product_id", productId);
+    if (batchNumber) query = query.eq("batch_number", batchNumber);
+    if (status) query = query.eq("status", status);
+    if (inStock) query = query.gt("quantity_remaining", 0);
+    if (expiringBefore) query = query.lte("expiry_date", expiringBefore);
+
+    const { data, error, count } = await query
+      .order("machine_id", { ascending: true })
+      .order("expiry_date", { ascending: true })
+      .order("id", { ascending: true })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return {
+      lots: data.map((lot) => this.flatten(lot)),
+      total: count ?? data.length,
+    };
+  }
+
+  async listInSlot(slotId) {
+    const { data, error } = await supabase
+      .from("stock_lots")
+      .select("*")
+      .eq("slot_id", slotId)
+      .gt("quantity_remaining", 0)
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+
+  async listExpiring(before) {
+    const { data, error } = await supabase
+      .from("stock_lots")
+      .select("*, slots(slot_number), products(name)")
+      .in("status", HELD_STATUSES)
+      .gt("quantity_remaining", 0)
+      .lte("expiry_date", before)
+      .order("expiry_date", { ascending: true });
+    if (error) throw error;
+    return data.map((lot) => this.flatten(lot));
+  }
+
+  async blockedQuantities(slotIds, today) {
+    if (slotIds.length === 0) return [];
+    const { data, error } = await supabase
+      .from("stock_lots")
+      .select("slot_id, status, expiry_date, quantity_remaining")
+      .in("slot_id", slotIds)
+      .gt("quantity_remaining", 0)
+      .in("status", ["ACTIVE", "EXPIRED", "RECALLED"]);
+    if (error) throw error;
+    return sumBySlot(data.filter((lot) => isBlocked(lot, today)));
+  }
+}
+
+class MemoryLotRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  withNames(lot) {
+    const slot = this.store.find("slots", (s) => s.id === lot.slot_id);
+    const product = this.store.find("products", (p) => p.id === lot.product_id);
+    return {
+      ...lot,
+      slot_number: slot?.slot_number ?? null,
+      product_name: product?.name ?? null,
+    };
+  }
+
+  async create(lot) {
+    const row = this.store.insert("stock_lots", {
+      status: "ACTIVE",
+      received_at: new Date().toISOString(),
+      ...lot,
+    });
+    return { id: row.id };
+  }
+
+  async findById(id) {
+    const lot = this.store.find("stock_lots", (l) => l.id === Number(id));
+    return lot && this.withNames(lot);
+  }
+
+  async update(id, fields) {
+    this.store.update("stock_lots", (l) => l.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async list({
+    machineId,
+    slotId,
+    productId,
+    batchNumber,
+    status,
+    inStock = false,
+    expiringBefore,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const lots = this.store
+      .filter(
+        "stock_lots",
+        (l) =>
+          (!machineId || l.machine_id === machineId) &&
+          (!slotId || l.slot_id === Number(slotId)) &&
+          (!productId || l.product_id === Number(productId)) &&
+          (!batchNumber || l.batch_number === batchNumber) &&
+          (!status || l.status === status) &&
+          (!inStock || l.quantity_remaining > 0) &&
+          (!expiringBefore ||
+            (l.expiry_date && l.expiry_date <= expiringBefore))
+      )
+      .map((lot) => this.withNames(lot))
+      .sort(byField("id"))
+      .sort(byField("slot_number"))
+      .sort(byField("machine_id"));
+
+    return {
+      lots: lots.slice(offset, offset + limit),
+      total: lots.length,
+    };
+  }
+
+  async listInSlot(slotId) {
+    return this.store
+      .filter(
+        "stock_lots",
+        (l) => l.slot_id === Number(slotId) && l.quantity_remaining > 0
+      )
+      .sort(byField("id"));
+  }
+
+  async listExpiring(before) {
+    return this.store
+      .filter(
+        "stock_lots",
+        (l) =>
+          HELD_STATUSES.includes(l.status) &&
+          l.quantity_remaining > 0 &&
+          l.expiry_date &&
+          l.expiry_date <= before
+      )
+      .map((lot) => this.withNames(lot))
+      .sort(byField("expiry_date"));
+  }
+
+  async blockedQuantities(slotIds, today) {
+    const ids = slotIds.map(Number);
+    return sumBySlot(
+      this.store.filter(
+        "stock_lots",
+        (l) => ids.includes(l.slot_id) && isBlocked(l, today)
+      )
+    );
+  }
+}
+
+module.exports = {
+  MySQLLotRepository,
+  SupabaseLotRepository,
+  MemoryLotRepository,
+};
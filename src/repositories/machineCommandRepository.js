@@ -0,0 +1,181 @@
+/**
+ * Machine command repository - audit log of remote device commands
+ *
+ * Interface:
+ *   create(command)                      -> { id }
+ *   findByCommandId(commandId)           -> command or null
+ *   update(id, fields)
+ *   list(machineId, { status, type, limit, offset })
+ *                                        -> { commands, total }, newest first
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, parseJson } = require("./sql");
+const { byField } = require("./memoryStore");
+
+function parseCommand(command) {
+  if (!command) return null;
+  return {
+    ...command,
+    params: parseJson(command.params),
+    result: parseJson(command.result),
+  };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["acknowledged_at", "completed_at"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+class MySQLMachineCommandRepository {
+  async create(command) {
+    const insert = buildInsert("machine_commands", withDates(command));
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async findByCommandId(commandId) {
+    const rows = await db.query(
+      "SELECT * FROM machine_commands WHERE command_id = ?",
+      [commandId]
+    );
+    return parseCommand(rows[0]);
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE machine_commands SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async list(machineId, { status, type, limit = 50, offset = 0 } = {}) {
+    let where = "WHERE machine_id = ?";
+    const params = [machineId];
+    if (status) {
+      where += " AND status = ?";
+      params.push(status);
+    }
+    if (type) {
+      where += " AND type = ?";
+      params.push(type);
+    }
+
+    const rows = await db.query(
+      `SELECT * FROM machine_commands ${where}
+       ORDER BY created_at DESC, id DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM machine_commands ${where}`,
+      params
+    );
+
+    return { commands: rows.map(parseCommand), total: count[0].total };
+  }
+}
+
+class SupabaseMachineCommandRepository {
+  async create(command) {
+    const { data, error } = await supabase
+      .from("machine_commands")
+      .insert(command)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findByCommandId(commandId) {
+    const { data, error } = await supabase
+      .from("machine_commands")
+      .select("*")
+      .eq("command_id", commandId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("machine_commands")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async list(machineId, { status, type, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from("machine_commands")
+      .select("*", { count: "exact" })
+      .eq("machine_id", machineId);
+    if (status) query = query.eq("status", status);
+    if (type) query = query.eq("type", type);
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { commands: data, total: count ?? data.length };
+  }
+}
+
+class MemoryMachineCommandRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(command) {
+    const row = this.store.insert("machine_commands", {
+      status: "SENT",
+      ...command,
+    });
+    return { id: row.id };
+  }
+
+  async findByCommandId(commandId) {
+    return this.store.find(
+      "machine_commands",
+      (c) => c.command_id === commandId
+    );
+  }
+
+  async update(id, fields) {
+    this.store.update("machine_commands", (c) => c.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async list(machineId, { status, type, limit = 50, offset = 0 } = {}) {
+    const commands = this.store
+      .filter(
+        "machine_commands",
+        (c) =>
+          c.machine_id === machineId &&
+          (!status || c.status === status) &&
+          (!type || c.type === type)
+      )
+      .sort(byField("id", "desc"));
+
+    return {
+      commands: commands.slice(offset, offset + limit),
+      total: commands.length,
+    };
+  }
+}
+
+module.exports = {
+  MySQLMachineCommandRepository,
+  SupabaseMachineCommandRepository,
+  MemoryMachineCommandRepository,
+};
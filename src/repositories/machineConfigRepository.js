@@ -0,0 +1,277 @@
+/**
+ * Machine config repository - versioned remote config of each machine
+ *
+ * Interface:
+ *   create(version)                      -> { id }
+ *   findVersion(machineId, version)      -> config version or null
+ *   latest(machineId)                    -> highest version or null
+ *   findApplied(machineId)               -> newest APPLIED version or null
+ *   update(id, fields)
+ *   supersedeOlder(machineId, version, statuses)
+ *                                        -> versions below version in one of statuses
+ *                                           become SUPERSEDED
+ *   list(machineId, { status, limit, offset })
+ *                                        -> { versions, total }, newest first
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const {
+  buildSet,
+  buildInsert,
+  pageClause,
+  placeholders,
+  parseJson,
+} = require("./sql");
+const { byField } = require("./memoryStore");
+
+function parseVersion(version) {
+  if (!version) return null;
+  return {
+    ...version,
+    config_sent: Boolean(version.config_sent),
+    config: parseJson(version.config),
+  };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["published_at", "applied_at"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+class MySQLMachineConfigRepository {
+  async create(version) {
+    const insert = buildInsert("machine_configs", withDates(version));
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async findVersion(machineId, version) {
+    const rows = await db.query(
+      "SELECT * FROM machine_configs WHERE machine_id = ? AND version = ?",
+      [machineId, version]
+    );
+    return parseVersion(rows[0]);
+  }
+
+  async latest(machineId) {
+    const rows = await db.query(
+      `SELECT * FROM machine_configs WHERE machine_id = ?
+       ORDER BY version DESC LIMIT 1`,
+      [machineId]
+    );
+    return parseVersion(rows[0]);
+  }
+
+  async findApplied(machineId) {
+    const rows = await db.query(
+      `SELECT * FROM machine_configs
+       WHERE machine_id = ? AND status = 'APPLIED'
+       ORDER BY version DESC LIMIT 1`,
+      [machineId]
+    );
+    return parseVersion(rows[0]);
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE machine_configs SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async supersedeOlder(machineId, version, statuses) {
+    await db.query(
+      `UPDATE machine_configs SET status = 'SUPERSEDED'
+       WHERE machine_id = ? AND version < ? AND status IN (${placeholders(
+         statuses
+       )})`,
+      [machineId, version, ...statuses]
+    );
+  }
+
+  async list(machineId, { status, limit = 50, offset = 0 } = {}) {
+    let where = "WHERE machine_id = ?";
+    const params = [machineId];
+    if (status) {
+      where += " AND status = ?";
+      params.push(status);
+    }
+
+    const rows = await db.query(
+      `SELECT * FROM machine_configs ${where}
+       ORDER BY version DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM machine_configs ${where}`,
+      params
+    );
+
+    return { versions: rows.map(parseVersion), total: count[0].total };
+  }
+}
+
+class SupabaseMachineConfigRepository {
+  async create(version) {
+    const { data, error } = await supabase
+      .from("machine_configs")
+      .insert(version)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findVersion(machineId, version) {
+    const { data, error } = await supabase
+      .from("machine_configs")
+      .select("*")
+      .eq("machine_id", machineId)
+      .eq("version", version)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async latest(machineId) {
+    const { data, error } = await supabase
+      .from("machine_configs")
+      .select("*")
+      .eq("machine_id", machineId)
+      .order("version", { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  async findApplied(machineId) {
+    const { data, error } = await supabase
+      .from("machine_configs")
+      .select("*")
+      .eq("machine_id", machineId)
+      .eq("status", "APPLIED")
+      .order("version", { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("machine_configs")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async supersedeOlder(machineId, version, statuses) {
+    const { error } = await supabase
+      .from("machine_configs")
+      .update({ status: "SUPERSEDED" })
+      .eq("machine_id", machineId)
+      .lt("version", version)
+      .in("status", statuses);
+    if (error) throw error;
+  }
+
+  async list(machineId, { status, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from("machine_configs")
+      .select("*", { count: "exact" })
+      .eq("machine_id", machineId);
+    if (status) query = query.eq("status", status);
+
+    const { data, error, count } = await query
+      .order("version", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { versions: data, total: count ?? data.length };
+  }
+}
+
+class MemoryMachineConfigRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(version) {
+    const row = this.store.insert("machine_configs", {
+      status: "PENDING",
+      config_sent: false,
+      ...version,
+    });
+    return { id: row.id };
+  }
+
+  async findVersion(machineId, version) {
+    return this.store.find(
+      "machine_configs",
+      (c) => c.machine_id === machineId && c.version === Number(version)
+    );
+  }
+
+  async latest(machineId) {
+    return (
+      this.store
+        .filter("machine_configs", (c) => c.machine_id === machineId)
+        .sort(byField("version", "desc"))[0] || null
+    );
+  }
+
+  async findApplied(machineId) {
+    return (
+      this.store
+        .filter(
+          "machine_configs",
+          (c) => c.machine_id === machineId && c.status === "APPLIED"
+        )
+        .sort(byField("version", "desc"))[0] || null
+    );
+  }
+
+  async update(id, fields) {
+    this.store.update("machine_configs", (c) => c.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async supersedeOlder(machineId, version, statuses) {
+    this.store.update(
+      "machine_configs",
+      (c) =>
+        c.machine_id === machineId &&
+        c.version < version &&
+        statuses.includes(c.status),
+      { status: "SUPERSEDED", updated_at: new Date().toISOString() }
+    );
+  }
+
+  async list(machineId, { status, limit = 50, offset = 0 } = {}) {
+    const versions = this.store
+      .filter(
+        "machine_configs",
+        (c) => c.machine_id === machineId && (!status || c.status === status)
+      )
+      .sort(byField("version", "desc"));
+
+    return {
+      versions: versions.slice(offset, offset + limit),
+      total: versions.length,
+    };
+  }
+}
+
+module.exports = {
+  MySQLMachineConfigRepository,
+  SupabaseMachineConfigRepository,
+  MemoryMachineConfigRepository,
+};
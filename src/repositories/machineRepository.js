@@ -0,0 +1,493 @@
+/**
+ * Machine repository
+ *
+ * Interface:
+ *   list({ includeDecommissioned }) -> machines ordered by name, without
+ *                                      DECOMMISSIONED ones unless asked
+ *   search({ status, search, location, includeDecommissioned, limit, offset })
+ *                                   -> { machines, total } ordered by name; search
+ *                                      matches id, name or location
+ *   countByStatus()                 -> { ONLINE: n, OFFLINE: n, ... } of every machine
+ *   findById(id)                    -> machine or null
+ *   create(machine)                 -> { id }
+ *   update(id, fields)
+ *   findByCredentials(id, token)    -> machine or null
+ *   touch(id, status?)              -> set last_seen to now (and status if given)
+ *   reportStatus(id, status, { rssi, firmware, door })
+ *                                   -> status heartbeat: set status and last_seen,
+ *                                      merge the readings into config
+ *   markOffline(cutoff)             -> ids of ONLINE machines not seen since cutoff,
+ *                                      now OFFLINE
+ *   rotateToken(id, token)          -> store a new credential and bump token_version
+ *   revokeTokens(id)                -> bump token_version
+ *
+ * rotateToken/revokeTokens return the new token_version, or null when the
+ * machine does not exist. Machine JWTs signed for an older version are rejected.
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, placeholders } = require("./sql");
+const { toTime } = require("./memoryStore");
+
+const STATUSES = ["ONLINE", "OFFLINE", "MAINTENANCE", "DECOMMISSIONED"];
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["last_seen", "decommissioned_at"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+function countStatuses(machines) {
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  for (const machine of machines) {
+    counts[machine.status] = (counts[machine.status] || 0) + 1;
+  }
+  return counts;
+}
+
+class MySQLMachineRepository {
+  async list({ includeDecommissioned = false } = {}) {
+    return db.query(
+      `SELECT * FROM machines
+       ${includeDecommissioned ? "" : "WHERE status <> 'DECOMMISSIONED'"}
+       ORDER BY name`
+    );
+  }
+
+  async search({
+    status,
+    search,
+    location,
+    includeDecommissioned = false,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    } else if (!includeDecommissioned) {
+      conditions.push("status <> 'DECOMMISSIONED'");
+    }
+    if (search) {
+      conditions.push("(id LIKE ? OR name LIKE ? OR location LIKE ?)");
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    if (location) {
+      conditions.push("location LIKE ?");
+      params.push(`%${location}%`);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const rows = await db.query(
+      `SELECT * FROM machines ${where}
+       ORDER BY name, id
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM machines ${where}`,
+      params
+    );
+
+    return { machines: rows, total: count[0].total };
+  }
+
+  async countByStatus() {
+    const rows = await db.query(
+      "SELECT status, COUNT(*) as count FROM machines GROUP BY status"
+    );
+    const counts = countStatuses([]);
+    for (const row of rows) counts[row.status] = Number(row.count);
+    return counts;
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM machines WHERE id = ?", [id]);
+    return rows[0] || null;
+  }
+
+  async create(machine) {
+    const insert = buildInsert("machines", withDates(machine));
+    await db.query(insert.sql, insert.params);
+    return { id: machine.id };
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE machines SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async findByCredentials(id, token) {
+    const rows = await db.query(
+      "SELECT * FROM machines WHERE id = ? AND token = ?",
+      [id, token]
+    );
+    return rows[0] || null;
+  }
+
+  async touch(id, status = null) {
+    if (status) {
+      await db.query(
+        "UPDATE machines SET status = ?, last_seen = NOW() WHERE id = ?",
+        [status, id]
+      );
+      return;
+    }
+    await db.query("UPDATE machines SET last_seen = NOW() WHERE id = ?", [id]);
+  }
+
+  async reportStatus(id, status, { rssi, firmware, door }) {
+    await db.query(
+      `UPDATE machines
+       SET status = ?, last_seen = NOW(),
+           config = JSON_SET(COALESCE(config, '{}'), '$.rssi', ?, '$.firmware', ?, '$.door', ?)
+       WHERE id = ?`,
+      [status, rssi ?? null, firmware ?? null, door ?? null, id]
+    );
+  }
+
+  async markOffline(cutoff) {
+    const rows = await db.query(
+      `SELECT id FROM machines
+       WHERE status = 'ONLINE' AND (last_seen IS NULL OR last_seen < ?)`,
+      [new Date(cutoff)]
+    );
+    const ids = rows.map((machine) => machine.id);
+    if (ids.length === 0) return [];
+
+    await db.query(
+      `UPDATE machines SET status = 'OFFLINE'
+       WHERE status = 'ONLINE' AND id IN (${placeholders(ids)})`,
+      ids
+    );
+    return ids;
+  }
+
+  async rotateToken(id, token) {
+    const result = await db.query(
+      "UPDATE machines SET token = ?, token_version = token_version + 1 WHERE id = ?",
+      [token, id]
+    );
+    return result.affectedRows > 0 ? this.tokenVersion(id) : null;
+  }
+
+  async revokeTokens(id) {
+    const result = await db.query(
+      "UPDATE machines SET token_version = token_version + 1 WHERE id = ?",
+      [id]
+    );
+    return result.affectedRows > 0 ? this.tokenVersion(id) : null;
+  }
+
+  async tokenVersion(id) {
+    const rows = await db.query(
+      "SELECT token_version FROM machines WHERE id = ?",
+      [id]
+    );
+    return rows[0].token_version;
+  }
+}
+
+class SupabaseMachineRepository {
+  async list({ includeDecommissioned = false } = {}) {
+    let query = supabase.from("machines").select("*");
+    if (!includeDecommissioned) query = query.neq("status", "DECOMMISSIONED");
+
+    const { data, error } = await query.order("name");
+    if (error) throw error;
+    return data;
+  }
+
+  async search({
+    status,
+    search,
+    location,
+    includeDecommissioned = false,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    let query = supabase.from("machines").select("*", { count: "exact" });
+    if (status) {
+      query = query.eq("status", status);
+    } else if (!includeDecommissioned) {
+      query = query.neq("status", "DECOMMISSIONED");
+    }
+    if (search) {
+      // Commas and parentheses would break the or() filter syntax
+      const term = search.replace(/[,()]/g, " ");
+      query = query.or(
+        `id.ilike.%${term}%,name.ilike.%${term}%,location.ilike.%${term}%`
+      );
+    }
+    if (location) query = query.ilike("location", `%${location}%`);
+
+    const { data, error, count } = await query
+      .order("name", { ascending: true })
+      .order("id", { ascending: true })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { machines: data, total: count ?? data.length };
+  }
+
+  async countByStatus() {
+    const { data, error } = await supabase.from("machines").select("status");
+    if (error) throw error;
+    return countStatuses(data);
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("machines")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async create(machine) {
+    const { data, error } = await supabase
+      .from("machines")
+      .insert(machine)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("machines")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async findByCredentials(id, token) {
+    const { data, error } = await supabase
+      .from("machines")
+      .select("*")
+      .eq("id", id)
+      .eq("token", token)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async touch(id, status = null) {
+    const updates = { last_seen: new Date().toISOString() };
+    if (status) updates.status = status;
+
+    const { error } = await supabase
+      .from("machines")
+      .update(updates)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async reportStatus(id, status, { rssi, firmware, door }) {
+    const machine = await this.findById(id);
+    const config = machine?.config || {};
+
+    const { error } = await supabase
+      .from("machines")
+      .update({
+        status,
+        last_seen: new Date().toISOString(),
+        config: {
+          ...config,
+          rssi: rssi || config.rssi,
+          firmware: firmware || config.firmware,
+          door: door || config.door,
+        },
+      })
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async markOffline(cutoff) {
+    const { data, error } = await supabase
+      .from("machines")
+      .update({ status: "OFFLINE" })
+      .eq("status", "ONLINE")
+      .or(`last_seen.is.null,last_seen.lt.${new Date(cutoff).toISOString()}`)
+      .select("id");
+    if (error) throw error;
+    return data.map((machine) => machine.id);
+  }
+
+  async rotateToken(id, token) {
+    return this.bumpTokenVersion(id, { token });
+  }
+
+  async revokeTokens(id) {
+    return this.bumpTokenVersion(id);
+  }
+
+  async bumpTokenVersion(id, updates = {}) {
+    const machine = await this.findById(id);
+    if (!machine) return null;
+
+    const token_version = (machine.token_version || 0) + 1;
+    const { error } = await supabase
+      .from("machines")
+      .update({ ...updates, token_version })
+      .eq("id", id);
+    if (error) throw error;
+    return token_version;
+  }
+}
+
+class MemoryMachineRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async list({ includeDecommissioned = false } = {}) {
+    return this.store
+      .filter(
+        "machines",
+        (machine) =>
+          includeDecommissioned || machine.status !== "DECOMMISSIONED"
+      )
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  async search({
+    status,
+    search,
+    location,
+    includeDecommissioned = false,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const contains = (value, term) =>
+      String(value || "")
+        .toLowerCase()
+        .includes(term.toLowerCase());
+    const machines = this.store
+      .filter(
+        "machines",
+        (m) =>
+          (status
+            ? m.status === status
+            : includeDecommissioned || m.status !== "DECOMMISSIONED") &&
+          (!search ||
+            contains(m.id, search) ||
+            contains(m.name, search) ||
+            contains(m.location, search)) &&
+          (!location || contains(m.location, location))
+      )
+      .sort(
+        (a, b) =>
+          String(a.name).localeCompare(String(b.name)) ||
+          String(a.id).localeCompare(String(b.id))
+      );
+
+    return {
+      machines: machines.slice(offset, offset + limit),
+      total: machines.length,
+    };
+  }
+
+  async countByStatus() {
+    return countStatuses(this.store.filter("machines"));
+  }
+
+  async findById(id) {
+    return this.store.find("machines", (machine) => machine.id === id);
+  }
+
+  async create(machine) {
+    const row = this.store.insert("machines", {
+      status: "OFFLINE",
+      token_version: 0,
+      config: null,
+      last_seen: null,
+      ...machine,
+    });
+    return { id: row.id };
+  }
+
+  async update(id, fields) {
+    this.store.update("machines", (machine) => machine.id === id, {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async findByCredentials(id, token) {
+    return this.store.find(
+      "machines",
+      (machine) => machine.id === id && machine.token === token
+    );
+  }
+
+  async touch(id, status = null) {
+    const updates = { last_seen: new Date().toISOString() };
+    if (status) updates.status = status;
+    this.store.update("machines", (machine) => machine.id === id, updates);
+  }
+
+  async reportStatus(id, status, { rssi, firmware, door }) {
+    const machine = await this.findById(id);
+    const config = machine?.config || {};
+    this.store.update("machines", (m) => m.id === id, {
+      status,
+      last_seen: new Date().toISOString(),
+      config: {
+        ...config,
+        rssi: rssi || config.rssi,
+        firmware: firmware || config.firmware,
+        door: door || config.door,
+      },
+    });
+  }
+
+  async markOffline(cutoff) {
+    const before = toTime(cutoff);
+    const stale = (machine) =>
+      machine.status === "ONLINE" &&
+      (!machine.last_seen || toTime(machine.last_seen) < before);
+    const ids = this.store.filter("machines", stale).map((m) => m.id);
+    this.store.update("machines", stale, { status: "OFFLINE" });
+    return ids;
+  }
+
+  async rotateToken(id, token) {
+    return this.bumpTokenVersion(id, { token });
+  }
+
+  async revokeTokens(id) {
+    return this.bumpTokenVersion(id);
+  }
+
+  async bumpTokenVersion(id, updates = {}) {
+    const machine = await this.findById(id);
+    if (!machine) return null;
+
+    const token_version = (machine.token_version || 0) + 1;
+    this.store.update("machines", (m) => m.id === id, {
+      ...updates,
+      token_version,
+    });
+    return token_version;
+  }
+}
+
+module.exports = {
+  MySQLMachineRepository,
+  SupabaseMachineRepository,
+  MemoryMachineRepository,
+};
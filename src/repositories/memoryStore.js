@@ -0,0 +1,103 @@
+/**
+ * In-memory tables backing the memory repositories (REPOSITORY_DRIVER=memory)
+ *
+ * Rows are plain objects keyed by table name. Tables with numeric ids get
+ * auto-increment ids; rows that bring their own id (orders, machines, users)
+ * keep it. Meant for tests and local experiments - nothing is persisted.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.tables = new Map(); // table name -> rows
+    this.sequences = new Map(); // table name -> last id
+  }
+
+  /**
+   * Load rows into tables, e.g. seed({ machines: [...], slots: [...] })
+   */
+  seed(data) {
+    for (const [table, rows] of Object.entries(data)) {
+      for (const row of rows) {
+        this.insert(table, row);
+      }
+    }
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+    }
+    return this.tables.get(table);
+  }
+
+  insert(table, row) {
+    const record = { ...row };
+    if (record.id === undefined || record.id === null) {
+      record.id = (this.sequences.get(table) || 0) + 1;
+    }
+    if (typeof record.id === "number") {
+      this.sequences.set(
+        table,
+        Math.max(this.sequences.get(table) || 0, record.id)
+      );
+    }
+    if (!record.created_at) {
+      record.created_at = new Date().toISOString();
+    }
+
+    this.rows(table).push(record);
+    return { ...record };
+  }
+
+  find(table, predicate) {
+    const row = this.rows(table).find(predicate);
+    return row ? { ...row } : null;
+  }
+
+  filter(table, predicate = () => true) {
+    return this.rows(table)
+      .filter(predicate)
+      .map((row) => ({ ...row }));
+  }
+
+  /**
+   * Apply changes to every matching row
+   * @returns {number} Number of rows updated
+   */
+  update(table, predicate, changes) {
+    let count = 0;
+    for (const row of this.rows(table)) {
+      if (predicate(row)) {
+        Object.assign(row, changes);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  delete(table, predicate) {
+    const rows = this.rows(table);
+    const kept = rows.filter((row) => !predicate(row));
+    this.tables.set(table, kept);
+    return rows.length - kept.length;
+  }
+}
+
+// Sort helper for memory queries: byField("created_at", "desc")
+function byField(field, direction = "asc") {
+  const sign = direction === "desc" ? -1 : 1;
+  return (a, b) => {
+    if (a[field] === b[field]) return 0;
+    return a[field] > b[field] ? sign : -sign;
+  };
+}
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+module.exports = { MemoryStore, byField, toTime };
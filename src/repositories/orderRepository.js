@@ -0,0 +1,567 @@
+/**
+ * Order repository - orders and their order_items
+ *
+ * Interface:
+ *   create(order, items?)               -> insert an order and its items
+ *   findById(id)                        -> order row or null
+ *   findDetails(id)                     -> order with product_name, slot_number,
+ *                                          payment_status, payment_processed_at
+ *   update(id, fields, { status }?)     -> true if updated; pass status to only
+ *                                          update an order still in that status
+ *   list({ machineId, status, limit, offset })
+ *                                       -> { orders, total } newest first with
+ *                                          product_name, slot_number, payment_status
+ *   listByMachine(machineId, { status, limit, offset })
+ *                                       -> list() of one machine
+ *   listSince(machineId, since)         -> orders with product_name (since may be null)
+ *   listStale(status, column, before, limit)
+ *                                       -> [{ id, machine_id }] of orders in status whose
+ *                                          column (expires_at or updated_at) is before
+ *   listItems(orderId)                  -> order_items with slot_number, motor_duration_ms
+ *   listForReport({ from, to, machineIds })
+ *                                       -> orders created in [from, to) with product_name,
+ *                                          category, machine_name, machine_location,
+ *                                          payment_type and items (with category)
+ *   updateItem(itemId, fields)
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, placeholders } = require("./sql");
+const { byField, toTime } = require("./memoryStore");
+
+// Timestamp columns listStale may compare against
+const STALE_COLUMNS = ["expires_at", "updated_at"];
+
+function staleColumn(column) {
+  if (!STALE_COLUMNS.includes(column)) {
+    throw new Error(`Unknown order timestamp column: ${column}`);
+  }
+  return column;
+}
+
+// Supabase caps a select at 1000 rows; report queries page through the range
+const REPORT_PAGE_SIZE = 1000;
+
+class MySQLOrderRepository {
+  async create(order, items = []) {
+    await db.transaction(async (connection) => {
+      const insert = buildInsert("orders", order);
+      await connection.execute(insert.sql, insert.params);
+
+      for (const item of items) {
+        const itemInsert = buildInsert("order_items", {
+          ...item,
+          order_id: order.id,
+        });
+        await connection.execute(itemInsert.sql, itemInsert.params);
+      }
+    });
+    return this.findById(order.id);
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM orders WHERE id = ?", [id]);
+    return rows[0] || null;
+  }
+
+  async findDetails(id) {
+    const rows = await db.query(
+      `SELECT o.*, p.name as product_name, s.slot_number,
+              pay.status as payment_status, pay.processed_at as payment_processed_at
+       FROM orders o
+       LEFT JOIN products p ON o.product_id = p.id
+       LEFT JOIN slots s ON o.slot_id = s.id
+       LEFT JOIN payments pay ON pay.id = (
+         SELECT MAX(id) FROM payments WHERE order_id = o.id
+       )
+       WHERE o.id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async update(id, fields, { status } = {}) {
+    const set = buildSet(fields);
+    let sql = `UPDATE orders SET ${set.clause} WHERE id = ?`;
+    const params = [...set.params, id];
+    if (status) {
+      sql += " AND status = ?";
+      params.push(status);
+    }
+
+    const result = await db.query(sql, params);
+    return result.affectedRows > 0;
+  }
+
+  async listByMachine(machineId, options = {}) {
+    return this.list({ ...options, machineId });
+  }
+
+  async list({ machineId, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (machineId) {
+      conditions.push("o.machine_id = ?");
+      params.push(machineId);
+    }
+    if (status) {
+      conditions.push("o.status = ?");
+      params.push(status);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const orders = await db.query(
+      `SELECT o.*, p.name as product_name, s.slot_number,
+              (SELECT status FROM payments WHERE order_id = o.id
+               ORDER BY id DESC LIMIT 1) as payment_status
+       FROM orders o
+       LEFT JOIN products p ON o.product_id = p.id
+       LEFT JOIN slots s ON o.slot_id = s.id
+       ${where}
+       ORDER BY o.created_at DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM orders o ${where}`,
+      params
+    );
+
+    return { orders, total: count[0].total };
+  }
+
+  async listSince(machineId, since = null) {
+    let sql = `SELECT o.*, p.name as product_name
+               FROM orders o
+               LEFT JOIN products p ON o.product_id = p.id
+               WHERE o.machine_id = ?`;
+    const params = [machineId];
+    if (since) {
+      sql += " AND o.created_at >= ?";
+      params.push(since);
+    }
+    return db.query(sql, params);
+  }
+
+  async listForReport({ from, to, machineIds = [] }) {
+    let sql = `SELECT o.*, p.name as product_name, p.category,
+                      m.name as machine_name, m.location as machine_location,
+                      (SELECT payment_type FROM payments WHERE order_id = o.id
+                       ORDER BY id DESC LIMIT 1) as payment_type
+               FROM orders o
+               LEFT JOIN products p ON o.product_id = p.id
+               LEFT JOIN machines m ON o.machine_id = m.id
+               WHERE o.created_at >= ? AND o.created_at < ?`;
+    const params = [from, to];
+    if (machineIds.length > 0) {
+      sql += ` AND o.machine_id IN (${placeholders(machineIds)})`;
+      params.push(...machineIds);
+    }
+    const orders = await db.query(`${sql} ORDER BY o.created_at ASC`, params);
+    if (orders.length === 0) return [];
+
+    const items = await db.query(
+      `SELECT oi.*, p.category
+       FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       LEFT JOIN products p ON oi.product_id = p.id
+       WHERE o.created_at >= ? AND o.created_at < ?
+       ORDER BY oi.id ASC`,
+      [from, to]
+    );
+    const byOrder = new Map(orders.map((order) => [order.id, []]));
+    for (const item of items) {
+      if (byOrder.has(item.order_id)) byOrder.get(item.order_id).push(item);
+    }
+
+    return orders.map((order) => ({ ...order, items: byOrder.get(order.id) }));
+  }
+
+  async listStale(status, column, before, limit) {
+    return db.query(
+      `SELECT id, machine_id FROM orders
+       WHERE status = ? AND ${staleColumn(column)} < ?
+       ${pageClause(limit)}`,
+      [status, new Date(before)]
+    );
+  }
+
+  async listItems(orderId) {
+    return db.query(
+      `SELECT oi.*, s.slot_number, s.motor_duration_ms
+       FROM order_items oi
+       JOIN slots s ON oi.slot_id = s.id
+       WHERE oi.order_id = ?
+       ORDER BY oi.id ASC`,
+      [orderId]
+    );
+  }
+
+  async updateItem(itemId, fields) {
+    const set = buildSet(fields);
+    await db.query(`UPDATE order_items SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      itemId,
+    ]);
+  }
+}
+
+class SupabaseOrderRepository {
+  async create(order, items = []) {
+    const { data, error } = await supabase
+      .from("orders")
+      .insert(order)
+      .select()
+      .single();
+    if (error) throw error;
+
+    if (items.length > 0) {
+      const { error: itemsError } = await supabase
+        .from("order_items")
+        .insert(items.map((item) => ({ ...item, order_id: order.id })));
+      if (itemsError) throw itemsError;
+    }
+
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("orders")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findDetails(id) {
+    const { data, error } = await supabase
+      .from("orders")
+      .select(
+        "*, products (name), slots (slot_number), payments (id, status, processed_at)"
+      )
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+
+    const { products, slots, payments, ...order } = data;
+    const payment = (payments || []).sort((a, b) => b.id - a.id)[0];
+    return {
+      ...order,
+      product_name: products?.name ?? null,
+      slot_number: slots?.slot_number ?? null,
+      payment_status: payment?.status ?? null,
+      payment_processed_at: payment?.processed_at ?? null,
+    };
+  }
+
+  async update(id, fields, { status } = {}) {
+    let query = supabase.from("orders").update(fields).eq("id", id);
+    if (status) {
+      query = query.eq("status", status);
+    }
+
+    const { data, error } = await query.select("id");
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  async listByMachine(machineId, options = {}) {
+    return this.list({ ...options, machineId });
+  }
+
+  async list({ machineId, status, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from("orders")
+      .select("*, products (name), slots (slot_number), payments (status)", {
+        count: "exact",
+      })
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (machineId) {
+      query = query.eq("machine_id", machineId);
+    }
+    if (status) {
+      query = query.eq("status", status);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return {
+      orders: data.map(({ products, slots, payments, ...order }) => ({
+        ...order,
+        product_name: products?.name ?? null,
+        slot_number: slots?.slot_number ?? null,
+        payment_status: payments?.[0]?.status ?? null,
+      })),
+      total: count ?? data.length,
+    };
+  }
+
+  async listSince(machineId, since = null) {
+    let query = supabase
+      .from("orders")
+      .select("*, products (name)")
+      .eq("machine_id", machineId);
+    if (since) {
+      query = query.gte("created_at", new Date(since).toISOString());
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data.map(({ products, ...order }) => ({
+      ...order,
+      product_name: products?.name ?? null,
+    }));
+  }
+
+  async listForReport({ from, to, machineIds = [] }) {
+    const orders = [];
+    for (let offset = 0; ; offset += REPORT_PAGE_SIZE) {
+      let query = supabase
+        .from("orders")
+        .select(
+          `*, products (name, category), machines (name, location),
+           payments (id, payment_type),
+           order_items (*, products (category))`
+        )
+        .gte("created_at", new Date(from).toISOString())
+        .lt("created_at", new Date(to).toISOString());
+      if (machineIds.length > 0) query = query.in("machine_id", machineIds);
+
+      const { data, error } = await query
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+        .range(offset, offset + REPORT_PAGE_SIZE - 1);
+      if (error) throw error;
+
+      orders.push(...data);
+      if (data.length < REPORT_PAGE_SIZE) break;
+    }
+
+    return orders.map(
+      ({ products, machines, payments, order_items, ...order }) => ({
+        ...order,
+        product_name: products?.name ?? null,
+        category: products?.category ?? null,
+        machine_name: machines?.name ?? null,
+        machine_location: machines?.location ?? null,
+        payment_type:
+          [...(payments || [])].sort((a, b) => b.id - a.id)[0]?.payment_type ??
+          null,
+        items: (order_items || [])
+          .sort((a, b) => a.id - b.id)
+          .map(({ products: product, ...item }) => ({
+            ...item,
+            category: product?.category ?? null,
+          })),
+      })
+    );
+  }
+
+  async listStale(status, column, before, limit) {
+    const { data, error } = await supabase
+      .from("orders")
+      .select("id, machine_id")
+      .eq("status", status)
+      .lt(staleColumn(column), new Date(before).toISOString())
+      .limit(limit);
+    if (error) throw error;
+    return data;
+  }
+
+  async listItems(orderId) {
+    const { data, error } = await supabase
+      .from("order_items")
+      .select("*, slot:slots (slot_number, motor_duration_ms)")
+      .eq("order_id", orderId)
+      .order("id", { ascending: true });
+    if (error) throw error;
+
+    return data.map(({ slot, ...item }) => ({
+      ...item,
+      slot_number: slot?.slot_number,
+      motor_duration_ms: slot?.motor_duration_ms,
+    }));
+  }
+
+  async updateItem(itemId, fields) {
+    const { error } = await supabase
+      .from("order_items")
+      .update(fields)
+      .eq("id", itemId);
+    if (error) throw error;
+  }
+}
+
+class MemoryOrderRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  withNames(order) {
+    const product = this.store.find(
+      "products",
+      (p) => p.id === order.product_id
+    );
+    const slot = this.store.find("slots", (s) => s.id === order.slot_id);
+    const payment = this.store
+      .filter("payments", (p) => p.order_id === order.id)
+      .sort(byField("id", "desc"))[0];
+
+    return {
+      ...order,
+      product_name: product?.name ?? null,
+      slot_number: slot?.slot_number ?? null,
+      payment_status: payment?.status ?? null,
+      payment_processed_at: payment?.processed_at ?? null,
+    };
+  }
+
+  async create(order, items = []) {
+    const created = this.store.insert("orders", {
+      status: "PENDING",
+      ...order,
+    });
+    for (const item of items) {
+      this.store.insert("order_items", {
+        dispense_status: "PENDING",
+        ...item,
+        order_id: order.id,
+      });
+    }
+    return created;
+  }
+
+  async findById(id) {
+    return this.store.find("orders", (order) => order.id === id);
+  }
+
+  async findDetails(id) {
+    const order = await this.findById(id);
+    return order ? this.withNames(order) : null;
+  }
+
+  async update(id, fields, { status } = {}) {
+    const count = this.store.update(
+      "orders",
+      (order) => order.id === id && (!status || order.status === status),
+      { ...fields, updated_at: new Date().toISOString() }
+    );
+    return count > 0;
+  }
+
+  async listByMachine(machineId, options = {}) {
+    return this.list({ ...options, machineId });
+  }
+
+  async list({ machineId, status, limit = 50, offset = 0 } = {}) {
+    const orders = this.store
+      .filter(
+        "orders",
+        (order) =>
+          (!machineId || order.machine_id === machineId) &&
+          (!status || order.status === status)
+      )
+      .sort(byField("created_at", "desc"));
+
+    return {
+      orders: orders
+        .slice(offset, offset + limit)
+        .map((order) => this.withNames(order)),
+      total: orders.length,
+    };
+  }
+
+  async listSince(machineId, since = null) {
+    return this.store
+      .filter(
+        "orders",
+        (order) =>
+          order.machine_id === machineId &&
+          (!since || toTime(order.created_at) >= toTime(since))
+      )
+      .map((order) => this.withNames(order));
+  }
+
+  async listForReport({ from, to, machineIds = [] }) {
+    const category = (productId) =>
+      this.store.find("products", (p) => p.id === productId)?.category ?? null;
+
+    return this.store
+      .filter(
+        "orders",
+        (order) =>
+          toTime(order.created_at) >= toTime(from) &&
+          toTime(order.created_at) < toTime(to) &&
+          (machineIds.length === 0 || machineIds.includes(order.machine_id))
+      )
+      .sort((a, b) => toTime(a.created_at) - toTime(b.created_at))
+      .map((order) => {
+        const machine = this.store.find(
+          "machines",
+          (m) => m.id === order.machine_id
+        );
+        const payment = this.store
+          .filter("payments", (p) => p.order_id === order.id)
+          .sort(byField("id", "desc"))[0];
+
+        return {
+          ...this.withNames(order),
+          category: category(order.product_id),
+          machine_name: machine?.name ?? null,
+          machine_location: machine?.location ?? null,
+          payment_type: payment?.payment_type ?? null,
+          items: this.store
+            .filter("order_items", (item) => item.order_id === order.id)
+            .sort(byField("id"))
+            .map((item) => ({ ...item, category: category(item.product_id) })),
+        };
+      });
+  }
+
+  async listStale(status, column, before, limit) {
+    const field = staleColumn(column);
+    const cutoff = toTime(before);
+    return this.store
+      .filter(
+        "orders",
+        (order) =>
+          order.status === status &&
+          Boolean(order[field]) &&
+          toTime(order[field]) < cutoff
+      )
+      .slice(0, limit)
+      .map((order) => ({ id: order.id, machine_id: order.machine_id }));
+  }
+
+  async listItems(orderId) {
+    return this.store
+      .filter("order_items", (item) => item.order_id === orderId)
+      .sort(byField("id"))
+      .map((item) => {
+        const slot = this.store.find("slots", (s) => s.id === item.slot_id);
+        return {
+          ...item,
+          slot_number: slot?.slot_number,
+          motor_duration_ms: slot?.motor_duration_ms,
+        };
+      });
+  }
+
+  async updateItem(itemId, fields) {
+    this.store.update("order_items", (item) => item.id === itemId, fields);
+  }
+}
+
+module.exports = {
+  MySQLOrderRepository,
+  SupabaseOrderRepository,
+  MemoryOrderRepository,
+};
@@ -0,0 +1,282 @@
+/**
+ * Outbox repository - domain events published on the event bus
+ *
+ * Interface:
+ *   append(event)                     -> store { id, type, aggregate_id, payload } as PENDING
+ *   findById(id)                      -> event or null
+ *   markDispatched(id)                -> every subscriber succeeded
+ *   markFailed(id, { failed_handlers, error })
+ *   list({ type, status, aggregateId, since, limit, offset })
+ *                                     -> { events, total }, newest first
+ *   listFailed({ maxAttempts, limit }) -> FAILED events still worth retrying, oldest first
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, parseJson } = require("./sql");
+const { byField, toTime } = require("./memoryStore");
+
+function parseEvent(event) {
+  if (!event) return null;
+  return {
+    ...event,
+    payload: parseJson(event.payload),
+    failed_handlers: parseJson(event.failed_handlers),
+  };
+}
+
+class MySQLOutboxRepository {
+  async append(event) {
+    const insert = buildInsert("event_outbox", { ...event, status: "PENDING" });
+    await db.query(insert.sql, insert.params);
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM event_outbox WHERE id = ?", [
+      id,
+    ]);
+    return parseEvent(rows[0]);
+  }
+
+  async markDispatched(id) {
+    await db.query(
+      `UPDATE event_outbox
+       SET status = 'DISPATCHED', attempts = attempts + 1, dispatched_at = NOW(),
+           failed_handlers = NULL, last_error = NULL
+       WHERE id = ?`,
+      [id]
+    );
+  }
+
+  async markFailed(id, { failed_handlers, error }) {
+    const set = buildSet({
+      status: "FAILED",
+      failed_handlers,
+      last_error: error,
+    });
+    await db.query(
+      `UPDATE event_outbox SET ${set.clause}, attempts = attempts + 1 WHERE id = ?`,
+      [...set.params, id]
+    );
+  }
+
+  async list({
+    type,
+    status,
+    aggregateId,
+    since,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    if (type) {
+      conditions.push("type = ?");
+      params.push(type);
+    }
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+    if (aggregateId) {
+      conditions.push("aggregate_id = ?");
+      params.push(aggregateId);
+    }
+    if (since) {
+      conditions.push("created_at >= ?");
+      params.push(since);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const rows = await db.query(
+      `SELECT * FROM event_outbox ${where}
+       ORDER BY created_at DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM event_outbox ${where}`,
+      params
+    );
+
+    return { events: rows.map(parseEvent), total: count[0].total };
+  }
+
+  async listFailed({ maxAttempts, limit = 50 } = {}) {
+    const rows = await db.query(
+      `SELECT * FROM event_outbox
+       WHERE status = 'FAILED' AND attempts < ?
+       ORDER BY created_at
+       ${pageClause(limit)}`,
+      [maxAttempts]
+    );
+    return rows.map(parseEvent);
+  }
+}
+
+class SupabaseOutboxRepository {
+  async append(event) {
+    const { error } = await supabase
+      .from("event_outbox")
+      .insert({ ...event, status: "PENDING" });
+    if (error) throw error;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("event_outbox")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async markDispatched(id) {
+    await this.updateWithAttempt(id, {
+      status: "DISPATCHED",
+      dispatched_at: new Date().toISOString(),
+      failed_handlers: null,
+      last_error: null,
+    });
+  }
+
+  async markFailed(id, { failed_handlers, error }) {
+    await this.updateWithAttempt(id, {
+      status: "FAILED",
+      failed_handlers,
+      last_error: error,
+    });
+  }
+
+  async updateWithAttempt(id, fields) {
+    const event = await this.findById(id);
+    if (!event) return;
+
+    const { error } = await supabase
+      .from("event_outbox")
+      .update({ ...fields, attempts: (event.attempts || 0) + 1 })
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async list({
+    type,
+    status,
+    aggregateId,
+    since,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    let query = supabase.from("event_outbox").select("*", { count: "exact" });
+    if (type) query = query.eq("type", type);
+    if (status) query = query.eq("status", status);
+    if (aggregateId) query = query.eq("aggregate_id", aggregateId);
+    if (since) query = query.gte("created_at", new Date(since).toISOString());
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { events: data, total: count ?? data.length };
+  }
+
+  async listFailed({ maxAttempts, limit = 50 } = {}) {
+    const { data, error } = await supabase
+      .from("event_outbox")
+      .select("*")
+      .eq("status", "FAILED")
+      .lt("attempts", maxAttempts)
+      .order("created_at")
+      .limit(limit);
+    if (error) throw error;
+    return data;
+  }
+}
+
+class MemoryOutboxRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async append(event) {
+    this.store.insert("event_outbox", {
+      ...event,
+      status: "PENDING",
+      attempts: 0,
+    });
+  }
+
+  async findById(id) {
+    return this.store.find("event_outbox", (event) => event.id === id);
+  }
+
+  async markDispatched(id) {
+    await this.updateWithAttempt(id, {
+      status: "DISPATCHED",
+      dispatched_at: new Date().toISOString(),
+      failed_handlers: null,
+      last_error: null,
+    });
+  }
+
+  async markFailed(id, { failed_handlers, error }) {
+    await this.updateWithAttempt(id, {
+      status: "FAILED",
+      failed_handlers,
+      last_error: error,
+    });
+  }
+
+  async updateWithAttempt(id, fields) {
+    const event = await this.findById(id);
+    if (!event) return;
+    this.store.update("event_outbox", (e) => e.id === id, {
+      ...fields,
+      attempts: event.attempts + 1,
+    });
+  }
+
+  async list({
+    type,
+    status,
+    aggregateId,
+    since,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const events = this.store
+      .filter(
+        "event_outbox",
+        (e) =>
+          (!type || e.type === type) &&
+          (!status || e.status === status) &&
+          (!aggregateId || e.aggregate_id === aggregateId) &&
+          (!since || toTime(e.created_at) >= toTime(since))
+      )
+      .sort(byField("created_at", "desc"));
+
+    return {
+      events: events.slice(offset, offset + limit),
+      total: events.length,
+    };
+  }
+
+  async listFailed({ maxAttempts, limit = 50 } = {}) {
+    return this.store
+      .filter(
+        "event_outbox",
+        (e) => e.status === "FAILED" && e.attempts < maxAttempts
+      )
+      .sort(byField("created_at"))
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  MySQLOutboxRepository,
+  SupabaseOutboxRepository,
+  MemoryOutboxRepository,
+};
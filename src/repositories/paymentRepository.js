@@ -0,0 +1,185 @@
+/**
+ * Payment repository
+ *
+ * Interface:
+ *   create(payment)                             -> payment row
+ *   findByOrderId(orderId)                      -> latest payment with order_amount,
+ *                                                  order_status; null if none
+ *   updateByOrderId(orderId, fields, { status }?)
+ *                                               -> true if updated; pass status to only
+ *                                                  update payments still in that status
+ *   settle(orderId, paymentFields, orderFields, { status }?)
+ *                                               -> true if settled; update the order and
+ *                                                  its payment together (one transaction
+ *                                                  on MySQL). Pass status to only settle
+ *                                                  an order still in that status
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert } = require("./sql");
+const { byField } = require("./memoryStore");
+
+class MySQLPaymentRepository {
+  async create(payment) {
+    const insert = buildInsert("payments", payment);
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId, ...payment };
+  }
+
+  async findByOrderId(orderId) {
+    const rows = await db.query(
+      `SELECT p.*, o.total_amount as order_amount, o.status as order_status
+       FROM payments p
+       JOIN orders o ON p.order_id = o.id
+       WHERE p.order_id = ?
+       ORDER BY p.id DESC
+       LIMIT 1`,
+      [orderId]
+    );
+    return rows[0] || null;
+  }
+
+  async updateByOrderId(orderId, fields, { status } = {}) {
+    const set = buildSet(fields);
+    let sql = `UPDATE payments SET ${set.clause} WHERE order_id = ?`;
+    const params = [...set.params, orderId];
+    if (status) {
+      sql += " AND status = ?";
+      params.push(status);
+    }
+    const result = await db.query(sql, params);
+    return result.affectedRows > 0;
+  }
+
+  async settle(orderId, paymentFields, orderFields, { status } = {}) {
+    return db.transaction(async (connection) => {
+      const order = buildSet(orderFields);
+      let sql = `UPDATE orders SET ${order.clause} WHERE id = ?`;
+      const params = [...order.params, orderId];
+      if (status) {
+        sql += " AND status = ?";
+        params.push(status);
+      }
+      const [result] = await connection.execute(sql, params);
+      if (result.affectedRows === 0) return false;
+
+      const payment = buildSet(paymentFields);
+      await connection.execute(
+        `UPDATE payments SET ${payment.clause} WHERE order_id = ?`,
+        [...payment.params, orderId]
+      );
+      return true;
+    });
+  }
+}
+
+class SupabasePaymentRepository {
+  async create(payment) {
+    const { data, error } = await supabase
+      .from("payments")
+      .insert(payment)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findByOrderId(orderId) {
+    const { data, error } = await supabase
+      .from("payments")
+      .select("*, order:orders (total_amount, status)")
+      .eq("order_id", orderId)
+      .order("id", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+
+    const { order, ...payment } = data;
+    return {
+      ...payment,
+      order_amount: order?.total_amount,
+      order_status: order?.status,
+    };
+  }
+
+  async updateByOrderId(orderId, fields, { status } = {}) {
+    let query = supabase
+      .from("payments")
+      .update(fields)
+      .eq("order_id", orderId);
+    if (status) {
+      query = query.eq("status", status);
+    }
+    const { data, error } = await query.select("id");
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  // No transaction over the REST API: the conditional order update decides,
+  // the payment follows
+  async settle(orderId, paymentFields, orderFields, { status } = {}) {
+    let query = supabase.from("orders").update(orderFields).eq("id", orderId);
+    if (status) {
+      query = query.eq("status", status);
+    }
+    const { data, error } = await query.select("id");
+    if (error) throw error;
+    if (data.length === 0) return false;
+
+    await this.updateByOrderId(orderId, paymentFields);
+    return true;
+  }
+}
+
+class MemoryPaymentRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(payment) {
+    return this.store.insert("payments", { status: "PENDING", ...payment });
+  }
+
+  async findByOrderId(orderId) {
+    const payment = this.store
+      .filter("payments", (p) => p.order_id === orderId)
+      .sort(byField("id", "desc"))[0];
+    if (!payment) return null;
+
+    const order = this.store.find("orders", (o) => o.id === orderId);
+    return {
+      ...payment,
+      order_amount: order?.total_amount,
+      order_status: order?.status,
+    };
+  }
+
+  async updateByOrderId(orderId, fields, { status } = {}) {
+    const count = this.store.update(
+      "payments",
+      (p) => p.order_id === orderId && (!status || p.status === status),
+      fields
+    );
+    return count > 0;
+  }
+
+  async settle(orderId, paymentFields, orderFields, { status } = {}) {
+    const count = this.store.update(
+      "orders",
+      (o) => o.id === orderId && (!status || o.status === status),
+      orderFields
+    );
+    if (count === 0) return false;
+
+    await this.updateByOrderId(orderId, paymentFields);
+    return true;
+  }
+}
+
+module.exports = {
+  MySQLPaymentRepository,
+  SupabasePaymentRepository,
+  MemoryPaymentRepository,
+};
@@ -0,0 +1,242 @@
+/**
+ * Planogram repository - versioned slot layouts of each machine
+ *
+ * Interface:
+ *   create(planogram)                    -> { id }
+ *   findById(id)                         -> planogram or null
+ *   findApplied(machineId)               -> the machine's APPLIED planogram or null
+ *   latestVersion(machineId)             -> highest version of the machine, 0 if none
+ *   update(id, fields)
+ *   remove(id)
+ *   list(machineId, { status, limit, offset })
+ *                                        -> { planograms, total }, newest version first
+ *
+ * layout is an array of { slot_number, product_id, capacity, price_override,
+ * motor_duration_ms, is_active }.
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, parseJson } = require("./sql");
+const { byField } = require("./memoryStore");
+
+function parsePlanogram(planogram) {
+  if (!planogram) return null;
+  return {
+    ...planogram,
+    config_sent: Boolean(planogram.config_sent),
+    layout: parseJson(planogram.layout),
+  };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  if (row.applied_at) row.applied_at = new Date(row.applied_at);
+  return row;
+}
+
+class MySQLPlanogramRepository {
+  async create(planogram) {
+    const insert = buildInsert("planograms", withDates(planogram));
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM planograms WHERE id = ?", [id]);
+    return parsePlanogram(rows[0]);
+  }
+
+  async findApplied(machineId) {
+    const rows = await db.query(
+      `SELECT * FROM planograms
+       WHERE machine_id = ? AND status = 'APPLIED'
+       ORDER BY version DESC LIMIT 1`,
+      [machineId]
+    );
+    return parsePlanogram(rows[0]);
+  }
+
+  async latestVersion(machineId) {
+    const rows = await db.query(
+      "SELECT COALESCE(MAX(version), 0) as version FROM planograms WHERE machine_id = ?",
+      [machineId]
+    );
+    return Number(rows[0].version);
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE planograms SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async remove(id) {
+    await db.query("DELETE FROM planograms WHERE id = ?", [id]);
+  }
+
+  async list(machineId, { status, limit = 50, offset = 0 } = {}) {
+    let where = "WHERE machine_id = ?";
+    const params = [machineId];
+    if (status) {
+      where += " AND status = ?";
+      params.push(status);
+    }
+
+    const rows = await db.query(
+      `SELECT * FROM planograms ${where}
+       ORDER BY version DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM planograms ${where}`,
+      params
+    );
+
+    return { planograms: rows.map(parsePlanogram), total: count[0].total };
+  }
+}
+
+class SupabasePlanogramRepository {
+  async create(planogram) {
+    const { data, error } = await supabase
+      .from("planograms")
+      .insert(planogram)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("planograms")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findApplied(machineId) {
+    const { data, error } = await supabase
+      .from("planograms")
+      .select("*")
+      .eq("machine_id", machineId)
+      .eq("status", "APPLIED")
+      .order("version", { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  async latestVersion(machineId) {
+    const { data, error } = await supabase
+      .from("planograms")
+      .select("version")
+      .eq("machine_id", machineId)
+      .order("version", { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data[0]?.version || 0;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("planograms")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async remove(id) {
+    const { error } = await supabase.from("planograms").delete().eq("id", id);
+    if (error) throw error;
+  }
+
+  async list(machineId, { status, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from("planograms")
+      .select("*", { count: "exact" })
+      .eq("machine_id", machineId);
+    if (status) query = query.eq("status", status);
+
+    const { data, error, count } = await query
+      .order("version", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { planograms: data, total: count ?? data.length };
+  }
+}
+
+class MemoryPlanogramRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(planogram) {
+    const row = this.store.insert("planograms", {
+      status: "DRAFT",
+      config_sent: false,
+      ...planogram,
+    });
+    return { id: row.id };
+  }
+
+  async findById(id) {
+    return this.store.find("planograms", (p) => p.id === Number(id));
+  }
+
+  async findApplied(machineId) {
+    return (
+      this.store
+        .filter(
+          "planograms",
+          (p) => p.machine_id === machineId && p.status === "APPLIED"
+        )
+        .sort(byField("version", "desc"))[0] || null
+    );
+  }
+
+  async latestVersion(machineId) {
+    return this.store
+      .filter("planograms", (p) => p.machine_id === machineId)
+      .reduce((version, p) => Math.max(version, p.version), 0);
+  }
+
+  async update(id, fields) {
+    this.store.update("planograms", (p) => p.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async remove(id) {
+    this.store.delete("planograms", (p) => p.id === Number(id));
+  }
+
+  async list(machineId, { status, limit = 50, offset = 0 } = {}) {
+    const planograms = this.store
+      .filter(
+        "planograms",
+        (p) => p.machine_id === machineId && (!status || p.status === status)
+      )
+      .sort(byField("version", "desc"));
+
+    return {
+      planograms: planograms.slice(offset, offset + limit),
+      total: planograms.length,
+    };
+  }
+}
+
+module.exports = {
+  MySQLPlanogramRepository,
+  SupabasePlanogramRepository,
+  MemoryPlanogramRepository,
+};
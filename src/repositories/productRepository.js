@@ -0,0 +1,260 @@
+/**
+ * Product repository - the product catalogue and its slots on a machine
+ *
+ * Interface:
+ *   list()                                 -> every product, newest first
+ *   findById(id)                           -> product or null
+ *   listWithSlots(machineId, { productId }?)
+ *                                          -> product rows joined with the machine's
+ *                                             slots (slot_id, slot_number, current_stock,
+ *                                             capacity, price_override, final_price,
+ *                                             slot_active); one row per slot, slot
+ *                                             columns null for products without one.
+ *                                             Active products only unless productId
+ *                                             is given
+ *   listAvailable(machineId)               -> active products in active slots with
+ *                                             stock, one row per slot (slot_id,
+ *                                             slot_number, current_stock, final_price)
+ *   create(product)                        -> product row
+ *   update(id, fields)                     -> product row
+ *   remove(id)
+ *
+ * Slot rows are ordered by slot_number, products without a slot first.
+ * final_price is the slot's price_override, or the product price.
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert } = require("./sql");
+const { byField } = require("./memoryStore");
+
+const SLOT_COLUMNS = [
+  "slot_id",
+  "slot_number",
+  "current_stock",
+  "capacity",
+  "price_override",
+  "final_price",
+  "slot_active",
+];
+
+// Same rows as the MySQL LEFT JOIN, for drivers that load products and slots apart
+function joinSlots(products, slots) {
+  const rows = [];
+  for (const product of products) {
+    const productSlots = slots.filter((slot) => slot.product_id === product.id);
+    if (productSlots.length === 0) {
+      rows.push({
+        ...product,
+        ...Object.fromEntries(SLOT_COLUMNS.map((column) => [column, null])),
+      });
+    }
+    for (const slot of productSlots) {
+      rows.push({
+        ...product,
+        slot_id: slot.id,
+        slot_number: slot.slot_number,
+        current_stock: slot.current_stock,
+        capacity: slot.capacity,
+        price_override: slot.price_override ?? null,
+        final_price: slot.price_override ?? product.price,
+        slot_active: slot.is_active,
+      });
+    }
+  }
+  return rows.sort(
+    (a, b) =>
+      (a.slot_number ?? -Infinity) - (b.slot_number ?? -Infinity) ||
+      String(a.name).localeCompare(String(b.name))
+  );
+}
+
+// listWithSlots rows -> listAvailable rows
+function availableRows(rows) {
+  return rows
+    .filter((row) => row.slot_id && row.slot_active && row.current_stock > 0)
+    .map(({ capacity, price_override, slot_active, ...row }) => row);
+}
+
+class MySQLProductRepository {
+  async list() {
+    return db.query("SELECT * FROM products ORDER BY created_at DESC");
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM products WHERE id = ?", [id]);
+    return rows[0] || null;
+  }
+
+  async listWithSlots(machineId, { productId } = {}) {
+    return db.query(
+      `SELECT p.*,
+              s.id as slot_id,
+              s.slot_number,
+              s.current_stock,
+              s.capacity,
+              s.price_override,
+              COALESCE(s.price_override, p.price) as final_price,
+              s.is_active as slot_active
+       FROM products p
+       LEFT JOIN slots s ON p.id = s.product_id AND s.machine_id = ?
+       WHERE ${productId ? "p.id = ?" : "p.is_active = 1"}
+       ORDER BY s.slot_number ASC, p.name ASC`,
+      productId ? [machineId, productId] : [machineId]
+    );
+  }
+
+  async listAvailable(machineId) {
+    return db.query(
+      `SELECT p.*,
+              s.id as slot_id,
+              s.slot_number,
+              s.current_stock,
+              COALESCE(s.price_override, p.price) as final_price
+       FROM products p
+       JOIN slots s ON p.id = s.product_id
+       WHERE p.is_active = 1
+         AND s.is_active = 1
+         AND s.current_stock > 0
+         AND s.machine_id = ?
+       ORDER BY s.slot_number ASC`,
+      [machineId]
+    );
+  }
+
+  async create(product) {
+    const insert = buildInsert("products", product);
+    const result = await db.query(insert.sql, insert.params);
+    return this.findById(result.insertId);
+  }
+
+  async update(id, fields) {
+    const set = buildSet(fields);
+    await db.query(`UPDATE products SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+    return this.findById(id);
+  }
+
+  async remove(id) {
+    await db.query("DELETE FROM products WHERE id = ?", [id]);
+  }
+}
+
+class SupabaseProductRepository {
+  async list() {
+    const { data, error } = await supabase
+      .from("products")
+      .select("*")
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("products")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async listWithSlots(machineId, { productId } = {}) {
+    let query = supabase.from("products").select("*");
+    query = productId ? query.eq("id", productId) : query.eq("is_active", true);
+    const { data: products, error } = await query;
+    if (error) throw error;
+
+    const { data: slots, error: slotError } = await supabase
+      .from("slots")
+      .select("*")
+      .eq("machine_id", machineId);
+    if (slotError) throw slotError;
+
+    return joinSlots(products, slots);
+  }
+
+  async listAvailable(machineId) {
+    return availableRows(await this.listWithSlots(machineId));
+  }
+
+  async create(product) {
+    const { data, error } = await supabase
+      .from("products")
+      .insert(product)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { data, error } = await supabase
+      .from("products")
+      .update(fields)
+      .eq("id", id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async remove(id) {
+    const { error } = await supabase.from("products").delete().eq("id", id);
+    if (error) throw error;
+  }
+}
+
+class MemoryProductRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async list() {
+    return this.store.filter("products").sort(byField("created_at", "desc"));
+  }
+
+  async findById(id) {
+    return this.store.find("products", (product) => product.id === Number(id));
+  }
+
+  async listWithSlots(machineId, { productId } = {}) {
+    const products = this.store.filter("products", (product) =>
+      productId ? product.id === Number(productId) : product.is_active
+    );
+    const slots = this.store.filter(
+      "slots",
+      (slot) => slot.machine_id === machineId
+    );
+    return joinSlots(products, slots);
+  }
+
+  async listAvailable(machineId) {
+    return availableRows(await this.listWithSlots(machineId));
+  }
+
+  async create(product) {
+    return this.store.insert("products", product);
+  }
+
+  async update(id, fields) {
+    this.store.update("products", (product) => product.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+    return this.findById(id);
+  }
+
+  async remove(id) {
+    this.store.delete("products", (product) => product.id === Number(id));
+  }
+}
+
+module.exports = {
+  MySQLProductRepository,
+  SupabaseProductRepository,
+  MemoryProductRepository,
+};
@@ -0,0 +1,132 @@
+/**
+ * Refund repository - gateway refunds of paid orders
+ *
+ * Interface:
+ *   listByOrder(orderId)    -> refunds of the order, oldest first
+ *   findById(id)            -> refund or null
+ *   create(refund)          -> refund row, status PENDING
+ *   update(id, fields)      -> refund row; sets processed_at
+ *
+ * item_ids (order_item ids) and raw_response are JSON columns.
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, parseJson } = require("./sql");
+const { byField } = require("./memoryStore");
+
+function parseRefund(refund) {
+  if (!refund) return null;
+  return {
+    ...refund,
+    item_ids: parseJson(refund.item_ids),
+    raw_response: parseJson(refund.raw_response),
+  };
+}
+
+class MySQLRefundRepository {
+  async listByOrder(orderId) {
+    const rows = await db.query(
+      "SELECT * FROM refunds WHERE order_id = ? ORDER BY id ASC",
+      [orderId]
+    );
+    return rows.map(parseRefund);
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM refunds WHERE id = ?", [id]);
+    return parseRefund(rows[0]);
+  }
+
+  async create(refund) {
+    const insert = buildInsert("refunds", { ...refund, status: "PENDING" });
+    const result = await db.query(insert.sql, insert.params);
+    return this.findById(result.insertId);
+  }
+
+  async update(id, fields) {
+    const set = buildSet({ ...fields, processed_at: new Date() });
+    await db.query(`UPDATE refunds SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+    return this.findById(id);
+  }
+}
+
+class SupabaseRefundRepository {
+  async listByOrder(orderId) {
+    const { data, error } = await supabase
+      .from("refunds")
+      .select("*")
+      .eq("order_id", orderId)
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("refunds")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async create(refund) {
+    const { data, error } = await supabase
+      .from("refunds")
+      .insert({ ...refund, status: "PENDING" })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { data, error } = await supabase
+      .from("refunds")
+      .update({ ...fields, processed_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+}
+
+class MemoryRefundRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listByOrder(orderId) {
+    return this.store
+      .filter("refunds", (refund) => refund.order_id === orderId)
+      .sort(byField("id"));
+  }
+
+  async findById(id) {
+    return this.store.find("refunds", (refund) => refund.id === id);
+  }
+
+  async create(refund) {
+    return this.store.insert("refunds", { ...refund, status: "PENDING" });
+  }
+
+  async update(id, fields) {
+    this.store.update("refunds", (refund) => refund.id === id, {
+      ...fields,
+      processed_at: new Date().toISOString(),
+    });
+    return this.findById(id);
+  }
+}
+
+module.exports = {
+  MySQLRefundRepository,
+  SupabaseRefundRepository,
+  MemoryRefundRepository,
+};
@@ -0,0 +1,366 @@
+/**
+ * Reservation repository - stock held for orders (stock_reservations)
+ *
+ * Interface:
+ *   activeQuantities(slotIds)               -> [{ slot_id, quantity }] reserved by ACTIVE,
+ *                                              unexpired reservations
+ *   reserve(orderId, machineId, items, expiresAt, blocked)
+ *                                           -> null when every slot covered its quantity,
+ *                                              otherwise { slot_id, available, requested }
+ *                                              of the first short slot (nothing reserved)
+ *   findByOrderSlot(orderId, slotId)        -> reservation or null
+ *   hold(orderId)                           -> clear expires_at of the order's ACTIVE,
+ *                                              unexpired reservations
+ *   release(orderId, { slotId }?)           -> ACTIVE reservations -> RELEASED
+ *   releaseExpired()                        -> number of lapsed ACTIVE reservations
+ *                                              marked RELEASED
+ *   setStatus(id, status)
+ *
+ * items are [{ slot_id, quantity }], one entry per slot. blocked maps slot_id
+ * to units that may not be sold (expired or recalled lots). Available stock =
+ * current_stock - active reservations - blocked units.
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { placeholders } = require("./sql");
+const { toTime } = require("./memoryStore");
+
+// Thrown inside the MySQL transaction so the reservations made so far roll back
+class Shortage extends Error {
+  constructor(shortage) {
+    super(`Insufficient stock for slot ${shortage.slot_id}`);
+    this.shortage = shortage;
+  }
+}
+
+function sumBySlot(rows) {
+  const totals = new Map();
+  for (const row of rows) {
+    totals.set(row.slot_id, (totals.get(row.slot_id) || 0) + row.quantity);
+  }
+  return [...totals].map(([slot_id, quantity]) => ({ slot_id, quantity }));
+}
+
+class MySQLReservationRepository {
+  async activeQuantities(slotIds) {
+    if (slotIds.length === 0) return [];
+    const rows = await db.query(
+      `SELECT slot_id, SUM(quantity) as quantity
+       FROM stock_reservations
+       WHERE status = 'ACTIVE'
+         AND (expires_at IS NULL OR expires_at > NOW())
+         AND slot_id IN (${placeholders(slotIds)})
+       GROUP BY slot_id`,
+      slotIds
+    );
+    return rows.map((row) => ({
+      slot_id: row.slot_id,
+      quantity: Number(row.quantity),
+    }));
+  }
+
+  async reserve(orderId, machineId, items, expiresAt, blocked) {
+    try {
+      await db.transaction(async (connection) => {
+        for (const { slot_id, quantity } of items) {
+          // Lock the slot row so concurrent orders queue up behind this one
+          const [slots] = await connection.execute(
+            "SELECT current_stock FROM slots WHERE id = ? FOR UPDATE",
+            [slot_id]
+          );
+          const [reserved] = await connection.execute(
+            `SELECT COALESCE(SUM(quantity), 0) as reserved
+             FROM stock_reservations
+             WHERE slot_id = ? AND status = 'ACTIVE'
+               AND (expires_at IS NULL OR expires_at > NOW())`,
+            [slot_id]
+          );
+
+          const available =
+            (slots[0]?.current_stock || 0) -
+            Number(reserved[0].reserved) -
+            (blocked.get(slot_id) || 0);
+          if (available < quantity) {
+            throw new Shortage({
+              slot_id,
+              available: Math.max(0, available),
+              requested: quantity,
+            });
+          }
+
+          await connection.execute(
+            `INSERT INTO stock_reservations (order_id, machine_id, slot_id, quantity, status, expires_at)
+             VALUES (?, ?, ?, ?, 'ACTIVE', ?)`,
+            [orderId, machineId, slot_id, quantity, new Date(expiresAt)]
+          );
+        }
+      });
+      return null;
+    } catch (error) {
+      if (error instanceof Shortage) return error.shortage;
+      throw error;
+    }
+  }
+
+  async findByOrderSlot(orderId, slotId) {
+    const rows = await db.query(
+      "SELECT * FROM stock_reservations WHERE order_id = ? AND slot_id = ?",
+      [orderId, slotId]
+    );
+    return rows[0] || null;
+  }
+
+  async hold(orderId) {
+    await db.query(
+      `UPDATE stock_reservations
+       SET expires_at = NULL
+       WHERE order_id = ? AND status = 'ACTIVE'
+         AND (expires_at IS NULL OR expires_at > NOW())`,
+      [orderId]
+    );
+  }
+
+  async release(orderId, { slotId } = {}) {
+    let sql = `UPDATE stock_reservations SET status = 'RELEASED'
+       WHERE order_id = ? AND status = 'ACTIVE'`;
+    const params = [orderId];
+    if (slotId) {
+      sql += " AND slot_id = ?";
+      params.push(slotId);
+    }
+    await db.query(sql, params);
+  }
+
+  async releaseExpired() {
+    const result = await db.query(
+      `UPDATE stock_reservations SET status = 'RELEASED'
+       WHERE status = 'ACTIVE' AND expires_at IS NOT NULL AND expires_at <= NOW()`
+    );
+    return result.affectedRows;
+  }
+
+  async setStatus(id, status) {
+    await db.query("UPDATE stock_reservations SET status = ? WHERE id = ?", [
+      status,
+      id,
+    ]);
+  }
+}
+
+class SupabaseReservationRepository {
+  async activeQuantities(slotIds) {
+    if (slotIds.length === 0) return [];
+    const { data, error } = await supabase
+      .from("stock_reservations")
+      .select("slot_id, quantity")
+      .in("slot_id", slotIds)
+      .eq("status", "ACTIVE")
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    if (error) throw error;
+    return sumBySlot(data);
+  }
+
+  // No row locks over the REST API: insert first, then verify the slots are
+  // not oversubscribed and back out if one is
+  async reserve(orderId, machineId, items, expiresAt, blocked) {
+    const { error } = await supabase.from("stock_reservations").insert(
+      items.map(({ slot_id, quantity }) => ({
+        order_id: orderId,
+        machine_id: machineId,
+        slot_id,
+        quantity,
+        status: "ACTIVE",
+        expires_at: expiresAt,
+      }))
+    );
+    if (error) throw error;
+
+    const slotIds = items.map((item) => item.slot_id);
+    const { data: slots, error: slotError } = await supabase
+      .from("slots")
+      .select("id, current_stock")
+      .in("id", slotIds);
+    if (slotError) throw slotError;
+
+    const reserved = new Map(
+      (await this.activeQuantities(slotIds)).map((row) => [
+        row.slot_id,
+        row.quantity,
+      ])
+    );
+    for (const { slot_id, quantity } of items) {
+      const stock = slots.find((s) => s.id === slot_id)?.current_stock || 0;
+      const available =
+        stock - (reserved.get(slot_id) || 0) - (blocked.get(slot_id) || 0);
+      if (available < 0) {
+        await this.release(orderId);
+        return {
+          slot_id,
+          available: Math.max(0, available + quantity),
+          requested: quantity,
+        };
+      }
+    }
+    return null;
+  }
+
+  async findByOrderSlot(orderId, slotId) {
+    const { data, error } = await supabase
+      .from("stock_reservations")
+      .select("*")
+      .eq("order_id", orderId)
+      .eq("slot_id", slotId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async hold(orderId) {
+    const { error } = await supabase
+      .from("stock_reservations")
+      .update({ expires_at: null })
+      .eq("order_id", orderId)
+      .eq("status", "ACTIVE")
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    if (error) throw error;
+  }
+
+  async release(orderId, { slotId } = {}) {
+    let query = supabase
+      .from("stock_reservations")
+      .update({ status: "RELEASED" })
+      .eq("order_id", orderId)
+      .eq("status", "ACTIVE");
+    if (slotId) {
+      query = query.eq("slot_id", slotId);
+    }
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  async releaseExpired() {
+    const { data, error } = await supabase
+      .from("stock_reservations")
+      .update({ status: "RELEASED" })
+      .eq("status", "ACTIVE")
+      .lt("expires_at", new Date().toISOString())
+      .select("id");
+    if (error) throw error;
+    return data.length;
+  }
+
+  async setStatus(id, status) {
+    const { error } = await supabase
+      .from("stock_reservations")
+      .update({ status })
+      .eq("id", id);
+    if (error) throw error;
+  }
+}
+
+class MemoryReservationRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  isActive(reservation, now = Date.now()) {
+    return (
+      reservation.status === "ACTIVE" &&
+      (!reservation.expires_at || toTime(reservation.expires_at) > now)
+    );
+  }
+
+  async activeQuantities(slotIds) {
+    const ids = slotIds.map(Number);
+    return sumBySlot(
+      this.store.filter(
+        "stock_reservations",
+        (r) => ids.includes(r.slot_id) && this.isActive(r)
+      )
+    );
+  }
+
+  // Nothing awaits between the check and the insert, so no lock is needed
+  async reserve(orderId, machineId, items, expiresAt, blocked) {
+    const reserved = new Map(
+      (await this.activeQuantities(items.map((item) => item.slot_id))).map(
+        (row) => [row.slot_id, row.quantity]
+      )
+    );
+    for (const { slot_id, quantity } of items) {
+      const slot = this.store.find("slots", (s) => s.id === slot_id);
+      const available =
+        (slot?.current_stock || 0) -
+        (reserved.get(slot_id) || 0) -
+        (blocked.get(slot_id) || 0);
+      if (available < quantity) {
+        return {
+          slot_id,
+          available: Math.max(0, available),
+          requested: quantity,
+        };
+      }
+    }
+
+    for (const { slot_id, quantity } of items) {
+      this.store.insert("stock_reservations", {
+        order_id: orderId,
+        machine_id: machineId,
+        slot_id,
+        quantity,
+        status: "ACTIVE",
+        expires_at: new Date(expiresAt).toISOString(),
+      });
+    }
+    return null;
+  }
+
+  async findByOrderSlot(orderId, slotId) {
+    return this.store.find(
+      "stock_reservations",
+      (r) => r.order_id === orderId && r.slot_id === Number(slotId)
+    );
+  }
+
+  async hold(orderId) {
+    this.store.update(
+      "stock_reservations",
+      (r) => r.order_id === orderId && this.isActive(r),
+      { expires_at: null }
+    );
+  }
+
+  async release(orderId, { slotId } = {}) {
+    this.store.update(
+      "stock_reservations",
+      (r) =>
+        r.order_id === orderId &&
+        r.status === "ACTIVE" &&
+        (!slotId || r.slot_id === Number(slotId)),
+      { status: "RELEASED" }
+    );
+  }
+
+  async releaseExpired() {
+    const now = Date.now();
+    return this.store.update(
+      "stock_reservations",
+      (r) =>
+        r.status === "ACTIVE" &&
+        Boolean(r.expires_at) &&
+        toTime(r.expires_at) <= now,
+      { status: "RELEASED" }
+    );
+  }
+
+  async setStatus(id, status) {
+    this.store.update("stock_reservations", (r) => r.id === id, { status });
+  }
+}
+
+module.exports = {
+  MySQLReservationRepository,
+  SupabaseReservationRepository,
+  MemoryReservationRepository,
+};
@@ -0,0 +1,275 @@
+/**
+ * Restock plan repository - daily restock plans and the slots they load
+ *
+ * Interface:
+ *   create(plan, items)                  -> { id }; plan and items are written together
+ *   findById(id)                         -> plan or null
+ *   update(id, fields)
+ *   list({ status, planDate, limit, offset })
+ *                                        -> { plans, total }, newest first
+ *   listItems(planId, { machineId })     -> items ordered by machine and slot number
+ *   updateItem(id, fields)
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, formatDate } = require("./sql");
+const { byField } = require("./memoryStore");
+
+// mysql2 returns DECIMAL as a string
+function parsePlan(plan) {
+  if (!plan) return null;
+  return {
+    ...plan,
+    plan_date: formatDate(plan.plan_date),
+    forecast_days: Number(plan.forecast_days),
+  };
+}
+
+function parseItem(item) {
+  return { ...item, forecast_sales: Number(item.forecast_sales) };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["completed_at", "confirmed_at"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+class MySQLRestockPlanRepository {
+  async create(plan, items) {
+    return db.transaction(async (connection) => {
+      const insert = buildInsert("restock_plans", plan);
+      const [result] = await connection.execute(insert.sql, insert.params);
+
+      for (const item of items) {
+        const itemInsert = buildInsert("restock_plan_items", {
+          plan_id: result.insertId,
+          ...item,
+        });
+        await connection.execute(itemInsert.sql, itemInsert.params);
+      }
+
+      return { id: result.insertId };
+    });
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM restock_plans WHERE id = ?", [
+      id,
+    ]);
+    return parsePlan(rows[0]);
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE restock_plans SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async list({ status, planDate, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+    if (planDate) {
+      conditions.push("plan_date = ?");
+      params.push(planDate);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const rows = await db.query(
+      `SELECT * FROM restock_plans ${where}
+       ORDER BY plan_date DESC, id DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM restock_plans ${where}`,
+      params
+    );
+
+    return { plans: rows.map(parsePlan), total: count[0].total };
+  }
+
+  async listItems(planId, { machineId } = {}) {
+    let sql = "SELECT * FROM restock_plan_items WHERE plan_id = ?";
+    const params = [planId];
+    if (machineId) {
+      sql += " AND machine_id = ?";
+      params.push(machineId);
+    }
+
+    const rows = await db.query(
+      `${sql} ORDER BY machine_id, slot_number`,
+      params
+    );
+    return rows.map(parseItem);
+  }
+
+  async updateItem(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE restock_plan_items SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+}
+
+class SupabaseRestockPlanRepository {
+  async create(plan, items) {
+    const { data, error } = await supabase
+      .from("restock_plans")
+      .insert(plan)
+      .select("id")
+      .single();
+    if (error) throw error;
+
+    if (items.length > 0) {
+      const { error: itemsError } = await supabase
+        .from("restock_plan_items")
+        .insert(items.map((item) => ({ plan_id: data.id, ...item })));
+      if (itemsError) {
+        // Don't leave a plan without its items behind
+        await supabase.from("restock_plans").delete().eq("id", data.id);
+        throw itemsError;
+      }
+    }
+
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("restock_plans")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return parsePlan(data);
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("restock_plans")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async list({ status, planDate, limit = 50, offset = 0 } = {}) {
+    let query = supabase.from("restock_plans").select("*", { count: "exact" });
+    if (status) query = query.eq("status", status);
+    if (planDate) query = query.eq("plan_date", planDate);
+
+    const { data, error, count } = await query
+      .order("plan_date", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { plans: data.map(parsePlan), total: count ?? data.length };
+  }
+
+  async listItems(planId, { machineId } = {}) {
+    let query = supabase
+      .from("restock_plan_items")
+      .select("*")
+      .eq("plan_id", planId);
+    if (machineId) query = query.eq("machine_id", machineId);
+
+    const { data, error } = await query
+      .order("machine_id", { ascending: true })
+      .order("slot_number", { ascending: true });
+    if (error) throw error;
+    return data.map(parseItem);
+  }
+
+  async updateItem(id, fields) {
+    const { error } = await supabase
+      .from("restock_plan_items")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+}
+
+class MemoryRestockPlanRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(plan, items) {
+    const row = this.store.insert("restock_plans", {
+      status: "OPEN",
+      ...plan,
+    });
+    for (const item of items) {
+      this.store.insert("restock_plan_items", {
+        status: "PENDING",
+        loaded_quantity: null,
+        ...item,
+        plan_id: row.id,
+      });
+    }
+    return { id: row.id };
+  }
+
+  async findById(id) {
+    return this.store.find("restock_plans", (p) => p.id === Number(id));
+  }
+
+  async update(id, fields) {
+    this.store.update("restock_plans", (p) => p.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async list({ status, planDate, limit = 50, offset = 0 } = {}) {
+    const plans = this.store
+      .filter(
+        "restock_plans",
+        (p) =>
+          (!status || p.status === status) &&
+          (!planDate || p.plan_date === planDate)
+      )
+      .sort(byField("id", "desc"))
+      .sort(byField("plan_date", "desc"));
+
+    return {
+      plans: plans.slice(offset, offset + limit),
+      total: plans.length,
+    };
+  }
+
+  async listItems(planId, { machineId } = {}) {
+    return this.store
+      .filter(
+        "restock_plan_items",
+        (item) =>
+          item.plan_id === Number(planId) &&
+          (!machineId || item.machine_id === machineId)
+      )
+      .sort(byField("slot_number"))
+      .sort(byField("machine_id"));
+  }
+
+  async updateItem(id, fields) {
+    this.store.update("restock_plan_items", (item) => item.id === id, fields);
+  }
+}
+
+module.exports = {
+  MySQLRestockPlanRepository,
+  SupabaseRestockPlanRepository,
+  MemoryRestockPlanRepository,
+};
@@ -0,0 +1,816 @@
+/**
+ * Slot repository - slots, their products and the stock log
+ *
+ * Interface:
+ *   listByMachine(machineId)                 -> slots with product_name, image_url
+ *   findById(slotId)                         -> slot or null
+ *   findByNumber(machineId, slotNumber)      -> slot or null
+ *   findForSale(slotId, machineId)           -> active slot with product_name, price,
+ *                                               product_active; null if missing/inactive
+ *   updateStock(slotId, quantity, log?)      -> set current_stock, optionally with a
+ *                                               stock_logs row in the same transaction
+ *   setStockByNumber(machineId, slotNumber, quantity)
+ *   addStockLogs(logs)                       -> insert stock_logs rows
+ *   listStockLogs(machineId, { limit, offset, changeType, visitId })
+ *                                            -> { logs, total } with slot_number, product_name
+ *   applyStockChanges(changes, { changeType, reason, performedBy, visitId })
+ *                                            -> stock_logs rows written; changes are
+ *                                               [{ slot_id, quantity, change_type? }],
+ *                                               applied in order in one transaction
+ *   dispensedSince(machineIds, since)        -> [{ slot_id, quantity }] units dispensed per slot
+ *   listDispenseLogs(machineId, since)       -> [{ slot_id, quantity, created_at }] DISPENSE
+ *                                               logs, oldest first, quantity positive
+ *   findOrderDispenseLog(orderId, slotId)    -> latest DISPENSE stock_logs row written for
+ *                                               the order (reason "Order <id>"), or null
+ *   create(slot)                             -> { id }
+ *   remove(slotId)
+ *   hasHistory(slotId)                       -> true when orders, reservations or stock
+ *                                               logs refer to the slot
+ *   existingProductIds(productIds)           -> the ids that exist in products
+ *   applyLayout(changes, { reason, performedBy })
+ *                                            -> PLANOGRAM stock_logs rows written; changes
+ *                                               are [{ slot_id?, fields, clearStock?, reason? }]
+ *                                               applied in one transaction
+ *
+ * applyStockChanges follows POST /api/stock/update: RESTOCK adds quantity up to
+ * capacity, DISPENSE takes quantity off (not below zero), MANUAL_ADJUST and AUDIT
+ * set the count.
+ *
+ * applyLayout creates the slots without slot_id (fields carry machine_id and
+ * slot_number) and updates the others. Swapped slots (clearStock) are emptied
+ * and a smaller capacity caps the stock; both are logged as PLANOGRAM.
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, placeholders } = require("./sql");
+const { byField, toTime } = require("./memoryStore");
+
+function nextStock(changeType, slot, quantity) {
+  if (changeType === "RESTOCK") {
+    return Math.min(slot.current_stock + quantity, slot.capacity);
+  }
+  if (changeType === "DISPENSE") {
+    return Math.max(0, slot.current_stock - quantity);
+  }
+  return Math.min(Math.max(quantity, 0), slot.capacity);
+}
+
+// DISPENSE logs carry negative quantity_change
+function sumBySlot(logs) {
+  const totals = new Map();
+  for (const log of logs) {
+    totals.set(
+      log.slot_id,
+      (totals.get(log.slot_id) || 0) - log.quantity_change
+    );
+  }
+  return [...totals].map(([slot_id, quantity]) => ({ slot_id, quantity }));
+}
+
+function stockLog(
+  slot,
+  quantityAfter,
+  changeType,
+  { reason, performedBy, visitId }
+) {
+  return {
+    machine_id: slot.machine_id,
+    slot_id: slot.id,
+    change_type: changeType,
+    quantity_before: slot.current_stock,
+    quantity_after: quantityAfter,
+    quantity_change: quantityAfter - slot.current_stock,
+    reason,
+    performed_by: performedBy,
+    visit_id: visitId,
+  };
+}
+
+// Stock of an existing slot after a layout change
+function layoutStock(slot, change) {
+  if (change.clearStock) return 0;
+  const capacity = change.fields.capacity ?? slot.capacity;
+  return Math.min(slot.current_stock, capacity);
+}
+
+// Tables whose rows keep a slot from being deleted
+const SLOT_REFERENCES = [
+  "orders",
+  "order_items",
+  "stock_reservations",
+  "stock_logs",
+];
+
+class MySQLSlotRepository {
+  async listByMachine(machineId) {
+    return db.query(
+      `SELECT s.*, p.name as product_name, p.image_url
+       FROM slots s
+       LEFT JOIN products p ON s.product_id = p.id
+       WHERE s.machine_id = ?
+       ORDER BY s.slot_number ASC`,
+      [machineId]
+    );
+  }
+
+  async findById(slotId) {
+    const rows = await db.query("SELECT * FROM slots WHERE id = ?", [slotId]);
+    return rows[0] || null;
+  }
+
+  async findByNumber(machineId, slotNumber) {
+    const rows = await db.query(
+      "SELECT * FROM slots WHERE machine_id = ? AND slot_number = ?",
+      [machineId, slotNumber]
+    );
+    return rows[0] || null;
+  }
+
+  async findForSale(slotId, machineId) {
+    const rows = await db.query(
+      `SELECT s.*, p.name as product_name, p.price, p.is_active as product_active
+       FROM slots s
+       JOIN products p ON s.product_id = p.id
+       WHERE s.id = ? AND s.machine_id = ? AND s.is_active = 1`,
+      [slotId, machineId]
+    );
+    return rows[0] || null;
+  }
+
+  async updateStock(slotId, quantity, log = null) {
+    await db.transaction(async (connection) => {
+      await connection.execute(
+        "UPDATE slots SET current_stock = ? WHERE id = ?",
+        [quantity, slotId]
+      );
+
+      if (log) {
+        const insert = buildInsert("stock_logs", log);
+        await connection.execute(insert.sql, insert.params);
+      }
+    });
+  }
+
+  async setStockByNumber(machineId, slotNumber, quantity) {
+    await db.query(
+      "UPDATE slots SET current_stock = ? WHERE machine_id = ? AND slot_number = ?",
+      [quantity, machineId, slotNumber]
+    );
+  }
+
+  async addStockLogs(logs) {
+    for (const log of logs) {
+      const insert = buildInsert("stock_logs", log);
+      await db.query(insert.sql, insert.params);
+    }
+  }
+
+  async listStockLogs(
+    machineId,
+    { limit = 50, offset = 0, changeType, visitId } = {}
+  ) {
+    let where = "WHERE sl.machine_id = ?";
+    const params = [machineId];
+    if (changeType) {
+      where += " AND sl.change_type = ?";
+      params.push(changeType);
+    }
+    if (visitId) {
+      where += " AND sl.visit_id = ?";
+      params.push(visitId);
+    }
+
+    const logs = await db.query(
+      `SELECT sl.*, s.slot_number, p.name as product_name
+       FROM stock_logs sl
+       JOIN slots s ON sl.slot_id = s.id
+       LEFT JOIN products p ON s.product_id = p.id
+       ${where}
+       ORDER BY sl.created_at DESC, sl.id DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM stock_logs sl ${where}`,
+      params
+    );
+
+    return { logs, total: count[0].total };
+  }
+
+  async applyStockChanges(changes, options) {
+    return db.transaction(async (connection) => {
+      const logs = [];
+      for (const change of changes) {
+        const [rows] = await connection.execute(
+          "SELECT * FROM slots WHERE id = ? FOR UPDATE",
+          [change.slot_id]
+        );
+        if (!rows[0]) throw new Error(`Slot ${change.slot_id} not found`);
+
+        const changeType = change.change_type || options.changeType;
+        const quantity = nextStock(changeType, rows[0], change.quantity);
+        await connection.execute(
+          "UPDATE slots SET current_stock = ? WHERE id = ?",
+          [quantity, change.slot_id]
+        );
+
+        const log = stockLog(rows[0], quantity, changeType, options);
+        const insert = buildInsert("stock_logs", log);
+        await connection.execute(insert.sql, insert.params);
+        logs.push(log);
+      }
+      return logs;
+    });
+  }
+
+  async dispensedSince(machineIds, since) {
+    if (machineIds.length === 0) return [];
+    return db.query(
+      `SELECT slot_id, -SUM(quantity_change) as quantity
+       FROM stock_logs
+       WHERE change_type = 'DISPENSE' AND created_at >= ?
+         AND machine_id IN (${placeholders(machineIds)})
+       GROUP BY slot_id`,
+      [new Date(since), ...machineIds]
+    );
+  }
+
+  async listDispenseLogs(machineId, since) {
+    return db.query(
+      `SELECT slot_id, -quantity_change as quantity, created_at
+       FROM stock_logs
+       WHERE change_type = 'DISPENSE' AND machine_id = ? AND created_at >= ?
+       ORDER BY created_at ASC, id ASC`,
+      [machineId, new Date(since)]
+    );
+  }
+
+  async findOrderDispenseLog(orderId, slotId) {
+    const rows = await db.query(
+      `SELECT * FROM stock_logs
+       WHERE change_type = 'DISPENSE' AND slot_id = ? AND reason = ?
+       ORDER BY id DESC
+       LIMIT 1`,
+      [slotId, `Order ${orderId}`]
+    );
+    return rows[0] || null;
+  }
+
+  async create(slot) {
+    const insert = buildInsert("slots", slot);
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async remove(slotId) {
+    await db.query("DELETE FROM slots WHERE id = ?", [slotId]);
+  }
+
+  async hasHistory(slotId) {
+    for (const table of SLOT_REFERENCES) {
+      const rows = await db.query(
+        `SELECT 1 FROM ${table} WHERE slot_id = ? LIMIT 1`,
+        [slotId]
+      );
+      if (rows.length > 0) return true;
+    }
+    return false;
+  }
+
+  async existingProductIds(productIds) {
+    if (productIds.length === 0) return [];
+    const rows = await db.query(
+      `SELECT id FROM products WHERE id IN (${placeholders(productIds)})`,
+      productIds
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async applyLayout(changes, options) {
+    return db.transaction(async (connection) => {
+      const logs = [];
+      for (const change of changes) {
+        if (!change.slot_id) {
+          const insert = buildInsert("slots", change.fields);
+          await connection.execute(insert.sql, insert.params);
+          continue;
+        }
+
+        const [rows] = await connection.execute(
+          "SELECT * FROM slots WHERE id = ? FOR UPDATE",
+          [change.slot_id]
+        );
+        if (!rows[0]) throw new Error(`Slot ${change.slot_id} not found`);
+
+        const quantity = layoutStock(rows[0], change);
+        const set = buildSet({ ...change.fields, current_stock: quantity });
+        await connection.execute(
+          `UPDATE slots SET ${set.clause} WHERE id = ?`,
+          [...set.params, change.slot_id]
+        );
+
+        if (change.clearStock || quantity !== rows[0].current_stock) {
+          const log = stockLog(rows[0], quantity, "PLANOGRAM", {
+            ...options,
+            reason: change.reason || options.reason,
+          });
+          const insert = buildInsert("stock_logs", log);
+          await connection.execute(insert.sql, insert.params);
+          logs.push(log);
+        }
+      }
+      return logs;
+    });
+  }
+}
+
+class SupabaseSlotRepository {
+  flatten({ products, ...slot }) {
+    return {
+      ...slot,
+      product_name: products?.name ?? null,
+      image_url: products?.image_url ?? null,
+    };
+  }
+
+  async listByMachine(machineId) {
+    const { data, error } = await supabase
+      .from("slots")
+      .select("*, products(name, image_url)")
+      .eq("machine_id", machineId)
+      .order("slot_number", { ascending: true });
+    if (error) throw error;
+    return data.map((slot) => this.flatten(slot));
+  }
+
+  async findById(slotId) {
+    const { data, error } = await supabase
+      .from("slots")
+      .select("*")
+      .eq("id", slotId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findByNumber(machineId, slotNumber) {
+    const { data, error } = await supabase
+      .from("slots")
+      .select("*")
+      .eq("machine_id", machineId)
+      .eq("slot_number", slotNumber)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findForSale(slotId, machineId) {
+    const { data, error } = await supabase
+      .from("slots")
+      .select("*, products (id, name, price, is_active)")
+      .eq("id", slotId)
+      .eq("machine_id", machineId)
+      .eq("is_active", true)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data || !data.products) return null;
+
+    const { products, ...slot } = data;
+    return {
+      ...slot,
+      product_id: products.id,
+      product_name: products.name,
+      price: products.price,
+      product_active: products.is_active,
+    };
+  }
+
+  async updateStock(slotId, quantity, log = null) {
+    const { error } = await supabase
+      .from("slots")
+      .update({ current_stock: quantity })
+      .eq("id", slotId);
+    if (error) throw error;
+
+    if (log) {
+      await this.addStockLogs([log]);
+    }
+  }
+
+  async setStockByNumber(machineId, slotNumber, quantity) {
+    const { error } = await supabase
+      .from("slots")
+      .update({ current_stock: quantity })
+      .eq("machine_id", machineId)
+      .eq("slot_number", slotNumber);
+    if (error) throw error;
+  }
+
+  async addStockLogs(logs) {
+    if (logs.length === 0) return;
+    const { error } = await supabase.from("stock_logs").insert(logs);
+    if (error) throw error;
+  }
+
+  async listStockLogs(
+    machineId,
+    { limit = 50, offset = 0, changeType, visitId } = {}
+  ) {
+    let query = supabase
+      .from("stock_logs")
+      .select("*, slots!inner(slot_number, products(name))", {
+        count: "exact",
+      })
+      .eq("machine_id", machineId)
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (changeType) {
+      query = query.eq("change_type", changeType);
+    }
+    if (visitId) {
+      query = query.eq("visit_id", visitId);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return {
+      logs: data.map(({ slots, ...log }) => ({
+        ...log,
+        slot_number: slots?.slot_number,
+        product_name: slots?.products?.name,
+      })),
+      total: count ?? data.length,
+    };
+  }
+
+  // No transactions over the REST API: slots are updated one by one
+  async applyStockChanges(changes, options) {
+    const logs = [];
+    for (const change of changes) {
+      const slot = await this.findById(change.slot_id);
+      if (!slot) throw new Error(`Slot ${change.slot_id} not found`);
+
+      const changeType = change.change_type || options.changeType;
+      const quantity = nextStock(changeType, slot, change.quantity);
+      const log = stockLog(slot, quantity, changeType, options);
+      await this.updateStock(slot.id, quantity, log);
+      logs.push(log);
+    }
+    return logs;
+  }
+
+  async dispensedSince(machineIds, since) {
+    if (machineIds.length === 0) return [];
+    const { data, error } = await supabase
+      .from("stock_logs")
+      .select("slot_id, quantity_change")
+      .eq("change_type", "DISPENSE")
+      .gte("created_at", new Date(since).toISOString())
+      .in("machine_id", machineIds);
+    if (error) throw error;
+    return sumBySlot(data);
+  }
+
+  async listDispenseLogs(machineId, since) {
+    const { data, error } = await supabase
+      .from("stock_logs")
+      .select("slot_id, quantity_change, created_at")
+      .eq("change_type", "DISPENSE")
+      .eq("machine_id", machineId)
+      .gte("created_at", new Date(since).toISOString())
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return data.map((log) => ({
+      slot_id: log.slot_id,
+      quantity: -log.quantity_change,
+      created_at: log.created_at,
+    }));
+  }
+
+  async findOrderDispenseLog(orderId, slotId) {
+    const { data, error } = await supabase
+      .from("stock_logs")
+      .select("*")
+      .eq("change_type", "DISPENSE")
+      .eq("slot_id", slotId)
+      .eq("reason", `Order ${orderId}`)
+      .order("id", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async create(slot) {
+    const { data, error } = await supabase
+      .from("slots")
+      .insert(slot)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async remove(slotId) {
+    const { error } = await supabase.from("slots").delete().eq("id", slotId);
+    if (error) throw error;
+  }
+
+  async hasHistory(slotId) {
+    for (const table of SLOT_REFERENCES) {
+      const { data, error } = await supabase
+        .from(table)
+        .select("slot_id")
+        .eq("slot_id", slotId)
+        .limit(1);
+      if (error) throw error;
+      if (data.length > 0) return true;
+    }
+    return false;
+  }
+
+  async existingProductIds(productIds) {
+    if (productIds.length === 0) return [];
+    const { data, error } = await supabase
+      .from("products")
+      .select("id")
+      .in("id", productIds);
+    if (error) throw error;
+    return data.map((row) => row.id);
+  }
+
+  // No transactions over the REST API: slots are written one by one
+  async applyLayout(changes, options) {
+    const logs = [];
+    for (const change of changes) {
+      if (!change.slot_id) {
+        await this.create(change.fields);
+        continue;
+      }
+
+      const slot = await this.findById(change.slot_id);
+      if (!slot) throw new Error(`Slot ${change.slot_id} not found`);
+
+      const quantity = layoutStock(slot, change);
+      const { error } = await supabase
+        .from("slots")
+        .update({ ...change.fields, current_stock: quantity })
+        .eq("id", slot.id);
+      if (error) throw error;
+
+      if (change.clearStock || quantity !== slot.current_stock) {
+        const log = stockLog(slot, quantity, "PLANOGRAM", {
+          ...options,
+          reason: change.reason || options.reason,
+        });
+        await this.addStockLogs([log]);
+        logs.push(log);
+      }
+    }
+    return logs;
+  }
+}
+
+class MemorySlotRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  product(productId) {
+    return this.store.find("products", (product) => product.id === productId);
+  }
+
+  async listByMachine(machineId) {
+    return this.store
+      .filter("slots", (slot) => slot.machine_id === machineId)
+      .sort(byField("slot_number"))
+      .map((slot) => {
+        const product = this.product(slot.product_id);
+        return {
+          ...slot,
+          product_name: product?.name ?? null,
+          image_url: product?.image_url ?? null,
+        };
+      });
+  }
+
+  findSlot(slotId) {
+    return this.store.find("slots", (slot) => slot.id === Number(slotId));
+  }
+
+  async findById(slotId) {
+    return this.findSlot(slotId);
+  }
+
+  async findByNumber(machineId, slotNumber) {
+    return this.store.find(
+      "slots",
+      (slot) =>
+        slot.machine_id === machineId && slot.slot_number === Number(slotNumber)
+    );
+  }
+
+  async findForSale(slotId, machineId) {
+    const slot = this.store.find(
+      "slots",
+      (s) =>
+        s.id === Number(slotId) && s.machine_id === machineId && s.is_active
+    );
+    const product = slot && this.product(slot.product_id);
+    if (!product) return null;
+
+    return {
+      ...slot,
+      product_name: product.name,
+      price: product.price,
+      product_active: product.is_active,
+    };
+  }
+
+  async updateStock(slotId, quantity, log = null) {
+    this.store.update("slots", (slot) => slot.id === Number(slotId), {
+      current_stock: quantity,
+    });
+    if (log) {
+      this.store.insert("stock_logs", log);
+    }
+  }
+
+  async setStockByNumber(machineId, slotNumber, quantity) {
+    this.store.update(
+      "slots",
+      (slot) =>
+        slot.machine_id === machineId &&
+        slot.slot_number === Number(slotNumber),
+      { current_stock: quantity }
+    );
+  }
+
+  async addStockLogs(logs) {
+    for (const log of logs) {
+      this.store.insert("stock_logs", log);
+    }
+  }
+
+  async listStockLogs(
+    machineId,
+    { limit = 50, offset = 0, changeType, visitId } = {}
+  ) {
+    const logs = this.store
+      .filter(
+        "stock_logs",
+        (log) =>
+          log.machine_id === machineId &&
+          (!changeType || log.change_type === changeType) &&
+          (!visitId || log.visit_id === Number(visitId))
+      )
+      .sort(byField("id", "desc"))
+      .sort(byField("created_at", "desc"));
+
+    return {
+      logs: logs.slice(offset, offset + limit).map((log) => {
+        const slot = this.store.find("slots", (s) => s.id === log.slot_id);
+        return {
+          ...log,
+          slot_number: slot?.slot_number,
+          product_name: slot && this.product(slot.product_id)?.name,
+        };
+      }),
+      total: logs.length,
+    };
+  }
+
+  async applyStockChanges(changes, options) {
+    const missing = changes.find((change) => !this.findSlot(change.slot_id));
+    if (missing) throw new Error(`Slot ${missing.slot_id} not found`);
+
+    return changes.map((change) => {
+      const slot = this.findSlot(change.slot_id);
+      const changeType = change.change_type || options.changeType;
+      const quantity = nextStock(changeType, slot, change.quantity);
+      const log = stockLog(slot, quantity, changeType, options);
+      this.store.update("slots", (s) => s.id === slot.id, {
+        current_stock: quantity,
+      });
+      this.store.insert("stock_logs", log);
+      return log;
+    });
+  }
+
+  async dispensedSince(machineIds, since) {
+    const from = toTime(since);
+    return sumBySlot(
+      this.store.filter(
+        "stock_logs",
+        (log) =>
+          log.change_type === "DISPENSE" &&
+          machineIds.includes(log.machine_id) &&
+          toTime(log.created_at) >= from
+      )
+    );
+  }
+
+  async listDispenseLogs(machineId, since) {
+    const from = toTime(since);
+    return this.store
+      .filter(
+        "stock_logs",
+        (log) =>
+          log.change_type === "DISPENSE" &&
+          log.machine_id === machineId &&
+          toTime(log.created_at) >= from
+      )
+      .sort(
+        (a, b) => toTime(a.created_at) - toTime(b.created_at) || a.id - b.id
+      )
+      .map((log) => ({
+        slot_id: log.slot_id,
+        quantity: -log.quantity_change,
+        created_at: log.created_at,
+      }));
+  }
+
+  async findOrderDispenseLog(orderId, slotId) {
+    const logs = this.store
+      .filter(
+        "stock_logs",
+        (log) =>
+          log.change_type === "DISPENSE" &&
+          log.slot_id === Number(slotId) &&
+          log.reason === `Order ${orderId}`
+      )
+      .sort(byField("id", "desc"));
+    return logs[0] || null;
+  }
+
+  async create(slot) {
+    const row = this.store.insert("slots", {
+      capacity: 10,
+      current_stock: 0,
+      price_override: null,
+      motor_duration_ms: 1500,
+      is_active: true,
+      ...slot,
+    });
+    return { id: row.id };
+  }
+
+  async remove(slotId) {
+    this.store.delete("slots", (slot) => slot.id === Number(slotId));
+  }
+
+  async hasHistory(slotId) {
+    return SLOT_REFERENCES.some((table) =>
+      this.store.find(table, (row) => row.slot_id === Number(slotId))
+    );
+  }
+
+  async existingProductIds(productIds) {
+    return productIds.filter((productId) => this.product(productId));
+  }
+
+  async applyLayout(changes, options) {
+    const missing = changes.find(
+      (change) => change.slot_id && !this.findSlot(change.slot_id)
+    );
+    if (missing) throw new Error(`Slot ${missing.slot_id} not found`);
+
+    const logs = [];
+    for (const change of changes) {
+      if (!change.slot_id) {
+        await this.create(change.fields);
+        continue;
+      }
+
+      const slot = this.findSlot(change.slot_id);
+      const quantity = layoutStock(slot, change);
+      this.store.update("slots", (s) => s.id === slot.id, {
+        ...change.fields,
+        current_stock: quantity,
+        updated_at: new Date().toISOString(),
+      });
+
+      if (change.clearStock || quantity !== slot.current_stock) {
+        const log = stockLog(slot, quantity, "PLANOGRAM", {
+          ...options,
+          reason: change.reason || options.reason,
+        });
+        this.store.insert("stock_logs", log);
+        logs.push(log);
+      }
+    }
+    return logs;
+  }
+}
+
+module.exports = {
+  MySQLSlotRepository,
+  SupabaseSlotRepository,
+  MemorySlotRepository,
+};
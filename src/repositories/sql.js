@@ -0,0 +1,81 @@
+/**
+ * SQL helpers shared by the MySQL repositories
+ *
+ * mysql2's execute() does not expand objects or arrays, so SET clauses,
+ * INSERT column lists and IN (...) placeholders are built here.
+ */
+
+// Objects and arrays go into JSON columns as strings
+function toColumnValue(value) {
+  if (value === undefined) return null;
+  if (value !== null && typeof value === "object" && !(value instanceof Date)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * @param {object} fields - column -> value
+ * @returns {{ clause: string, params: Array }} "a = ?, b = ?" and its values
+ */
+function buildSet(fields) {
+  const columns = Object.keys(fields).filter(
+    (key) => fields[key] !== undefined
+  );
+  return {
+    clause: columns.map((column) => `${column} = ?`).join(", "),
+    params: columns.map((column) => toColumnValue(fields[column])),
+  };
+}
+
+/**
+ * @returns {{ sql: string, params: Array }} INSERT statement for one row
+ */
+function buildInsert(table, row) {
+  const columns = Object.keys(row).filter((key) => row[key] !== undefined);
+  return {
+    sql: `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${placeholders(
+      columns
+    )})`,
+    params: columns.map((column) => toColumnValue(row[column])),
+  };
+}
+
+function placeholders(values) {
+  return values.map(() => "?").join(", ");
+}
+
+// LIMIT/OFFSET are inlined: mysql2 prepared statements reject them as numeric params
+function pageClause(limit, offset = 0) {
+  const rows = Math.max(parseInt(limit) || 0, 0);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+  return `LIMIT ${rows} OFFSET ${skip}`;
+}
+
+// JSON columns come back parsed from mysql2 but as text from older drivers
+function parseJson(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// mysql2 returns DATE columns as local-midnight Dates; keep them YYYY-MM-DD
+function formatDate(value) {
+  if (!(value instanceof Date)) return value;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+}
+
+module.exports = {
+  buildSet,
+  buildInsert,
+  placeholders,
+  pageClause,
+  parseJson,
+  formatDate,
+};
@@ -0,0 +1,398 @@
+/**
+ * Telemetry repository - raw telemetry payloads and the machine_data readings
+ *
+ * Interface:
+ *   create(machineId, data)
+ *   list(machineId, { limit, offset, from, to })  -> [{ id, data, received_at }], newest first
+ *   latest(machineId)                             -> { id, data, received_at } or null
+ *   summary(machineId, since)                     -> { total_records, earliest_record, latest_record }
+ *   recordMachineData(reading)                    -> machine_data row
+ *   listMachineData(machineId, { from, to, limit })
+ *                                                 -> readings with machines { name, location, status }
+ *   latestMachineData()                           -> newest reading per machine
+ *   todayMachineData()                            -> today's readings with machine_name, location
+ *   machineDataSince(machineId, since)            -> readings oldest first
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildInsert, pageClause, parseJson } = require("./sql");
+const { byField, toTime } = require("./memoryStore");
+
+// machine_data JSON columns
+function parseReading(reading) {
+  return {
+    ...reading,
+    stock_summary: parseJson(reading.stock_summary),
+    error_codes: parseJson(reading.error_codes),
+  };
+}
+
+function toTelemetry(row) {
+  return {
+    id: row.id,
+    data: parseJson(row.data),
+    received_at: row.received_at,
+  };
+}
+
+class MySQLTelemetryRepository {
+  async create(machineId, data) {
+    const result = await db.query(
+      "INSERT INTO telemetry (machine_id, data) VALUES (?, ?)",
+      [machineId, JSON.stringify(data)]
+    );
+    return { id: result.insertId };
+  }
+
+  async list(machineId, { limit = 50, offset = 0, from, to } = {}) {
+    let sql = "SELECT * FROM telemetry WHERE machine_id = ?";
+    const params = [machineId];
+    if (from) {
+      sql += " AND received_at >= ?";
+      params.push(new Date(from));
+    }
+    if (to) {
+      sql += " AND received_at <= ?";
+      params.push(new Date(to));
+    }
+
+    const rows = await db.query(
+      `${sql} ORDER BY received_at DESC ${pageClause(limit, offset)}`,
+      params
+    );
+    return rows.map(toTelemetry);
+  }
+
+  async latest(machineId) {
+    const rows = await this.list(machineId, { limit: 1 });
+    return rows[0] || null;
+  }
+
+  async summary(machineId, since = null) {
+    let sql = `SELECT COUNT(*) as total_records,
+                      MIN(received_at) as earliest_record,
+                      MAX(received_at) as latest_record
+               FROM telemetry
+               WHERE machine_id = ?`;
+    const params = [machineId];
+    if (since) {
+      sql += " AND received_at >= ?";
+      params.push(since);
+    }
+
+    const rows = await db.query(sql, params);
+    return rows[0];
+  }
+
+  async recordMachineData(reading) {
+    const insert = buildInsert("machine_data", reading);
+    const result = await db.query(insert.sql, insert.params);
+    const rows = await db.query("SELECT * FROM machine_data WHERE id = ?", [
+      result.insertId,
+    ]);
+    return parseReading(rows[0]);
+  }
+
+  async listMachineData(machineId, { from, to, limit = 50 } = {}) {
+    let sql = `SELECT md.*, m.name as machine_name, m.location as machine_location,
+                      m.status as machine_status
+               FROM machine_data md
+               JOIN machines m ON md.machine_id = m.id
+               WHERE md.machine_id = ?`;
+    const params = [machineId];
+    if (from) {
+      sql += " AND md.recorded_at >= ?";
+      params.push(new Date(from));
+    }
+    if (to) {
+      sql += " AND md.recorded_at <= ?";
+      params.push(new Date(to));
+    }
+
+    const rows = await db.query(
+      `${sql} ORDER BY md.recorded_at DESC ${pageClause(limit)}`,
+      params
+    );
+    return rows.map(
+      ({ machine_name, machine_location, machine_status, ...reading }) => ({
+        ...parseReading(reading),
+        machines: {
+          name: machine_name,
+          location: machine_location,
+          status: machine_status,
+        },
+      })
+    );
+  }
+
+  async latestMachineData() {
+    const rows = await db.query(
+      `SELECT md.*
+       FROM machine_data md
+       JOIN (
+         SELECT machine_id, MAX(recorded_at) as recorded_at
+         FROM machine_data
+         GROUP BY machine_id
+       ) latest ON latest.machine_id = md.machine_id
+               AND latest.recorded_at = md.recorded_at
+       ORDER BY md.recorded_at DESC`
+    );
+    return rows.map(parseReading);
+  }
+
+  async todayMachineData() {
+    const rows = await db.query(
+      `SELECT md.*, m.name as machine_name, m.location
+       FROM machine_data md
+       JOIN machines m ON md.machine_id = m.id
+       WHERE DATE(md.recorded_at) = CURDATE()
+       ORDER BY md.machine_id, md.recorded_at`
+    );
+    return rows.map(parseReading);
+  }
+
+  async machineDataSince(machineId, since) {
+    const rows = await db.query(
+      `SELECT * FROM machine_data
+       WHERE machine_id = ? AND recorded_at >= ?
+       ORDER BY recorded_at ASC`,
+      [machineId, since]
+    );
+    return rows.map(parseReading);
+  }
+}
+
+class SupabaseTelemetryRepository {
+  async create(machineId, data) {
+    const { data: row, error } = await supabase
+      .from("telemetry")
+      .insert({ machine_id: machineId, data })
+      .select("id")
+      .single();
+    if (error) throw error;
+    return row;
+  }
+
+  async list(machineId, { limit = 50, offset = 0, from, to } = {}) {
+    let query = supabase
+      .from("telemetry")
+      .select("id, data, received_at")
+      .eq("machine_id", machineId);
+    if (from) query = query.gte("received_at", new Date(from).toISOString());
+    if (to) query = query.lte("received_at", new Date(to).toISOString());
+
+    const { data, error } = await query
+      .order("received_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return data.map(toTelemetry);
+  }
+
+  async latest(machineId) {
+    const rows = await this.list(machineId, { limit: 1 });
+    return rows[0] || null;
+  }
+
+  async summary(machineId, since = null) {
+    const scoped = (query) => {
+      query = query.eq("machine_id", machineId);
+      return since
+        ? query.gte("received_at", new Date(since).toISOString())
+        : query;
+    };
+
+    const { count, error } = await scoped(
+      supabase.from("telemetry").select("id", { count: "exact", head: true })
+    );
+    if (error) throw error;
+
+    const edge = async (ascending) => {
+      const { data, error: edgeError } = await scoped(
+        supabase.from("telemetry").select("received_at")
+      )
+        .order("received_at", { ascending })
+        .limit(1)
+        .maybeSingle();
+      if (edgeError) throw edgeError;
+      return data?.received_at ?? null;
+    };
+
+    return {
+      total_records: count || 0,
+      earliest_record: await edge(true),
+      latest_record: await edge(false),
+    };
+  }
+
+  async recordMachineData(reading) {
+    const { data, error } = await supabase
+      .from("machine_data")
+      .insert(reading)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async listMachineData(machineId, { from, to, limit = 50 } = {}) {
+    let query = supabase
+      .from("machine_data")
+      .select("*, machines (name, location, status)")
+      .eq("machine_id", machineId)
+      .order("recorded_at", { ascending: false })
+      .limit(limit);
+    if (from) query = query.gte("recorded_at", from);
+    if (to) query = query.lte("recorded_at", to);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  async latestMachineData() {
+    const { data, error } = await supabase
+      .from("latest_machine_data")
+      .select("*")
+      .order("recorded_at", { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  async todayMachineData() {
+    const { data, error } = await supabase
+      .from("today_machine_data")
+      .select("*")
+      .order("machine_id")
+      .order("recorded_at");
+    if (error) throw error;
+    return data;
+  }
+
+  async machineDataSince(machineId, since) {
+    const { data, error } = await supabase
+      .from("machine_data")
+      .select("*")
+      .eq("machine_id", machineId)
+      .gte("recorded_at", new Date(since).toISOString())
+      .order("recorded_at", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+}
+
+class MemoryTelemetryRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  machine(machineId) {
+    return this.store.find("machines", (m) => m.id === machineId);
+  }
+
+  async create(machineId, data) {
+    const row = this.store.insert("telemetry", {
+      machine_id: machineId,
+      data,
+      received_at: new Date().toISOString(),
+    });
+    return { id: row.id };
+  }
+
+  rows(machineId, since = null) {
+    return this.store
+      .filter(
+        "telemetry",
+        (t) =>
+          t.machine_id === machineId &&
+          (!since || toTime(t.received_at) >= toTime(since))
+      )
+      .sort(byField("received_at", "desc"));
+  }
+
+  async list(machineId, { limit = 50, offset = 0, from, to } = {}) {
+    return this.rows(machineId, from)
+      .filter((t) => !to || toTime(t.received_at) <= toTime(to))
+      .slice(offset, offset + limit)
+      .map(toTelemetry);
+  }
+
+  async latest(machineId) {
+    const rows = await this.list(machineId, { limit: 1 });
+    return rows[0] || null;
+  }
+
+  async summary(machineId, since = null) {
+    const rows = this.rows(machineId, since);
+    return {
+      total_records: rows.length,
+      earliest_record: rows.length ? rows[rows.length - 1].received_at : null,
+      latest_record: rows.length ? rows[0].received_at : null,
+    };
+  }
+
+  async recordMachineData(reading) {
+    return this.store.insert("machine_data", reading);
+  }
+
+  readings(predicate) {
+    return this.store.filter("machine_data", predicate);
+  }
+
+  async listMachineData(machineId, { from, to, limit = 50 } = {}) {
+    const machine = this.machine(machineId);
+    return this.readings(
+      (r) =>
+        r.machine_id === machineId &&
+        (!from || toTime(r.recorded_at) >= toTime(from)) &&
+        (!to || toTime(r.recorded_at) <= toTime(to))
+    )
+      .sort(byField("recorded_at", "desc"))
+      .slice(0, limit)
+      .map((reading) => ({
+        ...reading,
+        machines: machine && {
+          name: machine.name,
+          location: machine.location,
+          status: machine.status,
+        },
+      }));
+  }
+
+  async latestMachineData() {
+    const latest = new Map();
+    for (const reading of this.readings().sort(byField("recorded_at"))) {
+      latest.set(reading.machine_id, reading);
+    }
+    return Array.from(latest.values()).sort(byField("recorded_at", "desc"));
+  }
+
+  async todayMachineData() {
+    const today = new Date().toDateString();
+    return this.readings(
+      (r) => new Date(r.recorded_at).toDateString() === today
+    )
+      .sort(byField("recorded_at"))
+      .map((reading) => {
+        const machine = this.machine(reading.machine_id);
+        return {
+          ...reading,
+          machine_name: machine?.name,
+          location: machine?.location,
+        };
+      });
+  }
+
+  async machineDataSince(machineId, since) {
+    return this.readings(
+      (r) =>
+        r.machine_id === machineId && toTime(r.recorded_at) >= toTime(since)
+    ).sort(byField("recorded_at"));
+  }
+}
+
+module.exports = {
+  MySQLTelemetryRepository,
+  SupabaseTelemetryRepository,
+  MemoryTelemetryRepository,
+};
@@ -0,0 +1,272 @@
+/**
+ * User repository - buyer accounts (users) and dashboard admins (admin_users)
+ *
+ * Interface:
+ *   findByEmail(email, { activeOnly }?)  -> user including password_hash, or null
+ *   findById(id)                         -> user including password_hash, or null
+ *   create(user)                         -> user without password_hash
+ *   update(id, fields)                   -> user without password_hash
+ *   list()                               -> users without password_hash, newest first
+ *   listFcmTokens({ roles })             -> fcm_token of active users with one of the roles
+ *   findAdminByUsername(username)        -> active admin including password_hash, or null
+ *   findAdminById(id)                    -> admin without password_hash, or null
+ *   recordAdminLogin(id)                 -> set last_login to now
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, placeholders } = require("./sql");
+const { byField } = require("./memoryStore");
+
+const USER_COLUMNS =
+  "id, email, full_name, phone, role, is_active, fcm_token, created_at, last_login";
+const ADMIN_COLUMNS = "id, username, email, role, last_login";
+
+function withoutPassword(user) {
+  if (!user) return null;
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+class MySQLUserRepository {
+  async findByEmail(email, { activeOnly = false } = {}) {
+    const rows = await db.query(
+      `SELECT * FROM users WHERE email = ?${
+        activeOnly ? " AND is_active = 1" : ""
+      }`,
+      [email]
+    );
+    return rows[0] || null;
+  }
+
+  async findById(id) {
+    const rows = await db.query("SELECT * FROM users WHERE id = ?", [id]);
+    return rows[0] || null;
+  }
+
+  async create(user) {
+    const id = user.id || uuidv4();
+    const insert = buildInsert("users", { ...user, id });
+    await db.query(insert.sql, insert.params);
+    return withoutPassword(await this.findById(id));
+  }
+
+  async update(id, fields) {
+    const set = buildSet(fields);
+    if (set.params.length > 0) {
+      await db.query(`UPDATE users SET ${set.clause} WHERE id = ?`, [
+        ...set.params,
+        id,
+      ]);
+    }
+    return withoutPassword(await this.findById(id));
+  }
+
+  async list() {
+    return db.query(
+      `SELECT ${USER_COLUMNS} FROM users ORDER BY created_at DESC`
+    );
+  }
+
+  async listFcmTokens({ roles }) {
+    if (roles.length === 0) return [];
+    const rows = await db.query(
+      `SELECT fcm_token FROM users
+       WHERE is_active = 1 AND fcm_token IS NOT NULL AND fcm_token != ''
+         AND role IN (${placeholders(roles)})`,
+      roles
+    );
+    return rows.map((row) => row.fcm_token);
+  }
+
+  async findAdminByUsername(username) {
+    const rows = await db.query(
+      "SELECT * FROM admin_users WHERE username = ? AND is_active = 1",
+      [username]
+    );
+    return rows[0] || null;
+  }
+
+  async findAdminById(id) {
+    const rows = await db.query(
+      `SELECT ${ADMIN_COLUMNS} FROM admin_users WHERE id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async recordAdminLogin(id) {
+    await db.query("UPDATE admin_users SET last_login = NOW() WHERE id = ?", [
+      id,
+    ]);
+  }
+}
+
+class SupabaseUserRepository {
+  async findByEmail(email, { activeOnly = false } = {}) {
+    let query = supabase.from("users").select("*").eq("email", email);
+    if (activeOnly) {
+      query = query.eq("is_active", true);
+    }
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async create(user) {
+    const { data, error } = await supabase
+      .from("users")
+      .insert(user)
+      .select(USER_COLUMNS)
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { data, error } = await supabase
+      .from("users")
+      .update(fields)
+      .eq("id", id)
+      .select(USER_COLUMNS)
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async list() {
+    const { data, error } = await supabase
+      .from("users")
+      .select(USER_COLUMNS)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  async listFcmTokens({ roles }) {
+    if (roles.length === 0) return [];
+    const { data, error } = await supabase
+      .from("users")
+      .select("fcm_token")
+      .eq("is_active", true)
+      .in("role", roles)
+      .not("fcm_token", "is", null)
+      .neq("fcm_token", "");
+    if (error) throw error;
+    return data.map((row) => row.fcm_token);
+  }
+
+  async findAdminByUsername(username) {
+    const { data, error } = await supabase
+      .from("admin_users")
+      .select("*")
+      .eq("username", username)
+      .eq("is_active", true)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findAdminById(id) {
+    const { data, error } = await supabase
+      .from("admin_users")
+      .select(ADMIN_COLUMNS)
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async recordAdminLogin(id) {
+    const { error } = await supabase
+      .from("admin_users")
+      .update({ last_login: new Date().toISOString() })
+      .eq("id", id);
+    if (error) throw error;
+  }
+}
+
+class MemoryUserRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findByEmail(email, { activeOnly = false } = {}) {
+    return this.store.find(
+      "users",
+      (user) =>
+        user.email === email && (!activeOnly || user.is_active !== false)
+    );
+  }
+
+  async findById(id) {
+    return this.store.find("users", (user) => user.id === id);
+  }
+
+  async create(user) {
+    return withoutPassword(
+      this.store.insert("users", { id: uuidv4(), is_active: true, ...user })
+    );
+  }
+
+  async update(id, fields) {
+    this.store.update("users", (user) => user.id === id, fields);
+    return withoutPassword(await this.findById(id));
+  }
+
+  async list() {
+    return this.store
+      .filter("users")
+      .sort(byField("created_at", "desc"))
+      .map(withoutPassword);
+  }
+
+  async listFcmTokens({ roles }) {
+    return this.store
+      .filter(
+        "users",
+        (user) =>
+          user.is_active !== false &&
+          user.fcm_token &&
+          roles.includes(user.role)
+      )
+      .map((user) => user.fcm_token);
+  }
+
+  async findAdminByUsername(username) {
+    return this.store.find(
+      "admin_users",
+      (admin) => admin.username === username && admin.is_active !== false
+    );
+  }
+
+  async findAdminById(id) {
+    return withoutPassword(
+      this.store.find("admin_users", (admin) => admin.id === Number(id))
+    );
+  }
+
+  async recordAdminLogin(id) {
+    this.store.update("admin_users", (admin) => admin.id === id, {
+      last_login: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = {
+  MySQLUserRepository,
+  SupabaseUserRepository,
+  MemoryUserRepository,
+};
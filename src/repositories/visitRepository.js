@@ -0,0 +1,231 @@
+/**
+ * Visit repository - technician visits to a machine
+ *
+ * Interface:
+ *   create(visit)                        -> { id }
+ *   findById(id)                         -> visit or null
+ *   findOpen(machineId)                  -> the machine's OPEN visit or null
+ *   update(id, fields)
+ *   list({ machineId, status, technician, limit, offset })
+ *                                        -> { visits, total }, newest first
+ *
+ * The stock changes of a visit are stock_logs rows with its visit_id
+ * (slots.listStockLogs(machineId, { visitId })).
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, parseJson } = require("./sql");
+const { byField } = require("./memoryStore");
+
+function parseVisit(visit) {
+  if (!visit) return null;
+  return {
+    ...visit,
+    door_command_sent: Boolean(visit.door_command_sent),
+    slots_before: parseJson(visit.slots_before),
+    slots_after: parseJson(visit.slots_after),
+    summary: parseJson(visit.summary),
+  };
+}
+
+// MySQL TIMESTAMP columns don't take ISO strings with a "Z" suffix
+function withDates(fields) {
+  const row = { ...fields };
+  for (const column of ["opened_at", "closed_at"]) {
+    if (row[column]) row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+class MySQLVisitRepository {
+  async create(visit) {
+    const insert = buildInsert("technician_visits", withDates(visit));
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async findById(id) {
+    const rows = await db.query(
+      "SELECT * FROM technician_visits WHERE id = ?",
+      [id]
+    );
+    return parseVisit(rows[0]);
+  }
+
+  async findOpen(machineId) {
+    const rows = await db.query(
+      `SELECT * FROM technician_visits
+       WHERE machine_id = ? AND status = 'OPEN'
+       ORDER BY id DESC LIMIT 1`,
+      [machineId]
+    );
+    return parseVisit(rows[0]);
+  }
+
+  async update(id, fields) {
+    const set = buildSet(withDates(fields));
+    await db.query(`UPDATE technician_visits SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async list({ machineId, status, technician, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (machineId) {
+      conditions.push("machine_id = ?");
+      params.push(machineId);
+    }
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+    if (technician) {
+      conditions.push("technician = ?");
+      params.push(technician);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    // Snapshots are left out of the list; fetch a visit for them
+    const rows = await db.query(
+      `SELECT id, machine_id, status, technician, technician_id,
+              door_command_sent, notes, summary, opened_at, closed_at,
+              created_at, updated_at
+       FROM technician_visits ${where}
+       ORDER BY id DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM technician_visits ${where}`,
+      params
+    );
+
+    return { visits: rows.map(parseVisit), total: count[0].total };
+  }
+}
+
+class SupabaseVisitRepository {
+  async create(visit) {
+    const { data, error } = await supabase
+      .from("technician_visits")
+      .insert(visit)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from("technician_visits")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findOpen(machineId) {
+    const { data, error } = await supabase
+      .from("technician_visits")
+      .select("*")
+      .eq("machine_id", machineId)
+      .eq("status", "OPEN")
+      .order("id", { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  async update(id, fields) {
+    const { error } = await supabase
+      .from("technician_visits")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async list({ machineId, status, technician, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from("technician_visits")
+      .select(
+        "id, machine_id, status, technician, technician_id, door_command_sent, notes, summary, opened_at, closed_at, created_at, updated_at",
+        { count: "exact" }
+      );
+    if (machineId) query = query.eq("machine_id", machineId);
+    if (status) query = query.eq("status", status);
+    if (technician) query = query.eq("technician", technician);
+
+    const { data, error, count } = await query
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { visits: data, total: count ?? data.length };
+  }
+}
+
+class MemoryVisitRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(visit) {
+    const row = this.store.insert("technician_visits", {
+      status: "OPEN",
+      opened_at: new Date().toISOString(),
+      ...visit,
+    });
+    return { id: row.id };
+  }
+
+  async findById(id) {
+    return this.store.find("technician_visits", (v) => v.id === Number(id));
+  }
+
+  async findOpen(machineId) {
+    return (
+      this.store
+        .filter(
+          "technician_visits",
+          (v) => v.machine_id === machineId && v.status === "OPEN"
+        )
+        .sort(byField("id", "desc"))[0] || null
+    );
+  }
+
+  async update(id, fields) {
+    this.store.update("technician_visits", (v) => v.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async list({ machineId, status, technician, limit = 50, offset = 0 } = {}) {
+    const visits = this.store
+      .filter(
+        "technician_visits",
+        (v) =>
+          (!machineId || v.machine_id === machineId) &&
+          (!status || v.status === status) &&
+          (!technician || v.technician === technician)
+      )
+      .sort(byField("id", "desc"))
+      .map(({ slots_before, slots_after, ...visit }) => visit);
+
+    return {
+      visits: visits.slice(offset, offset + limit),
+      total: visits.length,
+    };
+  }
+}
+
+module.exports = {
+  MySQLVisitRepository,
+  SupabaseVisitRepository,
+  MemoryVisitRepository,
+};
@@ -0,0 +1,360 @@
+/**
+ * Webhook repository - outbound webhook subscriptions and their deliveries
+ *
+ * Interface:
+ *   listSubscriptions({ activeOnly })   -> subscriptions, oldest first
+ *   findSubscription(id)                -> subscription or null
+ *   createSubscription(subscription)    -> { id }
+ *   updateSubscription(id, fields)
+ *   deleteSubscription(id)              -> deliveries are deleted with it
+ *   createDelivery(delivery)            -> { id }
+ *   findDelivery(id)                    -> delivery or null
+ *   updateDelivery(id, fields)
+ *   listDeliveries({ subscriptionId, status, eventType, limit, offset })
+ *                                       -> { deliveries, total }, newest first
+ *   listDue({ now, limit })             -> PENDING/RETRYING deliveries whose
+ *                                          next_attempt_at has passed, oldest first
+ */
+
+const db = require("../config/database");
+const { supabase } = require("../config/supabase");
+const { buildSet, buildInsert, pageClause, parseJson } = require("./sql");
+const { byField, toTime } = require("./memoryStore");
+
+const DUE_STATUSES = ["PENDING", "RETRYING"];
+
+function parseSubscription(subscription) {
+  if (!subscription) return null;
+  return {
+    ...subscription,
+    event_types: parseJson(subscription.event_types),
+    is_active: Boolean(subscription.is_active),
+  };
+}
+
+function parseDelivery(delivery) {
+  if (!delivery) return null;
+  return { ...delivery, payload: parseJson(delivery.payload) };
+}
+
+class MySQLWebhookRepository {
+  async listSubscriptions({ activeOnly = false } = {}) {
+    const rows = await db.query(
+      `SELECT * FROM webhook_subscriptions
+       ${activeOnly ? "WHERE is_active = 1" : ""}
+       ORDER BY id`
+    );
+    return rows.map(parseSubscription);
+  }
+
+  async findSubscription(id) {
+    const rows = await db.query(
+      "SELECT * FROM webhook_subscriptions WHERE id = ?",
+      [id]
+    );
+    return parseSubscription(rows[0]);
+  }
+
+  async createSubscription(subscription) {
+    const insert = buildInsert("webhook_subscriptions", subscription);
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async updateSubscription(id, fields) {
+    const set = buildSet(fields);
+    await db.query(
+      `UPDATE webhook_subscriptions SET ${set.clause} WHERE id = ?`,
+      [...set.params, id]
+    );
+  }
+
+  async deleteSubscription(id) {
+    await db.query("DELETE FROM webhook_subscriptions WHERE id = ?", [id]);
+  }
+
+  async createDelivery(delivery) {
+    const insert = buildInsert("webhook_deliveries", delivery);
+    const result = await db.query(insert.sql, insert.params);
+    return { id: result.insertId };
+  }
+
+  async findDelivery(id) {
+    const rows = await db.query(
+      "SELECT * FROM webhook_deliveries WHERE id = ?",
+      [id]
+    );
+    return parseDelivery(rows[0]);
+  }
+
+  async updateDelivery(id, fields) {
+    const set = buildSet(fields);
+    await db.query(`UPDATE webhook_deliveries SET ${set.clause} WHERE id = ?`, [
+      ...set.params,
+      id,
+    ]);
+  }
+
+  async listDeliveries({
+    subscriptionId,
+    status,
+    eventType,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    if (subscriptionId) {
+      conditions.push("subscription_id = ?");
+      params.push(subscriptionId);
+    }
+    if (status) {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+    if (eventType) {
+      conditions.push("event_type = ?");
+      params.push(eventType);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const rows = await db.query(
+      `SELECT * FROM webhook_deliveries ${where}
+       ORDER BY created_at DESC, id DESC
+       ${pageClause(limit, offset)}`,
+      params
+    );
+    const count = await db.query(
+      `SELECT COUNT(*) as total FROM webhook_deliveries ${where}`,
+      params
+    );
+
+    return { deliveries: rows.map(parseDelivery), total: count[0].total };
+  }
+
+  async listDue({ now = new Date(), limit = 50 } = {}) {
+    const rows = await db.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE status IN ('PENDING', 'RETRYING')
+         AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+       ORDER BY id
+       ${pageClause(limit)}`,
+      [now]
+    );
+    return rows.map(parseDelivery);
+  }
+}
+
+class SupabaseWebhookRepository {
+  async listSubscriptions({ activeOnly = false } = {}) {
+    let query = supabase.from("webhook_subscriptions").select("*");
+    if (activeOnly) query = query.eq("is_active", true);
+
+    const { data, error } = await query.order("id");
+    if (error) throw error;
+    return data;
+  }
+
+  async findSubscription(id) {
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async createSubscription(subscription) {
+    const { data, error } = await supabase
+      .from("webhook_subscriptions")
+      .insert(subscription)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async updateSubscription(id, fields) {
+    const { error } = await supabase
+      .from("webhook_subscriptions")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async deleteSubscription(id) {
+    const { error } = await supabase
+      .from("webhook_subscriptions")
+      .delete()
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async createDelivery(delivery) {
+    const { data, error } = await supabase
+      .from("webhook_deliveries")
+      .insert(delivery)
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async findDelivery(id) {
+    const { data, error } = await supabase
+      .from("webhook_deliveries")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async updateDelivery(id, fields) {
+    const { error } = await supabase
+      .from("webhook_deliveries")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async listDeliveries({
+    subscriptionId,
+    status,
+    eventType,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    let query = supabase
+      .from("webhook_deliveries")
+      .select("*", { count: "exact" });
+    if (subscriptionId) query = query.eq("subscription_id", subscriptionId);
+    if (status) query = query.eq("status", status);
+    if (eventType) query = query.eq("event_type", eventType);
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { deliveries: data, total: count ?? data.length };
+  }
+
+  async listDue({ now = new Date(), limit = 50 } = {}) {
+    const { data, error } = await supabase
+      .from("webhook_deliveries")
+      .select("*")
+      .in("status", DUE_STATUSES)
+      .or(`next_attempt_at.is.null,next_attempt_at.lte.${now.toISOString()}`)
+      .order("id")
+      .limit(limit);
+    if (error) throw error;
+    return data;
+  }
+}
+
+class MemoryWebhookRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listSubscriptions({ activeOnly = false } = {}) {
+    return this.store
+      .filter(
+        "webhook_subscriptions",
+        (s) => !activeOnly || s.is_active !== false
+      )
+      .sort(byField("id"));
+  }
+
+  async findSubscription(id) {
+    return this.store.find("webhook_subscriptions", (s) => s.id === Number(id));
+  }
+
+  async createSubscription(subscription) {
+    const row = this.store.insert("webhook_subscriptions", {
+      is_active: true,
+      ...subscription,
+    });
+    return { id: row.id };
+  }
+
+  async updateSubscription(id, fields) {
+    this.store.update("webhook_subscriptions", (s) => s.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async deleteSubscription(id) {
+    this.store.delete(
+      "webhook_deliveries",
+      (d) => d.subscription_id === Number(id)
+    );
+    this.store.delete("webhook_subscriptions", (s) => s.id === Number(id));
+  }
+
+  async createDelivery(delivery) {
+    const row = this.store.insert("webhook_deliveries", {
+      status: "PENDING",
+      attempts: 0,
+      ...delivery,
+    });
+    return { id: row.id };
+  }
+
+  async findDelivery(id) {
+    return this.store.find("webhook_deliveries", (d) => d.id === Number(id));
+  }
+
+  async updateDelivery(id, fields) {
+    this.store.update("webhook_deliveries", (d) => d.id === Number(id), {
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async listDeliveries({
+    subscriptionId,
+    status,
+    eventType,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const deliveries = this.store
+      .filter(
+        "webhook_deliveries",
+        (d) =>
+          (!subscriptionId || d.subscription_id === Number(subscriptionId)) &&
+          (!status || d.status === status) &&
+          (!eventType || d.event_type === eventType)
+      )
+      .sort(byField("id", "desc"));
+
+    return {
+      deliveries: deliveries.slice(offset, offset + limit),
+      total: deliveries.length,
+    };
+  }
+
+  async listDue({ now = new Date(), limit = 50 } = {}) {
+    return this.store
+      .filter(
+        "webhook_deliveries",
+        (d) =>
+          DUE_STATUSES.includes(d.status) &&
+          (!d.next_attempt_at || toTime(d.next_attempt_at) <= now.getTime())
+      )
+      .sort(byField("id"))
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  MySQLWebhookRepository,
+  SupabaseWebhookRepository,
+  MemoryWebhookRepository,
+};
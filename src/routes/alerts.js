@@ -0,0 +1,219 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const repositories = require("../repositories");
+const alertService = require("../services/alertService");
+const { authorize } = require("../middleware/auth");
+const { actor } = require("../utils/validation");
+
+const router = express.Router();
+
+const ALERT_STATUSES = ["OPEN", "ACKNOWLEDGED", "RESOLVED"];
+
+// params may only change the numeric thresholds a rule already has
+const validateRule = [
+  body("is_active").optional().isBoolean(),
+  body("severity").optional().isIn(alertService.SEVERITIES),
+  body("params")
+    .optional()
+    .isObject()
+    .custom((params, { req }) => {
+      const defaults = alertService.DEFAULT_RULES[req.params.rule_type];
+      return Object.entries(params).every(
+        ([key, value]) =>
+          defaults && key in defaults.params && Number.isFinite(value)
+      );
+    })
+    .withMessage("params must only contain the rule's numeric thresholds"),
+  body("channels")
+    .optional({ values: "null" })
+    .isArray()
+    .custom((channels) => channels.every((name) => typeof name === "string"))
+    .withMessage("channels must be an array of channel names or null"),
+];
+
+// List alerts, newest first
+router.get("/", authorize("alerts:read"), async (req, res) => {
+  try {
+    const {
+      status,
+      machine_id,
+      rule_type,
+      severity,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${ALERT_STATUSES.join(", ")}`,
+      });
+    }
+
+    const { alerts, total } = await repositories.alerts.list({
+      status,
+      machineId: machine_id,
+      ruleType: rule_type,
+      severity,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      alerts,
+      total,
+    });
+  } catch (error) {
+    console.error("List alerts error:", error);
+    res.status(500).json({
+      error: "Failed to list alerts",
+    });
+  }
+});
+
+router.get("/rules", authorize("alerts:read"), async (req, res) => {
+  try {
+    res.json({
+      rules: await alertService.getRules(),
+    });
+  } catch (error) {
+    console.error("List alert rules error:", error);
+    res.status(500).json({
+      error: "Failed to list alert rules",
+    });
+  }
+});
+
+router.put(
+  "/rules/:rule_type",
+  authorize("alerts:manage"),
+  validateRule,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { is_active, severity, params, channels } = req.body;
+      const rule = await alertService.updateRule(
+        req.params.rule_type,
+        { is_active, severity, params, channels },
+        actor(req)
+      );
+      if (!rule) {
+        return res.status(404).json({
+          error: "Alert rule not found",
+        });
+      }
+
+      res.json(rule);
+    } catch (error) {
+      console.error("Update alert rule error:", error);
+      res.status(500).json({
+        error: "Failed to update alert rule",
+      });
+    }
+  }
+);
+
+// Notification channels and whether they are configured
+router.get("/channels", authorize("alerts:manage"), (req, res) => {
+  res.json({
+    channels: alertService.listChannels(),
+  });
+});
+
+router.post(
+  "/channels/:name/test",
+  authorize("alerts:manage"),
+  async (req, res) => {
+    try {
+      const result = await alertService.sendTest(req.params.name);
+      res.json({
+        channel: req.params.name,
+        status: "SENT",
+        result,
+      });
+    } catch (error) {
+      console.error("Test alert channel error:", error.message);
+      res.status(error.status || 502).json({
+        error: error.message,
+      });
+    }
+  }
+);
+
+router.get("/:id", authorize("alerts:read"), async (req, res) => {
+  try {
+    const alert = await repositories.alerts.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        error: "Alert not found",
+      });
+    }
+
+    res.json(alert);
+  } catch (error) {
+    console.error("Get alert error:", error);
+    res.status(500).json({
+      error: "Failed to get alert",
+    });
+  }
+});
+
+// Acknowledged alerts stay open (and deduplicated) until the condition clears
+router.post(
+  "/:id/acknowledge",
+  authorize("alerts:acknowledge"),
+  async (req, res) => {
+    try {
+      const alert = await alertService.setStatus(
+        req.params.id,
+        "ACKNOWLEDGED",
+        actor(req)
+      );
+      if (!alert) {
+        return res.status(404).json({
+          error: "Alert not found",
+        });
+      }
+
+      res.json(alert);
+    } catch (error) {
+      console.error("Acknowledge alert error:", error);
+      res.status(500).json({
+        error: "Failed to acknowledge alert",
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/resolve",
+  authorize("alerts:acknowledge"),
+  async (req, res) => {
+    try {
+      const alert = await alertService.setStatus(
+        req.params.id,
+        "RESOLVED",
+        actor(req)
+      );
+      if (!alert) {
+        return res.status(404).json({
+          error: "Alert not found",
+        });
+      }
+
+      res.json(alert);
+    } catch (error) {
+      console.error("Resolve alert error:", error);
+      res.status(500).json({
+        error: "Failed to resolve alert",
+      });
+    }
+  }
+);
+
+module.exports = router;
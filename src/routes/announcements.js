@@ -1,54 +1,7 @@
 const express = require("express");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
-const { createClient } = require("@supabase/supabase-js");
-
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-// Middleware to authenticate JWT token
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: "Access token required",
-    });
-  }
-
-  jwt.verify(
-    token,
-    process.env.JWT_SECRET || "your-secret-key",
-    (err, user) => {
-      if (err) {
-        return res.status(403).json({
-          success: false,
-          message: "Invalid or expired token",
-        });
-      }
-      req.user = user;
-      next();
-    }
-  );
-}
-
-// Middleware to check if user is admin
-function authenticateAdmin(req, res, next) {
-  const allowedRoles = ["admin", "super_admin", "SUPER_ADMIN", "ADMIN"];
-
-  if (!allowedRoles.includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: "Access denied. Admin privileges required.",
-    });
-  }
-  next();
-}
+const repositories = require("../repositories");
+const { authorize } = require("../middleware/auth");
 
 /**
  * GET /announcements/active
@@ -57,42 +10,12 @@ function authenticateAdmin(req, res, next) {
 router.get("/active", async (req, res) => {
   try {
     const { platform, machine_id } = req.query; // platform: 'web' | 'mobile'
-    const now = new Date().toISOString();
-
-    // Build query
-    let query = supabase
-      .from("announcements")
-      .select(
-        "id, title, message, type, priority, icon, bg_color, text_color, has_action_button, action_button_text, action_button_url"
-      )
-      .eq("is_active", true)
-      .or(`start_date.is.null,start_date.lte.${now}`)
-      .or(`end_date.is.null,end_date.gte.${now}`);
-
-    // Filter by platform
-    if (platform === "web") {
-      query = query.eq("show_on_web", true);
-    } else if (platform === "mobile") {
-      query = query.eq("show_on_mobile", true);
-    }
 
-    // Filter by machine (if specified)
-    if (machine_id) {
-      // For JSONB array: target_machines is null OR contains machine_id
-      query = query.or(
-        `target_machines.is.null,target_machines.cs.["${machine_id}"]`
-      );
-    }
-
-    // Order and limit
-    query = query.order("priority", { ascending: false }).order("created_at", {
-      ascending: false,
+    const announcements = await repositories.announcements.listActive({
+      platform,
+      machineId: machine_id,
+      limit: 10,
     });
-    query = query.limit(10);
-
-    const { data: announcements, error } = await query;
-
-    if (error) throw error;
 
     res.json({
       success: true,
@@ -126,44 +49,20 @@ router.post("/track", async (req, res) => {
       });
     }
 
-    // Insert tracking record
-    const { error: insertError } = await supabase
-      .from("announcement_views")
-      .insert({
-        announcement_id,
-        user_id: user_id || "anonymous",
-        machine_id,
-        action,
-      });
-
-    if (insertError) throw insertError;
-
-    // Update counter in announcements table
-    const counterField =
-      action === "VIEWED"
-        ? "view_count"
-        : action === "CLICKED"
-        ? "click_count"
-        : "dismiss_count";
-
-    // Get current count
-    const { data: currentData, error: fetchError } = await supabase
-      .from("announcements")
-      .select(counterField)
-      .eq("id", announcement_id)
-      .single();
-
-    if (fetchError) throw fetchError;
-
-    // Increment counter
-    const { error: updateError } = await supabase
-      .from("announcements")
-      .update({
-        [counterField]: (currentData?.[counterField] || 0) + 1,
-      })
-      .eq("id", announcement_id);
+    // Record the interaction and bump the matching counter
+    const tracked = await repositories.announcements.track({
+      announcement_id,
+      user_id: user_id || "anonymous",
+      machine_id,
+      action,
+    });
 
-    if (updateError) throw updateError;
+    if (!tracked) {
+      return res.status(404).json({
+        success: false,
+        message: "Announcement not found",
+      });
+    }
 
     res.json({ success: true });
   } catch (error) {
@@ -180,31 +79,20 @@ router.post("/track", async (req, res) => {
  * GET /announcements (Admin only)
  * Get all announcements with pagination
  */
-router.get("/", authenticateToken, authenticateAdmin, async (req, res) => {
+router.get("/", authorize("announcements:manage"), async (req, res) => {
   try {
     const { limit = 50, offset = 0, is_active } = req.query;
 
-    let query = supabase.from("announcements").select("*");
-
-    if (is_active !== undefined) {
-      query = query.eq("is_active", is_active === "true");
-    }
-
-    query = query
-      .order("created_at", { ascending: false })
-      .range(
-        parseInt(offset),
-        parseInt(offset) + parseInt(limit) - 1
-      );
-
-    const { data: announcements, error, count } = await query;
-
-    if (error) throw error;
+    const { announcements, total } = await repositories.announcements.list({
+      isActive: is_active === undefined ? undefined : is_active === "true",
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
 
     res.json({
       success: true,
-      data: announcements || [],
-      total: count || announcements?.length || 0,
+      data: announcements,
+      total,
     });
   } catch (error) {
     console.error("Error fetching announcements:", error);
@@ -220,7 +108,7 @@ router.get("/", authenticateToken, authenticateAdmin, async (req, res) => {
  * POST /announcements (Admin only)
  * Create new announcement
  */
-router.post("/", authenticateToken, authenticateAdmin, async (req, res) => {
+router.post("/", authorize("announcements:manage"), async (req, res) => {
   try {
     const {
       title,
@@ -242,35 +130,29 @@ router.post("/", authenticateToken, authenticateAdmin, async (req, res) => {
 
     const created_by = req.user.username || req.user.email;
 
-    const { data, error } = await supabase
-      .from("announcements")
-      .insert({
-        title,
-        message,
-        type: type || "INFO",
-        priority: priority || 0,
-        icon,
-        bg_color,
-        text_color,
-        show_on_web: show_on_web !== false,
-        show_on_mobile: show_on_mobile !== false,
-        target_machines: target_machines || null,
-        start_date,
-        end_date,
-        has_action_button: has_action_button || false,
-        action_button_text,
-        action_button_url,
-        created_by,
-      })
-      .select("id")
-      .single();
-
-    if (error) throw error;
+    const created = await repositories.announcements.create({
+      title,
+      message,
+      type: type || "INFO",
+      priority: priority || 0,
+      icon,
+      bg_color,
+      text_color,
+      show_on_web: show_on_web !== false,
+      show_on_mobile: show_on_mobile !== false,
+      target_machines: target_machines || null,
+      start_date,
+      end_date,
+      has_action_button: has_action_button || false,
+      action_button_text,
+      action_button_url,
+      created_by,
+    });
 
     res.status(201).json({
       success: true,
       message: "Announcement created successfully",
-      id: data.id,
+      id: created.id,
     });
   } catch (error) {
     console.error("Error creating announcement:", error);
@@ -286,7 +168,7 @@ router.post("/", authenticateToken, authenticateAdmin, async (req, res) => {
  * PUT /announcements/:id (Admin only)
  * Update announcement
  */
-router.put("/:id", authenticateToken, authenticateAdmin, async (req, res) => {
+router.put("/:id", authorize("announcements:manage"), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -326,14 +208,9 @@ router.put("/:id", authenticateToken, authenticateAdmin, async (req, res) => {
     }
 
     // Add updated_at
-    updateData.updated_at = new Date().toISOString();
-
-    const { error } = await supabase
-      .from("announcements")
-      .update(updateData)
-      .eq("id", parseInt(id));
+    updateData.updated_at = new Date();
 
-    if (error) throw error;
+    await repositories.announcements.update(parseInt(id), updateData);
 
     res.json({
       success: true,
@@ -353,34 +230,24 @@ router.put("/:id", authenticateToken, authenticateAdmin, async (req, res) => {
  * DELETE /announcements/:id (Admin only)
  * Delete announcement
  */
-router.delete(
-  "/:id",
-  authenticateToken,
-  authenticateAdmin,
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-
-      const { error } = await supabase
-        .from("announcements")
-        .delete()
-        .eq("id", parseInt(id));
+router.delete("/:id", authorize("announcements:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-      if (error) throw error;
+    await repositories.announcements.delete(parseInt(id));
 
-      res.json({
-        success: true,
-        message: "Announcement deleted successfully",
-      });
-    } catch (error) {
-      console.error("Error deleting announcement:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to delete announcement",
-        error: error.message,
-      });
-    }
+    res.json({
+      success: true,
+      message: "Announcement deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting announcement:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete announcement",
+      error: error.message,
+    });
   }
-);
+});
 
 module.exports = router;
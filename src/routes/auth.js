@@ -1,11 +1,13 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
-const db = require("../config/database");
-const { supabase } = require("../config/supabase");
+const repositories = require("../repositories");
+const {
+  signToken,
+  signMachineToken,
+  verifyToken,
+} = require("../middleware/auth");
 
-const USE_SUPABASE = process.env.USE_SUPABASE === "true";
 const router = express.Router();
 
 // Validation middleware
@@ -29,38 +31,12 @@ router.post("/login", validateLogin, async (req, res) => {
 
     const { username, password } = req.body;
 
-    let userInfo;
-
-    if (USE_SUPABASE) {
-      // Supabase: Find user
-      const { data: userData, error } = await supabase
-        .from("admin_users")
-        .select("*")
-        .eq("username", username)
-        .eq("is_active", true)
-        .single();
-
-      if (error || !userData) {
-        return res.status(401).json({
-          error: "Invalid credentials",
-        });
-      }
-
-      userInfo = userData;
-    } else {
-      // MySQL: Find user
-      const user = await db.query(
-        `SELECT * FROM admin_users WHERE username = ? AND is_active = 1`,
-        [username]
-      );
-
-      if (user.length === 0) {
-        return res.status(401).json({
-          error: "Invalid credentials",
-        });
-      }
-
-      userInfo = user[0];
+    const userInfo = await repositories.users.findAdminByUsername(username);
+
+    if (!userInfo) {
+      return res.status(401).json({
+        error: "Invalid credentials",
+      });
     }
 
     // Check password
@@ -75,27 +51,17 @@ router.post("/login", validateLogin, async (req, res) => {
     }
 
     // Generate JWT token
-    const token = jwt.sign(
+    const token = signToken(
       {
         id: userInfo.id,
         username: userInfo.username,
         role: userInfo.role,
       },
-      process.env.JWT_SECRET || "default-secret-key",
       { expiresIn: process.env.JWT_EXPIRE || "24h" }
     );
 
     // Update last login
-    if (USE_SUPABASE) {
-      await supabase
-        .from("admin_users")
-        .update({ last_login: new Date().toISOString() })
-        .eq("id", userInfo.id);
-    } else {
-      await db.query(`UPDATE admin_users SET last_login = NOW() WHERE id = ?`, [
-        userInfo.id,
-      ]);
-    }
+    await repositories.users.recordAdminLogin(userInfo.id);
 
     res.json({
       token,
@@ -126,36 +92,22 @@ router.post("/machine", async (req, res) => {
     }
 
     // Verify machine token
-    const machine = await db.query(
-      `
-      SELECT * FROM machines WHERE id = ? AND token = ?
-    `,
-      [machine_id, token]
+    const machine = await repositories.machines.findByCredentials(
+      machine_id,
+      token
     );
 
-    if (machine.length === 0) {
+    if (!machine) {
       return res.status(401).json({
         error: "Invalid machine credentials",
       });
     }
 
     // Generate machine JWT
-    const machineToken = jwt.sign(
-      {
-        machine_id,
-        type: "machine",
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    const machineToken = signMachineToken(machine);
 
     // Update machine status
-    await db.query(
-      `
-      UPDATE machines SET status = 'ONLINE', last_seen = NOW() WHERE id = ?
-    `,
-      [machine_id]
-    );
+    await repositories.machines.touch(machine_id, "ONLINE");
 
     res.json({
       token: machineToken,
@@ -170,52 +122,26 @@ router.post("/machine", async (req, res) => {
   }
 });
 
-// Verify token middleware
-const verifyToken = (req, res, next) => {
-  const token = req.header("Authorization")?.replace("Bearer ", "");
-
-  if (!token) {
-    return res.status(401).json({
-      error: "Access denied. No token provided.",
-    });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      error: "Invalid token",
-    });
-  }
-};
-
 // Get current user info
 router.get("/me", verifyToken, async (req, res) => {
   try {
     if (req.user.type === "machine") {
-      const machine = await db.query(
-        `
-        SELECT id, name, location, status FROM machines WHERE id = ?
-      `,
-        [req.user.machine_id]
-      );
+      const machine = await repositories.machines.findById(req.user.machine_id);
 
       return res.json({
         type: "machine",
-        machine: machine[0] || null,
+        machine: machine && {
+          id: machine.id,
+          name: machine.name,
+          location: machine.location,
+          status: machine.status,
+        },
       });
     }
 
-    const user = await db.query(
-      `
-      SELECT id, username, email, role, last_login FROM admin_users WHERE id = ?
-    `,
-      [req.user.id]
-    );
+    const user = await repositories.users.findAdminById(req.user.id);
 
-    if (user.length === 0) {
+    if (!user) {
       return res.status(404).json({
         error: "User not found",
       });
@@ -223,7 +149,7 @@ router.get("/me", verifyToken, async (req, res) => {
 
     res.json({
       type: "admin",
-      user: user[0],
+      user,
     });
   } catch (error) {
     console.error("Get user info error:", error);
@@ -233,4 +159,4 @@ router.get("/me", verifyToken, async (req, res) => {
   }
 });
 
-module.exports = { router, verifyToken };
+module.exports = { router };
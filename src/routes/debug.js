@@ -1,10 +1,14 @@
 const express = require("express");
-const { supabase } = require("../config/supabase");
-const db = require("../config/database");
+const repositories = require("../repositories");
 const mqttService = require("../services/mqttService");
+const dispenseTracker = require("../services/dispenseTracker");
+const reservationService = require("../services/reservationService");
+const { verifyToken, requirePermission } = require("../middleware/auth");
 
 const router = express.Router();
-const USE_SUPABASE = process.env.USE_SUPABASE === "true";
+
+// Debug endpoints can move money and machines: admins only
+router.use(verifyToken, requirePermission("debug:access"));
 
 // Manual payment status update (for testing only - use when webhook can't reach your localhost)
 router.post("/update-payment/:orderId", async (req, res) => {
@@ -16,63 +20,28 @@ router.post("/update-payment/:orderId", async (req, res) => {
 
     const paymentStatus = status || "SUCCESS";
     const orderStatus = paymentStatus === "SUCCESS" ? "PAID" : "FAILED";
-    const now = new Date().toISOString();
-
-    if (USE_SUPABASE) {
-      // Update payment
-      const { error: paymentError } = await supabase
-        .from("payments")
-        .update({
-          status: paymentStatus,
-          gateway_transaction_id: "MANUAL_TEST",
-          payment_type: "manual",
-          processed_at: now,
-        })
-        .eq("order_id", orderId);
-
-      if (paymentError) {
-        console.error("Payment update error:", paymentError);
-        throw paymentError;
-      }
+    const now = new Date();
 
-      // Update order
-      const updateData = {
+    await repositories.payments.settle(
+      orderId,
+      {
+        status: paymentStatus,
+        gateway_transaction_id: "MANUAL_TEST",
+        payment_type: "manual",
+        processed_at: now,
+      },
+      {
         status: orderStatus,
-      };
-
-      if (paymentStatus === "SUCCESS") {
-        updateData.paid_at = now;
-      }
-
-      const { error: orderError } = await supabase
-        .from("orders")
-        .update(updateData)
-        .eq("id", orderId);
-
-      if (orderError) {
-        console.error("Order update error:", orderError);
-        throw orderError;
+        paid_at: paymentStatus === "SUCCESS" ? now : null,
       }
+    );
 
-      console.log(`✅ Payment manually updated: ${orderId} → ${paymentStatus}`);
-    } else {
-      // MySQL implementation
-      await db.query(
-        `UPDATE payments 
-         SET status = ?, gateway_transaction_id = ?, payment_type = ?, processed_at = NOW()
-         WHERE order_id = ?`,
-        [paymentStatus, "MANUAL_TEST", "manual", orderId]
-      );
-
-      const paid_at = paymentStatus === "SUCCESS" ? "NOW()" : "NULL";
-      await db.query(
-        `UPDATE orders 
-         SET status = ?, paid_at = ${paid_at}
-         WHERE id = ?`,
-        [orderStatus, orderId]
-      );
+    console.log(`✅ Payment manually updated: ${orderId} → ${paymentStatus}`);
 
-      console.log(`✅ Payment manually updated: ${orderId} → ${paymentStatus}`);
+    if (paymentStatus === "SUCCESS") {
+      await reservationService.hold(orderId);
+    } else if (paymentStatus !== "PENDING") {
+      await reservationService.release(orderId);
     }
 
     res.json({
@@ -95,49 +64,18 @@ router.post("/update-payment/:orderId", async (req, res) => {
 router.get("/order/:orderId", async (req, res) => {
   try {
     const { orderId } = req.params;
+    const order = await repositories.orders.findDetails(orderId);
+    const payment = order
+      ? await repositories.payments.findByOrderId(orderId)
+      : null;
 
-    if (USE_SUPABASE) {
-      const { data, error } = await supabase
-        .from("orders")
-        .select(
-          `
-          *,
-          products (*),
-          slots (*),
-          payments (*)
-        `
-        )
-        .eq("id", orderId)
-        .single();
-
-      if (error) {
-        throw error;
-      }
-
-      res.json({
-        success: true,
-        order: data,
-      });
-    } else {
-      const order = await db.query(
-        `SELECT o.*, 
-                p.name as product_name,
-                s.slot_number,
-                pay.status as payment_status,
-                pay.gateway_transaction_id
-         FROM orders o
-         LEFT JOIN products p ON o.product_id = p.id
-         LEFT JOIN slots s ON o.slot_id = s.id
-         LEFT JOIN payments pay ON o.id = pay.order_id
-         WHERE o.id = ?`,
-        [orderId]
-      );
-
-      res.json({
-        success: true,
-        order: order[0] || null,
-      });
-    }
+    res.json({
+      success: true,
+      order: order && {
+        ...order,
+        gateway_transaction_id: payment?.gateway_transaction_id ?? null,
+      },
+    });
   } catch (error) {
     console.error("❌ Get order error:", error);
     res.status(500).json({
@@ -150,49 +88,16 @@ router.get("/order/:orderId", async (req, res) => {
 // List all pending payments (for debugging)
 router.get("/pending-payments", async (req, res) => {
   try {
-    if (USE_SUPABASE) {
-      const { data, error } = await supabase
-        .from("orders")
-        .select(
-          `
-          *,
-          products (name),
-          payments (*)
-        `
-        )
-        .eq("status", "PENDING")
-        .order("created_at", { ascending: false })
-        .limit(20);
-
-      if (error) {
-        throw error;
-      }
-
-      res.json({
-        success: true,
-        count: data.length,
-        orders: data,
-      });
-    } else {
-      const orders = await db.query(
-        `SELECT o.*, 
-                p.name as product_name,
-                pay.status as payment_status,
-                pay.gateway_transaction_id
-         FROM orders o
-         LEFT JOIN products p ON o.product_id = p.id
-         LEFT JOIN payments pay ON o.id = pay.order_id
-         WHERE o.status = 'PENDING'
-         ORDER BY o.created_at DESC
-         LIMIT 20`
-      );
+    const { orders } = await repositories.orders.list({
+      status: "PENDING",
+      limit: 20,
+    });
 
-      res.json({
-        success: true,
-        count: orders.length,
-        orders,
-      });
-    }
+    res.json({
+      success: true,
+      count: orders.length,
+      orders,
+    });
   } catch (error) {
     console.error("❌ Get pending payments error:", error);
     res.status(500).json({
@@ -209,8 +114,10 @@ router.get("/mqtt/status", (req, res) => {
     mqtt: {
       connected: mqttService.isConnected,
       broker: process.env.MQTT_BROKER_URL || "mqtt://localhost:1883",
-      machineId: process.env.MACHINE_ID || "VM01",
+      subscriptions: Array.from(mqttService.subscriptions.keys()),
+      machines: mqttService.getMachineStates(),
     },
+    dispense_jobs: dispenseTracker.getPendingJobs(),
   });
 });
 
@@ -272,7 +179,7 @@ router.post("/mqtt/simulate-dispense-result", async (req, res) => {
       });
     }
 
-    const machineId = process.env.MACHINE_ID || "VM01";
+    const machineId = req.body.machineId || process.env.MACHINE_ID || "VM01";
 
     // Manually call the handler that would normally be triggered by MQTT
     const result = {
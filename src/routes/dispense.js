@@ -1,13 +1,30 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const db = require("../config/database");
-const { supabase } = require("../config/supabase");
 const mqttService = require("../services/mqttService");
-
-const USE_SUPABASE = process.env.USE_SUPABASE === "true";
+const dispenseTracker = require("../services/dispenseTracker");
+const repositories = require("../repositories");
+const eventBus = require("../services/eventBus");
+const realtimeService = require("../services/realtimeService");
+const {
+  authorize,
+  authorizeMachine,
+  requireOwnMachine,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
+async function orderMachine(req) {
+  if (!req.body.order_id) return null;
+  const order = await repositories.orders.findById(req.body.order_id);
+  return order?.machine_id;
+}
+
+// Dispenses may only be started and confirmed by the machine the order
+// belongs to
+const dispenseTrigger = authorizeMachine("dispense:trigger", orderMachine);
+const dispenseConfirm = authorizeMachine("dispense:confirm", orderMachine);
+const machinesMonitor = [...authorize("machines:monitor"), requireOwnMachine()];
+
 // Validate dispense request
 const validateDispense = [
   body("order_id").notEmpty().withMessage("Order ID is required"),
@@ -21,7 +38,7 @@ const validateDispense = [
 ];
 
 // Trigger dispense (called by Pi after payment confirmation)
-router.post("/trigger", async (req, res) => {
+router.post("/trigger", dispenseTrigger, async (req, res) => {
   try {
     const { order_id } = req.body;
 
@@ -35,139 +52,42 @@ router.post("/trigger", async (req, res) => {
       });
     }
 
-    let orderInfo;
-
-    if (USE_SUPABASE) {
-      console.log("🔍 Fetching order from Supabase...");
-      // Supabase: Get order with slot details
-      const { data, error } = await supabase
-        .from("orders")
-        .select(
-          `
-          *,
-          slot:slots (
-            slot_number,
-            motor_duration_ms
-          )
-        `
-        )
-        .eq("id", order_id)
-        .eq("status", "PAID")
-        .single();
-
-      console.log("📊 Supabase query result:", { data, error });
-
-      if (error || !data) {
-        console.log("❌ Order not found or not PAID status");
-
-        // Check if order exists with different status
-        const { data: anyOrder, error: checkError } = await supabase
-          .from("orders")
-          .select("id, status")
-          .eq("id", order_id)
-          .single();
-
-        console.log("🔍 Order check result:", { anyOrder, checkError });
-
-        if (anyOrder) {
-          console.log(`⚠️ Order exists but status is: ${anyOrder.status}`);
-          return res.status(400).json({
-            error: `Order status is ${anyOrder.status}, not PAID`,
-            order_id,
-            status: anyOrder.status,
-          });
-        }
-
-        return res.status(404).json({
-          error: "Order not found or not paid",
-        });
-      }
-
-      orderInfo = {
-        ...data,
-        slot_number: data.slot.slot_number,
-        motor_duration_ms: data.slot.motor_duration_ms,
-      };
+    const order = await repositories.orders.findById(order_id);
 
-      console.log("✅ Order found:", {
-        order_id: orderInfo.id,
-        status: orderInfo.status,
-        machine_id: orderInfo.machine_id,
-        slot_number: orderInfo.slot_number,
-        motor_duration_ms: orderInfo.motor_duration_ms,
+    if (!order) {
+      console.log("❌ Order not found");
+      return res.status(404).json({
+        error: "Order not found or not paid",
       });
-    } else {
-      console.log("🔍 Fetching order from MySQL...");
-      // MySQL: Get order details
-      const order = await db.query(
-        `
-        SELECT o.*, s.slot_number, s.motor_duration_ms
-        FROM orders o
-        JOIN slots s ON o.slot_id = s.id
-        WHERE o.id = ? AND o.status = 'PAID'
-      `,
-        [order_id]
-      );
-
-      console.log("📊 MySQL query result:", order);
-
-      if (order.length === 0) {
-        console.log("❌ Order not found or not PAID status");
-        return res.status(404).json({
-          error: "Order not found or not paid",
-        });
-      }
-
-      orderInfo = order[0];
-      console.log("✅ Order found:", orderInfo);
     }
 
-    console.log("📝 Updating order status to DISPENSING...");
-    if (USE_SUPABASE) {
-      // Supabase: Update order status to dispensing
-      const { error: updateError } = await supabase
-        .from("orders")
-        .update({ status: "DISPENSING" })
-        .eq("id", order_id);
-
-      if (updateError) {
-        console.error("❌ Failed to update order status:", updateError);
-      } else {
-        console.log("✅ Order status updated to DISPENSING");
-      }
-
-      // Supabase: Create dispense log
-      console.log("📝 Creating dispense log...");
-      const { error: logError } = await supabase.from("dispense_logs").insert({
-        order_id: order_id,
-        machine_id: orderInfo.machine_id,
-        slot_number: orderInfo.slot_number,
-        command_sent_at: new Date().toISOString(),
+    if (order.status !== "PAID") {
+      console.log(`⚠️ Order exists but status is: ${order.status}`);
+      return res.status(400).json({
+        error: `Order status is ${order.status}, not PAID`,
+        order_id,
+        status: order.status,
       });
+    }
 
-      if (logError) {
-        console.error("❌ Failed to create dispense log:", logError);
-      } else {
-        console.log("✅ Dispense log created");
-      }
-    } else {
-      // MySQL: Update order status to dispensing
-      await db.query(
-        `
-        UPDATE orders SET status = 'DISPENSING' WHERE id = ?
-      `,
-        [order_id]
-      );
+    const slot = await repositories.slots.findById(order.slot_id);
+    const orderInfo = {
+      ...order,
+      slot_number: slot?.slot_number,
+      motor_duration_ms: slot?.motor_duration_ms,
+    };
 
-      // MySQL: Create dispense log
-      await db.query(
-        `
-        INSERT INTO dispense_logs (order_id, machine_id, slot_number, command_sent_at)
-        VALUES (?, ?, ?, NOW())
-      `,
-        [order_id, orderInfo.machine_id, orderInfo.slot_number]
-      );
-    }
+    console.log("✅ Order found:", {
+      order_id: orderInfo.id,
+      status: orderInfo.status,
+      machine_id: orderInfo.machine_id,
+      slot_number: orderInfo.slot_number,
+      motor_duration_ms: orderInfo.motor_duration_ms,
+    });
+
+    console.log("📝 Updating order status to DISPENSING...");
+    await repositories.orders.update(order_id, { status: "DISPENSING" });
+    realtimeService.publishOrderStatus({ ...order, status: "DISPENSING" });
 
     // Here you would send MQTT command to ESP32
     const dispenseCommand = {
@@ -185,8 +105,8 @@ router.post("/trigger", async (req, res) => {
     console.log("📡 Target machine ID:", orderInfo.machine_id);
     console.log("📡 MQTT service connected:", mqttService.isConnected);
 
-    // Send MQTT command to ESP32
-    const mqttSent = mqttService.publishDispenseCommand(
+    // Send MQTT command to ESP32 (tracked until ACK, logged per attempt)
+    const mqttSent = await dispenseTracker.dispatch(
       orderInfo.machine_id,
       dispenseCommand
     );
@@ -201,17 +121,13 @@ router.post("/trigger", async (req, res) => {
       });
 
       // Update order status to PENDING_DISPENSE if MQTT failed
-      if (USE_SUPABASE) {
-        await supabase
-          .from("orders")
-          .update({ status: "PENDING_DISPENSE" })
-          .eq("id", order_id);
-      } else {
-        await db.query(
-          `UPDATE orders SET status = 'PENDING_DISPENSE' WHERE id = ?`,
-          [order_id]
-        );
-      }
+      await repositories.orders.update(order_id, {
+        status: "PENDING_DISPENSE",
+      });
+      realtimeService.publishOrderStatus({
+        ...order,
+        status: "PENDING_DISPENSE",
+      });
 
       return res.status(503).json({
         error: "MQTT service unavailable",
@@ -237,7 +153,7 @@ router.post("/trigger", async (req, res) => {
 });
 
 // Confirm dispense result (called by ESP32 via Pi)
-router.post("/confirm", validateDispense, async (req, res) => {
+router.post("/confirm", dispenseConfirm, validateDispense, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -256,133 +172,49 @@ router.post("/confirm", validateDispense, async (req, res) => {
       error_message,
     } = req.body;
 
-    const now = new Date().toISOString();
-
-    if (USE_SUPABASE) {
-      // Supabase: Update dispense log
-      await supabase
-        .from("dispense_logs")
-        .update({
-          completed_at: now,
-          success: success,
-          drop_detected: drop_detected,
-          duration_ms: duration_ms,
-          error_message: error_message,
-        })
-        .eq("order_id", order_id)
-        .eq("slot_number", slot_number);
-    } else {
-      // MySQL: Update dispense log
-      await db.query(
-        `
-        UPDATE dispense_logs 
-        SET completed_at = NOW(), success = ?, drop_detected = ?, 
-            duration_ms = ?, error_message = ?
-        WHERE order_id = ? AND slot_number = ?
-      `,
-        [
-          success,
-          drop_detected,
-          duration_ms,
-          error_message,
-          order_id,
-          slot_number,
-        ]
-      );
+    const order = await repositories.orders.findById(order_id);
+    if (!order) {
+      return res.status(404).json({
+        error: "Order not found",
+      });
     }
 
-    let order_status = "FAILED";
-    if (success && drop_detected) {
-      order_status = "COMPLETED";
-
-      if (USE_SUPABASE) {
-        // Supabase: Get order and slot info
-        const { data: orderData } = await supabase
-          .from("orders")
-          .select("*, slot:slots(*)")
-          .eq("id", order_id)
-          .single();
-
-        if (orderData) {
-          const slot = orderData.slot;
-          const oldStock = slot.current_stock;
-          const newStock = oldStock - orderData.quantity;
-
-          // Update stock
-          await supabase
-            .from("slots")
-            .update({ current_stock: newStock })
-            .eq("id", orderData.slot_id);
-
-          // Log stock change
-          await supabase.from("stock_logs").insert({
-            machine_id: orderData.machine_id,
-            slot_id: orderData.slot_id,
-            change_type: "DISPENSE",
-            quantity_before: oldStock,
-            quantity_after: newStock,
-            quantity_change: -orderData.quantity,
-            reason: `Order ${orderData.id}`,
-            created_at: now,
-          });
-        }
-      } else {
-        // MySQL: Update stock
-        await db.query(
-          `
-          UPDATE slots s
-          JOIN orders o ON s.id = o.slot_id
-          SET s.current_stock = s.current_stock - o.quantity
-          WHERE o.id = ?
-        `,
-          [order_id]
-        );
-
-        // MySQL: Log stock change
-        await db.query(
-          `
-          INSERT INTO stock_logs (machine_id, slot_id, change_type, quantity_before, quantity_after, quantity_change, reason)
-          SELECT o.machine_id, o.slot_id, 'DISPENSE', s.current_stock + o.quantity, s.current_stock, -o.quantity, CONCAT('Order ', o.id)
-          FROM orders o
-          JOIN slots s ON o.slot_id = s.id
-          WHERE o.id = ?
-        `,
-          [order_id]
-        );
-      }
-    } else if (!success && error_message) {
-      // If dispense failed, we might want to retry or refund
+    if (!success && error_message) {
       console.log(`❌ Dispense failed for order ${order_id}: ${error_message}`);
     }
 
-    if (USE_SUPABASE) {
-      // Supabase: Update order status
-      const orderUpdate = { status: order_status };
-      if (order_status === "COMPLETED") {
-        orderUpdate.dispensed_at = now;
-      }
-      await supabase.from("orders").update(orderUpdate).eq("id", order_id);
-    } else {
-      // MySQL: Update order status
-      await db.query(
-        `
-        UPDATE orders 
-        SET status = ?, dispensed_at = ${
-          order_status === "COMPLETED" ? "NOW()" : "NULL"
-        }
-        WHERE id = ?
-      `,
-        [order_status, order_id]
-      );
+    // Same handling as a dispense_result over MQTT: item status of
+    // multi-item orders, stock, refunds and realtime pushes
+    const outcome = await mqttService.applyDispenseResult(
+      order.machine_id,
+      {
+        orderId: order_id,
+        slot: slot_number,
+        success,
+        dropDetected: drop_detected,
+        durationMs: duration_ms,
+        error: error_message,
+      },
+      success && drop_detected ? "COMPLETED" : "FAILED"
+    );
+
+    let message = success
+      ? "Dispense completed successfully"
+      : "Dispense failed";
+    if (outcome.duplicate) {
+      message = "Dispense result already recorded";
     }
 
     res.json({
       order_id,
-      status: order_status,
+      status: outcome.order_status,
+      item_status: outcome.item_status,
       success,
       drop_detected,
       duration_ms,
-      message: success ? "Dispense completed successfully" : "Dispense failed",
+      duplicate: outcome.duplicate,
+      message,
+      refund_status: outcome.results.refund?.status || null,
     });
   } catch (error) {
     console.error("Confirm dispense error:", error);
@@ -393,23 +225,15 @@ router.post("/confirm", validateDispense, async (req, res) => {
 });
 
 // Get dispense logs
-router.get("/logs/:machine_id", async (req, res) => {
+router.get("/logs/:machine_id", machinesMonitor, async (req, res) => {
   try {
     const { machine_id } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
-    const logs = await db.query(
-      `
-      SELECT dl.*, o.total_amount, p.name as product_name
-      FROM dispense_logs dl
-      LEFT JOIN orders o ON dl.order_id = o.id
-      LEFT JOIN products p ON o.product_id = p.id
-      WHERE dl.machine_id = ?
-      ORDER BY dl.command_sent_at DESC
-      LIMIT ? OFFSET ?
-    `,
-      [machine_id, parseInt(limit), parseInt(offset)]
-    );
+    const logs = await repositories.dispenseLogs.listByMachine(machine_id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
 
     res.json({
       logs,
@@ -425,7 +249,7 @@ router.get("/logs/:machine_id", async (req, res) => {
 });
 
 // Trigger multi-item dispense (sequential dispensing)
-router.post("/multi", async (req, res) => {
+router.post("/multi", dispenseTrigger, async (req, res) => {
   try {
     const { order_id } = req.body;
 
@@ -438,87 +262,24 @@ router.post("/multi", async (req, res) => {
       });
     }
 
-    // Get all items for this order
-    let orderItems;
-    let machineId;
-
-    if (USE_SUPABASE) {
-      // Get order info
-      const { data: orderData } = await supabase
-        .from("orders")
-        .select("machine_id, status")
-        .eq("id", order_id)
-        .single();
-
-      if (!orderData) {
-        return res.status(404).json({ error: "Order not found" });
-      }
-
-      if (orderData.status !== "PAID") {
-        return res.status(400).json({
-          error: "Order must be in PAID status",
-          currentStatus: orderData.status,
-        });
-      }
-
-      machineId = orderData.machine_id;
-
-      // Get order items with slot details
-      const { data: items, error: itemsError } = await supabase
-        .from("order_items")
-        .select(
-          `
-          *,
-          slot:slots (
-            slot_number,
-            motor_duration_ms
-          )
-        `
-        )
-        .eq("order_id", order_id);
-
-      if (itemsError) {
-        console.error("❌ Error fetching order items:", itemsError);
-        return res.status(500).json({
-          error: "Failed to fetch order items",
-          details: itemsError.message,
-        });
-      }
+    const order = await repositories.orders.findById(order_id);
 
-      console.log(
-        `🔍 Fetched ${items?.length || 0} items from order_items table`
-      );
-      orderItems = items;
-    } else {
-      // MySQL
-      const orderData = await db.query(
-        "SELECT machine_id, status FROM orders WHERE id = ?",
-        [order_id]
-      );
-
-      if (orderData.length === 0) {
-        return res.status(404).json({ error: "Order not found" });
-      }
-
-      if (orderData[0].status !== "PAID") {
-        return res.status(400).json({
-          error: "Order must be in PAID status",
-          currentStatus: orderData[0].status,
-        });
-      }
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
 
-      machineId = orderData[0].machine_id;
+    if (order.status !== "PAID") {
+      return res.status(400).json({
+        error: "Order must be in PAID status",
+        currentStatus: order.status,
+      });
+    }
 
-      const items = await db.query(
-        `SELECT oi.*, s.slot_number, s.motor_duration_ms
-         FROM order_items oi
-         JOIN slots s ON oi.slot_id = s.id
-         WHERE oi.order_id = ?`,
-        [order_id]
-      );
+    const machineId = order.machine_id;
 
-      orderItems = items;
-    }
+    // Get all items for this order
+    const orderItems = await repositories.orders.listItems(order_id);
+    console.log(`🔍 Fetched ${orderItems.length} items from order_items table`);
 
     if (!orderItems || orderItems.length === 0) {
       return res.status(404).json({ error: "No items found for this order" });
@@ -527,27 +288,15 @@ router.post("/multi", async (req, res) => {
     console.log(`📦 Found ${orderItems.length} items to dispense`);
 
     // Update order status to DISPENSING
-    if (USE_SUPABASE) {
-      await supabase
-        .from("orders")
-        .update({ status: "DISPENSING" })
-        .eq("id", order_id);
-    } else {
-      await db.query("UPDATE orders SET status = 'DISPENSING' WHERE id = ?", [
-        order_id,
-      ]);
-    }
+    await repositories.orders.update(order_id, { status: "DISPENSING" });
+    realtimeService.publishOrderStatus({ ...order, status: "DISPENSING" });
 
     // Send MQTT commands for each item sequentially
     const results = [];
     for (let i = 0; i < orderItems.length; i++) {
       const item = orderItems[i];
-      const slotNumber = USE_SUPABASE
-        ? item.slot.slot_number
-        : item.slot_number;
-      const motorDuration = USE_SUPABASE
-        ? item.slot.motor_duration_ms
-        : item.motor_duration_ms;
+      const slotNumber = item.slot_number;
+      const motorDuration = item.motor_duration_ms;
 
       console.log(
         `📤 [${i + 1}/${
@@ -556,33 +305,9 @@ router.post("/multi", async (req, res) => {
       );
 
       // Update item status to DISPENSING
-      if (USE_SUPABASE) {
-        await supabase
-          .from("order_items")
-          .update({ dispense_status: "DISPENSING" })
-          .eq("id", item.id);
-      } else {
-        await db.query(
-          "UPDATE order_items SET dispense_status = 'DISPENSING' WHERE id = ?",
-          [item.id]
-        );
-      }
-
-      // Create dispense log
-      if (USE_SUPABASE) {
-        await supabase.from("dispense_logs").insert({
-          order_id,
-          machine_id: machineId,
-          slot_number: slotNumber,
-          command_sent_at: new Date().toISOString(),
-        });
-      } else {
-        await db.query(
-          `INSERT INTO dispense_logs (order_id, machine_id, slot_number, command_sent_at)
-           VALUES (?, ?, ?, NOW())`,
-          [order_id, machineId, slotNumber]
-        );
-      }
+      await repositories.orders.updateItem(item.id, {
+        dispense_status: "DISPENSING",
+      });
 
       // Send MQTT command
       const dispenseCommand = {
@@ -594,9 +319,10 @@ router.post("/multi", async (req, res) => {
         timeoutMs: motorDuration || 2150,
       };
 
-      const mqttSent = mqttService.publishDispenseCommand(
+      const mqttSent = await dispenseTracker.dispatch(
         machineId,
-        dispenseCommand
+        dispenseCommand,
+        { itemId: item.id }
       );
 
       if (!mqttSent) {
@@ -608,17 +334,22 @@ router.post("/multi", async (req, res) => {
         });
 
         // Update item to failed
-        if (USE_SUPABASE) {
-          await supabase
-            .from("order_items")
-            .update({ dispense_status: "FAILED" })
-            .eq("id", item.id);
-        } else {
-          await db.query(
-            "UPDATE order_items SET dispense_status = 'FAILED' WHERE id = ?",
-            [item.id]
-          );
-        }
+        await repositories.orders.updateItem(item.id, {
+          dispense_status: "FAILED",
+        });
+
+        await eventBus.publish("dispense.failed", {
+          order_id,
+          machine_id: machineId,
+          slot: slotNumber,
+          item_id: item.id,
+          item_status: "FAILED",
+          order_status: "DISPENSING",
+          success: false,
+          drop_detected: false,
+          duration_ms: null,
+          error_message: "MQTT unavailable",
+        });
       } else {
         console.log(`✅ MQTT command sent for slot ${slotNumber}`);
         results.push({
@@ -656,25 +387,15 @@ router.get("/status/:order_id", async (req, res) => {
   try {
     const { order_id } = req.params;
 
-    const status = await db.query(
-      `
-      SELECT dl.*, o.status as order_status
-      FROM dispense_logs dl
-      JOIN orders o ON dl.order_id = o.id
-      WHERE dl.order_id = ?
-      ORDER BY dl.command_sent_at DESC
-      LIMIT 1
-    `,
-      [order_id]
-    );
+    const status = await repositories.dispenseLogs.findLatestByOrder(order_id);
 
-    if (status.length === 0) {
+    if (!status) {
       return res.status(404).json({
         error: "Dispense status not found",
       });
     }
 
-    res.json(status[0]);
+    res.json(status);
   } catch (error) {
     console.error("Get dispense status error:", error);
     res.status(500).json({
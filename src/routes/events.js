@@ -0,0 +1,156 @@
+const express = require("express");
+const repositories = require("../repositories");
+const realtimeService = require("../services/realtimeService");
+const prescriptionScanService = require("../services/prescriptionScanService");
+const {
+  verifyToken,
+  requirePermission,
+  requireOwnMachine,
+  STREAM_TOKEN_TTL,
+  signStreamToken,
+  verifyStreamToken,
+} = require("../middleware/auth");
+
+const router = express.Router();
+
+// EventSource can't set headers, so it passes ?access_token= instead. Only a
+// stream token from POST /token for this very stream is taken from the query
+// string - login tokens would end up in access logs and browser history.
+// Clients that can set headers keep using the Authorization header.
+const streamAuth = (stream) => async (req, res, next) => {
+  if (req.headers.authorization || !req.query.access_token) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const user = await verifyStreamToken(req.query.access_token, stream(req));
+    if (!user) {
+      return res.status(401).json({
+        error: "Invalid or expired stream token",
+      });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Stream token check error:", error);
+    res.status(500).json({
+      error: "Failed to verify token",
+    });
+  }
+};
+
+const machineStream = (req) => `machine:${req.params.machine_id}`;
+
+const machinesMonitor = [
+  streamAuth(machineStream),
+  requirePermission("machines:monitor"),
+  requireOwnMachine(),
+];
+
+// Stream token for GET /machines/:machine_id, valid for a minute. Fetch a new
+// one whenever the EventSource has to reconnect.
+router.post(
+  "/token",
+  verifyToken,
+  requirePermission("machines:monitor"),
+  requireOwnMachine(),
+  async (req, res) => {
+    try {
+      const { machine_id } = req.body;
+      if (!machine_id) {
+        return res.status(400).json({
+          error: "machine_id is required",
+        });
+      }
+
+      const machine = await repositories.machines.findById(machine_id);
+      if (!machine) {
+        return res.status(404).json({
+          error: "Machine not found",
+        });
+      }
+
+      const stream = `machine:${machine_id}`;
+      res.status(201).json({
+        token: signStreamToken(req.user, stream),
+        stream,
+        expires_in: STREAM_TOKEN_TTL,
+      });
+    } catch (error) {
+      console.error("Stream token error:", error);
+      res.status(500).json({
+        error: "Failed to issue stream token",
+      });
+    }
+  }
+);
+
+// Stream order events: order.status, dispense.result
+router.get("/orders/:order_id", async (req, res) => {
+  try {
+    const { order_id } = req.params;
+
+    const order = await repositories.orders.findById(order_id);
+    if (!order) {
+      return res.status(404).json({
+        error: "Order not found",
+      });
+    }
+
+    realtimeService.subscribe(req, res, `order:${order_id}`);
+
+    // Current state first, so nothing is missed between poll and subscribe
+    realtimeService.send(res, "order.status", {
+      order_id,
+      machine_id: order.machine_id,
+      status: order.status,
+    });
+  } catch (error) {
+    console.error("Order event stream error:", error);
+    res.status(500).json({
+      error: "Failed to open event stream",
+    });
+  }
+});
+
+// Stream prescription scan events: scan.status
+router.get("/scans/:session_id", (req, res) => {
+  const { session_id } = req.params;
+
+  const session = prescriptionScanService.getSession(session_id);
+  if (!session) {
+    return res.status(404).json({
+      error: "Session not found or expired",
+    });
+  }
+
+  realtimeService.subscribe(req, res, `scan:${session_id}`);
+  realtimeService.send(res, "scan.status", {
+    session_id,
+    status: session.status,
+    error: session.error || null,
+  });
+});
+
+// Stream every order and dispense event of one machine
+router.get("/machines/:machine_id", machinesMonitor, async (req, res) => {
+  try {
+    const { machine_id } = req.params;
+
+    const machine = await repositories.machines.findById(machine_id);
+    if (!machine) {
+      return res.status(404).json({
+        error: "Machine not found",
+      });
+    }
+
+    realtimeService.subscribe(req, res, `machine:${machine_id}`);
+  } catch (error) {
+    console.error("Machine event stream error:", error);
+    res.status(500).json({
+      error: "Failed to open event stream",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require("express");
+const fs = require("fs");
+const { body } = require("express-validator");
+const upload = require("../config/upload");
+const repositories = require("../repositories");
+const firmwareService = require("../services/firmwareService");
+const { authorize } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+const router = express.Router();
+const firmwareManage = authorize("firmware:manage");
+
+// Letters, digits and . _ + - e.g. 1.4.0 or 1.4.0-rc.1
+const VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z._+-]{0,49}$/;
+
+const validateArtifact = [
+  body("version")
+    .isString()
+    .trim()
+    .matches(VERSION_PATTERN)
+    .withMessage("version must be 1-50 letters, digits, '.', '_', '+' or '-'"),
+  body("checksum_sha256")
+    .optional({ values: "falsy" })
+    .matches(/^[0-9a-fA-F]{64}$/)
+    .withMessage("checksum_sha256 must be 64 hex characters"),
+  body("release_notes").optional({ values: "null" }).isString(),
+];
+
+const validateRollout = [
+  body("firmware_id")
+    .isInt({ min: 1 })
+    .withMessage("Valid firmware_id is required")
+    .toInt(),
+  body("canary_machine_ids")
+    .optional({ values: "null" })
+    .isArray({ max: 100 })
+    .withMessage("canary_machine_ids must be an array"),
+  body("canary_machine_ids.*").isString(),
+  body("machine_ids")
+    .optional({ values: "null" })
+    .isArray({ min: 1, max: 1000 })
+    .withMessage("machine_ids must be a non-empty array"),
+  body("machine_ids.*").isString(),
+  body("failure_threshold_pct")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 100 })
+    .withMessage("failure_threshold_pct must be between 0 and 100")
+    .toInt(),
+  body("notes").optional({ values: "null" }).isString(),
+];
+
+const validateHalt = [
+  body("reason").optional({ values: "null" }).isString().isLength({ max: 255 }),
+];
+
+const validateResume = [
+  body("failure_threshold_pct")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 100 })
+    .withMessage("failure_threshold_pct must be between 0 and 100")
+    .toInt(),
+];
+
+// Multer errors (wrong extension, too large) are the uploader's fault
+function receiveFirmware(req, res, next) {
+  upload.firmware.single("firmware")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+    next();
+  });
+}
+
+// Signed link from an OTA announcement; the machine has no JWT here
+router.get("/download/:id", async (req, res) => {
+  try {
+    const { artifact, path } = await firmwareService.resolveDownload(
+      req.params.id,
+      req.query
+    );
+
+    res.setHeader("X-Checksum-SHA256", artifact.checksum_sha256);
+    res.download(path, artifact.original_name || artifact.filename);
+  } catch (error) {
+    sendError(res, error, "Failed to download firmware");
+  }
+});
+
+router.use(firmwareManage);
+
+// Upload a firmware image (multipart field "firmware")
+router.post("/", receiveFirmware, validateArtifact, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: "firmware file is required",
+      });
+    }
+    if (validationFailed(req, res)) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return;
+    }
+
+    const { version, checksum_sha256, release_notes } = req.body;
+    const artifact = await firmwareService.createArtifact(req.file, {
+      version,
+      checksum: checksum_sha256,
+      releaseNotes: release_notes,
+      uploadedBy: actor(req),
+    });
+
+    res.status(201).json(artifact);
+  } catch (error) {
+    sendError(res, error, "Failed to upload firmware");
+  }
+});
+
+router.get("/", async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    res.json(
+      await repositories.firmware.listArtifacts({
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0,
+      })
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to list firmware");
+  }
+});
+
+// Start a staged rollout: canary machines first, then the fleet
+router.post("/rollouts", validateRollout, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const {
+      firmware_id,
+      canary_machine_ids,
+      machine_ids,
+      failure_threshold_pct,
+      notes,
+    } = req.body;
+    const rollout = await firmwareService.createRollout({
+      firmwareId: firmware_id,
+      canaryMachineIds: canary_machine_ids || [],
+      machineIds: machine_ids || undefined,
+      failureThresholdPct: failure_threshold_pct ?? undefined,
+      notes,
+      createdBy: actor(req),
+    });
+
+    res.status(201).json(rollout);
+  } catch (error) {
+    sendError(res, error, "Failed to start rollout");
+  }
+});
+
+router.get("/rollouts", async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    if (status && !firmwareService.ROLLOUT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${firmwareService.ROLLOUT_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    res.json(
+      await repositories.firmware.listRollouts({
+        status,
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0,
+      })
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to list rollouts");
+  }
+});
+
+// Rollout with the progress of every machine
+router.get("/rollouts/:id", async (req, res) => {
+  try {
+    res.json(await firmwareService.getRollout(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Failed to get rollout");
+  }
+});
+
+// Send to the fleet without waiting for every canary
+router.post("/rollouts/:id/promote", async (req, res) => {
+  try {
+    res.json(await firmwareService.promote(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Failed to promote rollout");
+  }
+});
+
+router.post("/rollouts/:id/halt", validateHalt, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    res.json(await firmwareService.halt(req.params.id, req.body.reason));
+  } catch (error) {
+    sendError(res, error, "Failed to halt rollout");
+  }
+});
+
+// Retry the failed machines of the halted stage and continue
+router.post("/rollouts/:id/resume", validateResume, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    res.json(
+      await firmwareService.resume(req.params.id, {
+        failureThresholdPct: req.body.failure_threshold_pct ?? undefined,
+      })
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to resume rollout");
+  }
+});
+
+router.post("/rollouts/:id/cancel", async (req, res) => {
+  try {
+    res.json(await firmwareService.cancel(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Failed to cancel rollout");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    res.json(await firmwareService.getArtifact(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Failed to get firmware");
+  }
+});
+
+// Only firmware no rollout used yet can be deleted
+router.delete("/:id", async (req, res) => {
+  try {
+    const artifact = await firmwareService.removeArtifact(req.params.id);
+    res.json({
+      message: `Firmware ${artifact.version} deleted`,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to delete firmware");
+  }
+});
+
+module.exports = router;
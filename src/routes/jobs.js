@@ -0,0 +1,59 @@
+const express = require("express");
+const schedulerService = require("../services/schedulerService");
+const { verifyToken, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+// All job endpoints need an authenticated staff token
+router.use(verifyToken, requirePermission("jobs:read"));
+
+// List background jobs with their last run
+router.get("/", (req, res) => {
+  res.json({
+    scheduler_running: schedulerService.started,
+    jobs: schedulerService.getJobs(),
+  });
+});
+
+// Run history of a job (most recent first)
+router.get("/:name/runs", (req, res) => {
+  const history = schedulerService.getHistory(req.params.name);
+  if (!history) {
+    return res.status(404).json({
+      error: "Job not found",
+    });
+  }
+
+  const limit = parseInt(req.query.limit) || history.length;
+  res.json({
+    job: req.params.name,
+    runs: history.slice(0, limit),
+  });
+});
+
+// Run a job immediately
+router.post("/:name/run", requirePermission("jobs:run"), async (req, res) => {
+  try {
+    console.log(`▶️ Job ${req.params.name} triggered by ${req.user.username}`);
+    const run = await schedulerService.runJob(
+      req.params.name,
+      `manual:${req.user.username || req.user.id}`
+    );
+
+    if (!run) {
+      return res.status(409).json({
+        error: "Job is already running",
+      });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error("Run job error:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to run job",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require("express");
+const moment = require("moment");
+const { body } = require("express-validator");
+const repositories = require("../repositories");
+const lotService = require("../services/lotService");
+const { authorize } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+const router = express.Router();
+
+router.use(authorize("stock:write"));
+
+const validateLot = [
+  body("slot_id").isInt({ min: 1 }).withMessage("Valid slot_id is required"),
+  body("quantity")
+    .isInt({ min: 1 })
+    .withMessage("quantity must be a positive integer"),
+  body("batch_number")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("batch_number is required"),
+  body("expiry_date")
+    .optional({ values: "null" })
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage("expiry_date must be YYYY-MM-DD"),
+];
+
+const validateRecall = [
+  body("batch_number")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("batch_number is required"),
+  body("product_id").optional({ values: "null" }).isInt({ min: 1 }),
+  body("reason").optional().isString().isLength({ max: 255 }),
+];
+
+// List lots; expiring_within_days=N only lists lots that expire in N days
+router.get("/", async (req, res) => {
+  try {
+    const {
+      machine_id,
+      slot_id,
+      product_id,
+      batch_number,
+      status,
+      expiring_within_days,
+      in_stock,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    if (status && !lotService.LOT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${lotService.LOT_STATUSES.join(", ")}`,
+      });
+    }
+
+    const { lots, total } = await repositories.lots.list({
+      machineId: machine_id,
+      slotId: slot_id ? parseInt(slot_id) : undefined,
+      productId: product_id ? parseInt(product_id) : undefined,
+      batchNumber: batch_number,
+      status,
+      inStock: in_stock === "true",
+      expiringBefore:
+        expiring_within_days !== undefined
+          ? moment()
+              .add(parseInt(expiring_within_days) || 0, "days")
+              .format("YYYY-MM-DD")
+          : undefined,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      lots,
+      total,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list lots");
+  }
+});
+
+// Register a lot for units already in the slot (loaded without batch data)
+router.post("/", validateLot, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { slot_id, quantity, batch_number, expiry_date } = req.body;
+    const lot = await lotService.register(slot_id, {
+      quantity,
+      batchNumber: batch_number,
+      expiryDate: expiry_date,
+      receivedBy: actor(req),
+    });
+
+    res.status(201).json(lot);
+  } catch (error) {
+    sendError(res, error, "Failed to register lot");
+  }
+});
+
+// Machines and slots that still hold units of a batch
+router.get("/recall", async (req, res) => {
+  try {
+    const { batch_number, product_id } = req.query;
+    if (!batch_number) {
+      return res.status(400).json({
+        error: "batch_number is required",
+      });
+    }
+
+    res.json(
+      await lotService.locateBatch(
+        batch_number,
+        product_id ? parseInt(product_id) : undefined
+      )
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to locate batch");
+  }
+});
+
+// Recall a batch: its lots are blocked from sale in every machine
+router.post("/recall", validateRecall, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { batch_number, product_id, reason } = req.body;
+    const result = await lotService.recall(batch_number, product_id, {
+      reason,
+      recalledBy: actor(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to recall batch");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const lot = await repositories.lots.findById(req.params.id);
+    if (!lot) {
+      return res.status(404).json({
+        error: "Lot not found",
+      });
+    }
+
+    res.json(lot);
+  } catch (error) {
+    sendError(res, error, "Failed to get lot");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require("express");
+const { body } = require("express-validator");
+const commandService = require("../services/commandService");
+const { authorize, requireOwnMachine } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+// Mounted at /api/machines/:machine_id/commands
+const router = express.Router({ mergeParams: true });
+const commandsRead = [...authorize("machines:monitor"), requireOwnMachine()];
+const commandsSend = authorize("commands:send");
+
+// Params are checked per type by commandService
+const validateCommand = [
+  body("type")
+    .isIn(Object.keys(commandService.COMMAND_TYPES))
+    .withMessage(
+      `type must be one of ${Object.keys(commandService.COMMAND_TYPES).join(
+        ", "
+      )}`
+    ),
+  body("params").optional({ values: "null" }).isObject(),
+  body("wait").optional().isBoolean().toBoolean(),
+  body("timeout_ms")
+    .optional({ values: "null" })
+    .isInt({ min: 1000, max: 60000 })
+    .withMessage("timeout_ms must be between 1000 and 60000")
+    .toInt(),
+];
+
+// Command types with their params and default timeouts
+router.get("/types", commandsRead, (req, res) => {
+  res.json({
+    types: commandService.types(),
+  });
+});
+
+// Audit log of commands sent to the machine
+router.get("/", commandsRead, async (req, res) => {
+  try {
+    const { status, type, limit = 50, offset = 0 } = req.query;
+    if (status && !commandService.COMMAND_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${commandService.COMMAND_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const { commands, total } = await commandService.list(
+      req.params.machine_id,
+      {
+        status,
+        type,
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0,
+      }
+    );
+
+    res.json({
+      machine_id: req.params.machine_id,
+      commands,
+      total,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list commands");
+  }
+});
+
+router.get("/:command_id", commandsRead, async (req, res) => {
+  try {
+    res.json(
+      await commandService.get(req.params.machine_id, req.params.command_id)
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to get command");
+  }
+});
+
+// Send a command; by default the response waits for the machine's result
+// (200 SUCCEEDED/FAILED, 504 TIMEOUT). wait: false answers 202 right away.
+router.post("/", commandsSend, validateCommand, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { type, params, wait = true, timeout_ms } = req.body;
+    const command = await commandService.send(req.params.machine_id, {
+      type,
+      params: params || {},
+      timeoutMs: timeout_ms,
+      sentBy: actor(req),
+    });
+    if (!wait) {
+      return res.status(202).json(command);
+    }
+
+    const result = await commandService.waitForResult(command.command_id);
+    res.status(result.status === "TIMEOUT" ? 504 : 200).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to send command");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require("express");
+const { body } = require("express-validator");
+const configService = require("../services/configService");
+const { authorize, requireOwnMachine } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+// Mounted at /api/machines/:machine_id/config
+const router = express.Router({ mergeParams: true });
+const configRead = [...authorize("machines:monitor"), requireOwnMachine()];
+const configWrite = authorize("config:write");
+
+// Fields are checked against the schema by configService
+const validateChange = [
+  body("config").isObject().withMessage("config must be an object"),
+  body("notes").optional({ values: "null" }).isString(),
+];
+
+const validateRollback = [
+  body("version")
+    .isInt({ min: 1 })
+    .withMessage("version must be a positive integer")
+    .toInt(),
+  body("notes").optional({ values: "null" }).isString(),
+];
+
+// Fields, ranges and defaults of the config
+router.get("/schema", configRead, (req, res) => {
+  res.json(configService.schema());
+});
+
+// Applied and latest version
+router.get("/", configRead, async (req, res) => {
+  try {
+    res.json(await configService.getCurrent(req.params.machine_id));
+  } catch (error) {
+    sendError(res, error, "Failed to get machine config");
+  }
+});
+
+router.get("/versions", configRead, async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    if (status && !configService.CONFIG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${configService.CONFIG_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const { versions, total } = await configService.listVersions(
+      req.params.machine_id,
+      {
+        status,
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0,
+      }
+    );
+
+    res.json({
+      machine_id: req.params.machine_id,
+      versions,
+      total,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list config versions");
+  }
+});
+
+router.get("/versions/:version", configRead, async (req, res) => {
+  try {
+    res.json(
+      await configService.getVersion(
+        req.params.machine_id,
+        parseInt(req.params.version)
+      )
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to get config version");
+  }
+});
+
+// New version from a partial config, published right away
+router.post("/", configWrite, validateChange, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await configService.createVersion(
+      req.params.machine_id,
+      req.body.config,
+      { notes: req.body.notes, createdBy: actor(req) }
+    );
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to update machine config");
+  }
+});
+
+// New version with the config of an older one
+router.post("/rollback", configWrite, validateRollback, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await configService.rollback(
+      req.params.machine_id,
+      req.body.version,
+      { notes: req.body.notes, createdBy: actor(req) }
+    );
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to roll back machine config");
+  }
+});
+
+// Send the latest version again
+router.post("/versions/:version/publish", configWrite, async (req, res) => {
+  try {
+    res.json(
+      await configService.republish(
+        req.params.machine_id,
+        parseInt(req.params.version)
+      )
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to publish machine config");
+  }
+});
+
+module.exports = router;
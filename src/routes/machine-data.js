@@ -1,25 +1,27 @@
 const express = require("express");
 const router = express.Router();
-const { createClient } = require("@supabase/supabase-js");
+const repositories = require("../repositories");
+const eventBus = require("../services/eventBus");
+const {
+  authorize,
+  authorizeMachine,
+  requireOwnMachine,
+} = require("../middleware/auth");
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+const fleetRead = authorize("fleet:read");
+const machineRead = [
+  ...authorize("machines:monitor"),
+  requireOwnMachine((req) => req.params.machineId),
+];
 
 /**
  * @route   GET /api/machine-data/latest
  * @desc    Get latest machine data for all machines
- * @access  Public
+ * @access  fleet:read
  */
-router.get("/latest", async (req, res) => {
+router.get("/latest", fleetRead, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("latest_machine_data")
-      .select("*")
-      .order("recorded_at", { ascending: false });
-
-    if (error) throw error;
+    const data = await repositories.telemetry.latestMachineData();
 
     res.json({
       success: true,
@@ -38,40 +40,18 @@ router.get("/latest", async (req, res) => {
 /**
  * @route   GET /api/machine-data/machine/:machineId
  * @desc    Get machine data history for specific machine
- * @access  Public
+ * @access  machines:monitor (machine token: own machine only)
  */
-router.get("/machine/:machineId", async (req, res) => {
+router.get("/machine/:machineId", machineRead, async (req, res) => {
   try {
     const { machineId } = req.params;
     const { from, to, limit = 50 } = req.query;
 
-    let query = supabase
-      .from("machine_data")
-      .select(
-        `
-        *,
-        machines (
-          name,
-          location,
-          status
-        )
-      `
-      )
-      .eq("machine_id", machineId)
-      .order("recorded_at", { ascending: false })
-      .limit(parseInt(limit));
-
-    // Add date range filter if provided
-    if (from) {
-      query = query.gte("recorded_at", from);
-    }
-    if (to) {
-      query = query.lte("recorded_at", to);
-    }
-
-    const { data, error } = await query;
-
-    if (error) throw error;
+    const data = await repositories.telemetry.listMachineData(machineId, {
+      from,
+      to,
+      limit: parseInt(limit),
+    });
 
     res.json({
       success: true,
@@ -90,17 +70,11 @@ router.get("/machine/:machineId", async (req, res) => {
 /**
  * @route   GET /api/machine-data/today
  * @desc    Get today's scheduled machine data (10:00, 12:00, 14:00)
- * @access  Public
+ * @access  fleet:read
  */
-router.get("/today", async (req, res) => {
+router.get("/today", fleetRead, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("today_machine_data")
-      .select("*")
-      .order("machine_id")
-      .order("recorded_at");
-
-    if (error) throw error;
+    const data = await repositories.telemetry.todayMachineData();
 
     // Group by machine
     const groupedData = data.reduce((acc, item) => {
@@ -133,9 +107,9 @@ router.get("/today", async (req, res) => {
 /**
  * @route   POST /api/machine-data
  * @desc    Record new machine data (from IoT device)
- * @access  Public (should be protected with machine token in production)
+ * @access  Machine token (own machine only)
  */
-router.post("/", async (req, res) => {
+router.post("/", authorizeMachine("telemetry:write"), async (req, res) => {
   try {
     const {
       machine_id,
@@ -159,13 +133,9 @@ router.post("/", async (req, res) => {
     }
 
     // Check if machine exists
-    const { data: machine, error: machineError } = await supabase
-      .from("machines")
-      .select("id")
-      .eq("id", machine_id)
-      .single();
+    const machine = await repositories.machines.findById(machine_id);
 
-    if (machineError || !machine) {
+    if (!machine) {
       return res.status(404).json({
         success: false,
         message: "Machine not found",
@@ -173,30 +143,35 @@ router.post("/", async (req, res) => {
     }
 
     // Insert machine data
-    const { data, error } = await supabase
-      .from("machine_data")
-      .insert({
-        machine_id,
+    const data = await repositories.telemetry.recordMachineData({
+      machine_id,
+      temperature,
+      humidity,
+      door_status,
+      power_status,
+      stock_summary,
+      sales_count: sales_count || 0,
+      error_codes,
+      status: status || "normal",
+      recorded_at: new Date(recorded_at),
+    });
+
+    // Update machine last_seen
+    await repositories.machines.touch(machine_id);
+
+    // Temperature, door and error codes are checked by the alert rules
+    await eventBus.publish("telemetry.received", {
+      machine_id,
+      data: {
         temperature,
         humidity,
         door_status,
         power_status,
-        stock_summary,
-        sales_count: sales_count || 0,
         error_codes,
         status: status || "normal",
-        recorded_at,
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    // Update machine last_seen
-    await supabase
-      .from("machines")
-      .update({ last_seen: new Date().toISOString() })
-      .eq("id", machine_id);
+      },
+      source: "machine-data",
+    });
 
     res.json({
       success: true,
@@ -216,9 +191,9 @@ router.post("/", async (req, res) => {
 /**
  * @route   GET /api/machine-data/stats/:machineId
  * @desc    Get statistics for a specific machine
- * @access  Public
+ * @access  machines:monitor (machine token: own machine only)
  */
-router.get("/stats/:machineId", async (req, res) => {
+router.get("/stats/:machineId", machineRead, async (req, res) => {
   try {
     const { machineId } = req.params;
     const { days = 7 } = req.query;
@@ -226,14 +201,10 @@ router.get("/stats/:machineId", async (req, res) => {
     const fromDate = new Date();
     fromDate.setDate(fromDate.getDate() - parseInt(days));
 
-    const { data, error } = await supabase
-      .from("machine_data")
-      .select("*")
-      .eq("machine_id", machineId)
-      .gte("recorded_at", fromDate.toISOString())
-      .order("recorded_at", { ascending: true });
-
-    if (error) throw error;
+    const data = await repositories.telemetry.machineDataSince(
+      machineId,
+      fromDate
+    );
 
     // Calculate statistics
     const stats = {
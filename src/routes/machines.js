@@ -1,54 +1,176 @@
 const express = require("express");
-const db = require("../config/database");
+const { body } = require("express-validator");
+const repositories = require("../repositories");
+const crypto = require("crypto");
+const fleetService = require("../services/fleetService");
+const slotHealthService = require("../services/slotHealthService");
+const {
+  authorize,
+  requireOwnMachine,
+  signMachineToken,
+} = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
 
 const router = express.Router();
+const machinesWrite = [...authorize("machines:write"), requireOwnMachine()];
+const machinesMonitor = [...authorize("machines:monitor"), requireOwnMachine()];
+const credentialsAdmin = authorize("machines:credentials");
+const fleetRead = authorize("fleet:read");
+const fleetManage = authorize("fleet:manage");
 
-// Get machine info
-router.get("/:machine_id", async (req, res) => {
+const validateMachine = [
+  body("id")
+    .optional()
+    .matches(fleetService.MACHINE_ID_PATTERN)
+    .withMessage("id must be 2-50 letters, digits, '-' or '_'"),
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("name is required"),
+  body("location")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 200 }),
+  body("config")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("config must be an object"),
+];
+
+const validateUpdate = [
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("name must not be empty"),
+  body("location")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 200 }),
+  body("config").optional().isObject().withMessage("config must be an object"),
+];
+
+const validateDecommission = [
+  body("reason").optional().isString().isLength({ max: 255 }),
+];
+
+// Start of a stats period ("1h", "24h", "7d", "30d"); null means all time
+function periodStart(period) {
+  const hours = { "1h": 1, "24h": 24, "7d": 7 * 24, "30d": 30 * 24 }[period];
+  return hours ? new Date(Date.now() - hours * 60 * 60 * 1000) : null;
+}
+
+// List the fleet; decommissioned machines only with include_decommissioned=true
+// or status=DECOMMISSIONED
+router.get("/", fleetRead, async (req, res) => {
   try {
-    const { machine_id } = req.params;
+    const {
+      status,
+      search,
+      location,
+      include_decommissioned,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    if (status && !fleetService.MACHINE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${fleetService.MACHINE_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
 
-    const machine = await db.query(
-      `
-      SELECT * FROM machines WHERE id = ?
-    `,
-      [machine_id]
+    res.json(
+      await fleetService.list({
+        status,
+        search,
+        location,
+        includeDecommissioned: include_decommissioned === "true",
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0,
+      })
     );
+  } catch (error) {
+    sendError(res, error, "Failed to list machines");
+  }
+});
 
-    if (machine.length === 0) {
-      return res.status(404).json({
-        error: "Machine not found",
+// Register a machine; the response is the only time its provisioning
+// bundle (credential included) is shown - rotate-token issues a new one
+router.post("/", fleetManage, validateMachine, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { id, name, location, config } = req.body;
+    const result = await fleetService.register(
+      { id, name, location, config },
+      { createdBy: actor(req) }
+    );
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to register machine");
+  }
+});
+
+// Get machine info with its slots; the credential is never returned
+router.get("/:machine_id", machinesMonitor, async (req, res) => {
+  try {
+    res.json(await fleetService.get(req.params.machine_id));
+  } catch (error) {
+    sendError(res, error, "Failed to get machine info");
+  }
+});
+
+// Update name, location or config (merged into the stored config)
+router.patch("/:machine_id", fleetManage, validateUpdate, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { name, location, config } = req.body;
+    if (name === undefined && location === undefined && config === undefined) {
+      return res.status(400).json({
+        error: "Nothing to update; send any of name, location, config",
       });
     }
 
-    const machineInfo = machine[0];
-
-    // Get slots info
-    const slots = await db.query(
-      `
-      SELECT s.*, p.name as product_name, p.image_url
-      FROM slots s
-      LEFT JOIN products p ON s.product_id = p.id
-      WHERE s.machine_id = ?
-      ORDER BY s.slot_number ASC
-    `,
-      [machine_id]
+    res.json(
+      await fleetService.update(req.params.machine_id, {
+        name,
+        location,
+        config,
+      })
     );
-
-    res.json({
-      ...machineInfo,
-      slots,
-    });
   } catch (error) {
-    console.error("Get machine error:", error);
-    res.status(500).json({
-      error: "Failed to get machine info",
-    });
+    sendError(res, error, "Failed to update machine");
   }
 });
 
+// Take a machine out of service; orders and logs keep referring to it
+router.post(
+  "/:machine_id/decommission",
+  fleetManage,
+  validateDecommission,
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      res.json(
+        await fleetService.decommission(req.params.machine_id, {
+          reason: req.body.reason,
+          decommissionedBy: actor(req),
+        })
+      );
+    } catch (error) {
+      sendError(res, error, "Failed to decommission machine");
+    }
+  }
+);
+
 // Update machine status
-router.post("/:machine_id/status", async (req, res) => {
+router.post("/:machine_id/status", machinesWrite, async (req, res) => {
   try {
     const { machine_id } = req.params;
     const { status } = req.body;
@@ -59,14 +181,14 @@ router.post("/:machine_id/status", async (req, res) => {
       });
     }
 
-    await db.query(
-      `
-      UPDATE machines 
-      SET status = ?, last_seen = NOW() 
-      WHERE id = ?
-    `,
-      [status, machine_id]
-    );
+    const machine = await repositories.machines.findById(machine_id);
+    if (machine?.status === "DECOMMISSIONED") {
+      return res.status(409).json({
+        error: `Machine ${machine_id} is decommissioned`,
+      });
+    }
+
+    await repositories.machines.touch(machine_id, status);
 
     res.json({
       machine_id,
@@ -81,81 +203,141 @@ router.post("/:machine_id/status", async (req, res) => {
   }
 });
 
+// Issue a new machine credential; every token signed before stops working.
+// The Pi stores the returned token and uses it with POST /api/auth/machine.
+router.post("/:machine_id/rotate-token", credentialsAdmin, async (req, res) => {
+  try {
+    const { machine_id } = req.params;
+    const machine = await repositories.machines.findById(machine_id);
+    if (machine?.status === "DECOMMISSIONED") {
+      return res.status(409).json({
+        error: `Machine ${machine_id} is decommissioned`,
+      });
+    }
+    const token = crypto.randomBytes(32).toString("hex");
+
+    const token_version = await repositories.machines.rotateToken(
+      machine_id,
+      token
+    );
+    if (token_version === null) {
+      return res.status(404).json({
+        error: "Machine not found",
+      });
+    }
+
+    console.log(
+      `🔑 Machine ${machine_id} credential rotated by ${req.user.id}`
+    );
+
+    res.json({
+      machine_id,
+      token,
+      machine_token: signMachineToken({ id: machine_id, token_version }),
+      token_version,
+      provisioning: fleetService.provisioningBundle({
+        id: machine_id,
+        token,
+        token_version,
+      }),
+      rotated_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Rotate machine token error:", error);
+    res.status(500).json({
+      error: "Failed to rotate machine token",
+    });
+  }
+});
+
+// Revoke every issued machine JWT; the machine has to log in again
+router.post("/:machine_id/revoke-token", credentialsAdmin, async (req, res) => {
+  try {
+    const { machine_id } = req.params;
+
+    const token_version = await repositories.machines.revokeTokens(machine_id);
+    if (token_version === null) {
+      return res.status(404).json({
+        error: "Machine not found",
+      });
+    }
+
+    console.log(`🔒 Machine ${machine_id} tokens revoked by ${req.user.id}`);
+
+    res.json({
+      machine_id,
+      token_version,
+      revoked_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Revoke machine token error:", error);
+    res.status(500).json({
+      error: "Failed to revoke machine tokens",
+    });
+  }
+});
+
 // Get machine statistics
-router.get("/:machine_id/stats", async (req, res) => {
+router.get("/:machine_id/stats", machinesMonitor, async (req, res) => {
   try {
     const { machine_id } = req.params;
     const { period = "24h" } = req.query;
 
-    let timeCondition = "";
-    switch (period) {
-      case "1h":
-        timeCondition = "AND o.created_at >= NOW() - INTERVAL 1 HOUR";
-        break;
-      case "24h":
-        timeCondition = "AND o.created_at >= NOW() - INTERVAL 24 HOUR";
-        break;
-      case "7d":
-        timeCondition = "AND o.created_at >= NOW() - INTERVAL 7 DAY";
-        break;
-      case "30d":
-        timeCondition = "AND o.created_at >= NOW() - INTERVAL 30 DAY";
-        break;
-    }
+    const orders = await repositories.orders.listSince(
+      machine_id,
+      periodStart(period)
+    );
+    const completed = orders.filter((o) => o.status === "COMPLETED");
 
     // Sales statistics
-    const salesStats = await db.query(
-      `
-      SELECT 
-        COUNT(*) as total_orders,
-        COUNT(CASE WHEN status = 'COMPLETED' THEN 1 END) as completed_orders,
-        COUNT(CASE WHEN status = 'FAILED' THEN 1 END) as failed_orders,
-        COALESCE(SUM(CASE WHEN status = 'COMPLETED' THEN total_amount ELSE 0 END), 0) as total_revenue
-      FROM orders o
-      WHERE machine_id = ? ${timeCondition}
-    `,
-      [machine_id]
-    );
+    const salesStats = {
+      total_orders: orders.length,
+      completed_orders: completed.length,
+      failed_orders: orders.filter((o) => o.status === "FAILED").length,
+      total_revenue: completed.reduce(
+        (sum, o) => sum + parseFloat(o.total_amount),
+        0
+      ),
+    };
 
     // Stock levels
-    const stockLevels = await db.query(
-      `
-      SELECT 
-        s.slot_number,
-        p.name as product_name,
-        s.current_stock,
-        s.capacity,
-        ROUND((s.current_stock / s.capacity) * 100, 2) as stock_percentage
-      FROM slots s
-      LEFT JOIN products p ON s.product_id = p.id
-      WHERE s.machine_id = ?
-      ORDER BY s.slot_number ASC
-    `,
-      [machine_id]
-    );
+    const slots = await repositories.slots.listByMachine(machine_id);
+    const stockLevels = slots.map((slot) => ({
+      slot_number: slot.slot_number,
+      product_name: slot.product_name,
+      current_stock: slot.current_stock,
+      capacity: slot.capacity,
+      stock_percentage: slot.capacity
+        ? Math.round((slot.current_stock / slot.capacity) * 10000) / 100
+        : 0,
+    }));
 
     // Popular products
-    const popularProducts = await db.query(
-      `
-      SELECT 
-        p.name,
-        COUNT(*) as order_count,
-        SUM(o.quantity) as total_quantity,
-        SUM(CASE WHEN o.status = 'COMPLETED' THEN o.total_amount ELSE 0 END) as revenue
-      FROM orders o
-      JOIN products p ON o.product_id = p.id
-      WHERE o.machine_id = ? ${timeCondition}
-      GROUP BY p.id, p.name
-      ORDER BY order_count DESC
-      LIMIT 5
-    `,
-      [machine_id]
-    );
+    const byProduct = new Map();
+    for (const order of orders) {
+      if (!order.product_id) continue;
+
+      const product = byProduct.get(order.product_id) || {
+        name: order.product_name,
+        order_count: 0,
+        total_quantity: 0,
+        revenue: 0,
+      };
+      product.order_count++;
+      product.total_quantity += order.quantity;
+      if (order.status === "COMPLETED") {
+        product.revenue += parseFloat(order.total_amount);
+      }
+      byProduct.set(order.product_id, product);
+    }
+    const popularProducts = Array.from(byProduct.values())
+      .sort((a, b) => b.order_count - a.order_count)
+      .slice(0, 5);
 
     res.json({
       machine_id,
       period,
-      sales_stats: salesStats[0],
+      sales_stats: salesStats,
       stock_levels: stockLevels,
       popular_products: popularProducts,
     });
@@ -167,4 +349,27 @@ router.get("/:machine_id/stats", async (req, res) => {
   }
 });
 
+// Motor and drop-sensor reliability per slot from the dispense logs
+router.get("/:machine_id/slot-health", machinesMonitor, async (req, res) => {
+  try {
+    const { days = 30, slot_number, flagged_only } = req.query;
+    const windowDays = parseInt(days);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 365) {
+      return res.status(400).json({
+        error: "days must be between 1 and 365",
+      });
+    }
+
+    res.json(
+      await slotHealthService.forMachine(req.params.machine_id, {
+        days: windowDays,
+        slotNumber: slot_number ? parseInt(slot_number) : undefined,
+        flaggedOnly: flagged_only === "true",
+      })
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to get slot health");
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,16 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const db = require("../config/database");
 const { v4: uuidv4 } = require("uuid");
 const moment = require("moment");
+const paymentService = require("../services/paymentService");
+const reservationService = require("../services/reservationService");
+const maintenanceService = require("../services/maintenanceService");
+const eventBus = require("../services/eventBus");
+const repositories = require("../repositories");
+const { authorize } = require("../middleware/auth");
 
 const router = express.Router();
+const reportsRead = authorize("reports:read");
 
 // Validation middleware
 const validateOrder = [
@@ -19,7 +25,7 @@ const validateOrder = [
     .withMessage("Valid Indonesian phone number required"),
   body("payment_method")
     .optional()
-    .isIn(["qris", "va", "gopay", "shopeepay"])
+    .isIn(["qris", "va", "gopay", "shopeepay", "midtrans"])
     .withMessage("Invalid payment method"),
 ];
 
@@ -40,12 +46,13 @@ const validateMultiItemOrder = [
     .withMessage("Valid Indonesian phone number required"),
   body("payment_method")
     .optional()
-    .isIn(["qris", "va", "gopay", "shopeepay"])
+    .isIn(["qris", "va", "gopay", "shopeepay", "midtrans"])
     .withMessage("Invalid payment method"),
 ];
 
 // Create multi-item order
 router.post("/multi", validateMultiItemOrder, async (req, res) => {
+  let reservedOrderId = null;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -70,56 +77,29 @@ router.post("/multi", validateMultiItemOrder, async (req, res) => {
     // Validate all items and calculate total
     let total_amount = 0;
     const validatedItems = [];
+    const reserved = await reservationService.getReservedQuantities(
+      items.map((item) => item.slot_id)
+    );
 
     for (const item of items) {
-      let slotInfo;
-
-      if (process.env.USE_SUPABASE === "true") {
-        const supabase = db.getClient();
-        const { data: slotData, error } = await supabase
-          .from("slots")
-          .select(`*, products (id, name, price, is_active)`)
-          .eq("id", item.slot_id)
-          .eq("machine_id", machine_id)
-          .eq("is_active", true)
-          .single();
-
-        if (error || !slotData) {
-          return res.status(404).json({
-            error: `Slot ${item.slot_id} not found or inactive`,
-          });
-        }
-
-        slotInfo = {
-          ...slotData,
-          product_name: slotData.products.name,
-          price: slotData.products.price,
-          product_active: slotData.products.is_active,
-          product_id: slotData.products.id,
-        };
-      } else {
-        const slot = await db.query(
-          `SELECT s.*, p.name as product_name, p.price, p.is_active as product_active
-           FROM slots s
-           JOIN products p ON s.product_id = p.id
-           WHERE s.id = ? AND s.machine_id = ? AND s.is_active = 1`,
-          [item.slot_id, machine_id]
-        );
-
-        if (slot.length === 0) {
-          return res.status(404).json({
-            error: `Slot ${item.slot_id} not found or inactive`,
-          });
-        }
-
-        slotInfo = slot[0];
+      const slotInfo = await repositories.slots.findForSale(
+        item.slot_id,
+        machine_id
+      );
+
+      if (!slotInfo) {
+        return res.status(404).json({
+          error: `Slot ${item.slot_id} not found or inactive`,
+        });
       }
 
-      // Check stock
-      if (slotInfo.current_stock < item.quantity) {
+      // Check stock (minus stock reserved by other orders)
+      const available =
+        slotInfo.current_stock - (reserved.get(slotInfo.id) || 0);
+      if (available < item.quantity) {
         return res.status(400).json({
           error: `Insufficient stock for ${slotInfo.product_name}`,
-          available: slotInfo.current_stock,
+          available: Math.max(0, available),
           requested: item.quantity,
         });
       }
@@ -148,19 +128,34 @@ router.post("/multi", validateMultiItemOrder, async (req, res) => {
     const order_id = `ORD-${moment().format("YYYYMMDD")}-${uuidv4()
       .substr(0, 8)
       .toUpperCase()}`;
-
-    const payment_token = uuidv4();
-    const payment_url = `midtrans://payment/${order_id}`;
     const expires_at = moment().add(15, "minutes").toISOString();
 
-    // Insert main order (using first item as primary)
-    const primaryItem = validatedItems[0];
+    // Reserve stock until the order expires
+    await reservationService.reserve(
+      order_id,
+      machine_id,
+      validatedItems,
+      expires_at
+    );
+    reservedOrderId = order_id;
 
-    if (process.env.USE_SUPABASE === "true") {
-      const supabase = db.getClient();
+    // Create charge at the payment gateway
+    const charge = await paymentService.createCharge({
+      order_id,
+      amount: total_amount,
+      payment_method,
+      items: validatedItems,
+      customer_phone: customerPhoneValue,
+    });
+
+    const payment_token = charge.token || uuidv4();
+    const payment_url = charge.payment_url;
+
+    // Insert main order (using first item as primary) with its items
+    const primaryItem = validatedItems[0];
 
-      // Insert main order
-      const { error: orderError } = await supabase.from("orders").insert({
+    await repositories.orders.create(
+      {
         id: order_id,
         machine_id,
         slot_id: primaryItem.slot_id,
@@ -169,84 +164,36 @@ router.post("/multi", validateMultiItemOrder, async (req, res) => {
         total_amount,
         payment_url,
         payment_token,
-        expires_at,
+        expires_at: new Date(expires_at),
         customer_phone: customerPhoneValue,
         status: "PENDING",
-      });
-
-      if (orderError) throw orderError;
-
-      // Insert order items
-      const orderItems = validatedItems.map((item) => ({
-        order_id,
+      },
+      validatedItems.map((item) => ({
         slot_id: item.slot_id,
         product_id: item.product_id,
         product_name: item.product_name,
         quantity: item.quantity,
         unit_price: item.unit_price,
         total: item.total,
-      }));
-
-      const { error: itemsError } = await supabase
-        .from("order_items")
-        .insert(orderItems);
-
-      if (itemsError) throw itemsError;
-
-      // Insert payment
-      const { error: paymentError } = await supabase.from("payments").insert({
-        order_id,
-        gateway_name: "midtrans",
-        amount: total_amount,
-        payment_type: payment_method,
-        status: "PENDING",
-      });
-
-      if (paymentError) throw paymentError;
-    } else {
-      // MySQL
-      await db.query(
-        `INSERT INTO orders (id, machine_id, slot_id, product_id, quantity, total_amount, 
-                            payment_url, payment_token, expires_at, customer_phone)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          order_id,
-          machine_id,
-          primaryItem.slot_id,
-          primaryItem.product_id,
-          validatedItems.reduce((sum, item) => sum + item.quantity, 0),
-          total_amount,
-          payment_url,
-          payment_token,
-          expires_at,
-          customerPhoneValue,
-        ]
-      );
+      }))
+    );
 
-      // Insert order items
-      for (const item of validatedItems) {
-        await db.query(
-          `INSERT INTO order_items (order_id, slot_id, product_id, product_name, quantity, unit_price, total)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            order_id,
-            item.slot_id,
-            item.product_id,
-            item.product_name,
-            item.quantity,
-            item.unit_price,
-            item.total,
-          ]
-        );
-      }
+    await repositories.payments.create({
+      order_id,
+      gateway_name: charge.gateway_name,
+      gateway_transaction_id: charge.transaction_id,
+      amount: total_amount,
+      payment_type: payment_method,
+      raw_response: charge.raw,
+      status: "PENDING",
+    });
 
-      // Insert payment
-      await db.query(
-        `INSERT INTO payments (order_id, gateway_name, amount, payment_type)
-         VALUES (?, 'midtrans', ?, ?)`,
-        [order_id, total_amount, payment_method]
-      );
-    }
+    await eventBus.publish("order.created", {
+      order_id,
+      machine_id,
+      total_amount,
+      item_count: validatedItems.length,
+    });
 
     res.status(201).json({
       order_id,
@@ -258,12 +205,31 @@ router.post("/multi", validateMultiItemOrder, async (req, res) => {
       total_amount,
       payment_url,
       payment_token,
+      payment_gateway: charge.gateway_name,
       expires_at,
-      qr_string: payment_url,
+      qr_string: charge.qr_string,
+      va_number: charge.va_number,
+      bank: charge.bank,
       status: "PENDING",
     });
   } catch (error) {
     console.error("Create multi-item order error:", error);
+    if (reservedOrderId) {
+      await reservationService.release(reservedOrderId).catch(() => {});
+    }
+    if (error.name === "InsufficientStockError") {
+      return res.status(400).json({
+        error: `Insufficient stock for slot ${error.slot_id}`,
+        available: error.available,
+        requested: error.requested,
+      });
+    }
+    if (error.name === "PaymentGatewayError") {
+      return res.status(error.status).json({
+        error: "Failed to create payment",
+        details: error.message,
+      });
+    }
     res.status(500).json({
       error: "Failed to create multi-item order",
       details: error.message,
@@ -273,6 +239,7 @@ router.post("/multi", validateMultiItemOrder, async (req, res) => {
 
 // Create new order
 router.post("/", validateOrder, async (req, res) => {
+  let reservedOrderId = null;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -303,69 +270,23 @@ router.post("/", validateOrder, async (req, res) => {
     const customerPhoneValue = customer_phone || null;
     console.log("📦 Customer phone processed:", customerPhoneValue);
 
-    let slotInfo;
-
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Get slot and product info using joins
-      const supabase = db.getClient();
-      const { data: slotData, error } = await supabase
-        .from("slots")
-        .select(
-          `
-          *,
-          products (
-            id,
-            name,
-            price,
-            is_active
-          )
-        `
-        )
-        .eq("id", slot_id)
-        .eq("machine_id", machine_id)
-        .eq("is_active", true)
-        .single();
-
-      if (error || !slotData) {
-        return res.status(404).json({
-          error: "Slot not found or inactive",
-        });
-      }
-
-      // Transform to match MySQL format
-      slotInfo = {
-        ...slotData,
-        product_name: slotData.products.name,
-        price: slotData.products.price,
-        product_active: slotData.products.is_active,
-        product_id: slotData.products.id,
-      };
-    } else {
-      // MySQL: Use raw SQL query
-      const slot = await db.query(
-        `
-        SELECT s.*, p.name as product_name, p.price, p.is_active as product_active
-        FROM slots s
-        JOIN products p ON s.product_id = p.id
-        WHERE s.id = ? AND s.machine_id = ? AND s.is_active = 1
-      `,
-        [slot_id, machine_id]
-      );
-
-      if (slot.length === 0) {
-        return res.status(404).json({
-          error: "Slot not found or inactive",
-        });
-      }
+    const slotInfo = await repositories.slots.findForSale(slot_id, machine_id);
 
-      slotInfo = slot[0];
+    if (!slotInfo) {
+      return res.status(404).json({
+        error: "Slot not found or inactive",
+      });
     }
 
-    // Check stock availability
-    if (slotInfo.current_stock < quantity) {
+    // Check stock availability (minus stock reserved by other orders)
+    const reserved = await reservationService.getReservedQuantities([
+      slotInfo.id,
+    ]);
+    const available = slotInfo.current_stock - (reserved.get(slotInfo.id) || 0);
+    if (available < quantity) {
       return res.status(400).json({
         error: "Insufficient stock",
-        available: slotInfo.current_stock,
+        available: Math.max(0, available),
         requested: quantity,
       });
     }
@@ -384,91 +305,66 @@ router.post("/", validateOrder, async (req, res) => {
     const order_id = `ORD-${moment().format("YYYYMMDD")}-${uuidv4()
       .substr(0, 8)
       .toUpperCase()}`;
-
-    // Create payment URL (mock for now - integrate with real payment gateway)
-    const payment_token = uuidv4();
-    const payment_url = `midtrans://payment/${order_id}`; // Placeholder - frontend will create actual Snap URL
     const expires_at = moment().add(15, "minutes").toISOString();
 
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Insert order
-      const supabase = db.getClient();
+    // Reserve stock until the order expires
+    await reservationService.reserve(
+      order_id,
+      machine_id,
+      [{ slot_id: slotInfo.id, quantity }],
+      expires_at
+    );
+    reservedOrderId = order_id;
 
-      const { data: orderData, error: orderError } = await supabase
-        .from("orders")
-        .insert({
-          id: order_id,
-          machine_id,
-          slot_id,
+    // Create charge at the payment gateway
+    const charge = await paymentService.createCharge({
+      order_id,
+      amount: total_amount,
+      payment_method,
+      items: [
+        {
           product_id: slotInfo.product_id,
+          product_name: slotInfo.product_name,
           quantity,
-          total_amount,
-          payment_url,
-          payment_token,
-          expires_at,
-          customer_phone: customerPhoneValue,
-          status: "PENDING",
-        })
-        .select()
-        .single();
-
-      if (orderError) {
-        console.error("Supabase insert order error:", orderError);
-        throw orderError;
-      }
+          unit_price: price,
+        },
+      ],
+      customer_phone: customerPhoneValue,
+    });
 
-      // Insert payment record
-      const { error: paymentError } = await supabase.from("payments").insert({
-        order_id,
-        gateway_name: "midtrans",
-        amount: total_amount,
-        payment_type: payment_method, // Use dynamic payment method
-        status: "PENDING",
-      });
+    const payment_token = charge.token || uuidv4();
+    const payment_url = charge.payment_url;
 
-      if (paymentError) {
-        console.error("Supabase insert payment error:", paymentError);
-        throw paymentError;
-      }
-    } else {
-      // MySQL: Use raw SQL queries
-      const insertParams = [
-        order_id,
-        machine_id,
-        slot_id,
-        slotInfo.product_id,
-        quantity,
-        total_amount,
-        payment_url,
-        payment_token,
-        expires_at,
-        customerPhoneValue,
-      ];
-      console.log("📝 Insert parameters:", insertParams);
-      console.log(
-        "📝 Parameter types:",
-        insertParams.map((p) => typeof p)
-      );
+    await repositories.orders.create({
+      id: order_id,
+      machine_id,
+      slot_id,
+      product_id: slotInfo.product_id,
+      quantity,
+      total_amount,
+      payment_url,
+      payment_token,
+      expires_at: new Date(expires_at),
+      customer_phone: customerPhoneValue,
+      status: "PENDING",
+    });
 
-      // Insert order
-      await db.query(
-        `
-        INSERT INTO orders (id, machine_id, slot_id, product_id, quantity, total_amount, 
-                           payment_url, payment_token, expires_at, customer_phone)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-        insertParams
-      );
+    await repositories.payments.create({
+      order_id,
+      gateway_name: charge.gateway_name,
+      gateway_transaction_id: charge.transaction_id,
+      amount: total_amount,
+      payment_type: payment_method,
+      raw_response: charge.raw,
+      status: "PENDING",
+    });
 
-      // Insert payment record
-      await db.query(
-        `
-        INSERT INTO payments (order_id, gateway_name, amount, payment_type)
-        VALUES (?, 'midtrans', ?, ?)
-      `,
-        [order_id, total_amount, payment_method]
-      );
-    }
+    await eventBus.publish("order.created", {
+      order_id,
+      machine_id,
+      total_amount,
+      item_count: 1,
+    });
 
     res.status(201).json({
       order_id,
@@ -478,12 +374,31 @@ router.post("/", validateOrder, async (req, res) => {
       total_amount,
       payment_url,
       payment_token,
+      payment_gateway: charge.gateway_name,
       expires_at,
-      qr_string: payment_url, // In real implementation, generate actual QR data
+      qr_string: charge.qr_string,
+      va_number: charge.va_number,
+      bank: charge.bank,
       status: "PENDING",
     });
   } catch (error) {
     console.error("Create order error:", error);
+    if (reservedOrderId) {
+      await reservationService.release(reservedOrderId).catch(() => {});
+    }
+    if (error.name === "InsufficientStockError") {
+      return res.status(400).json({
+        error: "Insufficient stock",
+        available: error.available,
+        requested: error.requested,
+      });
+    }
+    if (error.name === "PaymentGatewayError") {
+      return res.status(error.status).json({
+        error: "Failed to create payment",
+        details: error.message,
+      });
+    }
     res.status(500).json({
       error: "Failed to create order",
     });
@@ -495,107 +410,33 @@ router.get("/:order_id", async (req, res) => {
   try {
     const { order_id } = req.params;
 
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Get order with relations
-      const supabase = db.getClient();
-
-      const { data: order, error } = await supabase
-        .from("orders")
-        .select(
-          `
-          *,
-          products (
-            name
-          ),
-          slots (
-            slot_number
-          ),
-          payments (
-            status,
-            processed_at
-          )
-        `
-        )
-        .eq("id", order_id)
-        .single();
-
-      if (error || !order) {
-        return res.status(404).json({
-          error: "Order not found",
-        });
-      }
-
-      // Check if order expired
-      if (order.status === "PENDING" && moment().isAfter(order.expires_at)) {
-        await supabase
-          .from("orders")
-          .update({ status: "FAILED" })
-          .eq("id", order_id);
-        order.status = "FAILED";
-      }
+    const order = await repositories.orders.findDetails(order_id);
 
-      res.json({
-        order_id: order.id,
-        machine_id: order.machine_id,
-        product_name: order.products?.name || "Unknown",
-        slot_number: order.slots?.slot_number || 0,
-        quantity: order.quantity,
-        total_amount: order.total_amount,
-        status: order.status,
-        payment_status: order.payments?.[0]?.status || null,
-        payment_processed_at: order.payments?.[0]?.processed_at || null,
-        created_at: order.created_at,
-        expires_at: order.expires_at,
+    if (!order) {
+      return res.status(404).json({
+        error: "Order not found",
       });
-    } else {
-      // MySQL: Original query
-      const order = await db.query(
-        `
-        SELECT o.*, p.name as product_name, s.slot_number,
-               pay.status as payment_status, pay.processed_at
-        FROM orders o
-        JOIN products p ON o.product_id = p.id
-        JOIN slots s ON o.slot_id = s.id
-        LEFT JOIN payments pay ON o.id = pay.order_id
-        WHERE o.order_id = ?
-      `,
-        [order_id]
-      );
-
-      if (order.length === 0) {
-        return res.status(404).json({
-          error: "Order not found",
-        });
-      }
-
-      const orderInfo = order[0];
-
-      // Check if order expired
-      if (
-        orderInfo.status === "PENDING" &&
-        moment().isAfter(orderInfo.expires_at)
-      ) {
-        await db.query(
-          'UPDATE orders SET status = "FAILED" WHERE order_id = ?',
-          [order_id]
-        );
-        orderInfo.status = "FAILED";
-      }
+    }
 
-      res.json({
-        order_id: orderInfo.order_id,
-        machine_id: orderInfo.machine_id,
-        product_name: orderInfo.product_name,
-        slot_number: orderInfo.slot_number,
-        quantity: orderInfo.quantity,
-        total_amount: orderInfo.total_amount,
-        status: orderInfo.status,
-        payment_status: orderInfo.payment_status,
-        payment_processed_at: orderInfo.processed_at,
-        created_at: orderInfo.created_at,
-        expires_at: orderInfo.expires_at,
-      });
+    // Check if order expired
+    if (order.status === "PENDING" && moment().isAfter(order.expires_at)) {
+      await maintenanceService.expireOrder(order_id);
+      order.status = "FAILED";
     }
+
+    res.json({
+      order_id: order.id,
+      machine_id: order.machine_id,
+      product_name: order.product_name || "Unknown",
+      slot_number: order.slot_number || 0,
+      quantity: order.quantity,
+      total_amount: order.total_amount,
+      status: order.status,
+      payment_status: order.payment_status,
+      payment_processed_at: order.payment_processed_at,
+      created_at: order.created_at,
+      expires_at: order.expires_at,
+    });
   } catch (error) {
     console.error("Get order error:", error);
     res.status(500).json({
@@ -604,48 +445,24 @@ router.get("/:order_id", async (req, res) => {
   }
 });
 
-// Get machine orders (for admin/dashboard)
-router.get("/machine/:machine_id", async (req, res) => {
+// Get machine orders (for admin/dashboard; includes customer phone numbers)
+router.get("/machine/:machine_id", reportsRead, async (req, res) => {
   try {
     const { machine_id } = req.params;
     const { status, limit = 50, offset = 0 } = req.query;
 
-    const supabase = db.getClient();
-
-    // Build query
-    let query = supabase
-      .from("orders")
-      .select(
-        `
-        *,
-        products!inner(name),
-        slots!inner(slot_number),
-        payments(status)
-      `
-      )
-      .eq("machine_id", machine_id)
-      .order("created_at", { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-
-    if (status) {
-      query = query.eq("status", status);
-    }
-
-    const { data: orders, error, count } = await query;
-
-    if (error) throw error;
-
-    // Transform data to match expected format
-    const transformedOrders = orders.map((order) => ({
-      ...order,
-      product_name: order.products?.name,
-      slot_number: order.slots?.slot_number,
-      payment_status: order.payments?.[0]?.status,
-    }));
+    const { orders, total } = await repositories.orders.listByMachine(
+      machine_id,
+      {
+        status,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      }
+    );
 
     res.json({
-      orders: transformedOrders,
-      total: count || orders.length,
+      orders,
+      total,
       limit: parseInt(limit),
       offset: parseInt(offset),
     });
@@ -0,0 +1,109 @@
+const express = require("express");
+const eventBus = require("../services/eventBus");
+const repositories = require("../repositories");
+const { verifyToken, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.use(verifyToken, requirePermission("events:read"));
+
+// Event types and their subscribers
+router.get("/subscribers", (req, res) => {
+  res.json({
+    events: eventBus.listSubscribers(),
+  });
+});
+
+// Stored events, newest first
+router.get("/", async (req, res) => {
+  try {
+    const {
+      type,
+      status,
+      aggregate_id,
+      since,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+
+    const { events, total } = await repositories.outbox.list({
+      type,
+      status,
+      aggregateId: aggregate_id,
+      since: since ? new Date(since) : null,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      events,
+      total,
+    });
+  } catch (error) {
+    console.error("List outbox events error:", error);
+    res.status(500).json({
+      error: "Failed to list events",
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const event = await repositories.outbox.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        error: "Event not found",
+      });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error("Get outbox event error:", error);
+    res.status(500).json({
+      error: "Failed to get event",
+    });
+  }
+});
+
+// Replay an event. FAILED events re-run only the handlers that failed unless
+// body.handlers lists the ones to run.
+router.post(
+  "/:id/replay",
+  requirePermission("events:replay"),
+  async (req, res) => {
+    try {
+      const { handlers } = req.body;
+      if (handlers !== undefined && !Array.isArray(handlers)) {
+        return res.status(400).json({
+          error: "handlers must be an array of subscriber names",
+        });
+      }
+
+      console.log(
+        `🔁 Event ${req.params.id} replay requested by ${
+          req.user.username || req.user.id
+        }`
+      );
+      const result = await eventBus.replay(req.params.id, { handlers });
+      if (!result) {
+        return res.status(404).json({
+          error: "Event not found",
+        });
+      }
+
+      res.json({
+        event_id: req.params.id,
+        type: result.event.type,
+        handlers_run: Object.keys(result.results).concat(result.failed),
+        failed: result.failed,
+      });
+    } catch (error) {
+      console.error("Replay event error:", error);
+      res.status(500).json({
+        error: "Failed to replay event",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,226 +1,177 @@
 const express = require("express");
-const axios = require("axios");
-const db = require("../config/database");
-const { supabase } = require("../config/supabase");
+const { body, validationResult } = require("express-validator");
+const paymentService = require("../services/paymentService");
+const refundService = require("../services/refundService");
+const repositories = require("../repositories");
+const eventBus = require("../services/eventBus");
+const { authorize } = require("../middleware/auth");
 
 const router = express.Router();
-const USE_SUPABASE = process.env.USE_SUPABASE === "true";
+
+// Order status to apply for each payment status reported by the gateway
+const ORDER_STATUS_BY_PAYMENT = {
+  SUCCESS: "PAID",
+  PENDING: "PENDING",
+  FAILED: "FAILED",
+  EXPIRED: "FAILED",
+};
+
+// Stock reservations, dispense and realtime pushes subscribe to these
+// (see services/eventHandlers.js)
+async function publishPaymentEvent(order, payment_status) {
+  if (payment_status === "PENDING") return;
+
+  await eventBus.publish(
+    payment_status === "SUCCESS" ? "payment.succeeded" : "payment.failed",
+    {
+      order_id: order.id,
+      machine_id: order.machine_id,
+      payment_status,
+      amount: order.total_amount,
+    }
+  );
+}
+
+// A payment that arrives after its order expired or failed can no longer be
+// dispensed: record it and give the money back. Refund failures stay visible
+// in the refunds table for admins to retry.
+// Returns the refund, or false when a concurrent notification recorded it first.
+async function refundLatePayment(order, payment, notification) {
+  const recorded = await repositories.payments.updateByOrderId(
+    order.id,
+    {
+      status: "SUCCESS",
+      gateway_transaction_id: notification.transaction_id,
+      payment_type: notification.payment_type,
+      raw_response: notification.raw_response,
+      processed_at: new Date(),
+    },
+    { status: payment.status }
+  );
+  if (!recorded) return false;
+
+  try {
+    return await refundService.refundOrder(order.id, {
+      reason: "Paid after order expired",
+      requestedBy: "system",
+    });
+  } catch (error) {
+    console.error(
+      `❌ Refund of late payment for order ${order.id} failed:`,
+      error.message
+    );
+    return null;
+  }
+}
 
 // Payment webhook endpoint (for payment gateway)
-router.post("/webhook", async (req, res) => {
+// POST /webhook uses the default provider, POST /webhook/:provider a specific one
+router.post(["/webhook", "/webhook/:provider"], async (req, res) => {
   try {
     console.log("Payment webhook received:", req.body);
 
-    // This is a mock implementation - replace with actual payment gateway validation
-    const {
-      order_id,
-      transaction_status,
-      transaction_id,
-      payment_type,
-      gross_amount,
-      signature_key, // Validate this in production
-    } = req.body;
-
-    if (!order_id || !transaction_status) {
-      return res.status(400).json({
-        error: "Missing required fields",
+    const provider = paymentService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        error: "Unknown payment provider",
       });
     }
 
-    // Validate signature (implement actual validation based on your payment gateway)
-    // const isValidSignature = validateSignature(req.body);
-    // if (!isValidSignature) {
-    //   return res.status(401).json({ error: 'Invalid signature' });
-    // }
-
-    // Update payment status
-    let payment_status;
-    let order_status;
-
-    switch (transaction_status) {
-      case "capture":
-      case "settlement":
-        payment_status = "SUCCESS";
-        order_status = "PAID";
-        break;
-      case "pending":
-        payment_status = "PENDING";
-        order_status = "PENDING";
-        break;
-      case "deny":
-      case "cancel":
-      case "expire":
-        payment_status = "FAILED";
-        order_status = "FAILED";
-        break;
-      default:
-        payment_status = "PENDING";
-        order_status = "PENDING";
+    if (!provider.verifyNotification(req.body, req.headers)) {
+      console.error(`❌ Invalid ${provider.name} webhook signature`);
+      return res.status(401).json({ error: "Invalid signature" });
     }
 
-    if (USE_SUPABASE) {
-      // === SUPABASE IMPLEMENTATION ===
-      // Update payment record
-      const { error: paymentError } = await supabase
-        .from("payments")
-        .update({
-          status: payment_status,
-          gateway_transaction_id: transaction_id,
-          payment_type: payment_type,
-          raw_response: req.body,
-          processed_at: new Date().toISOString(),
-        })
-        .eq("order_id", order_id);
+    const { order_id, status, transaction_id, payment_type } =
+      provider.parseNotification(req.body);
 
-      if (paymentError) {
-        console.error("Payment update error:", paymentError);
-      }
+    if (!order_id) {
+      return res.status(400).json({
+        error: "Missing required fields",
+      });
+    }
 
-      // Update order status
-      const updateData = {
-        status: order_status,
-      };
+    if (!status) {
+      // Notification we don't act on (e.g. VA created, refund events)
+      return res.json({
+        status: "OK",
+        message: "Webhook ignored",
+      });
+    }
 
-      if (payment_status === "SUCCESS") {
-        updateData.paid_at = new Date().toISOString();
-      }
+    const payment_status = status;
+    const order_status = ORDER_STATUS_BY_PAYMENT[status];
 
-      const { error: orderError } = await supabase
-        .from("orders")
-        .update(updateData)
-        .eq("id", order_id);
+    // Gateways retry and send notifications concurrently - only PENDING
+    // orders can change payment state, and only one notification settles them
+    let currentOrder = await repositories.orders.findById(order_id);
 
-      if (orderError) {
-        console.error("Order update error:", orderError);
-      }
-    } else {
-      // === MYSQL IMPLEMENTATION ===
-      await db.transaction(async (connection) => {
-        // Update payment record
-        await connection.execute(
-          `
-          UPDATE payments 
-          SET status = ?, gateway_transaction_id = ?, payment_type = ?, 
-              raw_response = ?, processed_at = NOW()
-          WHERE order_id = ?
-        `,
-          [
-            payment_status,
-            transaction_id,
-            payment_type,
-            JSON.stringify(req.body),
-            order_id,
-          ]
-        );
-
-        // Update order status
-        const paid_at = payment_status === "SUCCESS" ? "NOW()" : "NULL";
-        await connection.execute(
-          `
-          UPDATE orders 
-          SET status = ?, paid_at = ${paid_at}
-          WHERE id = ?
-        `,
-          [order_status, order_id]
-        );
+    if (!currentOrder) {
+      return res.status(404).json({
+        error: "Order not found",
       });
     }
 
-    // If payment successful, trigger dispense process
-    if (payment_status === "SUCCESS") {
-      // Trigger dispense via internal API call
-      console.log(
-        `💰 Payment successful for order ${order_id} - triggering dispense`
+    if (currentOrder.status === "PENDING") {
+      const orderUpdate = { status: order_status };
+      if (payment_status === "SUCCESS") {
+        orderUpdate.paid_at = new Date();
+      }
+
+      const settled = await repositories.payments.settle(
+        order_id,
+        {
+          status: payment_status,
+          gateway_transaction_id: transaction_id,
+          payment_type: payment_type,
+          raw_response: req.body,
+          processed_at: new Date(),
+        },
+        orderUpdate,
+        { status: "PENDING" }
       );
+      if (settled) {
+        await publishPaymentEvent(currentOrder, payment_status);
+        return res.json({
+          status: "OK",
+          message: "Webhook processed successfully",
+        });
+      }
 
-      try {
-        // Check if this is a multi-item order
-        let hasMultipleItems = false;
-        let itemCount = 0;
-        
-        if (USE_SUPABASE) {
-          const { data: items, error } = await supabase
-            .from("order_items")
-            .select("*")
-            .eq("order_id", order_id);
-          
-          console.log(`🔍 Supabase order_items query result:`, {
-            itemsFound: items?.length || 0,
-            hasError: !!error,
-            error: error?.message,
-          });
-          
-          hasMultipleItems = items && items.length > 0;
-          itemCount = items?.length || 0;
-        } else {
-          const items = await db.query(
-            "SELECT * FROM order_items WHERE order_id = ?",
-            [order_id]
+      // Another notification or the expiry job got there first
+      currentOrder = await repositories.orders.findById(order_id);
+    }
+    const currentStatus = currentOrder.status;
+
+    // Late payment for an expired order; retries find the payment already
+    // SUCCESS and are skipped below
+    if (payment_status === "SUCCESS" && currentStatus === "FAILED") {
+      const payment = await repositories.payments.findByOrderId(order_id);
+      if (payment && payment.status !== "SUCCESS") {
+        const refund = await refundLatePayment(currentOrder, payment, {
+          transaction_id,
+          payment_type,
+          raw_response: req.body,
+        });
+        if (refund !== false) {
+          console.log(
+            `💸 Order ${order_id} was paid after it expired, refunded`
           );
-          
-          console.log(`🔍 MySQL order_items query result:`, {
-            itemsFound: items?.length || 0,
+          return res.json({
+            status: "OK",
+            message: "Late payment recorded and refunded",
+            refund_status: refund?.status || "FAILED",
           });
-          
-          hasMultipleItems = items && items.length > 0;
-          itemCount = items?.length || 0;
-        }
-
-        // Choose the appropriate dispense endpoint
-        const dispenseEndpoint = hasMultipleItems ? "/multi" : "/trigger";
-        const dispenseUrl = `http://localhost:${
-          process.env.PORT || 3001
-        }/api/dispense${dispenseEndpoint}`;
-
-        console.log(`📦 Order ${order_id} has ${itemCount} items`);
-        console.log(`📦 Triggering ${hasMultipleItems ? 'multi-item' : 'single'} dispense...`);
-        console.log(`📦 Endpoint: ${dispenseUrl}`);
-
-        await axios.post(
-          dispenseUrl,
-          {
-            order_id: order_id,
-          },
-          {
-            timeout: 10000, // Increased timeout for multi-item
-            headers: {
-              "Content-Type": "application/json",
-            },
-          }
-        );
-
-        console.log(`✅ Dispense triggered successfully for order ${order_id}`);
-      } catch (dispenseError) {
-        console.error(
-          `❌ Failed to trigger dispense for order ${order_id}:`,
-          dispenseError.message
-        );
-
-        // Log the error but don't fail the webhook
-        // The order is already marked as PAID, dispense can be retried later
-        if (USE_SUPABASE) {
-          await supabase
-            .from("orders")
-            .update({
-              status: "PENDING_DISPENSE",
-              notes: `Payment successful but dispense failed: ${dispenseError.message}`,
-            })
-            .eq("id", order_id);
-        } else {
-          await db.query(
-            `UPDATE orders SET status = 'PENDING_DISPENSE', notes = ? WHERE id = ?`,
-            [
-              `Payment successful but dispense failed: ${dispenseError.message}`,
-              order_id,
-            ]
-          );
         }
       }
     }
 
+    console.log(
+      `ℹ️ Order ${order_id} is already ${currentStatus}, skipping ${payment_status} notification`
+    );
     res.json({
       status: "OK",
-      message: "Webhook processed successfully",
+      message: "Webhook already processed",
     });
   } catch (error) {
     console.error("Payment webhook error:", error);
@@ -230,8 +181,9 @@ router.post("/webhook", async (req, res) => {
   }
 });
 
-// Manual payment verification (for testing)
-router.post("/verify/:order_id", async (req, res) => {
+// Manual payment verification (for testing). Marks the order PAID, which
+// dispenses it, so it is limited to debug access like /api/debug
+router.post("/verify/:order_id", authorize("debug:access"), async (req, res) => {
   try {
     const { order_id } = req.params;
     const { status = "SUCCESS" } = req.body;
@@ -240,43 +192,19 @@ router.post("/verify/:order_id", async (req, res) => {
     console.log("💳 Order ID:", order_id);
     console.log("💳 Status:", status);
 
-    let order;
-
-    if (USE_SUPABASE) {
-      console.log("🔍 Checking order in Supabase...");
-      // Supabase: Check if order exists
-      const { data, error } = await supabase
-        .from("orders")
-        .select("*")
-        .eq("id", order_id)
-        .single();
-
-      console.log("📊 Supabase result:", { data, error });
+    const order = await repositories.orders.findById(order_id);
 
-      if (error || !data) {
-        console.log("❌ Order not found");
-        return res.status(404).json({
-          error: "Order not found",
-        });
-      }
-      order = data;
-      console.log("✅ Order found:", {
-        id: order.id,
-        status: order.status,
-        machine_id: order.machine_id,
+    if (!order) {
+      console.log("❌ Order not found");
+      return res.status(404).json({
+        error: "Order not found",
       });
-    } else {
-      // MySQL: Check if order exists
-      const result = await db.query("SELECT * FROM orders WHERE id = ?", [
-        order_id,
-      ]);
-      if (result.length === 0) {
-        return res.status(404).json({
-          error: "Order not found",
-        });
-      }
-      order = result[0];
     }
+    console.log("✅ Order found:", {
+      id: order.id,
+      status: order.status,
+      machine_id: order.machine_id,
+    });
 
     if (order.status !== "PENDING" && order.status !== "PAID") {
       console.log(`⚠️ Order status is ${order.status}, cannot verify`);
@@ -304,160 +232,30 @@ router.post("/verify/:order_id", async (req, res) => {
     console.log("📝 New payment_status:", payment_status);
     console.log("📝 New order_status:", order_status);
 
-    if (USE_SUPABASE) {
-      // Supabase: Update payment and order
-      const now = new Date().toISOString();
-
-      console.log("💾 Updating payment...");
-      // Update payment
-      const { error: paymentError } = await supabase
-        .from("payments")
-        .update({
-          status: payment_status,
-          processed_at: now,
-        })
-        .eq("order_id", order_id);
-
-      if (paymentError) {
-        console.error("❌ Payment update error:", paymentError);
-      } else {
-        console.log("✅ Payment updated");
-      }
-
-      console.log("💾 Updating order...");
-      // Update order
-      const orderUpdate = {
-        status: order_status,
-      };
-      if (payment_status === "SUCCESS") {
-        orderUpdate.paid_at = now;
-      }
-
-      const { error: orderError } = await supabase
-        .from("orders")
-        .update(orderUpdate)
-        .eq("id", order_id);
+    const now = new Date();
+    const orderUpdate = { status: order_status };
+    if (payment_status === "SUCCESS") {
+      orderUpdate.paid_at = now;
+    }
 
-      if (orderError) {
-        console.error("❌ Order update error:", orderError);
-      } else {
-        console.log("✅ Order updated to status:", order_status);
-      }
-    } else {
-      // MySQL: Use transaction
-      await db.transaction(async (connection) => {
-        await connection.execute(
-          `
-        UPDATE payments 
-        SET status = ?, processed_at = NOW()
-        WHERE order_id = ?
-      `,
-          [payment_status, order_id]
-        );
-
-        const paid_at = payment_status === "SUCCESS" ? "NOW()" : "NULL";
-        await connection.execute(
-          `
-        UPDATE orders 
-        SET status = ?, paid_at = ${paid_at}
-        WHERE id = ?
-      `,
-          [order_status, order_id]
-        );
+    const settled = await repositories.payments.settle(
+      order_id,
+      { status: payment_status, processed_at: now },
+      orderUpdate,
+      { status: "PENDING" }
+    );
+    if (!settled) {
+      // A webhook or the expiry job settled it since it was read
+      const current = await repositories.orders.findById(order_id);
+      console.log(`⚠️ Order is now ${current?.status}, not verifying`);
+      return res.status(409).json({
+        error: "Order is no longer pending",
+        current_status: current?.status ?? null,
       });
     }
+    console.log("✅ Order updated to status:", order_status);
 
-    // If payment successful, trigger dispense process
-    if (payment_status === "SUCCESS") {
-      console.log(
-        `💰 Payment verified for order ${order_id} - triggering dispense`
-      );
-
-      try {
-        // Check if this is a multi-item order
-        let hasMultipleItems = false;
-        let itemCount = 0;
-
-        if (USE_SUPABASE) {
-          const { data: items, error } = await supabase
-            .from("order_items")
-            .select("*")
-            .eq("order_id", order_id);
-
-          console.log(`🔍 Supabase order_items query result:`, {
-            itemsFound: items?.length || 0,
-            hasError: !!error,
-            error: error?.message,
-          });
-
-          hasMultipleItems = items && items.length > 0;
-          itemCount = items?.length || 0;
-        } else {
-          const items = await db.query(
-            "SELECT * FROM order_items WHERE order_id = ?",
-            [order_id]
-          );
-
-          console.log(`🔍 MySQL order_items query result:`, {
-            itemsFound: items?.length || 0,
-          });
-
-          hasMultipleItems = items && items.length > 0;
-          itemCount = items?.length || 0;
-        }
-
-        // Choose the appropriate dispense endpoint
-        const dispenseEndpoint = hasMultipleItems ? "/multi" : "/trigger";
-        const dispenseUrl = `http://localhost:${
-          process.env.PORT || 3001
-        }/api/dispense${dispenseEndpoint}`;
-
-        console.log(`📦 Order ${order_id} has ${itemCount} items`);
-        console.log(
-          `📦 Triggering ${hasMultipleItems ? "multi-item" : "single"} dispense...`
-        );
-        console.log(`📦 Endpoint: ${dispenseUrl}`);
-
-        await axios.post(
-          dispenseUrl,
-          {
-            order_id: order_id,
-          },
-          {
-            timeout: 10000, // Increased timeout for multi-item
-            headers: {
-              "Content-Type": "application/json",
-            },
-          }
-        );
-
-        console.log(`✅ Dispense triggered successfully for order ${order_id}`);
-      } catch (dispenseError) {
-        console.error(
-          `❌ Failed to trigger dispense for order ${order_id}:`,
-          dispenseError.message
-        );
-
-        // Log the error but don't fail the verification
-        if (USE_SUPABASE) {
-          await supabase
-            .from("orders")
-            .update({
-              status: "PENDING_DISPENSE",
-              notes: `Payment successful but dispense failed: ${dispenseError.message}`,
-            })
-            .eq("id", order_id);
-        } else {
-          await db.query(
-            `UPDATE orders SET status = 'PENDING_DISPENSE', notes = ? WHERE id = ?`,
-            [
-              `Payment successful but dispense failed: ${dispenseError.message}`,
-              order_id,
-            ]
-          );
-        }
-      }
-    }
+    await publishPaymentEvent(order, payment_status);
 
     console.log("✅ ========== PAYMENT VERIFICATION SUCCESS ==========");
     res.json({
@@ -499,26 +297,9 @@ router.patch("/method/:order_id", async (req, res) => {
       payment_method,
     });
 
-    if (USE_SUPABASE) {
-      const { error } = await supabase
-        .from("payments")
-        .update({ payment_type: payment_method })
-        .eq("order_id", order_id);
-
-      if (error) {
-        console.error("❌ Failed to update payment method:", error);
-        return res.status(500).json({
-          error: "Failed to update payment method",
-        });
-      }
-
-      console.log("✅ Payment method updated successfully");
-    } else {
-      await db.query(
-        `UPDATE payments SET payment_type = ? WHERE order_id = ?`,
-        [payment_method, order_id]
-      );
-    }
+    await repositories.payments.updateByOrderId(order_id, {
+      payment_type: payment_method,
+    });
 
     res.json({
       success: true,
@@ -534,61 +315,82 @@ router.patch("/method/:order_id", async (req, res) => {
   }
 });
 
+// Validate refund request
+const validateRefund = [
+  body("reason").optional().isString().isLength({ max: 255 }),
+  body("item_ids").optional().isArray({ min: 1 }),
+  body("item_ids.*").optional().isInt({ min: 1 }),
+];
+
+// Refund an order (admin). Omit item_ids to refund everything not yet refunded
+router.post(
+  "/refund/:order_id",
+  authorize("refunds:write"),
+  validateRefund,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { order_id } = req.params;
+      const { reason, item_ids } = req.body;
+
+      const refund = await refundService.refundOrder(order_id, {
+        reason: reason || "Manual refund",
+        requestedBy: req.user.username || req.user.id,
+        itemIds: item_ids,
+      });
+
+      console.log(`💸 Order ${order_id} refunded by ${req.user.username}`);
+      res.json({
+        order_id,
+        refund,
+        message: "Refund processed",
+      });
+    } catch (error) {
+      console.error("Refund error:", error);
+      res.status(error.status || 500).json({
+        error: "Failed to refund order",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Get refunds for an order (admin)
+router.get(
+  "/refunds/:order_id",
+  authorize("refunds:read"),
+  async (req, res) => {
+    try {
+      const refunds = await refundService.getRefunds(req.params.order_id);
+      res.json({ order_id: req.params.order_id, refunds });
+    } catch (error) {
+      console.error("Get refunds error:", error);
+      res.status(error.status || 500).json({
+        error: "Failed to get refunds",
+        details: error.message,
+      });
+    }
+  }
+);
+
 // Get payment details
 router.get("/:order_id", async (req, res) => {
   try {
     const { order_id } = req.params;
 
-    let payment;
-
-    if (USE_SUPABASE) {
-      // Supabase: Get payment with order details
-      const { data, error } = await supabase
-        .from("payments")
-        .select(
-          `
-          *,
-          order:orders (
-            total_amount,
-            status
-          )
-        `
-        )
-        .eq("order_id", order_id)
-        .single();
-
-      if (error || !data) {
-        return res.status(404).json({
-          error: "Payment not found",
-        });
-      }
+    const payment = await repositories.payments.findByOrderId(order_id);
 
-      // Flatten the response
-      payment = {
-        ...data,
-        order_amount: data.order.total_amount,
-        order_status: data.order.status,
-      };
-      delete payment.order;
-    } else {
-      // MySQL: Get payment with join
-      const result = await db.query(
-        `
-        SELECT p.*, o.total_amount as order_amount, o.status as order_status
-        FROM payments p
-        JOIN orders o ON p.order_id = o.id
-        WHERE p.order_id = ?
-      `,
-        [order_id]
-      );
-
-      if (result.length === 0) {
-        return res.status(404).json({
-          error: "Payment not found",
-        });
-      }
-
-      payment = result[0];
+    if (!payment) {
+      return res.status(404).json({
+        error: "Payment not found",
+      });
     }
 
     res.json(payment);
@@ -0,0 +1,164 @@
+const express = require("express");
+const { body } = require("express-validator");
+const repositories = require("../repositories");
+const planogramService = require("../services/planogramService");
+const { authorize, requireOwnMachine } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+// Mounted at /api/machines/:machine_id/planograms
+const router = express.Router({ mergeParams: true });
+const planogramsRead = [...authorize("machines:monitor"), requireOwnMachine()];
+const planogramsWrite = authorize("planograms:write");
+
+// Entries may leave fields out; they are taken from the current slot
+const validateLayout = [
+  body("layout")
+    .optional()
+    .isArray({ min: 1, max: 200 })
+    .withMessage("layout must be a non-empty array")
+    .custom((layout) => {
+      const numbers = layout.map((entry) => entry?.slot_number);
+      return new Set(numbers).size === numbers.length;
+    })
+    .withMessage("Each slot_number may only appear once"),
+  body("layout.*.slot_number").isInt({ min: 1 }).toInt(),
+  body("layout.*.product_id")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .toInt(),
+  body("layout.*.capacity").optional().isInt({ min: 1, max: 1000 }).toInt(),
+  body("layout.*.price_override")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .toFloat(),
+  body("layout.*.motor_duration_ms")
+    .optional()
+    .isInt({ min: 100, max: 60000 })
+    .toInt(),
+  body("layout.*.is_active").optional().isBoolean({ strict: true }),
+  body("notes").optional({ values: "null" }).isString().isLength({ max: 500 }),
+];
+
+// Planogram of this machine, or a 404
+async function findPlanogram(req, res) {
+  const planogram = await planogramService.get(req.params.id);
+  if (!planogram || planogram.machine_id !== req.params.machine_id) {
+    res.status(404).json({
+      error: "Planogram not found",
+    });
+    return null;
+  }
+  return planogram;
+}
+
+router.get("/", planogramsRead, async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    if (status && !planogramService.PLANOGRAM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${planogramService.PLANOGRAM_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const { planograms, total } = await repositories.planograms.list(
+      req.params.machine_id,
+      {
+        status,
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0,
+      }
+    );
+
+    res.json({
+      planograms,
+      total,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list planograms");
+  }
+});
+
+// New draft from layout, from_planogram_id (e.g. to roll back) or the current slots
+router.post(
+  "/",
+  planogramsWrite,
+  body("from_planogram_id").optional().isInt({ min: 1 }),
+  validateLayout,
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { layout, from_planogram_id, notes } = req.body;
+      const planogram = await planogramService.createDraft(
+        req.params.machine_id,
+        {
+          layout,
+          fromPlanogramId: from_planogram_id,
+          notes,
+          createdBy: actor(req),
+        }
+      );
+
+      res.status(201).json(planogram);
+    } catch (error) {
+      sendError(res, error, "Failed to create planogram");
+    }
+  }
+);
+
+// Drafts include the changes applying them would make
+router.get("/:id", planogramsRead, async (req, res) => {
+  try {
+    const planogram = await findPlanogram(req, res);
+    if (!planogram) return;
+
+    res.json(planogram);
+  } catch (error) {
+    sendError(res, error, "Failed to get planogram");
+  }
+});
+
+router.put("/:id", planogramsWrite, validateLayout, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    if (!(await findPlanogram(req, res))) return;
+
+    const planogram = await planogramService.updateDraft(req.params.id, {
+      layout: req.body.layout,
+      notes: req.body.notes,
+    });
+    res.json(planogram);
+  } catch (error) {
+    sendError(res, error, "Failed to update planogram");
+  }
+});
+
+router.post("/:id/apply", planogramsWrite, async (req, res) => {
+  try {
+    if (!(await findPlanogram(req, res))) return;
+
+    const result = await planogramService.apply(req.params.id, {
+      appliedBy: actor(req),
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to apply planogram");
+  }
+});
+
+router.delete("/:id", planogramsWrite, async (req, res) => {
+  try {
+    if (!(await findPlanogram(req, res))) return;
+
+    await planogramService.discard(req.params.id);
+    res.json({
+      deleted: true,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to delete planogram");
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,15 @@
 const express = require("express");
-const db = require("../config/database");
+const repositories = require("../repositories");
 const upload = require("../config/upload");
+const reservationService = require("../services/reservationService");
+const lotService = require("../services/lotService");
 const { supabaseStorage } = require("../config/supabase");
 const path = require("path");
 const fs = require("fs");
+const { authorize } = require("../middleware/auth");
 
 const router = express.Router();
+const productsWrite = authorize("products:write");
 
 // Supabase Storage bucket name
 const STORAGE_BUCKET = "product-images";
@@ -13,24 +17,7 @@ const STORAGE_BUCKET = "product-images";
 // Get all products (admin - simple list without slots)
 router.get("/all", async (req, res) => {
   try {
-    let products;
-
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Get all products
-      const supabase = db.getClient();
-      const { data, error } = await supabase
-        .from("products")
-        .select("*")
-        .order("created_at", { ascending: false });
-
-      if (error) throw error;
-      products = data;
-    } else {
-      // MySQL: Get all products
-      products = await db.query(
-        "SELECT * FROM products ORDER BY created_at DESC"
-      );
-    }
+    const products = await repositories.products.list();
 
     res.json(products);
   } catch (error) {
@@ -47,24 +34,7 @@ router.get("/", async (req, res) => {
     const { machine_id } = req.query;
     const currentMachine = machine_id || process.env.MACHINE_ID || "VM01";
 
-    const products = await db.query(
-      `
-      SELECT 
-        p.*,
-        s.id as slot_id,
-        s.slot_number,
-        s.current_stock,
-        s.capacity,
-        s.price_override,
-        COALESCE(s.price_override, p.price) as final_price,
-        s.is_active as slot_active
-      FROM products p
-      LEFT JOIN slots s ON p.id = s.product_id AND s.machine_id = ?
-      WHERE p.is_active = 1
-      ORDER BY s.slot_number ASC, p.name ASC
-    `,
-      [currentMachine]
-    );
+    const products = await repositories.products.listWithSlots(currentMachine);
 
     // Group by product and include all slots
     const productMap = new Map();
@@ -111,95 +81,37 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Get available products for purchase (only with stock)
+// Get available products for purchase (only with stock not reserved by other
+// orders and not in expired or recalled lots)
 router.get("/available", async (req, res) => {
   try {
     const { machine_id } = req.query;
     const currentMachine = machine_id || process.env.MACHINE_ID || "VM01";
 
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Use getClient() to access supabase instance
-      const supabase = db.getClient();
-
-      const { data: products, error } = await supabase
-        .from("slots")
-        .select(
-          `
-          id,
-          slot_number,
-          current_stock,
-          price_override,
-          product_id,
-          products (
-            id,
-            name,
-            description,
-            price,
-            image_url,
-            category,
-            is_active
-          )
-        `
-        )
-        .eq("machine_id", currentMachine)
-        .eq("is_active", true)
-        .gt("current_stock", 0)
-        .order("slot_number", { ascending: true });
-
-      if (error) throw error;
-
-      // Filter out slots where product is not active
-      const activeProducts = products.filter(
-        (slot) => slot.products && slot.products.is_active
-      );
+    const products = await repositories.products.listAvailable(currentMachine);
+
+    const slotIds = products.map((product) => product.slot_id);
+    const reserved = await reservationService.getReservedQuantities(slotIds);
+    const blocked = await lotService.getBlockedQuantities(slotIds);
+    const availableProducts = products
+      .map((product) => ({
+        ...product,
+        reserved_stock: reserved.get(product.slot_id) || 0,
+        blocked_stock: blocked.get(product.slot_id) || 0,
+        available_stock: Math.max(
+          0,
+          product.current_stock -
+            (reserved.get(product.slot_id) || 0) -
+            (blocked.get(product.slot_id) || 0)
+        ),
+      }))
+      .filter((product) => product.available_stock > 0);
 
-      // Transform data to match expected format
-      const transformedProducts = activeProducts.map((slot) => ({
-        id: slot.products.id,
-        name: slot.products.name,
-        description: slot.products.description,
-        price: slot.products.price,
-        image_url: slot.products.image_url,
-        category: slot.products.category,
-        is_active: slot.products.is_active,
-        slot_id: slot.id,
-        slot_number: slot.slot_number,
-        current_stock: slot.current_stock,
-        final_price: slot.price_override || slot.products.price,
-      }));
-
-      res.json({
-        success: true,
-        data: transformedProducts,
-        count: transformedProducts.length,
-      });
-    } else {
-      // MySQL: Use raw SQL query
-      const products = await db.query(
-        `
-        SELECT 
-          p.*,
-          s.id as slot_id,
-          s.slot_number,
-          s.current_stock,
-          COALESCE(s.price_override, p.price) as final_price
-        FROM products p
-        JOIN slots s ON p.id = s.product_id
-        WHERE p.is_active = 1 
-          AND s.is_active = 1 
-          AND s.current_stock > 0
-          AND s.machine_id = ?
-        ORDER BY s.slot_number ASC
-      `,
-        [currentMachine]
-      );
-
-      res.json({
-        success: true,
-        data: products,
-        count: products.length,
-      });
-    }
+    res.json({
+      success: true,
+      data: availableProducts,
+      count: availableProducts.length,
+    });
   } catch (error) {
     console.error("Get available products error:", error);
     res.status(500).json({
@@ -215,23 +127,9 @@ router.get("/:id", async (req, res) => {
     const { machine_id } = req.query;
     const currentMachine = machine_id || process.env.MACHINE_ID || "VM01";
 
-    const product = await db.query(
-      `
-      SELECT 
-        p.*,
-        s.id as slot_id,
-        s.slot_number,
-        s.current_stock,
-        s.capacity,
-        s.price_override,
-        COALESCE(s.price_override, p.price) as final_price,
-        s.is_active as slot_active
-      FROM products p
-      LEFT JOIN slots s ON p.id = s.product_id AND s.machine_id = ?
-      WHERE p.id = ?
-    `,
-      [currentMachine, id]
-    );
+    const product = await repositories.products.listWithSlots(currentMachine, {
+      productId: id,
+    });
 
     if (product.length === 0) {
       return res.status(404).json({
@@ -270,7 +168,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create new product
-router.post("/", upload.single("image"), async (req, res) => {
+router.post("/", productsWrite, upload.single("image"), async (req, res) => {
   let uploadedFilePath = null;
 
   try {
@@ -329,48 +227,7 @@ router.post("/", upload.single("image"), async (req, res) => {
       is_active: is_active === "true" || is_active === true,
     };
 
-    let newProduct;
-
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Insert product
-      const supabase = db.getClient();
-
-      const { data, error } = await supabase
-        .from("products")
-        .insert(productData)
-        .select()
-        .single();
-
-      if (error) {
-        // Rollback: Delete uploaded image if product creation fails
-        if (uploadedFilePath) {
-          await supabaseStorage.deleteFile(STORAGE_BUCKET, uploadedFilePath);
-        }
-        throw error;
-      }
-      newProduct = data;
-    } else {
-      // MySQL: Insert product
-      const result = await db.query(
-        `
-        INSERT INTO products (name, description, price, image_url, category, is_active)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `,
-        [
-          productData.name,
-          productData.description,
-          productData.price,
-          productData.image_url,
-          productData.category,
-          productData.is_active,
-        ]
-      );
-
-      newProduct = {
-        id: result.insertId,
-        ...productData,
-      };
-    }
+    const newProduct = await repositories.products.create(productData);
 
     res.status(201).json({
       message: "Product created successfully",
@@ -379,8 +236,10 @@ router.post("/", upload.single("image"), async (req, res) => {
   } catch (error) {
     console.error("Create product error:", error);
 
-    // Delete uploaded file if product creation failed
-    if (req.file) {
+    // Delete uploaded image if product creation failed
+    if (uploadedFilePath) {
+      await supabaseStorage.deleteFile(STORAGE_BUCKET, uploadedFilePath);
+    } else if (req.file) {
       const filePath = path.join(
         __dirname,
         "../../uploads/products",
@@ -398,42 +257,18 @@ router.post("/", upload.single("image"), async (req, res) => {
 });
 
 // Update product
-router.put("/:id", upload.single("image"), async (req, res) => {
+router.put("/:id", productsWrite, upload.single("image"), async (req, res) => {
   let uploadedFilePath = null;
 
   try {
     const { id } = req.params;
     const { name, description, price, category, is_active } = req.body;
 
-    let oldProduct;
-
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Get existing product
-      const supabase = db.getClient();
-      const { data, error } = await supabase
-        .from("products")
-        .select("*")
-        .eq("id", id)
-        .single();
-
-      if (error || !data) {
-        return res.status(404).json({
-          error: "Product not found",
-        });
-      }
-      oldProduct = data;
-    } else {
-      // MySQL: Check if product exists
-      const existing = await db.query("SELECT * FROM products WHERE id = ?", [
-        id,
-      ]);
-
-      if (existing.length === 0) {
-        return res.status(404).json({
-          error: "Product not found",
-        });
-      }
-      oldProduct = existing[0];
+    const oldProduct = await repositories.products.findById(id);
+    if (!oldProduct) {
+      return res.status(404).json({
+        error: "Product not found",
+      });
     }
 
     // Prepare update data
@@ -512,57 +347,12 @@ router.put("/:id", upload.single("image"), async (req, res) => {
           : oldProduct.is_active,
     };
 
-    let updatedProduct;
-
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Update product
-      const supabase = db.getClient();
-
-      const { data, error } = await supabase
-        .from("products")
-        .update(updateData)
-        .eq("id", id)
-        .select()
-        .single();
-
-      if (error) {
-        // Rollback: Delete newly uploaded image if update fails
-        if (uploadedFilePath) {
-          await supabaseStorage.deleteFile(STORAGE_BUCKET, uploadedFilePath);
-        }
-        throw error;
-      }
-
-      updatedProduct = data;
-
-      // Success: Delete old image from Supabase Storage
-      if (oldImagePath && req.file) {
-        await supabaseStorage.deleteFile(STORAGE_BUCKET, oldImagePath);
-        console.log("✅ Old image deleted from Supabase Storage");
-      }
-    } else {
-      // MySQL: Update product
-      await db.query(
-        `
-        UPDATE products 
-        SET name = ?, description = ?, price = ?, image_url = ?, category = ?, is_active = ?
-        WHERE id = ?
-      `,
-        [
-          updateData.name,
-          updateData.description,
-          updateData.price,
-          updateData.image_url,
-          updateData.category,
-          updateData.is_active,
-          id,
-        ]
-      );
+    const updatedProduct = await repositories.products.update(id, updateData);
 
-      updatedProduct = {
-        id: parseInt(id),
-        ...updateData,
-      };
+    // Success: Delete old image from Supabase Storage
+    if (oldImagePath) {
+      await supabaseStorage.deleteFile(STORAGE_BUCKET, oldImagePath);
+      console.log("✅ Old image deleted from Supabase Storage");
     }
 
     res.json({
@@ -600,39 +390,15 @@ router.put("/:id", upload.single("image"), async (req, res) => {
 });
 
 // Delete product
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", productsWrite, async (req, res) => {
   try {
     const { id } = req.params;
 
-    let product;
-
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Get product
-      const supabase = db.getClient();
-      const { data, error } = await supabase
-        .from("products")
-        .select("*")
-        .eq("id", id)
-        .single();
-
-      if (error || !data) {
-        return res.status(404).json({
-          error: "Product not found",
-        });
-      }
-      product = data;
-    } else {
-      // MySQL: Get product to delete image
-      const result = await db.query("SELECT * FROM products WHERE id = ?", [
-        id,
-      ]);
-
-      if (result.length === 0) {
-        return res.status(404).json({
-          error: "Product not found",
-        });
-      }
-      product = result[0];
+    const product = await repositories.products.findById(id);
+    if (!product) {
+      return res.status(404).json({
+        error: "Product not found",
+      });
     }
 
     // Delete image
@@ -660,16 +426,7 @@ router.delete("/:id", async (req, res) => {
       }
     }
 
-    if (process.env.USE_SUPABASE === "true") {
-      // Supabase: Delete product
-      const supabase = db.getClient();
-      const { error } = await supabase.from("products").delete().eq("id", id);
-
-      if (error) throw error;
-    } else {
-      // MySQL: Delete product
-      await db.query("DELETE FROM products WHERE id = ?", [id]);
-    }
+    await repositories.products.remove(id);
 
     res.json({
       message: "Product deleted successfully",
@@ -0,0 +1,81 @@
+const express = require("express");
+const salesReportService = require("../services/salesReportService");
+const { authorize } = require("../middleware/auth");
+const { sendError } = require("../utils/validation");
+
+const router = express.Router();
+
+router.use(authorize("reports:read"));
+
+const FORMATS = ["json", "csv", "xlsx"];
+
+// ?machine_id=VM01,VM02 or repeated ?machine_id=
+function machineIds(value) {
+  return [value || []]
+    .flat()
+    .flatMap((id) => String(id).split(","))
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+// Sales across machines: ?from=&to= (YYYY-MM-DD, inclusive), ?tz=Asia/Jakarta,
+// ?group_by=day|week|month, ?machine_id=. ?format=csv takes ?view= (default period);
+// ?format=xlsx has every view as its own sheet
+router.get("/sales", async (req, res) => {
+  try {
+    const {
+      from,
+      to,
+      tz,
+      group_by = "day",
+      format = "json",
+      view = "period",
+    } = req.query;
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of ${FORMATS.join(", ")}`,
+      });
+    }
+    if (format === "csv" && !salesReportService.VIEWS.includes(view)) {
+      return res.status(400).json({
+        error: `view must be one of ${salesReportService.VIEWS.join(", ")}`,
+      });
+    }
+
+    const report = await salesReportService.salesReport({
+      from,
+      to,
+      timezone: tz || undefined,
+      groupBy: group_by,
+      machineIds: machineIds(req.query.machine_id),
+    });
+    if (format === "json") {
+      return res.json(report);
+    }
+
+    const filename = `sales-${report.range.from}-${report.range.to}`;
+    if (format === "xlsx") {
+      const xlsx = await salesReportService.toXlsx(report);
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.xlsx"`
+      );
+      return res.send(Buffer.from(xlsx));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}-${view}.csv"`
+    );
+    res.send(salesReportService.toCsv(report, view));
+  } catch (error) {
+    sendError(res, error, "Failed to build sales report");
+  }
+});
+
+module.exports = router;
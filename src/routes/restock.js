@@ -0,0 +1,219 @@
+const express = require("express");
+const { body } = require("express-validator");
+const repositories = require("../repositories");
+const restockService = require("../services/restockService");
+const { authorize } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+const router = express.Router();
+
+router.use(authorize("stock:write"));
+
+const validatePlan = [
+  body("plan_date")
+    .optional()
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage("plan_date must be YYYY-MM-DD"),
+  body("machine_ids")
+    .optional()
+    .isArray()
+    .custom((ids) => ids.every((id) => typeof id === "string"))
+    .withMessage("machine_ids must be an array of machine ids"),
+  body("lookback_days").optional().isInt({ min: 1, max: 90 }),
+  body("forecast_days").optional().isFloat({ min: 0, max: 30 }),
+  body("notes").optional().isString().isLength({ max: 500 }),
+];
+
+const validateConfirm = [
+  body("items").optional().isArray(),
+  body("items.*.slot_id").isInt({ min: 1 }),
+  body("items.*.quantity").isInt({ min: 0 }),
+];
+
+// List restock plans, latest visit day first
+router.get("/plans", async (req, res) => {
+  try {
+    const { status, plan_date, limit = 50, offset = 0 } = req.query;
+    if (status && !restockService.PLAN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${restockService.PLAN_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const { plans, total } = await repositories.restockPlans.list({
+      status,
+      planDate: plan_date,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      plans,
+      total,
+    });
+  } catch (error) {
+    console.error("List restock plans error:", error);
+    res.status(500).json({
+      error: "Failed to list restock plans",
+    });
+  }
+});
+
+// Forecast and store a plan (all machines unless machine_ids is given)
+router.post("/plans", validatePlan, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { plan_date, machine_ids, lookback_days, forecast_days, notes } =
+      req.body;
+    const plan = await restockService.createPlan({
+      planDate: plan_date,
+      machineIds: machine_ids,
+      lookbackDays: lookback_days,
+      forecastDays: forecast_days,
+      notes,
+      createdBy: actor(req),
+    });
+
+    res.status(201).json(plan);
+  } catch (error) {
+    sendError(res, error, "Failed to create restock plan");
+  }
+});
+
+router.get("/plans/:id", async (req, res) => {
+  try {
+    const plan = await restockService.getPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        error: "Restock plan not found",
+      });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    console.error("Get restock plan error:", error);
+    res.status(500).json({
+      error: "Failed to get restock plan",
+    });
+  }
+});
+
+// Warehouse pick list: planned units per product over all machines
+router.get("/plans/:id/pick-list", async (req, res) => {
+  try {
+    const plan = await restockService.getPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        error: "Restock plan not found",
+      });
+    }
+
+    const products = restockService.pickList(plan);
+    res.json({
+      plan_id: plan.id,
+      plan_date: plan.plan_date,
+      products,
+      total_quantity: plan.totals.planned_quantity,
+    });
+  } catch (error) {
+    console.error("Get pick list error:", error);
+    res.status(500).json({
+      error: "Failed to get pick list",
+    });
+  }
+});
+
+// ?format=csv|pdf; CSV takes ?view=picklist (default) or slots
+router.get("/plans/:id/export", async (req, res) => {
+  try {
+    const { format = "csv", view = "picklist" } = req.query;
+    if (!["csv", "pdf"].includes(format)) {
+      return res.status(400).json({
+        error: "format must be csv or pdf",
+      });
+    }
+    if (!["picklist", "slots"].includes(view)) {
+      return res.status(400).json({
+        error: "view must be picklist or slots",
+      });
+    }
+
+    const plan = await restockService.getPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        error: "Restock plan not found",
+      });
+    }
+
+    const filename = `restock-plan-${plan.id}-${plan.plan_date}`;
+    if (format === "pdf") {
+      const pdf = await restockService.toPdf(plan);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.pdf"`
+      );
+      return res.send(pdf);
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}-${view}.csv"`
+    );
+    res.send(restockService.toCsv(plan, view));
+  } catch (error) {
+    console.error("Export restock plan error:", error);
+    res.status(500).json({
+      error: "Failed to export restock plan",
+    });
+  }
+});
+
+// Technician confirms the visit: the machine's items are applied as RESTOCK.
+// items overrides the loaded quantity per slot; other slots load as planned.
+router.post(
+  "/plans/:id/machines/:machine_id/confirm",
+  validateConfirm,
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const quantities = {};
+      for (const item of req.body.items || []) {
+        quantities[item.slot_id] = item.quantity;
+      }
+
+      const result = await restockService.confirmVisit(
+        req.params.id,
+        req.params.machine_id,
+        { quantities, performedBy: actor(req) }
+      );
+
+      res.json(result);
+    } catch (error) {
+      sendError(res, error, "Failed to confirm restock visit");
+    }
+  }
+);
+
+router.post("/plans/:id/cancel", async (req, res) => {
+  try {
+    const plan = await restockService.cancelPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        error: "Restock plan not found",
+      });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    sendError(res, error, "Failed to cancel restock plan");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require("express");
+const { body } = require("express-validator");
+const planogramService = require("../services/planogramService");
+const { authorize, requireOwnMachine } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+// Mounted at /api/machines/:machine_id/slots
+const router = express.Router({ mergeParams: true });
+const slotsRead = [...authorize("machines:monitor"), requireOwnMachine()];
+const slotsWrite = authorize("planograms:write");
+
+const validateFields = [
+  body("product_id").optional({ values: "null" }).isInt({ min: 1 }).toInt(),
+  body("capacity").optional().isInt({ min: 1, max: 1000 }).toInt(),
+  body("price_override")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .toFloat(),
+  body("motor_duration_ms").optional().isInt({ min: 100, max: 60000 }).toInt(),
+  body("is_active").optional().isBoolean({ strict: true }),
+];
+
+const validateCreate = [
+  body("slot_number")
+    .isInt({ min: 1 })
+    .withMessage("slot_number must be a positive integer")
+    .toInt(),
+  ...validateFields,
+];
+
+// Only the config fields; stock goes through /api/stock
+function pickFields(body) {
+  const fields = {};
+  for (const field of planogramService.SLOT_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+router.get("/", slotsRead, async (req, res) => {
+  try {
+    const slots = await planogramService.listSlots(req.params.machine_id);
+    res.json({
+      machine_id: req.params.machine_id,
+      slots,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list slots");
+  }
+});
+
+router.post("/", slotsWrite, validateCreate, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await planogramService.createSlot(req.params.machine_id, {
+      slot_number: req.body.slot_number,
+      ...pickFields(req.body),
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to create slot");
+  }
+});
+
+router.get("/:slot_id", slotsRead, async (req, res) => {
+  try {
+    res.json(
+      await planogramService.findSlot(req.params.machine_id, req.params.slot_id)
+    );
+  } catch (error) {
+    sendError(res, error, "Failed to get slot");
+  }
+});
+
+// A new product_id empties the slot (logged as PLANOGRAM in stock_logs)
+router.patch("/:slot_id", slotsWrite, validateFields, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const fields = pickFields(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: `Nothing to update; send any of ${planogramService.SLOT_FIELDS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const result = await planogramService.updateSlot(
+      req.params.machine_id,
+      req.params.slot_id,
+      fields,
+      { performedBy: actor(req) }
+    );
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to update slot");
+  }
+});
+
+router.delete("/:slot_id", slotsWrite, async (req, res) => {
+  try {
+    const result = await planogramService.deleteSlot(
+      req.params.machine_id,
+      req.params.slot_id
+    );
+    res.json({
+      deleted: true,
+      ...result,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to delete slot");
+  }
+});
+
+module.exports = router;
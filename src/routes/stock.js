@@ -1,8 +1,19 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const db = require("../config/database");
+const repositories = require("../repositories");
+const lotService = require("../services/lotService");
+const forecastService = require("../services/forecastService");
+const {
+  authorize,
+  authorizeMachine,
+  requireOwnMachine,
+} = require("../middleware/auth");
+const { sendError } = require("../utils/validation");
 
 const router = express.Router();
+const stockWrite = authorize("stock:write");
+const stockReport = authorizeMachine("stock:report");
+const stockMonitor = [...authorize("machines:monitor"), requireOwnMachine()];
 
 // Validation middleware
 const validateStockUpdate = [
@@ -16,38 +27,50 @@ const validateStockUpdate = [
     .isString()
     .isLength({ max: 200 })
     .withMessage("Reason must be string max 200 chars"),
+  // Lot of the units loaded by a RESTOCK
+  body("batch_number")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("expiry_date")
+    .optional({ values: "null" })
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage("expiry_date must be YYYY-MM-DD"),
 ];
 
+// Stock level of a slot, same thresholds as the dashboard
+function stockLevel(slot) {
+  if (slot.current_stock === 0) return "EMPTY";
+  if (slot.current_stock <= slot.capacity * 0.2) return "LOW";
+  if (slot.current_stock <= slot.capacity * 0.5) return "MEDIUM";
+  return "FULL";
+}
+
+function stockPercentage(slot) {
+  if (!slot.capacity) return 0;
+  return Math.round((slot.current_stock / slot.capacity) * 10000) / 100;
+}
+
 // Get stock levels for machine
-router.get("/:machine_id", async (req, res) => {
+router.get("/:machine_id", stockMonitor, async (req, res) => {
   try {
     const { machine_id } = req.params;
 
-    const stock = await db.query(
-      `
-      SELECT 
-        s.id as slot_id,
-        s.slot_number,
-        s.current_stock,
-        s.capacity,
-        s.is_active,
-        p.id as product_id,
-        p.name as product_name,
-        p.image_url,
-        ROUND((s.current_stock / s.capacity) * 100, 2) as stock_percentage,
-        CASE 
-          WHEN s.current_stock = 0 THEN 'EMPTY'
-          WHEN s.current_stock <= (s.capacity * 0.2) THEN 'LOW'
-          WHEN s.current_stock <= (s.capacity * 0.5) THEN 'MEDIUM'
-          ELSE 'FULL'
-        END as stock_level
-      FROM slots s
-      LEFT JOIN products p ON s.product_id = p.id
-      WHERE s.machine_id = ?
-      ORDER BY s.slot_number ASC
-    `,
-      [machine_id]
-    );
+    const slots = await repositories.slots.listByMachine(machine_id);
+    const stock = slots.map((slot) => ({
+      slot_id: slot.id,
+      slot_number: slot.slot_number,
+      current_stock: slot.current_stock,
+      capacity: slot.capacity,
+      is_active: slot.is_active,
+      product_id: slot.product_id,
+      product_name: slot.product_name,
+      image_url: slot.image_url,
+      stock_percentage: stockPercentage(slot),
+      stock_level: stockLevel(slot),
+    }));
 
     // Calculate summary
     const summary = {
@@ -70,8 +93,29 @@ router.get("/:machine_id", async (req, res) => {
   }
 });
 
+// Daily demand per product and expected stock-out date per slot;
+// ?days=1-30 forecast days listed per product (default 7)
+router.get("/:machine_id/forecast", stockMonitor, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (
+      !Number.isInteger(days) ||
+      days < 1 ||
+      days > forecastService.HORIZON_DAYS
+    ) {
+      return res.status(400).json({
+        error: `days must be between 1 and ${forecastService.HORIZON_DAYS}`,
+      });
+    }
+
+    res.json(await forecastService.forMachine(req.params.machine_id, { days }));
+  } catch (error) {
+    sendError(res, error, "Failed to get stock forecast");
+  }
+});
+
 // Update stock (restock/adjust)
-router.post("/update", validateStockUpdate, async (req, res) => {
+router.post("/update", stockWrite, validateStockUpdate, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -87,26 +131,19 @@ router.post("/update", validateStockUpdate, async (req, res) => {
       change_type,
       reason,
       performed_by = "system",
+      batch_number,
+      expiry_date,
     } = req.body;
 
     // Get current slot info
-    const slot = await db.query(
-      `
-      SELECT s.*, m.id as machine_id
-      FROM slots s
-      JOIN machines m ON s.machine_id = m.id
-      WHERE s.id = ?
-    `,
-      [slot_id]
-    );
+    const slotInfo = await repositories.slots.findById(slot_id);
 
-    if (slot.length === 0) {
+    if (!slotInfo) {
       return res.status(404).json({
         error: "Slot not found",
       });
     }
 
-    const slotInfo = slot[0];
     const quantity_before = slotInfo.current_stock;
     let quantity_after = quantity;
     let quantity_change = 0;
@@ -123,34 +160,30 @@ router.post("/update", validateStockUpdate, async (req, res) => {
       quantity_change = quantity_after - quantity_before;
     }
 
-    await db.transaction(async (connection) => {
-      // Update slot stock
-      await connection.execute(
-        `
-        UPDATE slots SET current_stock = ? WHERE id = ?
-      `,
-        [quantity_after, slot_id]
-      );
-
-      // Log stock change
-      await connection.execute(
-        `
-        INSERT INTO stock_logs (machine_id, slot_id, change_type, quantity_before, quantity_after, quantity_change, reason, performed_by)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-        [
-          slotInfo.machine_id,
-          slot_id,
-          change_type,
-          quantity_before,
-          quantity_after,
-          quantity_change,
-          reason,
-          performed_by,
-        ]
-      );
+    // Update slot stock and log the change together
+    await repositories.slots.updateStock(slot_id, quantity_after, {
+      machine_id: slotInfo.machine_id,
+      slot_id,
+      change_type,
+      quantity_before,
+      quantity_after,
+      quantity_change,
+      reason,
+      performed_by,
     });
 
+    let lot = null;
+    if (change_type === "RESTOCK") {
+      lot = await lotService.receive(slotInfo, {
+        quantity: quantity_change,
+        batchNumber: batch_number,
+        expiryDate: expiry_date,
+        receivedBy: performed_by,
+      });
+    } else {
+      await lotService.reconcile(slot_id);
+    }
+
     res.json({
       slot_id,
       machine_id: slotInfo.machine_id,
@@ -161,6 +194,7 @@ router.post("/update", validateStockUpdate, async (req, res) => {
       quantity_change,
       reason,
       performed_by,
+      lot,
       updated_at: new Date().toISOString(),
     });
   } catch (error) {
@@ -172,48 +206,21 @@ router.post("/update", validateStockUpdate, async (req, res) => {
 });
 
 // Get stock logs
-router.get("/logs/:machine_id", async (req, res) => {
+router.get("/logs/:machine_id", stockMonitor, async (req, res) => {
   try {
     const { machine_id } = req.params;
     const { limit = 50, offset = 0, change_type } = req.query;
 
-    const supabase = db.getClient();
-
-    // Build query
-    let query = supabase
-      .from("stock_logs")
-      .select(
-        `
-        *,
-        slots!inner(
-          slot_number,
-          products(name)
-        )
-      `
-      )
-      .eq("machine_id", machine_id)
-      .order("created_at", { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-
-    if (change_type) {
-      query = query.eq("change_type", change_type);
-    }
-
-    const { data: logs, error, count } = await query;
-
-    if (error) throw error;
-
-    // Transform data to match expected format
-    const transformedLogs = logs.map((log) => ({
-      ...log,
-      slot_number: log.slots?.slot_number,
-      product_name: log.slots?.products?.name,
-    }));
+    const { logs, total } = await repositories.slots.listStockLogs(machine_id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      changeType: change_type,
+    });
 
     res.json({
       machine_id,
-      logs: transformedLogs,
-      total: count || logs.length,
+      logs,
+      total,
       limit: parseInt(limit),
       offset: parseInt(offset),
     });
@@ -226,44 +233,35 @@ router.get("/logs/:machine_id", async (req, res) => {
 });
 
 // Report current stock snapshot
-router.post("/report/:machine_id", async (req, res) => {
+router.post("/report/:machine_id", stockReport, async (req, res) => {
   try {
     const { machine_id } = req.params;
 
-    const stock = await db.query(
-      `
-      SELECT 
-        s.id as slot_id,
-        s.slot_number,
-        s.current_stock,
-        s.capacity,
-        p.name as product_name
-      FROM slots s
-      LEFT JOIN products p ON s.product_id = p.id
-      WHERE s.machine_id = ?
-      ORDER BY s.slot_number ASC
-    `,
-      [machine_id]
-    );
+    const slots = await repositories.slots.listByMachine(machine_id);
+    const stock = slots.map((slot) => ({
+      slot_id: slot.id,
+      slot_number: slot.slot_number,
+      current_stock: slot.current_stock,
+      capacity: slot.capacity,
+      product_name: slot.product_name,
+    }));
 
     // Update machine last_seen
-    await db.query(
-      `
-      UPDATE machines SET last_seen = NOW() WHERE id = ?
-    `,
-      [machine_id]
-    );
+    await repositories.machines.touch(machine_id);
 
     // Log the stock report
-    for (const slot of stock) {
-      await db.query(
-        `
-        INSERT INTO stock_logs (machine_id, slot_id, change_type, quantity_before, quantity_after, quantity_change, reason, performed_by)
-        VALUES (?, ?, 'AUDIT', ?, ?, 0, 'Automated stock report', 'system')
-      `,
-        [machine_id, slot.slot_id, slot.current_stock, slot.current_stock]
-      );
-    }
+    await repositories.slots.addStockLogs(
+      stock.map((slot) => ({
+        machine_id,
+        slot_id: slot.slot_id,
+        change_type: "AUDIT",
+        quantity_before: slot.current_stock,
+        quantity_after: slot.current_stock,
+        quantity_change: 0,
+        reason: "Automated stock report",
+        performed_by: "system",
+      }))
+    );
 
     res.json({
       machine_id,
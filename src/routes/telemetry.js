@@ -1,8 +1,16 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const db = require("../config/database");
+const repositories = require("../repositories");
+const eventBus = require("../services/eventBus");
+const {
+  authorize,
+  authorizeMachine,
+  requireOwnMachine,
+} = require("../middleware/auth");
 
 const router = express.Router();
+const telemetryWrite = authorizeMachine("telemetry:write");
+const telemetryRead = [...authorize("machines:monitor"), requireOwnMachine()];
 
 // Validation middleware
 const validateTelemetry = [
@@ -10,8 +18,14 @@ const validateTelemetry = [
   body("data").isObject().withMessage("Telemetry data must be an object"),
 ];
 
+// Start of a summary period ("1h", "24h", "7d"); null means all time
+function periodStart(period) {
+  const hours = { "1h": 1, "24h": 24, "7d": 7 * 24 }[period];
+  return hours ? new Date(Date.now() - hours * 60 * 60 * 1000) : null;
+}
+
 // Receive telemetry data from ESP32 via Pi
-router.post("/", validateTelemetry, async (req, res) => {
+router.post("/", telemetryWrite, validateTelemetry, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -24,70 +38,25 @@ router.post("/", validateTelemetry, async (req, res) => {
     const { machine_id, data } = req.body;
 
     // Validate machine exists
-    const machine = await db.query("SELECT id FROM machines WHERE id = ?", [
-      machine_id,
-    ]);
-    if (machine.length === 0) {
+    const machine = await repositories.machines.findById(machine_id);
+    if (!machine) {
       return res.status(404).json({
         error: "Machine not found",
       });
     }
 
     // Store telemetry data
-    await db.query(
-      `
-      INSERT INTO telemetry (machine_id, data)
-      VALUES (?, ?)
-    `,
-      [machine_id, JSON.stringify(data)]
-    );
+    await repositories.telemetry.create(machine_id, data);
 
     // Update machine last_seen
-    await db.query(
-      `
-      UPDATE machines SET last_seen = NOW() WHERE id = ?
-    `,
-      [machine_id]
-    );
-
-    // Process specific telemetry data if needed
-    if (data.slots && Array.isArray(data.slots)) {
-      // Update slot stock levels if provided
-      for (const slotData of data.slots) {
-        if (slotData.id && typeof slotData.level !== "undefined") {
-          // Convert level to stock count (this is a simplified example)
-          let estimated_stock = 0;
-          switch (slotData.level) {
-            case "FULL":
-              estimated_stock = 10;
-              break;
-            case "HIGH":
-              estimated_stock = 8;
-              break;
-            case "MEDIUM":
-              estimated_stock = 5;
-              break;
-            case "LOW":
-              estimated_stock = 2;
-              break;
-            case "EMPTY":
-              estimated_stock = 0;
-              break;
-          }
-
-          if (estimated_stock >= 0) {
-            await db.query(
-              `
-              UPDATE slots 
-              SET current_stock = ?
-              WHERE machine_id = ? AND slot_number = ?
-            `,
-              [estimated_stock, machine_id, slotData.id]
-            );
-          }
-        }
-      }
-    }
+    await repositories.machines.touch(machine_id);
+
+    // Slot levels are applied by the telemetry.received subscribers
+    await eventBus.publish("telemetry.received", {
+      machine_id,
+      data,
+      source: "http",
+    });
 
     res.json({
       machine_id,
@@ -103,41 +72,21 @@ router.post("/", validateTelemetry, async (req, res) => {
 });
 
 // Get telemetry data
-router.get("/:machine_id", async (req, res) => {
+router.get("/:machine_id", telemetryRead, async (req, res) => {
   try {
     const { machine_id } = req.params;
     const { limit = 50, offset = 0, start_time, end_time } = req.query;
 
-    let whereClause = "WHERE machine_id = ?";
-    let queryParams = [machine_id];
-
-    if (start_time) {
-      whereClause += " AND received_at >= ?";
-      queryParams.push(start_time);
-    }
-
-    if (end_time) {
-      whereClause += " AND received_at <= ?";
-      queryParams.push(end_time);
-    }
-
-    const telemetry = await db.query(
-      `
-      SELECT * FROM telemetry
-      ${whereClause}
-      ORDER BY received_at DESC
-      LIMIT ? OFFSET ?
-    `,
-      [...queryParams, parseInt(limit), parseInt(offset)]
-    );
+    const telemetry = await repositories.telemetry.list(machine_id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      from: start_time,
+      to: end_time,
+    });
 
     res.json({
       machine_id,
-      telemetry: telemetry.map((t) => ({
-        id: t.id,
-        data: JSON.parse(t.data),
-        received_at: t.received_at,
-      })),
+      telemetry,
       limit: parseInt(limit),
       offset: parseInt(offset),
     });
@@ -150,21 +99,13 @@ router.get("/:machine_id", async (req, res) => {
 });
 
 // Get latest telemetry
-router.get("/:machine_id/latest", async (req, res) => {
+router.get("/:machine_id/latest", telemetryRead, async (req, res) => {
   try {
     const { machine_id } = req.params;
 
-    const latest = await db.query(
-      `
-      SELECT * FROM telemetry
-      WHERE machine_id = ?
-      ORDER BY received_at DESC
-      LIMIT 1
-    `,
-      [machine_id]
-    );
-
-    if (latest.length === 0) {
+    const latest = await repositories.telemetry.latest(machine_id);
+
+    if (!latest) {
       return res.status(404).json({
         error: "No telemetry data found",
       });
@@ -172,8 +113,8 @@ router.get("/:machine_id/latest", async (req, res) => {
 
     res.json({
       machine_id,
-      data: JSON.parse(latest[0].data),
-      received_at: latest[0].received_at,
+      data: latest.data,
+      received_at: latest.received_at,
     });
   } catch (error) {
     console.error("Get latest telemetry error:", error);
@@ -184,56 +125,22 @@ router.get("/:machine_id/latest", async (req, res) => {
 });
 
 // Get telemetry summary/stats
-router.get("/:machine_id/summary", async (req, res) => {
+router.get("/:machine_id/summary", telemetryRead, async (req, res) => {
   try {
     const { machine_id } = req.params;
     const { period = "24h" } = req.query;
 
-    let timeCondition = "";
-    switch (period) {
-      case "1h":
-        timeCondition = "AND received_at >= NOW() - INTERVAL 1 HOUR";
-        break;
-      case "24h":
-        timeCondition = "AND received_at >= NOW() - INTERVAL 24 HOUR";
-        break;
-      case "7d":
-        timeCondition = "AND received_at >= NOW() - INTERVAL 7 DAY";
-        break;
-    }
-
-    const summary = await db.query(
-      `
-      SELECT 
-        COUNT(*) as total_records,
-        MIN(received_at) as earliest_record,
-        MAX(received_at) as latest_record
-      FROM telemetry
-      WHERE machine_id = ? ${timeCondition}
-    `,
-      [machine_id]
-    );
+    const since = periodStart(period);
+    const summary = await repositories.telemetry.summary(machine_id, since);
 
     // Get latest telemetry for current status
-    const latest = await db.query(
-      `
-      SELECT data FROM telemetry
-      WHERE machine_id = ?
-      ORDER BY received_at DESC
-      LIMIT 1
-    `,
-      [machine_id]
-    );
-
-    let current_status = null;
-    if (latest.length > 0) {
-      current_status = JSON.parse(latest[0].data);
-    }
+    const latest = await repositories.telemetry.latest(machine_id);
+    const current_status = latest ? latest.data : null;
 
     res.json({
       machine_id,
       period,
-      summary: summary[0],
+      summary,
       current_status,
     });
   } catch (error) {
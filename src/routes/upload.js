@@ -1,9 +1,13 @@
 const express = require("express");
 const upload = require("../config/upload");
 const path = require("path");
+const { authorize } = require("../middleware/auth");
 
 const router = express.Router();
 
+// Product image uploads are part of product management
+router.use(authorize("products:write"));
+
 // Upload single image
 router.post("/image", upload.single("image"), (req, res) => {
   try {
@@ -1,16 +1,11 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
-const { createClient } = require("@supabase/supabase-js");
+const repositories = require("../repositories");
+const { signToken, authorize } = require("../middleware/auth");
 
 const router = express.Router();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
 // Validation middleware
 const validateRegister = [
   body("email").isEmail().withMessage("Valid email is required"),
@@ -44,11 +39,7 @@ router.post("/register", validateRegister, async (req, res) => {
     const { email, password, full_name, phone } = req.body;
 
     // Check if user already exists
-    const { data: existingUser } = await supabase
-      .from("users")
-      .select("email")
-      .eq("email", email)
-      .single();
+    const existingUser = await repositories.users.findByEmail(email);
 
     if (existingUser) {
       return res.status(400).json({
@@ -61,28 +52,29 @@ router.post("/register", validateRegister, async (req, res) => {
     const password_hash = await bcrypt.hash(password, 10);
 
     // Create user
-    const { data: newUser, error } = await supabase
-      .from("users")
-      .insert({
-        email,
-        password_hash,
-        full_name,
-        phone,
-        role: "buyer", // Default role
-      })
-      .select("id, email, full_name, phone, role, created_at")
-      .single();
-
-    if (error) throw error;
+    const created = await repositories.users.create({
+      email,
+      password_hash,
+      full_name,
+      phone: phone || null,
+      role: "buyer", // Default role
+    });
+    const newUser = {
+      id: created.id,
+      email: created.email,
+      full_name: created.full_name,
+      phone: created.phone,
+      role: created.role,
+      created_at: created.created_at,
+    };
 
     // Generate JWT token
-    const token = jwt.sign(
+    const token = signToken(
       {
         id: newUser.id,
         email: newUser.email,
         role: newUser.role,
       },
-      process.env.JWT_SECRET || "your-secret-key",
       { expiresIn: "7d" }
     );
 
@@ -121,14 +113,11 @@ router.post("/login", validateLogin, async (req, res) => {
     const { email, password, fcm_token } = req.body;
 
     // Find user
-    const { data: user, error } = await supabase
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .eq("is_active", true)
-      .single();
-
-    if (error || !user) {
+    const user = await repositories.users.findByEmail(email, {
+      activeOnly: true,
+    });
+
+    if (!user) {
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
@@ -150,16 +139,15 @@ router.post("/login", validateLogin, async (req, res) => {
       updates.fcm_token = fcm_token;
     }
 
-    await supabase.from("users").update(updates).eq("id", user.id);
+    await repositories.users.update(user.id, updates);
 
     // Generate JWT token
-    const token = jwt.sign(
+    const token = signToken(
       {
         id: user.id,
         email: user.email,
         role: user.role,
       },
-      process.env.JWT_SECRET || "your-secret-key",
       { expiresIn: "7d" }
     );
 
@@ -187,15 +175,11 @@ router.post("/login", validateLogin, async (req, res) => {
  * @desc    Get user profile
  * @access  Private
  */
-router.get("/profile", authenticateToken, async (req, res) => {
+router.get("/profile", authorize("profile:read"), async (req, res) => {
   try {
-    const { data: user, error } = await supabase
-      .from("users")
-      .select("id, email, full_name, phone, role, created_at, last_login")
-      .eq("id", req.user.id)
-      .single();
+    const user = await repositories.users.findById(req.user.id);
 
-    if (error || !user) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         message: "User not found",
@@ -204,7 +188,15 @@ router.get("/profile", authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: user,
+      data: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        phone: user.phone,
+        role: user.role,
+        created_at: user.created_at,
+        last_login: user.last_login,
+      },
     });
   } catch (error) {
     console.error("Get profile error:", error);
@@ -221,7 +213,7 @@ router.get("/profile", authenticateToken, async (req, res) => {
  * @desc    Update user profile
  * @access  Private
  */
-router.put("/profile", authenticateToken, async (req, res) => {
+router.put("/profile", authorize("profile:write"), async (req, res) => {
   try {
     const { full_name, phone, fcm_token } = req.body;
 
@@ -230,19 +222,18 @@ router.put("/profile", authenticateToken, async (req, res) => {
     if (phone) updates.phone = phone;
     if (fcm_token) updates.fcm_token = fcm_token;
 
-    const { data: updatedUser, error } = await supabase
-      .from("users")
-      .update(updates)
-      .eq("id", req.user.id)
-      .select("id, email, full_name, phone, role")
-      .single();
-
-    if (error) throw error;
+    const updatedUser = await repositories.users.update(req.user.id, updates);
 
     res.json({
       success: true,
       message: "Profile updated successfully",
-      data: updatedUser,
+      data: {
+        id: updatedUser.id,
+        email: updatedUser.email,
+        full_name: updatedUser.full_name,
+        phone: updatedUser.phone,
+        role: updatedUser.role,
+      },
     });
   } catch (error) {
     console.error("Update profile error:", error);
@@ -261,7 +252,7 @@ router.put("/profile", authenticateToken, async (req, res) => {
  */
 router.put(
   "/password",
-  authenticateToken,
+  authorize("profile:write"),
   [
     body("current_password")
       .notEmpty()
@@ -284,11 +275,13 @@ router.put(
       const { current_password, new_password } = req.body;
 
       // Get current user
-      const { data: user } = await supabase
-        .from("users")
-        .select("password_hash")
-        .eq("id", req.user.id)
-        .single();
+      const user = await repositories.users.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
 
       // Verify current password
       const isValid = await bcrypt.compare(
@@ -306,12 +299,9 @@ router.put(
       const new_password_hash = await bcrypt.hash(new_password, 10);
 
       // Update password
-      const { error } = await supabase
-        .from("users")
-        .update({ password_hash: new_password_hash })
-        .eq("id", req.user.id);
-
-      if (error) throw error;
+      await repositories.users.update(req.user.id, {
+        password_hash: new_password_hash,
+      });
 
       res.json({
         success: true,
@@ -333,16 +323,9 @@ router.put(
  * @desc    Get all users (admin only)
  * @access  Private (Admin)
  */
-router.get("/all", authenticateToken, authenticateAdmin, async (req, res) => {
+router.get("/all", authorize("users:read"), async (req, res) => {
   try {
-    const { data: users, error } = await supabase
-      .from("users")
-      .select(
-        "id, email, full_name, phone, role, is_active, created_at, last_login"
-      )
-      .order("created_at", { ascending: false });
-
-    if (error) throw error;
+    const users = await repositories.users.list();
 
     // Format users data for admin display
     const formattedUsers = users.map((user) => ({
@@ -371,49 +354,4 @@ router.get("/all", authenticateToken, authenticateAdmin, async (req, res) => {
   }
 });
 
-// Middleware to authenticate JWT token
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: "Access token required",
-    });
-  }
-
-  jwt.verify(
-    token,
-    process.env.JWT_SECRET || "your-secret-key",
-    (err, user) => {
-      if (err) {
-        return res.status(403).json({
-          success: false,
-          message: "Invalid or expired token",
-        });
-      }
-      req.user = user;
-      next();
-    }
-  );
-}
-
-// Middleware to check if user is admin
-function authenticateAdmin(req, res, next) {
-  console.log("User role check:", req.user); // Debug log
-
-  // Accept both 'admin' and 'super_admin' roles
-  const allowedRoles = ["admin", "super_admin", "SUPER_ADMIN", "ADMIN"];
-
-  if (!allowedRoles.includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: "Access denied. Admin privileges required.",
-      userRole: req.user.role, // Include user role in response for debugging
-    });
-  }
-  next();
-}
-
 module.exports = router;
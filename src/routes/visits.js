@@ -0,0 +1,165 @@
+const express = require("express");
+const { body } = require("express-validator");
+const repositories = require("../repositories");
+const visitService = require("../services/visitService");
+const { authorize } = require("../middleware/auth");
+const { validationFailed, sendError, actor } = require("../utils/validation");
+
+const router = express.Router();
+
+router.use(authorize("stock:write"));
+
+const validateOpen = [
+  body("machine_id")
+    .isString()
+    .notEmpty()
+    .withMessage("machine_id is required"),
+  body("open_door").optional().isBoolean(),
+  body("notes").optional().isString().isLength({ max: 500 }),
+];
+
+// change_type applies to every entry that doesn't set its own
+const validateCounts = [
+  body("change_type").optional().isIn(visitService.ENTRY_TYPES),
+  body("entries")
+    .isArray({ min: 1, max: 200 })
+    .withMessage("entries must be a non-empty array"),
+  body("entries.*.slot_id").isInt({ min: 1 }),
+  body("entries.*.change_type").optional().isIn(visitService.ENTRY_TYPES),
+  body("entries.*.quantity").isInt({ min: 0 }),
+  body("entries.*.counted").optional({ values: "null" }).isInt({ min: 0 }),
+  body("entries.*.batch_number")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("entries.*.expiry_date")
+    .optional({ values: "null" })
+    .isISO8601({ strict: true })
+    .isLength({ min: 10, max: 10 })
+    .withMessage("expiry_date must be YYYY-MM-DD"),
+];
+
+router.get("/", async (req, res) => {
+  try {
+    const {
+      machine_id,
+      status,
+      technician,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    if (status && !visitService.VISIT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${visitService.VISIT_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const { visits, total } = await repositories.visits.list({
+      machineId: machine_id,
+      status,
+      technician,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      visits,
+      total,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to list visits");
+  }
+});
+
+// Open a visit; open_door sends { cmd: "open_door" } on vm/{id}/command
+router.post("/", validateOpen, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { machine_id, open_door, notes } = req.body;
+    const visit = await visitService.open(machine_id, {
+      openDoor: open_door,
+      notes,
+      technician: actor(req),
+      technicianId: String(req.user.id),
+    });
+
+    res.status(201).json(visit);
+  } catch (error) {
+    sendError(res, error, "Failed to open visit");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const visit = await repositories.visits.findById(req.params.id);
+    if (!visit) {
+      return res.status(404).json({
+        error: "Visit not found",
+      });
+    }
+
+    res.json(visit);
+  } catch (error) {
+    sendError(res, error, "Failed to get visit");
+  }
+});
+
+// Counts and restocks for many slots, applied in one transaction
+router.post("/:id/counts", validateCounts, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { change_type = "RESTOCK", entries } = req.body;
+    const result = await visitService.submit(
+      req.params.id,
+      entries.map((entry) => ({
+        change_type,
+        ...entry,
+      })),
+      { technician: actor(req) }
+    );
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to submit visit counts");
+  }
+});
+
+router.post(
+  "/:id/close",
+  body("notes").optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const report = await visitService.close(req.params.id, {
+        notes: req.body.notes,
+      });
+      res.json(report);
+    } catch (error) {
+      sendError(res, error, "Failed to close visit");
+    }
+  }
+);
+
+// Before/after stock per slot with counts, discrepancies and restocks
+router.get("/:id/report", async (req, res) => {
+  try {
+    const report = await visitService.report(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        error: "Visit not found",
+      });
+    }
+
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, "Failed to get visit report");
+  }
+});
+
+module.exports = router;
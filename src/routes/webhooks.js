@@ -0,0 +1,287 @@
+const express = require("express");
+const { body } = require("express-validator");
+const repositories = require("../repositories");
+const webhookService = require("../services/webhookService");
+const { verifyToken, requirePermission } = require("../middleware/auth");
+const { validationFailed } = require("../utils/validation");
+
+const router = express.Router();
+
+router.use(verifyToken, requirePermission("webhooks:manage"));
+
+const DELIVERY_STATUSES = ["PENDING", "RETRYING", "SUCCESS", "DEAD"];
+
+const validEventTypes = (types) =>
+  types.every(
+    (type) => type === "*" || webhookService.WEBHOOK_EVENTS.includes(type)
+  );
+
+// Fields are required on create and optional on update
+const field = (name, required) =>
+  required
+    ? body(name).exists({ checkFalsy: true }).withMessage(`${name} is required`)
+    : body(name).optional();
+
+const validateSubscription = (required) => [
+  field("name", required).isString().isLength({ max: 100 }),
+  field("url", required)
+    .isURL({
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: false,
+    })
+    .withMessage("url must be an http(s) URL"),
+  field("event_types", required)
+    .isArray({ min: 1 })
+    .custom(validEventTypes)
+    .withMessage(
+      `event_types must list "*" or any of: ${webhookService.WEBHOOK_EVENTS.join(
+        ", "
+      )}`
+    ),
+  body("secret").optional().isString().isLength({ min: 16, max: 255 }),
+  body("is_active").optional().isBoolean(),
+];
+
+// The secret is only returned when it is created
+function withoutSecret(subscription) {
+  const { secret, ...rest } = subscription;
+  return { ...rest, secret_hint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+function pageQuery(query) {
+  return {
+    limit: Math.min(parseInt(query.limit) || 50, 200),
+    offset: parseInt(query.offset) || 0,
+  };
+}
+
+// Subscriptions and the event types they can use
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await repositories.webhooks.listSubscriptions();
+    res.json({
+      subscriptions: subscriptions.map(withoutSecret),
+      event_types: webhookService.WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    console.error("List webhooks error:", error);
+    res.status(500).json({
+      error: "Failed to list webhooks",
+    });
+  }
+});
+
+router.post("/", validateSubscription(true), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { name, url, event_types, is_active = true } = req.body;
+    const secret = req.body.secret || webhookService.generateSecret();
+
+    const { id } = await repositories.webhooks.createSubscription({
+      name,
+      url,
+      secret,
+      event_types,
+      is_active,
+      created_by: req.user.username || String(req.user.id),
+    });
+
+    console.log(
+      `🪝 Webhook ${id} created for ${url} (${event_types.join(", ")})`
+    );
+    res.status(201).json({
+      id,
+      name,
+      url,
+      event_types,
+      is_active,
+      secret,
+    });
+  } catch (error) {
+    console.error("Create webhook error:", error);
+    res.status(500).json({
+      error: "Failed to create webhook",
+    });
+  }
+});
+
+// Delivery log across subscriptions
+router.get("/deliveries", async (req, res) => {
+  try {
+    const { subscription_id, status, event_type } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${DELIVERY_STATUSES.join(", ")}`,
+      });
+    }
+
+    const { deliveries, total } = await repositories.webhooks.listDeliveries({
+      subscriptionId: subscription_id,
+      status,
+      eventType: event_type,
+      ...pageQuery(req.query),
+    });
+
+    res.json({
+      deliveries,
+      total,
+    });
+  } catch (error) {
+    console.error("List webhook deliveries error:", error);
+    res.status(500).json({
+      error: "Failed to list deliveries",
+    });
+  }
+});
+
+// Dead-letter list: deliveries that ran out of attempts
+router.get("/dead-letters", async (req, res) => {
+  try {
+    const { deliveries, total } = await repositories.webhooks.listDeliveries({
+      subscriptionId: req.query.subscription_id,
+      status: "DEAD",
+      ...pageQuery(req.query),
+    });
+
+    res.json({
+      deliveries,
+      total,
+    });
+  } catch (error) {
+    console.error("List webhook dead letters error:", error);
+    res.status(500).json({
+      error: "Failed to list dead letters",
+    });
+  }
+});
+
+router.post("/deliveries/:delivery_id/redeliver", async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.delivery_id);
+    if (!delivery) {
+      return res.status(404).json({
+        error: "Delivery not found",
+      });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error("Redeliver webhook error:", error);
+    res.status(500).json({
+      error: "Failed to redeliver webhook",
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const subscription = await repositories.webhooks.findSubscription(
+      req.params.id
+    );
+    if (!subscription) {
+      return res.status(404).json({
+        error: "Webhook not found",
+      });
+    }
+
+    res.json(withoutSecret(subscription));
+  } catch (error) {
+    console.error("Get webhook error:", error);
+    res.status(500).json({
+      error: "Failed to get webhook",
+    });
+  }
+});
+
+router.put("/:id", validateSubscription(false), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const subscription = await repositories.webhooks.findSubscription(
+      req.params.id
+    );
+    if (!subscription) {
+      return res.status(404).json({
+        error: "Webhook not found",
+      });
+    }
+
+    const { name, url, event_types, secret, is_active } = req.body;
+    await repositories.webhooks.updateSubscription(subscription.id, {
+      name,
+      url,
+      event_types,
+      secret,
+      is_active,
+    });
+
+    const updated = await repositories.webhooks.findSubscription(
+      subscription.id
+    );
+    res.json(withoutSecret(updated));
+  } catch (error) {
+    console.error("Update webhook error:", error);
+    res.status(500).json({
+      error: "Failed to update webhook",
+    });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const subscription = await repositories.webhooks.findSubscription(
+      req.params.id
+    );
+    if (!subscription) {
+      return res.status(404).json({
+        error: "Webhook not found",
+      });
+    }
+
+    await repositories.webhooks.deleteSubscription(subscription.id);
+    res.json({
+      id: subscription.id,
+      deleted: true,
+    });
+  } catch (error) {
+    console.error("Delete webhook error:", error);
+    res.status(500).json({
+      error: "Failed to delete webhook",
+    });
+  }
+});
+
+// Delivery log of one subscription
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const subscription = await repositories.webhooks.findSubscription(
+      req.params.id
+    );
+    if (!subscription) {
+      return res.status(404).json({
+        error: "Webhook not found",
+      });
+    }
+
+    const { deliveries, total } = await repositories.webhooks.listDeliveries({
+      subscriptionId: subscription.id,
+      status: req.query.status,
+      eventType: req.query.event_type,
+      ...pageQuery(req.query),
+    });
+
+    res.json({
+      deliveries,
+      total,
+    });
+  } catch (error) {
+    console.error("List webhook deliveries error:", error);
+    res.status(500).json({
+      error: "Failed to list deliveries",
+    });
+  }
+});
+
+module.exports = router;
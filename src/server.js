@@ -7,6 +7,8 @@ require("dotenv").config();
 
 // Initialize MQTT Service
 const mqttService = require("./services/mqttService");
+const schedulerService = require("./services/schedulerService");
+const realtimeService = require("./services/realtimeService");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -120,6 +122,10 @@ try {
   console.error("❌ Failed to load machine-data route:", error.message);
 }
 
+app.use("/api/machines/:machine_id/slots", require("./routes/slots")); // Slot CRUD
+app.use("/api/machines/:machine_id/planograms", require("./routes/planograms")); // Versioned slot layouts
+app.use("/api/machines/:machine_id/config", require("./routes/machine-config")); // Versioned remote config
+app.use("/api/machines/:machine_id/commands", require("./routes/machine-commands")); // Remote device commands
 app.use("/api/machines", require("./routes/machines"));
 app.use("/api/products", require("./routes/products"));
 app.use("/api/orders", require("./routes/orders"));
@@ -132,6 +138,16 @@ app.use("/api/health-assistant", require("./routes/healthAssistant"));
 app.use("/api/prescription-scan", require("./routes/prescriptionScan"));
 app.use("/api/debug", require("./routes/debug")); // Debug endpoints for testing
 app.use("/api/announcements", require("./routes/announcements")); // Announcement system
+app.use("/api/jobs", require("./routes/jobs")); // Background job status (admin)
+app.use("/api/events", require("./routes/events")); // SSE push for orders, scans, machines
+app.use("/api/outbox", require("./routes/outbox")); // Domain event outbox (admin)
+app.use("/api/webhooks", require("./routes/webhooks")); // Outbound webhooks (admin)
+app.use("/api/alerts", require("./routes/alerts")); // Stock and machine alerts
+app.use("/api/restock", require("./routes/restock")); // Restock plans and pick lists
+app.use("/api/visits", require("./routes/visits")); // Technician visits (batch restock/audit)
+app.use("/api/lots", require("./routes/lots")); // Stock lots (batch/expiry) and recalls
+app.use("/api/firmware", require("./routes/firmware")); // Firmware artifacts and OTA rollouts
+app.use("/api/reports", require("./routes/reports")); // Fleet sales analytics and exports
 
 
 // 404 handler
@@ -177,17 +193,23 @@ app.listen(PORT, () => {
       mqttService.isConnected ? "Connected" : "Initializing..."
     }`
   );
+
+  schedulerService.start();
 });
 
 // Graceful shutdown
 process.on("SIGINT", () => {
   console.log("\n🛑 Shutting down gracefully...");
+  schedulerService.stop();
+  realtimeService.close();
   mqttService.close();
   process.exit(0);
 });
 
 process.on("SIGTERM", () => {
   console.log("\n🛑 Shutting down gracefully...");
+  schedulerService.stop();
+  realtimeService.close();
   mqttService.close();
   process.exit(0);
 });
@@ -0,0 +1,693 @@
+/**
+ * Alert Service - low-stock and machine-fault alerting
+ *
+ * Rules (defaults below, overrides saved in alert_rules by admins):
+ *   low_stock        slot stock_percentage <= threshold_percent (details carry
+ *                    the slot's stock-out forecast from the last check-alerts run)
+ *   stock_out_forecast
+ *                    slot forecast to run out within days_ahead days (check-alerts
+ *                    job only - stock events never recompute the forecast)
+ *   temperature      reading outside [min, max] °C
+ *   door_open        door reported OPEN for longer than max_open_minutes
+ *   machine_offline  machine marked OFFLINE by the mark-offline-machines job
+ *   machine_fault    machine_data status "error" or error_codes reported
+ *   near_expiry      stock lot expires within days_before days
+ *   lot_expired      stock lot past its expiry date still in the slot
+ *
+ * Readings come from telemetry.received events, MQTT status messages and the
+ * check-alerts job. Alerts are deduplicated by key (rule, machine, slot): while
+ * one is OPEN or ACKNOWLEDGED, repeats only bump occurrences/last_seen_at and
+ * no new notification is sent. An alert is RESOLVED when its condition clears
+ * (or by hand), so the next occurrence raises and notifies again.
+ *
+ * Notifications go to the channels in ALERT_CHANNELS (or the rule's channels)
+ * that are configured: email (SMTP), fcm (push) and webhook. Other channels
+ * can be plugged in with registerChannel(name, { isConfigured, send }).
+ */
+
+const moment = require("moment");
+const repositories = require("../repositories");
+const realtimeService = require("./realtimeService");
+const forecastService = require("./forecastService");
+const { KeyedLock } = require("../utils/keyedLock");
+const EmailChannel = require("./alerting/emailChannel");
+const FcmChannel = require("./alerting/fcmChannel");
+const WebhookChannel = require("./alerting/webhookChannel");
+
+const CHANNELS = {
+  email: EmailChannel,
+  fcm: FcmChannel,
+  webhook: WebhookChannel,
+};
+
+const SEVERITIES = ["INFO", "WARNING", "CRITICAL"];
+
+const DEFAULT_RULES = {
+  low_stock: {
+    severity: "WARNING",
+    params: { threshold_percent: 20 },
+    description: "Slot stock at or below threshold_percent of capacity",
+  },
+  stock_out_forecast: {
+    severity: "WARNING",
+    params: { days_ahead: 2 },
+    description: "Slot forecast to run out within days_ahead days",
+  },
+  temperature: {
+    severity: "CRITICAL",
+    params: { min: 15, max: 30 },
+    description: "Temperature reading outside min..max °C",
+  },
+  door_open: {
+    severity: "WARNING",
+    params: { max_open_minutes: 5 },
+    description: "Door open longer than max_open_minutes",
+  },
+  machine_offline: {
+    severity: "CRITICAL",
+    params: {},
+    description: "Machine stopped reporting (marked OFFLINE)",
+  },
+  machine_fault: {
+    severity: "CRITICAL",
+    params: {},
+    description: "Machine reported status error or error codes",
+  },
+  near_expiry: {
+    severity: "WARNING",
+    params: { days_before: 30 },
+    description: "Stock lot expires within days_before days",
+  },
+  lot_expired: {
+    severity: "CRITICAL",
+    params: {},
+    description: "Expired stock lot still in the slot",
+  },
+};
+
+const RULES_CACHE_MS = 30000;
+
+// Same as stock_percentage in GET /api/machines/:id/stats
+function stockPercentage(slot) {
+  return slot.capacity
+    ? Math.round((slot.current_stock / slot.capacity) * 10000) / 100
+    : 0;
+}
+
+function hasErrorCodes(errorCodes) {
+  if (Array.isArray(errorCodes)) return errorCodes.length > 0;
+  return Boolean(errorCodes);
+}
+
+class AlertService {
+  constructor() {
+    this.channels = new Map(); // name -> channel instance
+    this.enabledChannels = (
+      process.env.ALERT_CHANNELS || Object.keys(CHANNELS).join(",")
+    )
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    this.rulesCache = null; // { rules, loadedAt }
+    this.doorOpenSince = new Map(); // machineId -> ms timestamp
+    this.forecasts = new Map(); // machineId -> Map(slot_id -> slot forecast)
+    this.locks = new KeyedLock(); // keyed by dedup key
+  }
+
+  // ----- Channels -----
+
+  /**
+   * Plug in a channel (or replace a built-in one, e.g. with a local stand-in)
+   * @param {string} name
+   * @param {object} channel - { isConfigured(): boolean, send(alert): Promise }
+   */
+  registerChannel(name, channel) {
+    this.channels.set(name, channel);
+    if (!this.enabledChannels.includes(name)) {
+      this.enabledChannels.push(name);
+    }
+  }
+
+  getChannel(name) {
+    if (!this.channels.has(name)) {
+      const Channel = CHANNELS[name];
+      if (!Channel) return null;
+      this.channels.set(name, new Channel());
+    }
+    return this.channels.get(name);
+  }
+
+  listChannels() {
+    const names = new Set([
+      ...Object.keys(CHANNELS),
+      ...this.channels.keys(),
+      ...this.enabledChannels,
+    ]);
+    return Array.from(names).map((name) => {
+      const channel = this.getChannel(name);
+      return {
+        name,
+        enabled: this.enabledChannels.includes(name),
+        configured: Boolean(channel && channel.isConfigured()),
+      };
+    });
+  }
+
+  // ----- Rules -----
+
+  /**
+   * Default rules merged with the saved overrides
+   * @returns {Promise<object[]>}
+   */
+  async getRules() {
+    if (
+      this.rulesCache &&
+      Date.now() - this.rulesCache.loadedAt < RULES_CACHE_MS
+    ) {
+      return this.rulesCache.rules;
+    }
+
+    const saved = await repositories.alerts.listRules();
+    const rules = Object.entries(DEFAULT_RULES).map(([ruleType, rule]) => {
+      const override = saved.find((r) => r.rule_type === ruleType) || {};
+      return {
+        rule_type: ruleType,
+        description: rule.description,
+        is_active: override.is_active ?? true,
+        severity: override.severity || rule.severity,
+        params: { ...rule.params, ...(override.params || {}) },
+        channels: override.channels || null,
+        updated_by: override.updated_by || null,
+        updated_at: override.updated_at || null,
+      };
+    });
+
+    this.rulesCache = { rules, loadedAt: Date.now() };
+    return rules;
+  }
+
+  async getRule(ruleType) {
+    const rules = await this.getRules();
+    return rules.find((rule) => rule.rule_type === ruleType) || null;
+  }
+
+  /**
+   * Save an override of a rule
+   * @param {string} ruleType
+   * @param {object} changes - { is_active, severity, params, channels }
+   * @returns {Promise<object|null>} the merged rule, null for unknown rules
+   */
+  async updateRule(ruleType, changes, updatedBy) {
+    const current = await this.getRule(ruleType);
+    if (!current) return null;
+
+    await repositories.alerts.saveRule(ruleType, {
+      is_active: changes.is_active ?? current.is_active,
+      severity: changes.severity || current.severity,
+      params: { ...current.params, ...(changes.params || {}) },
+      channels:
+        changes.channels !== undefined ? changes.channels : current.channels,
+      updated_by: updatedBy,
+    });
+
+    this.rulesCache = null;
+    return this.getRule(ruleType);
+  }
+
+  // ----- Alerts -----
+
+  dedupKey(ruleType, machineId, key) {
+    return [ruleType, machineId, key].filter(Boolean).join(":");
+  }
+
+  // Raises for the same key run one after another, so a burst of readings
+  // cannot open the same alert twice
+  withKeyLock(key, fn) {
+    return this.locks.run(key, fn);
+  }
+
+  /**
+   * Open an alert, or count another occurrence of the one already open
+   * @param {string} ruleType
+   * @param {object} alert - { machineId, slotId, key, title, message, details }
+   * @returns {Promise<object|null>} { alert, created }, null if the rule is off
+   */
+  async raise(ruleType, { machineId, slotId, key, title, message, details }) {
+    const rule = await this.getRule(ruleType);
+    if (!rule || !rule.is_active) return null;
+
+    const dedupKey = this.dedupKey(ruleType, machineId, key);
+    return this.withKeyLock(dedupKey, async () => {
+      const existing = await repositories.alerts.findOpen(dedupKey);
+      if (existing) {
+        await repositories.alerts.update(existing.id, {
+          occurrences: (existing.occurrences || 1) + 1,
+          last_seen_at: new Date(),
+          details,
+        });
+        return { alert: existing, created: false };
+      }
+
+      const { id } = await repositories.alerts.create({
+        rule_type: ruleType,
+        severity: rule.severity,
+        status: "OPEN",
+        machine_id: machineId,
+        slot_id: slotId || null,
+        dedup_key: dedupKey,
+        title,
+        message,
+        details,
+        occurrences: 1,
+        last_seen_at: new Date(),
+      });
+      const alert = await repositories.alerts.findById(id);
+      console.warn(`🚨 Alert ${id} [${rule.severity}] ${title}`);
+
+      await this.notify(alert, rule);
+      return { alert, created: true };
+    });
+  }
+
+  /**
+   * Resolve the open alert of a condition that cleared
+   * @returns {Promise<boolean>} true if an alert was resolved
+   */
+  async clear(ruleType, machineId, key = null) {
+    const dedupKey = this.dedupKey(ruleType, machineId, key);
+    const existing = await repositories.alerts.findOpen(dedupKey);
+    if (!existing) return false;
+
+    await repositories.alerts.update(existing.id, {
+      status: "RESOLVED",
+      resolved_at: new Date(),
+    });
+    console.log(`✅ Alert ${existing.id} resolved: ${existing.title}`);
+    realtimeService.publish(`machine:${machineId}`, "alert.resolved", {
+      alert_id: existing.id,
+      rule_type: ruleType,
+      machine_id: machineId,
+    });
+    return true;
+  }
+
+  /**
+   * Acknowledge or resolve an alert by hand
+   * @param {string} status - ACKNOWLEDGED | RESOLVED
+   * @returns {Promise<object|null>} updated alert, null if not found
+   */
+  async setStatus(alertId, status, by) {
+    const alert = await repositories.alerts.findById(alertId);
+    if (!alert) return null;
+    if (alert.status === "RESOLVED" || alert.status === status) return alert;
+
+    const now = new Date();
+    await repositories.alerts.update(
+      alert.id,
+      status === "ACKNOWLEDGED"
+        ? { status, acknowledged_by: by, acknowledged_at: now }
+        : {
+            status,
+            resolved_at: now,
+            acknowledged_by: alert.acknowledged_by || by,
+            acknowledged_at: alert.acknowledged_at || now,
+          }
+    );
+    return repositories.alerts.findById(alert.id);
+  }
+
+  /**
+   * Send an alert to the rule's channels and record the outcome per channel
+   */
+  async notify(alert, rule) {
+    const notifications = [];
+    for (const name of rule.channels || this.enabledChannels) {
+      const channel = this.getChannel(name);
+      if (!channel || !channel.isConfigured()) continue;
+
+      try {
+        const result = await channel.send(alert);
+        notifications.push({ channel: name, status: "SENT", result });
+      } catch (error) {
+        console.error(
+          `❌ Alert ${alert.id} via ${name} failed:`,
+          error.message
+        );
+        notifications.push({
+          channel: name,
+          status: "FAILED",
+          error: error.message,
+        });
+      }
+    }
+
+    await repositories.alerts.update(alert.id, {
+      notifications,
+      notified_at: new Date(),
+    });
+    realtimeService.publish(`machine:${alert.machine_id}`, "alert", {
+      alert_id: alert.id,
+      rule_type: alert.rule_type,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+    });
+    return notifications;
+  }
+
+  /**
+   * Send a test alert through one channel
+   */
+  async sendTest(name) {
+    const channel = this.getChannel(name);
+    if (!channel) {
+      const error = new Error(`Unknown alert channel: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+    if (!channel.isConfigured()) {
+      const error = new Error(`Alert channel ${name} is not configured`);
+      error.status = 400;
+      throw error;
+    }
+
+    return channel.send({
+      id: 0,
+      rule_type: "test",
+      severity: "INFO",
+      machine_id: process.env.MACHINE_ID || "VM01",
+      title: "Test alert",
+      message: `Test notification from the vending backend (${name})`,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  // ----- Evaluation -----
+
+  // Stock-out forecast per slot id, as of the last refresh; stock alerts
+  // still run without it
+  async slotForecasts(machineId, { refresh = false } = {}) {
+    if (!refresh) return this.forecasts.get(machineId) || new Map();
+
+    try {
+      const { slots } = await forecastService.forMachine(machineId, {
+        days: 1,
+      });
+      const forecasts = new Map(slots.map((slot) => [slot.slot_id, slot]));
+      this.forecasts.set(machineId, forecasts);
+      return forecasts;
+    } catch (error) {
+      console.error(`Stock forecast for ${machineId} failed:`, error.message);
+      return this.forecasts.get(machineId) || new Map();
+    }
+  }
+
+  /**
+   * Check the low_stock and stock_out_forecast rules for every slot of a machine
+   * @param {object} options - { forecast } recompute the stock-out forecast and
+   *   evaluate stock_out_forecast (check-alerts job); otherwise low_stock only,
+   *   with the last computed forecast
+   * @returns {Promise<object>} { raised, resolved }
+   */
+  async checkStock(machineId, { forecast: refresh = false } = {}) {
+    const summary = { raised: 0, resolved: 0 };
+    const rule = await this.getRule("low_stock");
+    const forecastRule = await this.getRule("stock_out_forecast");
+    const checkForecast = refresh && forecastRule.is_active;
+    if (!rule.is_active && !checkForecast) return summary;
+
+    const forecasts = await this.slotForecasts(machineId, { refresh });
+    const slots = await repositories.slots.listByMachine(machineId);
+    for (const slot of slots) {
+      const key = `slot:${slot.slot_number}`;
+      const percentage = stockPercentage(slot);
+      const forecast = forecasts.get(slot.id);
+      const stockOut = {
+        expected_stockout_date: forecast?.expected_stockout_date ?? null,
+        days_until_stockout: forecast?.days_until_stockout ?? null,
+      };
+
+      const lowStock =
+        slot.is_active !== false &&
+        slot.capacity &&
+        percentage <= rule.params.threshold_percent;
+      if (rule.is_active && lowStock) {
+        const result = await this.raise("low_stock", {
+          machineId,
+          slotId: slot.id,
+          key,
+          title: `Low stock on ${machineId} slot ${slot.slot_number}`,
+          message: `${slot.product_name || "Slot"}: ${slot.current_stock}/${
+            slot.capacity
+          } left (${percentage}%)${
+            stockOut.expected_stockout_date
+              ? `, empty by ${stockOut.expected_stockout_date}`
+              : ""
+          }`,
+          details: {
+            slot_number: slot.slot_number,
+            product_name: slot.product_name || null,
+            current_stock: slot.current_stock,
+            capacity: slot.capacity,
+            stock_percentage: percentage,
+            threshold_percent: rule.params.threshold_percent,
+            ...stockOut,
+          },
+        });
+        if (result?.created) summary.raised++;
+      } else if (
+        rule.is_active &&
+        (await this.clear("low_stock", machineId, key))
+      ) {
+        summary.resolved++;
+      }
+
+      if (!checkForecast) continue;
+      const { days_ahead } = forecastRule.params;
+      if (
+        slot.is_active !== false &&
+        slot.current_stock > 0 &&
+        stockOut.days_until_stockout !== null &&
+        stockOut.days_until_stockout <= days_ahead
+      ) {
+        const result = await this.raise("stock_out_forecast", {
+          machineId,
+          slotId: slot.id,
+          key,
+          title: `${machineId} slot ${slot.slot_number} runs out by ${stockOut.expected_stockout_date}`,
+          message: `${slot.product_name || "Slot"}: ${
+            slot.current_stock
+          } left, about ${forecast.daily_demand} sold per day (${
+            stockOut.days_until_stockout
+          } days left)`,
+          details: {
+            slot_number: slot.slot_number,
+            product_name: slot.product_name || null,
+            current_stock: slot.current_stock,
+            capacity: slot.capacity,
+            daily_demand: forecast.daily_demand,
+            days_ahead,
+            ...stockOut,
+          },
+        });
+        if (result?.created) summary.raised++;
+      } else if (await this.clear("stock_out_forecast", machineId, key)) {
+        summary.resolved++;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Check temperature, door and fault rules against one reading
+   * (telemetry, machine_data or an MQTT status message)
+   */
+  async checkReading(machineId, reading) {
+    // The machine is reporting again
+    await this.clear("machine_offline", machineId);
+
+    const temperature = parseFloat(reading.temperature);
+    if (Number.isFinite(temperature)) {
+      const { min, max } = (await this.getRule("temperature")).params;
+      if (temperature < min || temperature > max) {
+        await this.raise("temperature", {
+          machineId,
+          title: `Temperature out of range on ${machineId}`,
+          message: `${temperature}°C (allowed ${min}-${max}°C)`,
+          details: { temperature, min, max },
+        });
+      } else {
+        await this.clear("temperature", machineId);
+      }
+    }
+
+    const door = String(
+      reading.door ?? reading.door_status ?? ""
+    ).toUpperCase();
+    if (door === "OPEN") {
+      if (!this.doorOpenSince.has(machineId)) {
+        this.doorOpenSince.set(machineId, Date.now());
+      }
+      await this.checkDoor(machineId);
+    } else if (door === "CLOSED") {
+      this.doorOpenSince.delete(machineId);
+      await this.clear("door_open", machineId);
+    }
+
+    if (reading.status === "error" || hasErrorCodes(reading.error_codes)) {
+      await this.raise("machine_fault", {
+        machineId,
+        title: `Machine fault on ${machineId}`,
+        message: hasErrorCodes(reading.error_codes)
+          ? `Error codes: ${[].concat(reading.error_codes).join(", ")}`
+          : "Machine reported status error",
+        details: {
+          status: reading.status || null,
+          error_codes: reading.error_codes || null,
+        },
+      });
+    } else if (reading.status) {
+      await this.clear("machine_fault", machineId);
+    }
+  }
+
+  async checkDoor(machineId) {
+    const openedAt = this.doorOpenSince.get(machineId);
+    if (!openedAt) return null;
+
+    const { max_open_minutes } = (await this.getRule("door_open")).params;
+    const openMinutes = (Date.now() - openedAt) / 60000;
+    if (openMinutes < max_open_minutes) return null;
+
+    return this.raise("door_open", {
+      machineId,
+      title: `Door open on ${machineId}`,
+      message: `Door open for ${Math.floor(openMinutes)} minutes`,
+      details: {
+        opened_at: new Date(openedAt).toISOString(),
+        max_open_minutes,
+      },
+    });
+  }
+
+  async machineOffline(machineId, offlineAfterMs) {
+    return this.raise("machine_offline", {
+      machineId,
+      title: `Machine ${machineId} offline`,
+      message: offlineAfterMs
+        ? `No contact for more than ${Math.round(
+            offlineAfterMs / 60000
+          )} minutes`
+        : "Machine stopped reporting",
+      details: { offline_after_ms: offlineAfterMs || null },
+    });
+  }
+
+  /**
+   * Check the near_expiry and lot_expired rules for every lot still in a
+   * machine. Alerts of lots that were sold out, pulled or recalled resolve.
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Promise<object>} { raised, resolved }
+   */
+  async checkLots(today) {
+    const summary = { raised: 0, resolved: 0 };
+    const { days_before } = (await this.getRule("near_expiry")).params;
+    const lots = await repositories.lots.listExpiring(
+      moment(today).add(Number(days_before), "days").format("YYYY-MM-DD")
+    );
+
+    const current = new Set();
+    for (const lot of lots) {
+      const ruleType =
+        lot.status === "EXPIRED" || lot.expiry_date < today
+          ? "lot_expired"
+          : "near_expiry";
+      const key = `lot:${lot.id}`;
+      current.add(`${ruleType}:${lot.machine_id}:${key}`);
+
+      const result = await this.raise(ruleType, {
+        machineId: lot.machine_id,
+        slotId: lot.slot_id,
+        key,
+        title:
+          ruleType === "lot_expired"
+            ? `Expired lot on ${lot.machine_id} slot ${lot.slot_number}`
+            : `Lot expiring soon on ${lot.machine_id} slot ${lot.slot_number}`,
+        message: `${lot.product_name || "Batch"} ${lot.batch_number}: ${
+          lot.quantity_remaining
+        } units, expires ${lot.expiry_date}`,
+        details: {
+          lot_id: lot.id,
+          slot_number: lot.slot_number,
+          product_name: lot.product_name || null,
+          batch_number: lot.batch_number,
+          expiry_date: lot.expiry_date,
+          quantity_remaining: lot.quantity_remaining,
+          ...(ruleType === "near_expiry" && { days_before }),
+        },
+      });
+      if (result?.created) summary.raised++;
+    }
+
+    for (const ruleType of ["near_expiry", "lot_expired"]) {
+      for (const alert of await repositories.alerts.listOpen({ ruleType })) {
+        if (current.has(alert.dedup_key)) continue;
+        const key = alert.dedup_key.slice(
+          `${ruleType}:${alert.machine_id}:`.length
+        );
+        if (await this.clear(ruleType, alert.machine_id, key)) {
+          summary.resolved++;
+        }
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Sweep for the check-alerts job: stock of every machine, open doors
+   * @returns {Promise<object>} { machines, raised, resolved, open_alerts }
+   */
+  async checkAll() {
+    const machines = await repositories.machines.list();
+    const summary = { machines: machines.length, raised: 0, resolved: 0 };
+
+    for (const machine of machines) {
+      const { raised, resolved } = await this.checkStock(machine.id, {
+        forecast: true,
+      });
+      summary.raised += raised;
+      summary.resolved += resolved;
+    }
+    for (const machineId of this.doorOpenSince.keys()) {
+      const result = await this.checkDoor(machineId);
+      if (result?.created) summary.raised++;
+    }
+
+    summary.open_alerts = (await repositories.alerts.listOpen()).length;
+    return summary;
+  }
+
+  /**
+   * Evaluate rules on the bus events that carry readings or stock changes
+   */
+  register(bus) {
+    bus.subscribe("telemetry.received", "alerts", async ({ payload }) => {
+      await this.checkReading(payload.machine_id, payload.data || {});
+      if (Array.isArray(payload.data?.slots)) {
+        await this.checkStock(payload.machine_id);
+      }
+    });
+    bus.subscribe("dispense.completed", "alerts", async ({ payload }) =>
+      payload.machine_id ? this.checkStock(payload.machine_id) : null
+    );
+    bus.subscribe("machine.offline", "alerts", async ({ payload }) =>
+      this.machineOffline(payload.machine_id, payload.offline_after_ms)
+    );
+  }
+}
+
+const alertService = new AlertService();
+alertService.DEFAULT_RULES = DEFAULT_RULES;
+alertService.SEVERITIES = SEVERITIES;
+
+module.exports = alertService;
@@ -0,0 +1,61 @@
+/**
+ * Email alert channel
+ * Sends each alert over SMTP (SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS)
+ * to the comma separated ALERT_EMAIL_TO list
+ */
+
+const nodemailer = require("nodemailer");
+
+class EmailChannel {
+  constructor(options = {}) {
+    this.name = "email";
+    this.to = options.to || process.env.ALERT_EMAIL_TO;
+    this.from =
+      options.from ||
+      process.env.ALERT_EMAIL_FROM ||
+      process.env.SMTP_USER ||
+      "vending-alerts@localhost";
+
+    const host = options.host || process.env.SMTP_HOST;
+    this.transport =
+      options.transport ||
+      (host
+        ? nodemailer.createTransport({
+            host,
+            port: options.port || parseInt(process.env.SMTP_PORT) || 587,
+            secure: options.secure ?? process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+              ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+              : undefined,
+            connectionTimeout: 10000,
+          })
+        : null);
+  }
+
+  isConfigured() {
+    return Boolean(this.transport && this.to);
+  }
+
+  async send(alert) {
+    const lines = [
+      alert.message,
+      "",
+      `Machine: ${alert.machine_id}`,
+      `Rule: ${alert.rule_type}`,
+      `Severity: ${alert.severity}`,
+      `Raised at: ${new Date(alert.created_at || Date.now()).toISOString()}`,
+      `Alert ID: ${alert.id}`,
+    ];
+
+    const info = await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `[${alert.severity}] ${alert.title}`,
+      text: lines.join("\n"),
+    });
+
+    return { message_id: info.messageId, accepted: info.accepted };
+  }
+}
+
+module.exports = EmailChannel;
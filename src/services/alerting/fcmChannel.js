@@ -0,0 +1,150 @@
+/**
+ * FCM push alert channel
+ * Sends a push notification through the FCM HTTP v1 API to every active user
+ * with one of ALERT_FCM_ROLES (default "admin") that registered an fcm_token.
+ * Authenticates with a Firebase service account: FCM_SERVICE_ACCOUNT_FILE or
+ * FCM_PROJECT_ID + FCM_CLIENT_EMAIL + FCM_PRIVATE_KEY.
+ */
+
+const fs = require("fs");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const repositories = require("../../repositories");
+
+const SCOPE = "https://www.googleapis.com/auth/firebase.messaging";
+const DEFAULT_API_URL = "https://fcm.googleapis.com";
+const DEFAULT_TOKEN_URL = "https://oauth2.googleapis.com/token";
+
+function loadServiceAccount() {
+  const file = process.env.FCM_SERVICE_ACCOUNT_FILE;
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`❌ Failed to read FCM service account ${file}:`, error);
+    return {};
+  }
+}
+
+class FcmChannel {
+  constructor(options = {}) {
+    const account = options.serviceAccount || loadServiceAccount();
+
+    this.name = "fcm";
+    this.projectId =
+      options.projectId || process.env.FCM_PROJECT_ID || account.project_id;
+    this.clientEmail =
+      options.clientEmail ||
+      process.env.FCM_CLIENT_EMAIL ||
+      account.client_email;
+    // Keys from .env usually carry escaped newlines
+    this.privateKey = (
+      options.privateKey ||
+      process.env.FCM_PRIVATE_KEY ||
+      account.private_key ||
+      ""
+    ).replace(/\\n/g, "\n");
+    this.apiUrl = options.apiUrl || process.env.FCM_API_URL || DEFAULT_API_URL;
+    this.tokenUrl =
+      options.tokenUrl ||
+      process.env.FCM_TOKEN_URL ||
+      account.token_uri ||
+      DEFAULT_TOKEN_URL;
+    this.roles = (options.roles || process.env.ALERT_FCM_ROLES || "admin")
+      .toString()
+      .split(",")
+      .map((role) => role.trim())
+      .filter(Boolean);
+
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.http = axios.create({ timeout: 10000 });
+  }
+
+  isConfigured() {
+    return Boolean(this.projectId && this.clientEmail && this.privateKey);
+  }
+
+  // OAuth2 access token from a service account JWT, reused until near expiry
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: this.clientEmail,
+        scope: SCOPE,
+        aud: this.tokenUrl,
+        iat: now,
+        exp: now + 3600,
+      },
+      this.privateKey,
+      { algorithm: "RS256" }
+    );
+
+    const response = await this.http.post(
+      this.tokenUrl,
+      new URLSearchParams({
+        grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+        assertion,
+      }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt =
+      Date.now() + (response.data.expires_in || 3600) * 1000;
+    return this.accessToken;
+  }
+
+  async send(alert) {
+    const tokens = await repositories.users.listFcmTokens({
+      roles: this.roles,
+    });
+    if (tokens.length === 0) {
+      return { sent: 0, failed: 0 };
+    }
+
+    const accessToken = await this.getAccessToken();
+    const url = `${this.apiUrl}/v1/projects/${this.projectId}/messages:send`;
+
+    let sent = 0;
+    const errors = [];
+    for (const token of tokens) {
+      try {
+        await this.http.post(
+          url,
+          {
+            message: {
+              token,
+              notification: { title: alert.title, body: alert.message },
+              // FCM data values must be strings
+              data: {
+                alert_id: String(alert.id),
+                rule_type: alert.rule_type,
+                machine_id: alert.machine_id,
+                severity: alert.severity,
+              },
+              android: { priority: "high" },
+            },
+          },
+          { headers: { Authorization: `Bearer ${accessToken}` } }
+        );
+        sent++;
+      } catch (error) {
+        errors.push(error.response?.data?.error?.status || error.message);
+      }
+    }
+
+    if (sent === 0) {
+      throw new Error(
+        `FCM push failed for all ${tokens.length} tokens: ${errors[0]}`
+      );
+    }
+    return { sent, failed: errors.length };
+  }
+}
+
+module.exports = FcmChannel;
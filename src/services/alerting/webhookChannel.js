@@ -0,0 +1,46 @@
+/**
+ * Generic webhook alert channel
+ * POSTs { type: "alert", text, alert } to ALERT_WEBHOOK_URL. With
+ * ALERT_WEBHOOK_SECRET set the request is signed like outbound webhooks
+ * (X-Webhook-Timestamp + X-Webhook-Signature).
+ */
+
+const axios = require("axios");
+
+class WebhookChannel {
+  constructor(options = {}) {
+    this.name = "webhook";
+    this.url = options.url || process.env.ALERT_WEBHOOK_URL;
+    this.secret = options.secret || process.env.ALERT_WEBHOOK_SECRET;
+    this.http = axios.create({ timeout: 10000, maxRedirects: 0 });
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  async send(alert) {
+    const body = JSON.stringify({
+      type: "alert",
+      // Chat webhooks (Slack, Mattermost, ...) display the text field
+      text: `[${alert.severity}] ${alert.title} - ${alert.message}`,
+      alert,
+    });
+
+    const headers = { "Content-Type": "application/json" };
+    if (this.secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers["X-Webhook-Timestamp"] = String(timestamp);
+      headers["X-Webhook-Signature"] = require("../webhookService").sign(
+        this.secret,
+        timestamp,
+        body
+      );
+    }
+
+    const response = await this.http.post(this.url, body, { headers });
+    return { status_code: response.status };
+  }
+}
+
+module.exports = WebhookChannel;
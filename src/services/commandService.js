@@ -0,0 +1,365 @@
+/**
+ * Command Service - typed remote commands for a machine
+ *
+ * Every command is checked against COMMAND_TYPES, stored in machine_commands
+ * with who sent it and published on vm/{id}/command with a command_id:
+ *
+ *   { "cmd": "motor_test", "command_id": "CMD-...", "slot": 3, "duration_ms": 1500,
+ *     "issued_at": "..." }
+ *
+ * The machine may acknowledge on vm/{id}/ack ({ "command_id": "CMD-..." })
+ * and reports the outcome on vm/{id}/command_result:
+ *
+ *   { "command_id": "CMD-...", "success": true, "result": { ... }, "error": null }
+ *
+ * Without a result within timeout_ms the command is TIMEOUT; a result that
+ * arrives later is still recorded. Callers can wait for the outcome with
+ * waitForResult().
+ */
+
+const crypto = require("crypto");
+const repositories = require("../repositories");
+const { httpError } = require("../utils/httpError");
+
+const COMMAND_STATUSES = [
+  "SENT",
+  "ACKNOWLEDGED",
+  "SUCCEEDED",
+  "FAILED",
+  "TIMEOUT",
+];
+const OPEN_STATUSES = ["SENT", "ACKNOWLEDGED"];
+
+// type -> params and how long the machine gets to answer; busy commands
+// move motors or restart the machine and wait until no order is dispensing
+const COMMAND_TYPES = {
+  unlock_door: {
+    description: "Unlock the service door",
+    timeout_ms: 10000,
+    busy: false,
+    params: {
+      duration_s: {
+        type: "integer",
+        min: 1,
+        max: 300,
+        default: 30,
+        description: "Seconds before the lock engages again",
+      },
+    },
+  },
+  reboot: {
+    description: "Restart the controller; the result is sent after boot",
+    timeout_ms: 60000,
+    busy: true,
+    params: {
+      delay_s: {
+        type: "integer",
+        min: 0,
+        max: 300,
+        default: 5,
+        description: "Seconds to wait before restarting",
+      },
+    },
+  },
+  motor_test: {
+    description: "Run the motor of one slot without dispensing an order",
+    timeout_ms: 20000,
+    busy: true,
+    params: {
+      slot: {
+        type: "integer",
+        min: 1,
+        max: 999,
+        required: true,
+        description: "Slot number",
+      },
+      duration_ms: {
+        type: "integer",
+        min: 200,
+        max: 10000,
+        default: 1500,
+        description: "Motor run time",
+      },
+    },
+  },
+  calibrate_drop_sensor: {
+    description: "Recalibrate the drop sensor baseline",
+    timeout_ms: 30000,
+    busy: true,
+    params: {},
+  },
+  telemetry_snapshot: {
+    description: "Send telemetry now instead of at the next interval",
+    timeout_ms: 10000,
+    busy: false,
+    params: {},
+  },
+};
+
+// Orders during which the machine must not reboot or run motors
+const DISPENSING_ORDER_STATUSES = ["DISPENSING", "PENDING_DISPENSE"];
+
+const MAX_TIMEOUT_MS = 60000;
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Check params against the command type and fill in defaults
+ * @returns {{ params: object, errors: string[] }}
+ */
+function validateParams(type, params = {}) {
+  const schema = COMMAND_TYPES[type].params;
+  if (!isObject(params)) {
+    return { params: {}, errors: ["params must be an object"] };
+  }
+
+  const errors = [];
+  for (const field of Object.keys(params)) {
+    if (!schema[field]) errors.push(`Unknown param ${field} for ${type}`);
+  }
+
+  const checked = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = params[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${field} is required for ${type}`);
+      else checked[field] = rule.default;
+      continue;
+    }
+    if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+      errors.push(
+        `${field} must be an integer between ${rule.min} and ${rule.max}`
+      );
+      continue;
+    }
+    checked[field] = value;
+  }
+  return { params: checked, errors };
+}
+
+function newCommandId() {
+  return `CMD-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+class CommandService {
+  constructor() {
+    this.timers = new Map(); // command_id -> timeout timer
+    this.waiters = new Map(); // command_id -> callbacks waiting for the outcome
+  }
+
+  types() {
+    return COMMAND_TYPES;
+  }
+
+  async requireMachine(machineId, { active = false } = {}) {
+    const machine = await repositories.machines.findById(machineId);
+    if (!machine) throw httpError(404, "Machine not found");
+    if (active && machine.status === "DECOMMISSIONED") {
+      throw httpError(409, `Machine ${machineId} is decommissioned`);
+    }
+    return machine;
+  }
+
+  async list(machineId, filters) {
+    await this.requireMachine(machineId);
+    return repositories.machineCommands.list(machineId, filters);
+  }
+
+  async get(machineId, commandId) {
+    const command = await repositories.machineCommands.findByCommandId(
+      commandId
+    );
+    if (!command || command.machine_id !== machineId) {
+      throw httpError(404, "Command not found");
+    }
+    return command;
+  }
+
+  async assertNotDispensing(machineId, type) {
+    for (const status of DISPENSING_ORDER_STATUSES) {
+      const { total } = await repositories.orders.listByMachine(machineId, {
+        status,
+        limit: 1,
+      });
+      if (total > 0) {
+        throw httpError(
+          409,
+          `Machine ${machineId} has a ${status} order; ${type} has to wait`
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate, record and publish a command
+   * @param {object} options - { type, params, timeoutMs, sentBy }
+   * @returns {Promise<object>} the stored command (status SENT)
+   * @throws 400 for invalid params, 409 while busy, 503 when MQTT is down
+   */
+  async send(machineId, { type, params, timeoutMs, sentBy }) {
+    const definition = COMMAND_TYPES[type];
+    if (!definition) {
+      throw httpError(
+        400,
+        `type must be one of ${Object.keys(COMMAND_TYPES).join(", ")}`
+      );
+    }
+    const checked = validateParams(type, params);
+    if (checked.errors.length > 0) {
+      throw httpError(400, `Invalid params: ${checked.errors.join("; ")}`);
+    }
+
+    await this.requireMachine(machineId, { active: true });
+    if (type === "motor_test") {
+      const slots = await repositories.slots.listByMachine(machineId);
+      if (!slots.some((slot) => slot.slot_number === checked.params.slot)) {
+        throw httpError(
+          400,
+          `Machine ${machineId} has no slot ${checked.params.slot}`
+        );
+      }
+    }
+    if (definition.busy) await this.assertNotDispensing(machineId, type);
+
+    const commandId = newCommandId();
+    const { id } = await repositories.machineCommands.create({
+      command_id: commandId,
+      machine_id: machineId,
+      type,
+      params: checked.params,
+      status: "SENT",
+      sent_by: sentBy || null,
+    });
+
+    const published = require("./mqttService").publishCommand(machineId, {
+      cmd: type,
+      command_id: commandId,
+      ...checked.params,
+      issued_at: new Date().toISOString(),
+    });
+    if (!published) {
+      await repositories.machineCommands.update(id, {
+        status: "FAILED",
+        error: "MQTT not connected",
+        completed_at: new Date().toISOString(),
+      });
+      throw httpError(503, "MQTT not connected, command not sent");
+    }
+    console.log(`🕹️ ${type} sent to ${machineId} by ${sentBy} (${commandId})`);
+
+    const timeout = Math.min(
+      timeoutMs || definition.timeout_ms,
+      MAX_TIMEOUT_MS
+    );
+    this.timers.set(
+      commandId,
+      setTimeout(() => {
+        this.handleTimeout(commandId).catch((error) =>
+          console.error("Command timeout error:", error)
+        );
+      }, timeout)
+    );
+
+    return repositories.machineCommands.findByCommandId(commandId);
+  }
+
+  /**
+   * Resolves with the command once it SUCCEEDED, FAILED or timed out
+   */
+  waitForResult(commandId) {
+    return new Promise((resolve) => {
+      if (!this.timers.has(commandId)) {
+        return resolve(repositories.machineCommands.findByCommandId(commandId));
+      }
+      const waiters = this.waiters.get(commandId) || [];
+      waiters.push(resolve);
+      this.waiters.set(commandId, waiters);
+    });
+  }
+
+  async settle(commandId) {
+    clearTimeout(this.timers.get(commandId));
+    this.timers.delete(commandId);
+
+    const waiters = this.waiters.get(commandId) || [];
+    this.waiters.delete(commandId);
+    if (waiters.length === 0) return;
+
+    const command = await repositories.machineCommands.findByCommandId(
+      commandId
+    );
+    waiters.forEach((resolve) => resolve(command));
+  }
+
+  async handleTimeout(commandId) {
+    const command = await repositories.machineCommands.findByCommandId(
+      commandId
+    );
+    if (command && OPEN_STATUSES.includes(command.status)) {
+      await repositories.machineCommands.update(command.id, {
+        status: "TIMEOUT",
+        error: "No result from the machine",
+      });
+      console.warn(
+        `⚠️ No result for ${command.type} on ${command.machine_id} (${commandId})`
+      );
+    }
+    await this.settle(commandId);
+  }
+
+  // Machine received the command (vm/{id}/ack with command_id)
+  async handleAck(machineId, data) {
+    const command = await repositories.machineCommands.findByCommandId(
+      String(data.command_id)
+    );
+    if (!command || command.machine_id !== machineId) {
+      console.log(`ACK for unknown command: ${data.command_id}`);
+      return null;
+    }
+    if (command.status !== "SENT") return null;
+
+    await repositories.machineCommands.update(command.id, {
+      status: "ACKNOWLEDGED",
+      acknowledged_at: new Date().toISOString(),
+    });
+    return repositories.machineCommands.findByCommandId(command.command_id);
+  }
+
+  // Outcome on vm/{id}/command_result; late results overwrite TIMEOUT
+  async handleResult(machineId, data) {
+    const command = await repositories.machineCommands.findByCommandId(
+      String(data.command_id)
+    );
+    if (!command || command.machine_id !== machineId) {
+      console.log(`Result for unknown command: ${data.command_id}`);
+      return null;
+    }
+    if (![...OPEN_STATUSES, "TIMEOUT"].includes(command.status)) return null;
+
+    const success = data.success === true;
+    await repositories.machineCommands.update(command.id, {
+      status: success ? "SUCCEEDED" : "FAILED",
+      result: isObject(data.result) ? data.result : null,
+      error: success
+        ? null
+        : String(data.error || "Command failed").slice(0, 255),
+      completed_at: new Date().toISOString(),
+    });
+    console.log(
+      `${success ? "✅" : "❌"} ${command.type} on ${machineId}: ${
+        success ? "succeeded" : data.error || "failed"
+      }`
+    );
+
+    await this.settle(command.command_id);
+    return repositories.machineCommands.findByCommandId(command.command_id);
+  }
+}
+
+const commandService = new CommandService();
+commandService.COMMAND_TYPES = COMMAND_TYPES;
+commandService.COMMAND_STATUSES = COMMAND_STATUSES;
+
+module.exports = commandService;
@@ -0,0 +1,421 @@
+/**
+ * Config Service - versioned remote config of each machine
+ *
+ * An admin sends part of the config; it is merged over the latest version,
+ * checked against CONFIG_SCHEMA and stored as the next version, which is
+ * published on vm/{id}/config:
+ *
+ *   { "type": "config", "version": 4, "config": { ... }, "issued_at": "..." }
+ *
+ * A version stays PENDING until the machine reports it back on its status
+ * topic ({ "config_version": 4 }). Then it is APPLIED and older versions are
+ * SUPERSEDED. A machine that rejects a config reports
+ * { "config_version": 4, "config_error": "..." } and the version is FAILED.
+ * Rolling back publishes the config of an older version as a new version.
+ *
+ * machines.config keeps what the machine reports (rssi, firmware, door).
+ */
+
+const repositories = require("../repositories");
+const { httpError } = require("../utils/httpError");
+const { KeyedLock } = require("../utils/keyedLock");
+
+const CONFIG_STATUSES = ["PENDING", "APPLIED", "FAILED", "SUPERSEDED"];
+
+// section -> field -> rule; every version carries every field
+const CONFIG_SCHEMA = {
+  motor: {
+    duration_ms: {
+      type: "integer",
+      min: 200,
+      max: 10000,
+      default: 1500,
+      description:
+        "Motor run time for slots without their own motor_duration_ms",
+    },
+    pause_ms: {
+      type: "integer",
+      min: 0,
+      max: 5000,
+      default: 300,
+      description: "Pause between two dispenses of one order",
+    },
+  },
+  temperature: {
+    setpoint_c: {
+      type: "number",
+      min: 2,
+      max: 30,
+      default: 20,
+      description: "Cooling setpoint in °C",
+    },
+    hysteresis_c: {
+      type: "number",
+      min: 0.5,
+      max: 10,
+      default: 2,
+      description: "Deviation from the setpoint before the cooler switches",
+    },
+  },
+  display: {
+    brightness: {
+      type: "integer",
+      min: 0,
+      max: 100,
+      default: 80,
+      description: "Screen brightness in percent",
+    },
+  },
+  operating_hours: {
+    enabled: {
+      type: "boolean",
+      default: false,
+      description: "Only sell between open and close on the given days",
+    },
+    open: {
+      type: "time",
+      default: "07:00",
+      description: "HH:mm, machine local time",
+    },
+    close: {
+      type: "time",
+      default: "22:00",
+      description: "HH:mm; earlier than open means open past midnight",
+    },
+    days: {
+      type: "weekdays",
+      default: [1, 2, 3, 4, 5, 6, 7],
+      description: "ISO weekdays, 1 = Monday",
+    },
+  },
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function defaults() {
+  return Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA).map(([section, fields]) => [
+      section,
+      Object.fromEntries(
+        Object.entries(fields).map(([field, rule]) => [field, rule.default])
+      ),
+    ])
+  );
+}
+
+function checkValue(rule, value) {
+  switch (rule.type) {
+    case "integer":
+    case "number":
+      if (
+        typeof value !== "number" ||
+        !Number.isFinite(value) ||
+        (rule.type === "integer" && !Number.isInteger(value))
+      ) {
+        return `must be ${rule.type === "integer" ? "an integer" : "a number"}`;
+      }
+      if (value < rule.min || value > rule.max) {
+        return `must be between ${rule.min} and ${rule.max}`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "time":
+      return typeof value === "string" && TIME_PATTERN.test(value)
+        ? null
+        : "must be HH:mm";
+    case "weekdays":
+      return Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((day) => Number.isInteger(day) && day >= 1 && day <= 7) &&
+        new Set(value).size === value.length
+        ? null
+        : "must be a non-empty list of distinct weekdays 1-7";
+    default:
+      return "has an unknown type";
+  }
+}
+
+/**
+ * Check a (partial) config against CONFIG_SCHEMA
+ * @returns {string[]} problems, empty when valid
+ */
+function validateConfig(config) {
+  if (!isObject(config)) return ["config must be an object"];
+
+  const errors = [];
+  for (const [section, fields] of Object.entries(config)) {
+    const schema = CONFIG_SCHEMA[section];
+    if (!schema) {
+      errors.push(`Unknown section ${section}`);
+      continue;
+    }
+    if (!isObject(fields)) {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      if (!schema[field]) {
+        errors.push(`Unknown field ${section}.${field}`);
+        continue;
+      }
+      const problem = checkValue(schema[field], value);
+      if (problem) errors.push(`${section}.${field} ${problem}`);
+    }
+  }
+  return errors;
+}
+
+// Section by section: fields not in the change keep their current value
+function mergeConfig(base, change) {
+  const merged = {};
+  for (const section of Object.keys(CONFIG_SCHEMA)) {
+    merged[section] = { ...base[section], ...(change[section] || {}) };
+  }
+  return merged;
+}
+
+class ConfigService {
+  constructor() {
+    this.locks = new KeyedLock(); // keyed by machine id
+  }
+
+  // Config changes of one machine run one after another
+  withMachineLock(machineId, fn) {
+    return this.locks.run(machineId, fn);
+  }
+
+  async requireMachine(machineId, { active = false } = {}) {
+    const machine = await repositories.machines.findById(machineId);
+    if (!machine) throw httpError(404, "Machine not found");
+    if (active && machine.status === "DECOMMISSIONED") {
+      throw httpError(409, `Machine ${machineId} is decommissioned`);
+    }
+    return machine;
+  }
+
+  schema() {
+    return { schema: CONFIG_SCHEMA, defaults: defaults() };
+  }
+
+  /**
+   * The applied version and the latest one; in_sync when they are the same
+   * @returns {Promise<object>} { machine_id, applied, latest, in_sync }
+   */
+  async getCurrent(machineId) {
+    await this.requireMachine(machineId);
+    const applied = await repositories.machineConfigs.findApplied(machineId);
+    const latest = await repositories.machineConfigs.latest(machineId);
+
+    return {
+      machine_id: machineId,
+      applied,
+      latest,
+      in_sync: Boolean(latest && latest.status === "APPLIED"),
+    };
+  }
+
+  async listVersions(machineId, filters) {
+    await this.requireMachine(machineId);
+    return repositories.machineConfigs.list(machineId, filters);
+  }
+
+  async getVersion(machineId, version) {
+    const row = await repositories.machineConfigs.findVersion(
+      machineId,
+      version
+    );
+    if (!row) throw httpError(404, "Config version not found");
+    return row;
+  }
+
+  /**
+   * Send a stored version on vm/{id}/config
+   * @returns {Promise<boolean>} false when MQTT is not connected
+   */
+  async publishVersion(row) {
+    const sent = require("./mqttService").publishConfigUpdate(row.machine_id, {
+      type: "config",
+      version: row.version,
+      config: row.config,
+      issued_at: new Date().toISOString(),
+    });
+    await repositories.machineConfigs.update(row.id, {
+      config_sent: sent,
+      ...(sent && { published_at: new Date().toISOString() }),
+    });
+    return sent;
+  }
+
+  /**
+   * Store a config change as the next version and publish it
+   * @param {object} change - any sections/fields of CONFIG_SCHEMA
+   * @param {object} options - { notes, createdBy, rollbackOf }
+   * @returns {Promise<object>} { version, config_sent }
+   * @throws 400 with the schema problems
+   */
+  async createVersion(
+    machineId,
+    change,
+    { notes, createdBy, rollbackOf } = {}
+  ) {
+    const errors = validateConfig(change);
+    if (errors.length > 0) {
+      throw httpError(400, `Invalid config: ${errors.join("; ")}`);
+    }
+    await this.requireMachine(machineId, { active: true });
+
+    return this.withMachineLock(machineId, async () => {
+      const latest = await repositories.machineConfigs.latest(machineId);
+      const version = (latest ? latest.version : 0) + 1;
+
+      const { id } = await repositories.machineConfigs.create({
+        machine_id: machineId,
+        version,
+        config: mergeConfig(latest ? latest.config : defaults(), change),
+        status: "PENDING",
+        rollback_of: rollbackOf || null,
+        notes: notes || null,
+        created_by: createdBy || null,
+      });
+      // Versions nobody confirmed are replaced by this one
+      await repositories.machineConfigs.supersedeOlder(machineId, version, [
+        "PENDING",
+      ]);
+
+      const row = await repositories.machineConfigs.findVersion(
+        machineId,
+        version
+      );
+      const configSent = await this.publishVersion(row);
+      console.log(
+        `⚙️ Config v${version} for ${machineId} by ${createdBy || "system"}${
+          configSent ? "" : " (not sent, MQTT disconnected)"
+        }`
+      );
+
+      return {
+        version: await repositories.machineConfigs.findVersion(
+          machineId,
+          version
+        ),
+        config_sent: configSent,
+      };
+    });
+  }
+
+  /**
+   * Publish the config of an older version again as a new version
+   * @throws 404 for unknown versions, 409 when it already is the latest
+   */
+  async rollback(machineId, version, { notes, createdBy } = {}) {
+    const target = await this.getVersion(machineId, version);
+    const latest = await repositories.machineConfigs.latest(machineId);
+    if (latest && latest.version === target.version) {
+      throw httpError(409, `Config v${version} is already the latest version`);
+    }
+
+    // Complete with defaults in case the schema grew since that version
+    return this.createVersion(
+      machineId,
+      mergeConfig(defaults(), target.config),
+      {
+        notes: notes || `Rollback to v${target.version}`,
+        createdBy,
+        rollbackOf: target.version,
+      }
+    );
+  }
+
+  /**
+   * Send the latest version again, e.g. after MQTT was down or the machine
+   * rejected it
+   * @throws 409 when the version is not the latest or already applied
+   */
+  async republish(machineId, version) {
+    await this.requireMachine(machineId, { active: true });
+
+    return this.withMachineLock(machineId, async () => {
+      const row = await this.getVersion(machineId, version);
+      const latest = await repositories.machineConfigs.latest(machineId);
+      if (row.version !== latest.version) {
+        throw httpError(
+          409,
+          `Only the latest version (v${latest.version}) can be published`
+        );
+      }
+      if (row.status === "APPLIED") {
+        throw httpError(409, `Config v${version} is already applied`);
+      }
+
+      if (row.status === "FAILED") {
+        await repositories.machineConfigs.update(row.id, {
+          status: "PENDING",
+          error: null,
+        });
+      }
+      const configSent = await this.publishVersion(row);
+
+      return {
+        version: await repositories.machineConfigs.findVersion(
+          machineId,
+          version
+        ),
+        config_sent: configSent,
+      };
+    });
+  }
+
+  /**
+   * Status message from the machine: config_version is the version it runs,
+   * or the one it rejected when config_error is set
+   * @returns {Promise<object|null>} the updated version, null when nothing changed
+   */
+  async handleStatus(machineId, data) {
+    const version = parseInt(data.config_version);
+    if (!Number.isFinite(version)) return null;
+
+    return this.withMachineLock(machineId, async () => {
+      const row = await repositories.machineConfigs.findVersion(
+        machineId,
+        version
+      );
+      if (!row) return null;
+
+      if (data.config_error) {
+        if (row.status !== "PENDING") return null;
+        await repositories.machineConfigs.update(row.id, {
+          status: "FAILED",
+          error: String(data.config_error).slice(0, 255),
+        });
+        console.warn(
+          `⚠️ ${machineId} rejected config v${version}: ${data.config_error}`
+        );
+      } else {
+        if (row.status !== "PENDING" && row.status !== "FAILED") return null;
+        await repositories.machineConfigs.update(row.id, {
+          status: "APPLIED",
+          applied_at: new Date().toISOString(),
+          error: null,
+        });
+        await repositories.machineConfigs.supersedeOlder(machineId, version, [
+          "PENDING",
+          "APPLIED",
+        ]);
+        console.log(`✅ Config v${version} applied on ${machineId}`);
+      }
+
+      return repositories.machineConfigs.findVersion(machineId, version);
+    });
+  }
+}
+
+const configService = new ConfigService();
+configService.CONFIG_STATUSES = CONFIG_STATUSES;
+configService.CONFIG_SCHEMA = CONFIG_SCHEMA;
+
+module.exports = configService;
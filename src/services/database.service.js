@@ -1,10 +1,14 @@
 /**
  * Database Service - Unified interface for MySQL and Supabase
  * Provides abstraction layer for database operations
+ *
+ * Machines, slots, orders, payments, logs and telemetry are served by the
+ * repositories in src/repositories; products and admin lookups still live here.
  */
 
 const db = require("../config/database");
 const { supabase } = require("../config/supabase");
+const repositories = require("../repositories");
 
 const USE_SUPABASE = process.env.USE_SUPABASE === "true";
 
@@ -109,171 +113,45 @@ class DatabaseService {
   // MACHINES
   // ============================================
   async getAllMachines() {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("machines")
-        .select("*")
-        .order("name");
-      if (error) throw error;
-      return data;
-    }
-
-    return await db.query("SELECT * FROM machines ORDER BY name");
+    return repositories.machines.list();
   }
 
   async getMachineById(id) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("machines")
-        .select("*")
-        .eq("id", id)
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const rows = await db.query("SELECT * FROM machines WHERE id = ?", [id]);
-    return rows[0];
+    return repositories.machines.findById(id);
   }
 
-  async updateMachineStatus(id, status, lastSeen = new Date()) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("machines")
-        .update({ status, last_seen: lastSeen })
-        .eq("id", id)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    await db.query(
-      "UPDATE machines SET status = ?, last_seen = ? WHERE id = ?",
-      [status, lastSeen, id]
-    );
-    return await this.getMachineById(id);
+  async updateMachineStatus(id, status) {
+    await repositories.machines.touch(id, status);
+    return repositories.machines.findById(id);
   }
 
   // ============================================
   // SLOTS
   // ============================================
   async getSlotsByMachine(machineId) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("slots")
-        .select(
-          `
-          *,
-          product:products(*)
-        `
-        )
-        .eq("machine_id", machineId)
-        .order("slot_number");
-      if (error) throw error;
-      return data;
-    }
-
-    return await db.query(
-      `
-      SELECT s.*, p.* 
-      FROM slots s 
-      LEFT JOIN products p ON s.product_id = p.id 
-      WHERE s.machine_id = ? 
-      ORDER BY s.slot_number
-    `,
-      [machineId]
-    );
+    return repositories.slots.listByMachine(machineId);
   }
 
   async updateSlotStock(slotId, newStock) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("slots")
-        .update({ current_stock: newStock })
-        .eq("id", slotId)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    await db.query("UPDATE slots SET current_stock = ? WHERE id = ?", [
-      newStock,
-      slotId,
-    ]);
-    const rows = await db.query("SELECT * FROM slots WHERE id = ?", [slotId]);
-    return rows[0];
+    await repositories.slots.updateStock(slotId, newStock);
+    return repositories.slots.findById(slotId);
   }
 
   // ============================================
   // ORDERS
   // ============================================
   async createOrder(orderData) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("orders")
-        .insert(orderData)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    await db.query("INSERT INTO orders SET ?", [orderData]);
-    const rows = await db.query("SELECT * FROM orders WHERE id = ?", [
-      orderData.id,
-    ]);
-    return rows[0];
+    await repositories.orders.create(orderData);
+    return repositories.orders.findById(orderData.id);
   }
 
   async getOrderById(id) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("orders")
-        .select(
-          `
-          *,
-          machine:machines(*),
-          slot:slots(*),
-          product:products(*)
-        `
-        )
-        .eq("id", id)
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const rows = await db.query(
-      `
-      SELECT o.*, m.name as machine_name, p.name as product_name
-      FROM orders o
-      LEFT JOIN machines m ON o.machine_id = m.id
-      LEFT JOIN products p ON o.product_id = p.id
-      WHERE o.id = ?
-    `,
-      [id]
-    );
-    return rows[0];
+    return repositories.orders.findDetails(id);
   }
 
   async updateOrderStatus(orderId, status, additionalData = {}) {
-    if (this.useSupabase) {
-      const updateData = { status, ...additionalData };
-      const { data, error } = await supabase
-        .from("orders")
-        .update(updateData)
-        .eq("id", orderId)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const updateData = { status, ...additionalData };
-    await db.query("UPDATE orders SET ? WHERE id = ?", [updateData, orderId]);
-    return await this.getOrderById(orderId);
+    await repositories.orders.update(orderId, { status, ...additionalData });
+    return repositories.orders.findById(orderId);
   }
 
   async getRecentOrders(limit = 10, machineId = null) {
@@ -322,38 +200,14 @@ class DatabaseService {
   // PAYMENTS
   // ============================================
   async createPayment(paymentData) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("payments")
-        .insert(paymentData)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const result = await db.query("INSERT INTO payments SET ?", [paymentData]);
-    return { id: result.insertId, ...paymentData };
+    return repositories.payments.create(paymentData);
   }
 
   async updatePaymentStatus(orderId, status, processedData = {}) {
-    if (this.useSupabase) {
-      const updateData = { status, ...processedData };
-      const { data, error } = await supabase
-        .from("payments")
-        .update(updateData)
-        .eq("order_id", orderId)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const updateData = { status, ...processedData };
-    await db.query("UPDATE payments SET ? WHERE order_id = ?", [
-      updateData,
-      orderId,
-    ]);
+    await repositories.payments.updateByOrderId(orderId, {
+      status,
+      ...processedData,
+    });
     return true;
   }
 
@@ -361,51 +215,19 @@ class DatabaseService {
   // STOCK LOGS
   // ============================================
   async createStockLog(logData) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("stock_logs")
-        .insert(logData)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const result = await db.query("INSERT INTO stock_logs SET ?", [logData]);
-    return { id: result.insertId, ...logData };
+    await repositories.slots.addStockLogs([logData]);
+    return logData;
   }
 
   // ============================================
   // DISPENSE LOGS
   // ============================================
   async createDispenseLog(logData) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("dispense_logs")
-        .insert(logData)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const result = await db.query("INSERT INTO dispense_logs SET ?", [logData]);
-    return { id: result.insertId, ...logData };
+    return repositories.dispenseLogs.create(logData);
   }
 
   async updateDispenseLog(id, updateData) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("dispense_logs")
-        .update(updateData)
-        .eq("id", id)
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    await db.query("UPDATE dispense_logs SET ? WHERE id = ?", [updateData, id]);
+    await repositories.dispenseLogs.update(id, updateData);
     return true;
   }
 
@@ -413,24 +235,7 @@ class DatabaseService {
   // TELEMETRY
   // ============================================
   async saveTelemetry(machineId, telemetryData) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from("telemetry")
-        .insert({
-          machine_id: machineId,
-          data: telemetryData,
-        })
-        .select()
-        .single();
-      if (error) throw error;
-      return data;
-    }
-
-    const result = await db.query(
-      "INSERT INTO telemetry (machine_id, data) VALUES (?, ?)",
-      [machineId, JSON.stringify(telemetryData)]
-    );
-    return { id: result.insertId };
+    return repositories.telemetry.create(machineId, telemetryData);
   }
 
   // ============================================
@@ -0,0 +1,244 @@
+/**
+ * Dispense Tracker - acknowledgement, timeout and retry for dispense commands
+ *
+ * Every dispense command is kept as a pending job per order/slot until the
+ * machine acknowledges it on vm/{id}/ack (or reports a dispense_result).
+ * Unacknowledged commands are re-published with exponential backoff; after
+ * DISPENSE_MAX_RETRIES retries the order is moved to FAILED and refunded.
+ * Each publish is recorded as its own row in dispense_logs (retry_count = attempt - 1).
+ */
+
+const repositories = require("../repositories");
+const eventBus = require("./eventBus");
+
+const ACK_TIMEOUT_MS = parseInt(process.env.DISPENSE_ACK_TIMEOUT_MS) || 5000;
+const MAX_RETRIES = parseInt(process.env.DISPENSE_MAX_RETRIES) || 3;
+const RETRY_BACKOFF_MS =
+  parseInt(process.env.DISPENSE_RETRY_BACKOFF_MS) || 2000;
+// Acknowledged jobs are dropped from memory if no result arrives in time
+const RESULT_TIMEOUT_MS =
+  parseInt(process.env.DISPENSE_RESULT_TIMEOUT_MS) || 60000;
+
+class DispenseTracker {
+  constructor() {
+    this.jobs = new Map(); // "orderId:slot" -> job
+  }
+
+  jobKey(orderId, slot) {
+    return `${orderId}:${slot}`;
+  }
+
+  /**
+   * Publish a dispense command and start tracking it
+   * @param {string} machineId
+   * @param {object} command - { cmd: "dispense", slot, orderId, timeoutMs, ... }
+   * @param {object} meta - { itemId } for multi-item orders
+   * @returns {Promise<boolean>} false if MQTT is not connected
+   */
+  async dispatch(machineId, command, meta = {}) {
+    const mqttService = require("./mqttService");
+    if (!mqttService.isConnected) {
+      console.error("MQTT not connected, cannot dispatch dispense command");
+      return false;
+    }
+
+    const key = this.jobKey(command.orderId, command.slot);
+    const existing = this.jobs.get(key);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const job = {
+      key,
+      machineId,
+      orderId: command.orderId,
+      slot: command.slot,
+      itemId: meta.itemId || null,
+      command,
+      attempt: 0,
+      state: "PENDING",
+      logId: null,
+      timer: null,
+      createdAt: new Date().toISOString(),
+    };
+    this.jobs.set(key, job);
+
+    return await this.sendAttempt(job);
+  }
+
+  async sendAttempt(job) {
+    const mqttService = require("./mqttService");
+
+    job.attempt++;
+    job.state = "SENT";
+    job.lastSentAt = new Date().toISOString();
+
+    try {
+      job.logId = await this.recordAttempt(job);
+    } catch (error) {
+      console.error("Failed to record dispense attempt:", error);
+    }
+
+    const published = mqttService.publishDispenseCommand(job.machineId, {
+      ...job.command,
+      attempt: job.attempt,
+    });
+
+    if (!published && job.attempt === 1) {
+      this.jobs.delete(job.key);
+      return false;
+    }
+
+    console.log(
+      `⏱️ Waiting for ACK: order ${job.orderId} slot ${job.slot} (attempt ${
+        job.attempt
+      }/${MAX_RETRIES + 1})`
+    );
+    job.timer = setTimeout(() => this.handleAckTimeout(job), ACK_TIMEOUT_MS);
+    return true;
+  }
+
+  async handleAckTimeout(job) {
+    if (this.jobs.get(job.key) !== job || job.state !== "SENT") return;
+
+    console.warn(
+      `⚠️ No ACK for order ${job.orderId} slot ${job.slot} (attempt ${job.attempt})`
+    );
+
+    try {
+      await this.markAttemptTimedOut(job);
+    } catch (error) {
+      console.error("Failed to update dispense log:", error);
+    }
+
+    if (job.attempt > MAX_RETRIES) {
+      await this.failJob(job);
+      return;
+    }
+
+    const delay = RETRY_BACKOFF_MS * Math.pow(2, job.attempt - 1);
+    job.state = "RETRY_WAIT";
+    console.log(`🔁 Retrying dispense for ${job.orderId} in ${delay}ms`);
+    job.timer = setTimeout(() => {
+      if (this.jobs.get(job.key) === job) {
+        this.sendAttempt(job).catch((error) =>
+          console.error("Dispense retry error:", error)
+        );
+      }
+    }, delay);
+  }
+
+  // Machine acknowledged the command on vm/{id}/ack
+  handleAck(machineId, data) {
+    const job = this.jobs.get(this.jobKey(data.orderId, data.slot));
+    if (!job || job.machineId !== machineId) {
+      console.log(`ACK for unknown dispense job: ${data.orderId}/${data.slot}`);
+      return;
+    }
+
+    clearTimeout(job.timer);
+    job.state = "ACKED";
+    job.ackedAt = new Date().toISOString();
+    console.log(`✅ Dispense ACK: order ${job.orderId} slot ${job.slot}`);
+
+    // Result handling belongs to handleDispenseResult - just stop tracking eventually
+    job.timer = setTimeout(() => {
+      if (this.jobs.get(job.key) === job) this.jobs.delete(job.key);
+    }, RESULT_TIMEOUT_MS);
+  }
+
+  // A dispense_result also counts as acknowledgement (older firmware has no ack topic)
+  handleResult(machineId, data) {
+    const job = this.jobs.get(this.jobKey(data.orderId, data.slot));
+    if (!job || job.machineId !== machineId) return null;
+
+    clearTimeout(job.timer);
+    this.jobs.delete(job.key);
+    return job;
+  }
+
+  async failJob(job) {
+    clearTimeout(job.timer);
+    this.jobs.delete(job.key);
+    job.state = "FAILED";
+
+    const reason = `No acknowledgement from machine after ${job.attempt} attempts`;
+
+    // Multi-item orders keep going while other items are outstanding
+    let orderStatus = "FAILED";
+    try {
+      // The result may have come in another way (e.g. POST
+      // /api/dispense/confirm) while the last attempt timed out
+      const order = await repositories.orders.findById(job.orderId);
+      const itemOrderStatus =
+        order?.status === "COMPLETED"
+          ? null
+          : await require("./mqttService").updateOrderItemStatus(
+              job.orderId,
+              job.machineId,
+              job.slot,
+              job.itemId,
+              "FAILED"
+            );
+      if (itemOrderStatus === null) {
+        console.log(
+          `ℹ️ Order ${job.orderId} slot ${job.slot} already dispensed, not failing it`
+        );
+        return;
+      }
+      orderStatus = itemOrderStatus;
+      console.error(`❌ Dispense failed for order ${job.orderId}: ${reason}`);
+
+      await repositories.orders.update(job.orderId, {
+        status: orderStatus,
+        notes: reason,
+      });
+    } catch (error) {
+      console.error("Failed to mark dispense job as failed:", error);
+    }
+
+    // Releases the slot's stock and refunds (see eventHandlers.js)
+    await eventBus.publish("dispense.failed", {
+      order_id: job.orderId,
+      machine_id: job.machineId,
+      slot: job.slot,
+      item_id: job.itemId || null,
+      item_status: "FAILED",
+      order_status: orderStatus,
+      success: false,
+      drop_detected: false,
+      duration_ms: null,
+      error_message: reason,
+    });
+  }
+
+  async recordAttempt(job) {
+    const log = {
+      order_id: job.orderId,
+      machine_id: job.machineId,
+      slot_number: job.slot,
+      retry_count: job.attempt - 1,
+    };
+
+    const created = await repositories.dispenseLogs.create(log);
+    return created.id;
+  }
+
+  async markAttemptTimedOut(job) {
+    if (!job.logId) return;
+
+    const error_message = `ACK timeout after ${ACK_TIMEOUT_MS}ms`;
+
+    await repositories.dispenseLogs.update(job.logId, {
+      completed_at: new Date(),
+      success: false,
+      error_message,
+    });
+  }
+
+  getPendingJobs() {
+    return Array.from(this.jobs.values()).map(({ timer, ...job }) => job);
+  }
+}
+
+module.exports = new DispenseTracker();
@@ -0,0 +1,197 @@
+/**
+ * Event Bus - in-process domain events with an outbox for replay
+ *
+ * Modules publish what happened instead of calling every side effect inline:
+ *
+ *   await eventBus.publish("payment.succeeded", { order_id, machine_id });
+ *
+ * and features subscribe to the events they care about:
+ *
+ *   eventBus.subscribe("payment.succeeded", "reservations", async (event) => ...);
+ *
+ * Every event is stored in event_outbox before its subscribers run. Subscribers
+ * run one after the other in registration order and each gets the results of
+ * the ones before it (context.results[name]). A throwing subscriber does not
+ * stop the others or the publisher; the event is marked FAILED with the names
+ * of the subscribers that threw, and retryFailed() / replay() run just those
+ * again later. The default subscribers live in eventHandlers.js.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const repositories = require("../repositories");
+
+const EVENT_TYPES = [
+  "order.created",
+  "payment.succeeded",
+  "payment.failed",
+  "dispense.completed",
+  "dispense.failed",
+  "stock.low",
+  "telemetry.received",
+  "machine.offline",
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.EVENT_MAX_ATTEMPTS) || 5;
+
+class EventBus {
+  constructor() {
+    this.subscribers = new Map(); // type -> [{ name, handler }]
+    this.defaultsRegistered = false;
+  }
+
+  /**
+   * @param {string} type - one of EVENT_TYPES
+   * @param {string} name - unique per type, recorded when the handler fails
+   * @param {Function} handler - async (event, context) => result
+   */
+  subscribe(type, name, handler) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const subscribers = this.subscribers.get(type) || [];
+    if (subscribers.some((subscriber) => subscriber.name === name)) {
+      throw new Error(`${name} is already subscribed to ${type}`);
+    }
+    subscribers.push({ name, handler });
+    this.subscribers.set(type, subscribers);
+  }
+
+  registerDefaultHandlers() {
+    if (this.defaultsRegistered) return;
+    this.defaultsRegistered = true;
+    require("./eventHandlers").register(this);
+  }
+
+  /**
+   * Store an event and run its subscribers
+   * @param {string} type
+   * @param {object} payload
+   * @param {object} [options] - { aggregateId } (defaults to payload.order_id
+   *   or payload.machine_id)
+   * @returns {Promise<object>} { event, results, failed }
+   */
+  async publish(type, payload, { aggregateId } = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    this.registerDefaultHandlers();
+
+    const event = {
+      id: uuidv4(),
+      type,
+      aggregate_id:
+        aggregateId || payload.order_id || payload.machine_id || null,
+      payload,
+      created_at: new Date().toISOString(),
+    };
+
+    // Side effects still run when the outbox is unavailable
+    let stored = true;
+    try {
+      await repositories.outbox.append({
+        id: event.id,
+        type: event.type,
+        aggregate_id: event.aggregate_id,
+        payload: event.payload,
+      });
+    } catch (error) {
+      stored = false;
+      console.error(`Failed to store event ${type} in outbox:`, error.message);
+    }
+
+    return this.dispatch(event, { stored });
+  }
+
+  /**
+   * Run subscribers of a stored or new event
+   * @param {object} event
+   * @param {object} [options] - { only: subscriber names, stored }
+   */
+  async dispatch(event, { only = null, stored = true } = {}) {
+    const subscribers = (this.subscribers.get(event.type) || []).filter(
+      (subscriber) => !only || only.includes(subscriber.name)
+    );
+
+    const context = { results: {} };
+    const failed = [];
+    let lastError = null;
+
+    for (const { name, handler } of subscribers) {
+      try {
+        context.results[name] = await handler(event, context);
+      } catch (error) {
+        console.error(`❌ ${event.type} handler ${name} failed:`, error);
+        failed.push(name);
+        lastError = `${name}: ${error.message}`;
+      }
+    }
+
+    if (stored) {
+      try {
+        if (failed.length > 0) {
+          await repositories.outbox.markFailed(event.id, {
+            failed_handlers: failed,
+            error: lastError,
+          });
+        } else {
+          await repositories.outbox.markDispatched(event.id);
+        }
+      } catch (error) {
+        console.error(`Failed to update outbox event ${event.id}:`, error);
+      }
+    }
+
+    return { event, results: context.results, failed };
+  }
+
+  /**
+   * Run a stored event again. FAILED events only re-run the subscribers that
+   * threw, unless `handlers` names the ones to run.
+   * @returns {Promise<object|null>} dispatch result, or null if not found
+   */
+  async replay(eventId, { handlers = null } = {}) {
+    this.registerDefaultHandlers();
+
+    const event = await repositories.outbox.findById(eventId);
+    if (!event) return null;
+
+    let only = handlers;
+    if (!only && event.status === "FAILED") {
+      only = event.failed_handlers || null;
+    }
+
+    console.log(`🔁 Replaying ${event.type} ${event.id}`);
+    return this.dispatch(event, { only });
+  }
+
+  /**
+   * Retry FAILED events below EVENT_MAX_ATTEMPTS (scheduler job)
+   * @returns {Promise<object>} { retried, recovered }
+   */
+  async retryFailed({ limit = 50 } = {}) {
+    const events = await repositories.outbox.listFailed({
+      maxAttempts: MAX_ATTEMPTS,
+      limit,
+    });
+
+    let recovered = 0;
+    for (const event of events) {
+      const { failed } = await this.replay(event.id);
+      if (failed.length === 0) recovered++;
+    }
+    return { retried: events.length, recovered };
+  }
+
+  listSubscribers() {
+    return EVENT_TYPES.map((type) => ({
+      type,
+      subscribers: (this.subscribers.get(type) || []).map(({ name }) => name),
+    }));
+  }
+}
+
+const eventBus = new EventBus();
+eventBus.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = eventBus;
@@ -0,0 +1,329 @@
+/**
+ * Event Handlers - default subscribers of the domain event bus
+ *
+ * The side effects that used to be wired inline in routes and services:
+ * stock reservations, dispense triggering, refunds, slot levels from telemetry
+ * and realtime pushes, plus stock lots, alerting and outbound webhooks.
+ * Registered once by eventBus.registerDefaultHandlers().
+ */
+
+const axios = require("axios");
+const repositories = require("../repositories");
+const reservationService = require("./reservationService");
+const realtimeService = require("./realtimeService");
+const alertService = require("./alertService");
+const lotService = require("./lotService");
+const webhookService = require("./webhookService");
+const { signMachineToken } = require("../middleware/auth");
+
+// Estimated stock for the fill level reported by slot sensors
+const STOCK_BY_LEVEL = {
+  FULL: 10,
+  HIGH: 8,
+  MEDIUM: 5,
+  LOW: 2,
+  EMPTY: 0,
+};
+
+// Same threshold as the stock dashboard (20% of capacity)
+function isLowStock(stock, capacity) {
+  return stock <= (capacity || 0) * 0.2;
+}
+
+/**
+ * Publish stock.low when a slot drops to the low threshold
+ */
+async function checkLowStock(bus, machineId, slot, quantityBefore) {
+  const quantityAfter = slot.current_stock;
+  if (!isLowStock(quantityAfter, slot.capacity)) return;
+  if (quantityBefore !== undefined && isLowStock(quantityBefore, slot.capacity))
+    return;
+
+  await bus.publish("stock.low", {
+    machine_id: machineId,
+    slot_id: slot.id,
+    slot_number: slot.slot_number,
+    product_name: slot.product_name || null,
+    current_stock: quantityAfter,
+    capacity: slot.capacity,
+  });
+}
+
+// Stock change of a dispense.completed event, read back from its stock log
+async function dispensedChange({ order_id, machine_id, slot }) {
+  if (!machine_id) return null;
+  const row = await repositories.slots.findByNumber(machine_id, slot);
+  const log =
+    row && (await repositories.slots.findOrderDispenseLog(order_id, row.id));
+  if (!log) return null;
+
+  return {
+    slot_id: log.slot_id,
+    quantity: log.quantity_before - log.quantity_after,
+    quantity_before: log.quantity_before,
+    quantity_after: log.quantity_after,
+  };
+}
+
+async function latestRefund(orderId) {
+  const refunds = await repositories.refunds.listByOrder(orderId);
+  return refunds[refunds.length - 1] || null;
+}
+
+// Call our own dispense endpoint, like the Pi does after payment, with a
+// short-lived token of the order's machine
+async function triggerDispense(orderId) {
+  const order = await repositories.orders.findById(orderId);
+  const machine =
+    order && (await repositories.machines.findById(order.machine_id));
+  if (!machine) {
+    throw new Error(`Machine of order ${orderId} not found`);
+  }
+
+  const items = await repositories.orders.listItems(orderId);
+  const hasMultipleItems = items.length > 0;
+  const dispenseUrl = `http://localhost:${
+    process.env.PORT || 3001
+  }/api/dispense${hasMultipleItems ? "/multi" : "/trigger"}`;
+
+  console.log(
+    `📦 Triggering ${
+      hasMultipleItems ? "multi-item" : "single"
+    } dispense for order ${orderId} (${items.length} items): ${dispenseUrl}`
+  );
+
+  await axios.post(
+    dispenseUrl,
+    { order_id: orderId },
+    {
+      timeout: 10000, // Increased timeout for multi-item
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${signMachineToken(machine, {
+          expiresIn: "5m",
+        })}`,
+      },
+    }
+  );
+}
+
+function register(bus) {
+  // ----- Orders -----
+
+  bus.subscribe("order.created", "realtime", async ({ payload }) => {
+    realtimeService.publishOrderStatus({
+      id: payload.order_id,
+      machine_id: payload.machine_id,
+      status: "PENDING",
+    });
+  });
+
+  // ----- Payments -----
+
+  // Paid orders keep their stock until dispense, failed ones give it back
+  bus.subscribe("payment.succeeded", "reservations", async ({ payload }) =>
+    reservationService.hold(payload.order_id)
+  );
+  bus.subscribe("payment.failed", "reservations", async ({ payload }) =>
+    reservationService.release(payload.order_id)
+  );
+
+  bus.subscribe("payment.succeeded", "realtime", async ({ payload }) => {
+    realtimeService.publishOrderStatus(
+      { id: payload.order_id, machine_id: payload.machine_id, status: "PAID" },
+      { payment_status: "SUCCESS" }
+    );
+  });
+  bus.subscribe("payment.failed", "realtime", async ({ payload }) => {
+    realtimeService.publishOrderStatus(
+      {
+        id: payload.order_id,
+        machine_id: payload.machine_id,
+        status: "FAILED",
+      },
+      { payment_status: payload.payment_status }
+    );
+  });
+
+  bus.subscribe("payment.succeeded", "dispense", async ({ payload }) => {
+    const orderId = payload.order_id;
+    console.log(
+      `💰 Payment successful for order ${orderId} - triggering dispense`
+    );
+
+    try {
+      await triggerDispense(orderId);
+      console.log(`✅ Dispense triggered successfully for order ${orderId}`);
+      return { triggered: true };
+    } catch (error) {
+      console.error(
+        `❌ Failed to trigger dispense for order ${orderId}:`,
+        error.message
+      );
+
+      // The order is already marked as PAID, dispense can be retried later
+      await repositories.orders.update(orderId, {
+        status: "PENDING_DISPENSE",
+        notes: `Payment successful but dispense failed: ${error.message}`,
+      });
+      realtimeService.publishOrderStatus({
+        id: orderId,
+        machine_id: payload.machine_id,
+        status: "PENDING_DISPENSE",
+      });
+      return { triggered: false, error: error.message };
+    }
+  });
+
+  // ----- Dispense -----
+
+  // Turn the slot's stock reservation into the actual decrement
+  bus.subscribe("dispense.completed", "stock", async ({ payload }) => {
+    if (!payload.machine_id) return null;
+
+    const change = await reservationService.consume(
+      payload.order_id,
+      payload.machine_id,
+      payload.slot
+    );
+
+    if (change) {
+      const slot = await repositories.slots.findById(change.slot_id);
+      if (slot) {
+        await checkLowStock(
+          bus,
+          payload.machine_id,
+          { ...slot, current_stock: change.quantity_after },
+          change.quantity_before
+        );
+      }
+    }
+    return change;
+  });
+  // Take the dispensed units off the slot's lots (FEFO/FIFO). A replay that
+  // only re-runs this subscriber rebuilds the change from the stock log.
+  bus.subscribe("dispense.completed", "lots", async (event, { results }) => {
+    const change =
+      "stock" in results ? results.stock : await dispensedChange(event.payload);
+    if (!change || change.quantity_before === change.quantity_after) {
+      return null;
+    }
+    return lotService.consume(
+      change.slot_id,
+      change.quantity_before - change.quantity_after
+    );
+  });
+  // Give back the failed slot's stock (slot_id, or slot number on the
+  // machine); without either the whole order is released
+  bus.subscribe("dispense.failed", "stock", async ({ payload }) => {
+    const { order_id, machine_id, slot, slot_id } = payload;
+    if (slot_id) {
+      return reservationService.release(order_id, { slotId: slot_id });
+    }
+    if (!slot) {
+      return reservationService.release(order_id);
+    }
+    if (machine_id) {
+      return reservationService.releaseSlot(order_id, machine_id, slot);
+    }
+    return null;
+  });
+
+  bus.subscribe("dispense.failed", "refund", async ({ payload }) =>
+    require("./refundService").refundFailedDispense(payload.order_id, {
+      slot: payload.slot,
+      itemId: payload.item_id,
+      reason: payload.error_message
+        ? `Dispense failed: ${payload.error_message}`
+        : "Dispense failed",
+    })
+  );
+
+  for (const type of ["dispense.completed", "dispense.failed"]) {
+    bus.subscribe(type, "realtime", async ({ payload }, { results }) => {
+      const { order_id, machine_id, order_status, ...result } = payload;
+      const refund =
+        "refund" in results
+          ? results.refund
+          : type === "dispense.failed" && (await latestRefund(order_id));
+      realtimeService.publishDispenseResult(
+        { id: order_id, machine_id, status: order_status },
+        { ...result, refund_status: refund?.status || null }
+      );
+    });
+  }
+
+  // ----- Stock -----
+
+  bus.subscribe("stock.low", "log", async ({ payload }) => {
+    console.warn(
+      `📉 Low stock on ${payload.machine_id} slot ${payload.slot_number}: ${payload.current_stock}/${payload.capacity}`
+    );
+  });
+  bus.subscribe("stock.low", "realtime", async ({ payload }) => {
+    realtimeService.publish(
+      `machine:${payload.machine_id}`,
+      "stock.low",
+      payload
+    );
+  });
+
+  // ----- Telemetry & machines -----
+
+  // Slot sensors report fill levels; estimate the stock from them
+  bus.subscribe("telemetry.received", "slot-levels", async ({ payload }) => {
+    const { machine_id, data } = payload;
+    if (!Array.isArray(data?.slots)) return { updated: 0 };
+
+    const slots = await repositories.slots.listByMachine(machine_id);
+    let updated = 0;
+
+    for (const reading of data.slots) {
+      const estimatedStock =
+        STOCK_BY_LEVEL[String(reading.level).toUpperCase()];
+      if (!reading.id || estimatedStock === undefined) continue;
+
+      await repositories.slots.setStockByNumber(
+        machine_id,
+        reading.id,
+        estimatedStock
+      );
+      updated++;
+
+      const slot = slots.find((s) => s.slot_number === Number(reading.id));
+      if (slot) {
+        await checkLowStock(
+          bus,
+          machine_id,
+          { ...slot, current_stock: estimatedStock },
+          slot.current_stock
+        );
+      }
+    }
+    return { updated };
+  });
+
+  bus.subscribe("machine.offline", "machine-state", async ({ payload }) => {
+    const state = require("./mqttService").machineStates.get(
+      payload.machine_id
+    );
+    if (state) state.status = "OFFLINE";
+  });
+  bus.subscribe("machine.offline", "realtime", async ({ payload }) => {
+    realtimeService.publish(`machine:${payload.machine_id}`, "machine.status", {
+      machine_id: payload.machine_id,
+      status: "OFFLINE",
+    });
+  });
+
+  // ----- Alerting -----
+
+  alertService.register(bus);
+
+  // ----- Outbound webhooks -----
+
+  // Last, so partners are only notified after the local side effects ran
+  webhookService.register(bus);
+}
+
+module.exports = { register, STOCK_BY_LEVEL };
@@ -0,0 +1,670 @@
+/**
+ * Firmware Service - firmware artifacts and staged OTA rollouts
+ *
+ * Artifacts are uploaded through config/upload.js (upload.firmware) and kept
+ * with their version and SHA-256 checksum. A rollout sends one artifact to
+ * the canary machines first and to the rest of the fleet once every canary
+ * reports the new version. Each machine gets an announcement on vm/{id}/ota:
+ *
+ *   { "type": "ota", "rollout_id": 3, "version": "1.4.0",
+ *     "url": "https://.../api/firmware/download/7?machine_id=VM01&expires=...&signature=...",
+ *     "checksum_sha256": "...", "size_bytes": 1048576, "expires_at": "..." }
+ *
+ * The URL is signed for that machine and expires after FIRMWARE_URL_TTL_S.
+ * Machines report progress on their status topic:
+ *
+ *   { "fw": "1.3.2", "ota": { "rollout_id": 3, "state": "downloading", "progress": 40 } }
+ *
+ * with state downloading, installing, succeeded or failed (plus "error").
+ * A status with fw equal to the rollout version also counts as succeeded.
+ * When more than failure_threshold_pct percent of the machines announced so
+ * far failed, the rollout is HALTED until an admin resumes or cancels it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const repositories = require("../repositories");
+const { firmwareDir } = require("../config/upload");
+const { getJwtSecret } = require("../middleware/auth");
+const { httpError } = require("../utils/httpError");
+const { KeyedLock } = require("../utils/keyedLock");
+
+const ROLLOUT_STATUSES = [
+  "CANARY",
+  "FLEET",
+  "COMPLETED",
+  "HALTED",
+  "CANCELLED",
+];
+const MACHINE_UPDATE_STATUSES = [
+  "PENDING",
+  "SENT",
+  "DOWNLOADING",
+  "INSTALLING",
+  "SUCCEEDED",
+  "FAILED",
+  "SKIPPED",
+];
+const OPEN_ROLLOUT_STATUSES = ["CANARY", "FLEET", "HALTED"];
+
+// ota.state reported by the machine -> rollout machine status
+const DEVICE_STATES = {
+  downloading: "DOWNLOADING",
+  installing: "INSTALLING",
+  succeeded: "SUCCEEDED",
+  failed: "FAILED",
+};
+const IN_FLIGHT_STATUSES = ["SENT", "DOWNLOADING", "INSTALLING"];
+const DONE_STATUSES = ["SUCCEEDED", "SKIPPED"];
+const FINISHED_STATUSES = ["SUCCEEDED", "FAILED", "SKIPPED"];
+
+const URL_TTL_S = parseInt(process.env.FIRMWARE_URL_TTL_S) || 3600;
+const OTA_TIMEOUT_MS =
+  parseInt(process.env.FIRMWARE_OTA_TIMEOUT_MS) || 30 * 60 * 1000;
+
+function urlSecret() {
+  return process.env.FIRMWARE_URL_SECRET || getJwtSecret();
+}
+
+function sign(firmwareId, machineId, expires) {
+  return crypto
+    .createHmac("sha256", urlSecret())
+    .update(`${firmwareId}:${machineId}:${expires}`)
+    .digest("hex");
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+function removeFile(filePath) {
+  fs.promises.unlink(filePath).catch((error) => {
+    if (error.code !== "ENOENT") {
+      console.error(`Failed to remove firmware file ${filePath}:`, error);
+    }
+  });
+}
+
+// The firmware version the machine last reported (stored by handleStatusUpdate)
+function reportedFirmware(machine) {
+  let config = machine.config;
+  if (typeof config === "string") {
+    try {
+      config = JSON.parse(config);
+    } catch (error) {
+      config = null;
+    }
+  }
+  return config?.firmware ? String(config.firmware) : null;
+}
+
+function countStatuses(machines) {
+  const counts = Object.fromEntries(
+    MACHINE_UPDATE_STATUSES.map((status) => [status, 0])
+  );
+  for (const machine of machines) {
+    counts[machine.status] = (counts[machine.status] || 0) + 1;
+  }
+  return counts;
+}
+
+class FirmwareService {
+  constructor() {
+    this.locks = new KeyedLock(); // keyed by rollout id
+  }
+
+  // Changes to one rollout run one after another
+  withRolloutLock(rolloutId, fn) {
+    return this.locks.run(Number(rolloutId), fn);
+  }
+
+  artifactPath(artifact) {
+    return path.join(firmwareDir, artifact.filename);
+  }
+
+  /**
+   * Store an uploaded firmware file (multer upload.firmware) as an artifact
+   * @param {object} file - req.file
+   * @param {object} options - { version, releaseNotes, checksum, uploadedBy }
+   * @throws 400 when checksum does not match the file, 409 for a known version
+   */
+  async createArtifact(file, { version, releaseNotes, checksum, uploadedBy }) {
+    try {
+      const checksumSha256 = await sha256File(file.path);
+      if (checksum && checksum.toLowerCase() !== checksumSha256) {
+        throw httpError(
+          400,
+          `Checksum mismatch: the uploaded file has SHA-256 ${checksumSha256}`
+        );
+      }
+      if (await repositories.firmware.findArtifactByVersion(version)) {
+        throw httpError(409, `Firmware ${version} already exists`);
+      }
+
+      const { id } = await repositories.firmware.createArtifact({
+        version,
+        filename: file.filename,
+        original_name: file.originalname,
+        size_bytes: file.size,
+        checksum_sha256: checksumSha256,
+        release_notes: releaseNotes || null,
+        uploaded_by: uploadedBy || null,
+      });
+      console.log(`📦 Firmware ${version} uploaded by ${uploadedBy}`);
+
+      return repositories.firmware.findArtifact(id);
+    } catch (error) {
+      removeFile(file.path);
+      throw error;
+    }
+  }
+
+  async getArtifact(id) {
+    const artifact = await repositories.firmware.findArtifact(id);
+    if (!artifact) throw httpError(404, "Firmware not found");
+    return artifact;
+  }
+
+  /**
+   * Delete an artifact and its file
+   * @throws 409 when a rollout uses it
+   */
+  async removeArtifact(id) {
+    const artifact = await this.getArtifact(id);
+    if (await repositories.firmware.artifactInUse(artifact.id)) {
+      throw httpError(
+        409,
+        `Firmware ${artifact.version} is used by a rollout and cannot be deleted`
+      );
+    }
+
+    await repositories.firmware.removeArtifact(artifact.id);
+    removeFile(this.artifactPath(artifact));
+    return artifact;
+  }
+
+  /**
+   * Download URL for one machine, valid for FIRMWARE_URL_TTL_S seconds
+   * @returns {object} { url, expires_at }
+   */
+  downloadUrl(artifact, machineId) {
+    const backendUrl =
+      process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3001}`;
+    const expires = Math.floor(Date.now() / 1000) + URL_TTL_S;
+    const params = new URLSearchParams({
+      machine_id: machineId,
+      expires: String(expires),
+      signature: sign(artifact.id, machineId, expires),
+    });
+
+    return {
+      url: `${backendUrl}/api/firmware/download/${artifact.id}?${params}`,
+      expires_at: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Check a signed download URL
+   * @returns {Promise<object>} { artifact, path }
+   * @throws 403 for a bad or expired signature, 404 for unknown firmware
+   */
+  async resolveDownload(id, { machine_id, expires, signature }) {
+    const expiresAt = parseInt(expires);
+    if (!machine_id || !Number.isFinite(expiresAt) || !signature) {
+      throw httpError(403, "Invalid download link");
+    }
+    if (expiresAt < Date.now() / 1000) {
+      throw httpError(403, "Download link expired");
+    }
+
+    const expected = Buffer.from(sign(id, machine_id, expiresAt));
+    const given = Buffer.from(String(signature));
+    if (
+      expected.length !== given.length ||
+      !crypto.timingSafeEqual(expected, given)
+    ) {
+      throw httpError(403, "Invalid download link");
+    }
+
+    const artifact = await this.getArtifact(id);
+    const filePath = this.artifactPath(artifact);
+    if (!fs.existsSync(filePath)) {
+      throw httpError(404, "Firmware file is missing");
+    }
+    return { artifact, path: filePath };
+  }
+
+  /**
+   * Rollout with its machines and how many are in each status
+   * @throws 404
+   */
+  async getRollout(id) {
+    const rollout = await repositories.firmware.findRollout(id);
+    if (!rollout) throw httpError(404, "Rollout not found");
+    const machines = await repositories.firmware.listRolloutMachines(
+      rollout.id
+    );
+
+    return { ...rollout, counts: countStatuses(machines), machines };
+  }
+
+  async findOpenRollout() {
+    for (const status of OPEN_ROLLOUT_STATUSES) {
+      const { rollouts } = await repositories.firmware.listRollouts({
+        status,
+        limit: 1,
+      });
+      if (rollouts.length > 0) return rollouts[0];
+    }
+    return null;
+  }
+
+  /**
+   * Start a rollout: canary machines get the firmware first
+   * @param {object} options - { firmwareId, canaryMachineIds, machineIds,
+   *                             failureThresholdPct, notes, createdBy }
+   *        machineIds defaults to every machine that is not decommissioned;
+   *        canary machines are added to it
+   * @throws 404 for unknown firmware/machines, 409 while another rollout is
+   *         open or when every machine already runs the version
+   */
+  async createRollout({
+    firmwareId,
+    canaryMachineIds = [],
+    machineIds,
+    failureThresholdPct = 20,
+    notes,
+    createdBy,
+  }) {
+    const artifact = await this.getArtifact(firmwareId);
+    const open = await this.findOpenRollout();
+    if (open) {
+      throw httpError(
+        409,
+        `Rollout ${open.id} (${open.version}) is still ${open.status}; finish or cancel it first`
+      );
+    }
+
+    const canaries = new Set(canaryMachineIds);
+    let targets;
+    if (machineIds) {
+      targets = [];
+      for (const machineId of new Set([...canaries, ...machineIds])) {
+        const machine = await repositories.machines.findById(machineId);
+        if (!machine) throw httpError(404, `Machine ${machineId} not found`);
+        if (machine.status === "DECOMMISSIONED") {
+          throw httpError(409, `Machine ${machineId} is decommissioned`);
+        }
+        targets.push(machine);
+      }
+    } else {
+      targets = await repositories.machines.list();
+      const known = new Set(targets.map((machine) => machine.id));
+      const unknown = [...canaries].find((machineId) => !known.has(machineId));
+      if (unknown) throw httpError(404, `Machine ${unknown} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const rows = targets.map((machine) => {
+      const previousVersion = reportedFirmware(machine);
+      const upToDate = previousVersion === artifact.version;
+      return {
+        machine_id: machine.id,
+        stage: canaries.has(machine.id) ? "CANARY" : "FLEET",
+        status: upToDate ? "SKIPPED" : "PENDING",
+        progress: upToDate ? 100 : 0,
+        previous_version: previousVersion && previousVersion.slice(0, 50),
+        finished_at: upToDate ? now : null,
+      };
+    });
+    if (!rows.some((row) => row.status === "PENDING")) {
+      throw httpError(
+        409,
+        `Every target machine already runs firmware ${artifact.version}`
+      );
+    }
+
+    // Without canaries to wait for, the rollout starts with the fleet
+    const stage = rows.some(
+      (row) => row.stage === "CANARY" && row.status === "PENDING"
+    )
+      ? "CANARY"
+      : "FLEET";
+    const { id } = await repositories.firmware.createRollout(
+      {
+        firmware_id: artifact.id,
+        status: stage,
+        failure_threshold_pct: failureThresholdPct,
+        notes: notes || null,
+        created_by: createdBy || null,
+        promoted_at: stage === "FLEET" ? now : null,
+      },
+      rows
+    );
+    console.log(
+      `🚀 Firmware ${artifact.version} rollout ${id} started by ${createdBy} (${stage})`
+    );
+
+    await this.withRolloutLock(id, () => this.announcePending(id));
+    return this.getRollout(id);
+  }
+
+  // Announce to one machine; it stays PENDING when MQTT is down
+  async announce(rollout, artifact, row) {
+    const { url, expires_at } = this.downloadUrl(artifact, row.machine_id);
+    const sent = require("./mqttService").publishOta(row.machine_id, {
+      type: "ota",
+      rollout_id: rollout.id,
+      version: artifact.version,
+      url,
+      checksum_sha256: artifact.checksum_sha256,
+      size_bytes: Number(artifact.size_bytes),
+      expires_at,
+    });
+    if (sent) {
+      await repositories.firmware.updateRolloutMachine(row.id, {
+        status: "SENT",
+        sent_at: new Date().toISOString(),
+      });
+    }
+    return sent;
+  }
+
+  /**
+   * Announce to the PENDING machines of the rollout's current stage
+   * @returns {Promise<number>} announcements sent
+   */
+  async announcePending(rolloutId) {
+    const rollout = await repositories.firmware.findRollout(rolloutId);
+    if (rollout.status !== "CANARY" && rollout.status !== "FLEET") return 0;
+
+    const artifact = await repositories.firmware.findArtifact(
+      rollout.firmware_id
+    );
+    const machines = await repositories.firmware.listRolloutMachines(
+      rollout.id
+    );
+
+    let sent = 0;
+    for (const row of machines) {
+      if (row.status !== "PENDING") continue;
+      if (rollout.status === "CANARY" && row.stage !== "CANARY") continue;
+      if (await this.announce(rollout, artifact, row)) sent++;
+    }
+    return sent;
+  }
+
+  /**
+   * Halt on too many failures, promote when the canaries are done and
+   * complete when every machine is done
+   * @returns {Promise<string|null>} "HALTED", "FLEET", "COMPLETED" or null
+   */
+  async evaluate(rolloutId) {
+    const rollout = await repositories.firmware.findRollout(rolloutId);
+    if (rollout.status !== "CANARY" && rollout.status !== "FLEET") return null;
+
+    const machines = (
+      await repositories.firmware.listRolloutMachines(rollout.id)
+    ).filter((row) => rollout.status === "FLEET" || row.stage === "CANARY");
+    // Machines still PENDING have not been sent the update yet
+    const announced = machines.filter(
+      (row) => row.status !== "SKIPPED" && row.status !== "PENDING"
+    );
+    const failed = machines.filter((row) => row.status === "FAILED");
+
+    if (
+      failed.length > 0 &&
+      failed.length * 100 > rollout.failure_threshold_pct * announced.length
+    ) {
+      const reason = `${failed.length} of ${announced.length} announced machines failed (threshold ${rollout.failure_threshold_pct}%)`;
+      await repositories.firmware.updateRollout(rollout.id, {
+        status: "HALTED",
+        halted_reason: reason,
+      });
+      console.warn(`⛔ Firmware rollout ${rollout.id} halted: ${reason}`);
+      return "HALTED";
+    }
+
+    if (rollout.status === "CANARY") {
+      if (!machines.every((row) => DONE_STATUSES.includes(row.status))) {
+        return null;
+      }
+      await this.toFleet(rollout);
+      return "FLEET";
+    }
+
+    if (!machines.every((row) => FINISHED_STATUSES.includes(row.status))) {
+      return null;
+    }
+    await repositories.firmware.updateRollout(rollout.id, {
+      status: "COMPLETED",
+      finished_at: new Date().toISOString(),
+    });
+    console.log(
+      `✅ Firmware rollout ${rollout.id} completed (${failed.length} failed)`
+    );
+    return "COMPLETED";
+  }
+
+  async toFleet(rollout) {
+    await repositories.firmware.updateRollout(rollout.id, {
+      status: "FLEET",
+      promoted_at: new Date().toISOString(),
+    });
+    console.log(`🚀 Firmware rollout ${rollout.id} promoted to the fleet`);
+    await this.announcePending(rollout.id);
+    // A fleet stage with nothing left to update completes right away
+    await this.evaluate(rollout.id);
+  }
+
+  async requireRollout(id, statuses, action) {
+    const rollout = await repositories.firmware.findRollout(id);
+    if (!rollout) throw httpError(404, "Rollout not found");
+    if (!statuses.includes(rollout.status)) {
+      throw httpError(409, `Cannot ${action} a ${rollout.status} rollout`);
+    }
+    return rollout;
+  }
+
+  /**
+   * Send the firmware to the fleet without waiting for every canary
+   * @throws 409 unless the rollout is in its CANARY stage
+   */
+  async promote(id) {
+    return this.withRolloutLock(id, async () => {
+      const rollout = await this.requireRollout(id, ["CANARY"], "promote");
+      await this.toFleet(rollout);
+      return this.getRollout(id);
+    });
+  }
+
+  /**
+   * Stop announcing; machines that already got the firmware keep reporting
+   */
+  async halt(id, reason) {
+    return this.withRolloutLock(id, async () => {
+      const rollout = await this.requireRollout(
+        id,
+        ["CANARY", "FLEET"],
+        "halt"
+      );
+      await repositories.firmware.updateRollout(rollout.id, {
+        status: "HALTED",
+        halted_reason: (reason || "Halted manually").slice(0, 255),
+      });
+      return this.getRollout(id);
+    });
+  }
+
+  /**
+   * Continue a HALTED rollout in the stage it stopped at. FAILED machines of
+   * that stage get the firmware again, so the failure count starts over.
+   * @param {object} options - { failureThresholdPct }
+   */
+  async resume(id, { failureThresholdPct } = {}) {
+    return this.withRolloutLock(id, async () => {
+      const rollout = await this.requireRollout(id, ["HALTED"], "resume");
+      const stage = rollout.promoted_at ? "FLEET" : "CANARY";
+
+      for (const row of await repositories.firmware.listRolloutMachines(
+        rollout.id
+      )) {
+        if (row.status !== "FAILED") continue;
+        if (stage === "CANARY" && row.stage !== "CANARY") continue;
+        await repositories.firmware.updateRolloutMachine(row.id, {
+          status: "PENDING",
+          progress: 0,
+          error: null,
+          finished_at: null,
+        });
+      }
+      await repositories.firmware.updateRollout(rollout.id, {
+        status: stage,
+        halted_reason: null,
+        ...(failureThresholdPct !== undefined && {
+          failure_threshold_pct: failureThresholdPct,
+        }),
+      });
+
+      await this.announcePending(rollout.id);
+      await this.evaluate(rollout.id);
+      return this.getRollout(id);
+    });
+  }
+
+  /**
+   * End a rollout; machines that were not announced yet are SKIPPED
+   */
+  async cancel(id) {
+    return this.withRolloutLock(id, async () => {
+      const rollout = await this.requireRollout(
+        id,
+        OPEN_ROLLOUT_STATUSES,
+        "cancel"
+      );
+      for (const row of await repositories.firmware.listRolloutMachines(
+        rollout.id
+      )) {
+        if (row.status !== "PENDING") continue;
+        await repositories.firmware.updateRolloutMachine(row.id, {
+          status: "SKIPPED",
+          finished_at: new Date().toISOString(),
+        });
+      }
+      await repositories.firmware.updateRollout(rollout.id, {
+        status: "CANCELLED",
+        finished_at: new Date().toISOString(),
+      });
+      return this.getRollout(id);
+    });
+  }
+
+  /**
+   * Status message from the machine: ota progress and/or the fw it runs
+   * @returns {Promise<number>} rollout machines updated
+   */
+  async handleStatus(machineId, data) {
+    if (!data.ota && !data.fw) return 0;
+    const updates = await repositories.firmware.listMachineUpdates(machineId);
+
+    let updated = 0;
+    for (const row of updates) {
+      const ota =
+        data.ota && Number(data.ota.rollout_id) === row.rollout_id
+          ? data.ota
+          : null;
+      let status = ota ? DEVICE_STATES[ota.state] : undefined;
+      if (data.fw && String(data.fw) === row.version) status = "SUCCEEDED";
+      if (!status) continue;
+
+      const fields = { status };
+      if (status === "SUCCEEDED") {
+        fields.progress = 100;
+      } else if (Number.isFinite(Number(ota.progress))) {
+        fields.progress = Math.max(0, Math.min(100, parseInt(ota.progress)));
+      }
+      if (FINISHED_STATUSES.includes(status)) {
+        fields.finished_at = new Date().toISOString();
+      }
+      if (status === "FAILED") {
+        fields.error = String(ota.error || "Update failed").slice(0, 255);
+        console.warn(
+          `⚠️ ${machineId} failed to install firmware ${row.version}: ${fields.error}`
+        );
+      }
+
+      await this.withRolloutLock(row.rollout_id, async () => {
+        await repositories.firmware.updateRolloutMachine(row.id, fields);
+        await this.evaluate(row.rollout_id);
+      });
+      updated++;
+    }
+    return updated;
+  }
+
+  /**
+   * Scheduler job: announce to machines MQTT missed, fail machines without
+   * progress for FIRMWARE_OTA_TIMEOUT_MS and evaluate every open rollout
+   * @returns {Promise<object>} { announced, timed_out, halted, promoted, completed }
+   */
+  async processRollouts() {
+    const summary = {
+      announced: 0,
+      timed_out: 0,
+      halted: 0,
+      promoted: 0,
+      completed: 0,
+    };
+    const cutoff = Date.now() - OTA_TIMEOUT_MS;
+
+    for (const status of ["CANARY", "FLEET"]) {
+      const { rollouts } = await repositories.firmware.listRollouts({
+        status,
+        limit: 100,
+      });
+      for (const rollout of rollouts) {
+        await this.withRolloutLock(rollout.id, async () => {
+          summary.announced += await this.announcePending(rollout.id);
+
+          for (const row of await repositories.firmware.listRolloutMachines(
+            rollout.id
+          )) {
+            if (!IN_FLIGHT_STATUSES.includes(row.status)) continue;
+            const lastChange = new Date(
+              row.updated_at || row.sent_at
+            ).getTime();
+            if (lastChange > cutoff) continue;
+
+            await repositories.firmware.updateRolloutMachine(row.id, {
+              status: "FAILED",
+              error: `No progress reported within ${Math.round(
+                OTA_TIMEOUT_MS / 60000
+              )} minutes`,
+              finished_at: new Date().toISOString(),
+            });
+            summary.timed_out++;
+          }
+
+          const result = await this.evaluate(rollout.id);
+          if (result === "HALTED") summary.halted++;
+          if (result === "FLEET") summary.promoted++;
+          if (result === "COMPLETED") summary.completed++;
+        });
+      }
+    }
+    return summary;
+  }
+}
+
+const firmwareService = new FirmwareService();
+firmwareService.ROLLOUT_STATUSES = ROLLOUT_STATUSES;
+firmwareService.MACHINE_UPDATE_STATUSES = MACHINE_UPDATE_STATUSES;
+
+module.exports = firmwareService;
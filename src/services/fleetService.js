@@ -0,0 +1,265 @@
+/**
+ * Fleet Service - registering, provisioning and decommissioning machines
+ *
+ * A machine registered here gets a random credential (machines.token) and a
+ * provisioning bundle for the Pi: how to log in to the API and which MQTT
+ * broker and topics to use. Rotating the credential returns a new bundle.
+ *
+ * Decommissioning keeps the machine row, since orders, payments and logs
+ * refer to it, but revokes its credentials, disables its slots, resolves its
+ * open alerts and makes the MQTT layer ignore the machine from then on.
+ */
+
+const crypto = require("crypto");
+const repositories = require("../repositories");
+const mqttService = require("./mqttService");
+const { signMachineToken } = require("../middleware/auth");
+const { httpError } = require("../utils/httpError");
+
+const MACHINE_STATUSES = ["ONLINE", "OFFLINE", "MAINTENANCE", "DECOMMISSIONED"];
+
+// Machine ids end up in MQTT topics, so no "/", "+" or "#"
+const MACHINE_ID_PATTERN = /^[A-Za-z0-9_-]{2,50}$/;
+
+// Topics the backend publishes to and the machine subscribes on
+const DEVICE_TOPICS = ["command", "config", "ota"];
+
+// Orders that still need the machine
+const OPEN_ORDER_STATUSES = [
+  "PENDING",
+  "PAID",
+  "DISPENSING",
+  "PENDING_DISPENSE",
+];
+
+function newCredential() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// Machine rows without the credential
+function withoutToken({ token, ...machine }) {
+  return machine;
+}
+
+function topics(machineId, types) {
+  return Object.fromEntries(
+    types.map((type) => [type, `vm/${machineId}/${type}`])
+  );
+}
+
+class FleetService {
+  /**
+   * Machines with their live MQTT state and counts per status
+   * @param {object} filters - { status, search, location, includeDecommissioned, limit, offset }
+   * @returns {Promise<object>} { machines, total, summary }
+   */
+  async list(filters) {
+    const { machines, total } = await repositories.machines.search(filters);
+    const states = new Map(
+      mqttService.getMachineStates().map((state) => [state.machine_id, state])
+    );
+
+    return {
+      machines: machines.map((machine) => {
+        const state = states.get(machine.id);
+        return {
+          ...withoutToken(machine),
+          connection: state
+            ? {
+                status: state.status,
+                last_message_at: state.last_message_at,
+                last_message_type: state.last_message_type,
+                rssi: state.rssi ?? null,
+                firmware: state.firmware ?? null,
+              }
+            : null,
+        };
+      }),
+      total,
+      summary: await repositories.machines.countByStatus(),
+    };
+  }
+
+  async requireMachine(machineId) {
+    const machine = await repositories.machines.findById(machineId);
+    if (!machine) throw httpError(404, "Machine not found");
+    return machine;
+  }
+
+  /**
+   * One machine with its slots
+   * @returns {Promise<object>} The machine without its token, plus slots
+   * @throws 404 for unknown machines
+   */
+  async get(machineId) {
+    const machine = await this.requireMachine(machineId);
+    const slots = await repositories.slots.listByMachine(machineId);
+    return { ...withoutToken(machine), slots };
+  }
+
+  /**
+   * Everything the Pi needs to come online: API credentials and MQTT settings
+   * @param {object} machine - machine row with token and token_version
+   */
+  provisioningBundle(machine) {
+    return {
+      machine_id: machine.id,
+      api: {
+        base_url: process.env.PROVISIONING_API_URL || null,
+        login: "POST /api/auth/machine",
+        machine_id: machine.id,
+        token: machine.token,
+      },
+      machine_token: signMachineToken(machine),
+      mqtt: {
+        broker_url:
+          process.env.MQTT_DEVICE_BROKER_URL ||
+          process.env.MQTT_BROKER_URL ||
+          "mqtt://localhost:1883",
+        username: process.env.MQTT_DEVICE_USERNAME || null,
+        password: process.env.MQTT_DEVICE_PASSWORD || null,
+        client_id: `vm-${machine.id}`,
+        qos: 1,
+        publish: topics(machine.id, mqttService.MACHINE_TOPICS),
+        subscribe: topics(machine.id, DEVICE_TOPICS),
+      },
+      issued_at: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Register a machine and issue its first credential
+   * @param {object} fields - { id?, name, location?, config? }
+   * @returns {Promise<object>} { machine, provisioning }
+   * @throws 409 when the id is taken
+   */
+  async register({ id, name, location, config }, { createdBy } = {}) {
+    const machineId = id || `VM-${crypto.randomBytes(3).toString("hex")}`;
+    if (await repositories.machines.findById(machineId)) {
+      throw httpError(409, `Machine ${machineId} already exists`);
+    }
+
+    await repositories.machines.create({
+      id: machineId,
+      name,
+      location: location || null,
+      status: "OFFLINE",
+      token: newCredential(),
+      config: config || null,
+    });
+    mqttService.forgetMachine(machineId);
+    console.log(
+      `🆕 Machine ${machineId} registered by ${createdBy || "system"}`
+    );
+
+    const machine = await repositories.machines.findById(machineId);
+    return {
+      machine: withoutToken(machine),
+      provisioning: this.provisioningBundle(machine),
+    };
+  }
+
+  /**
+   * Change name, location or config. config is merged key by key into the
+   * stored config (which also holds rssi/firmware/door reported by the
+   * machine); a null value removes the key.
+   * @returns {Promise<object>} the updated machine
+   */
+  async update(machineId, { name, location, config }) {
+    const machine = await this.requireMachine(machineId);
+    if (machine.status === "DECOMMISSIONED") {
+      throw httpError(409, `Machine ${machineId} is decommissioned`);
+    }
+
+    const fields = {};
+    if (name !== undefined) fields.name = name;
+    if (location !== undefined) fields.location = location;
+    if (config !== undefined) {
+      const merged = { ...(machine.config || {}), ...config };
+      for (const [key, value] of Object.entries(config)) {
+        if (value === null) delete merged[key];
+      }
+      fields.config = merged;
+    }
+    await repositories.machines.update(machineId, fields);
+
+    return withoutToken(await repositories.machines.findById(machineId));
+  }
+
+  /**
+   * Take a machine out of the fleet. Its row and history stay.
+   * @returns {Promise<object>} { machine, slots_disabled, alerts_resolved }
+   * @throws 409 when already decommissioned or orders are still open
+   */
+  async decommission(machineId, { reason, decommissionedBy } = {}) {
+    const machine = await this.requireMachine(machineId);
+    if (machine.status === "DECOMMISSIONED") {
+      throw httpError(409, `Machine ${machineId} is already decommissioned`);
+    }
+
+    for (const status of OPEN_ORDER_STATUSES) {
+      const { total } = await repositories.orders.listByMachine(machineId, {
+        status,
+        limit: 1,
+      });
+      if (total > 0) {
+        throw httpError(
+          409,
+          `Machine ${machineId} has ${total} ${status} order(s); settle them first`
+        );
+      }
+    }
+
+    await repositories.machines.update(machineId, {
+      status: "DECOMMISSIONED",
+      decommissioned_at: new Date().toISOString(),
+      decommissioned_by: decommissionedBy || null,
+      decommission_reason: reason || null,
+    });
+    // A fresh random credential nobody knows, and every machine JWT revoked
+    await repositories.machines.rotateToken(machineId, newCredential());
+    mqttService.forgetMachine(machineId);
+
+    const slots = (await repositories.slots.listByMachine(machineId)).filter(
+      (slot) => slot.is_active
+    );
+    if (slots.length > 0) {
+      await repositories.slots.applyLayout(
+        slots.map((slot) => ({
+          slot_id: slot.id,
+          fields: { is_active: false },
+        })),
+        { reason: "Machine decommissioned", performedBy: decommissionedBy }
+      );
+    }
+
+    const alertService = require("./alertService");
+    let alertsResolved = 0;
+    for (const alert of await repositories.alerts.listOpen({ machineId })) {
+      const key = alert.dedup_key.slice(
+        `${alert.rule_type}:${machineId}:`.length
+      );
+      if (await alertService.clear(alert.rule_type, machineId, key || null)) {
+        alertsResolved++;
+      }
+    }
+
+    console.log(
+      `🪦 Machine ${machineId} decommissioned by ${
+        decommissionedBy || "system"
+      }`
+    );
+
+    return {
+      machine: withoutToken(await repositories.machines.findById(machineId)),
+      slots_disabled: slots.length,
+      alerts_resolved: alertsResolved,
+    };
+  }
+}
+
+const fleetService = new FleetService();
+fleetService.MACHINE_STATUSES = MACHINE_STATUSES;
+fleetService.MACHINE_ID_PATTERN = MACHINE_ID_PATTERN;
+
+module.exports = fleetService;
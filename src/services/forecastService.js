@@ -0,0 +1,342 @@
+/**
+ * Forecast Service - daily demand per product and stock-out date per slot
+ *
+ * History covers the last FORECAST_LOOKBACK_DAYS local days (time zone from
+ * ./timezone). Daily demand of a product on a machine comes from completed
+ * orders (items that were not FAILED), which follow the product across slot
+ * swaps; products without order history fall back to the stock_logs DISPENSE
+ * history of the slots now holding them.
+ *
+ * Per product:
+ *   weekday_index[w] = mean demand on weekday w / mean demand, shrunk towards
+ *                      1 by SEASON_PRIOR_DAYS so a single busy day does not
+ *                      dominate
+ *   level            = simple exponential smoothing (alpha) of the demand
+ *                      divided by its weekday index
+ *   forecast(day)    = level * weekday_index[weekday of day]
+ *
+ * A product in several slots is split by each slot's share of the DISPENSE
+ * logs (evenly without logs). The stock-out date is the day the cumulative
+ * forecast, starting with the rest of today, reaches the slot's current stock;
+ * null when that is beyond FORECAST_HORIZON_DAYS or there is no demand.
+ *
+ * Demand models are cached per machine for FORECAST_CACHE_MS; current stock is
+ * read on every call so restocks show up right away.
+ */
+
+const repositories = require("../repositories");
+const salesReportService = require("./salesReportService");
+const {
+  DEFAULT_TIMEZONE,
+  zonedParts,
+  localDate,
+  zonedMidnight,
+  addDays,
+  isoWeekday,
+} = require("./timezone");
+const { httpError } = require("../utils/httpError");
+
+const LOOKBACK_DAYS = parseInt(process.env.FORECAST_LOOKBACK_DAYS) || 28;
+const HORIZON_DAYS = parseInt(process.env.FORECAST_HORIZON_DAYS) || 30;
+const ALPHA = parseFloat(process.env.FORECAST_SMOOTHING_ALPHA) || 0.3;
+const CACHE_MS = parseInt(process.env.FORECAST_CACHE_MS) || 10 * 60 * 1000;
+const SEASON_PRIOR_DAYS = 2;
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Weekday (1-7) -> demand relative to the average day
+function weekdayIndex(days, mean) {
+  const index = {};
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    const values = days
+      .filter((day) => day.weekday === weekday)
+      .map((day) => day.units);
+    index[weekday] =
+      mean > 0
+        ? (sum(values) + SEASON_PRIOR_DAYS * mean) /
+          (values.length + SEASON_PRIOR_DAYS) /
+          mean
+        : 1;
+  }
+
+  // Keep the average index at 1 so seasonality does not change the level
+  const average = sum(Object.values(index)) / 7;
+  for (const weekday of Object.keys(index)) index[weekday] /= average;
+  return index;
+}
+
+/**
+ * Fit the demand model of one product
+ * @param {object[]} days - [{ date, weekday, units }] oldest first
+ */
+function fitDemand(days, alpha) {
+  const mean = sum(days.map((day) => day.units)) / days.length;
+  const index = weekdayIndex(days, mean);
+  const adjusted = days.map((day) => day.units / index[day.weekday]);
+
+  let level = sum(adjusted.slice(0, 7)) / Math.min(adjusted.length, 7);
+  for (const value of adjusted) {
+    level = alpha * value + (1 - alpha) * level;
+  }
+  return { mean, index, level };
+}
+
+function demandOn(model, date) {
+  return model.level * model.index[isoWeekday(date)];
+}
+
+class ForecastService {
+  constructor() {
+    this.cache = new Map(); // machineId -> { models, slotUnits, loadedAt }
+  }
+
+  /**
+   * Daily demand series per product and DISPENSE units per slot
+   * @returns {Promise<object>} { dates, products: Map, slotUnits: Map }
+   */
+  async loadHistory(machineId, slots, timezone, lookbackDays) {
+    const end = localDate(zonedParts(new Date(), timezone));
+    const dates = [];
+    for (let i = lookbackDays; i >= 1; i--) dates.push(addDays(end, -i));
+    const from = zonedMidnight(dates[0], timezone);
+    const to = zonedMidnight(end, timezone);
+    const dayIndex = new Map(dates.map((date, i) => [date, i]));
+    const dayOf = (time) =>
+      dayIndex.get(localDate(zonedParts(new Date(time), timezone)));
+
+    const products = new Map(); // product_id -> { name, orders: [], logs: [] }
+    const product = (id, name) => {
+      if (!products.has(id)) {
+        products.set(id, {
+          product_name: name ?? null,
+          orders: dates.map(() => 0),
+          logs: dates.map(() => 0),
+        });
+      }
+      return products.get(id);
+    };
+    for (const slot of slots) {
+      if (slot.product_id) product(slot.product_id, slot.product_name);
+    }
+
+    const orders = await repositories.orders.listForReport({
+      from,
+      to,
+      machineIds: [machineId],
+    });
+    for (const order of orders) {
+      const day = dayOf(order.created_at);
+      if (day === undefined) continue;
+      for (const line of salesReportService.soldLines(order)) {
+        product(line.product_id, line.product_name).orders[day] +=
+          line.quantity;
+      }
+    }
+
+    const slotUnits = new Map(); // slot_id -> units dispensed in the window
+    const slotById = new Map(slots.map((slot) => [slot.id, slot]));
+    const logs = await repositories.slots.listDispenseLogs(machineId, from);
+    for (const log of logs) {
+      const day = dayOf(log.created_at);
+      if (day === undefined) continue;
+      const units = Number(log.quantity) || 0;
+      slotUnits.set(log.slot_id, (slotUnits.get(log.slot_id) || 0) + units);
+
+      const slot = slotById.get(log.slot_id);
+      if (slot?.product_id) {
+        product(slot.product_id, slot.product_name).logs[day] += units;
+      }
+    }
+
+    return { dates, products, slotUnits };
+  }
+
+  async buildModels(machineId, slots) {
+    const { dates, products, slotUnits } = await this.loadHistory(
+      machineId,
+      slots,
+      DEFAULT_TIMEZONE,
+      LOOKBACK_DAYS
+    );
+
+    const models = new Map();
+    for (const [productId, history] of products) {
+      const source =
+        sum(history.orders) > 0
+          ? "orders"
+          : sum(history.logs) > 0
+          ? "stock_logs"
+          : "none";
+      const series = source === "stock_logs" ? history.logs : history.orders;
+      const days = dates.map((date, i) => ({
+        date,
+        weekday: isoWeekday(date),
+        units: series[i],
+      }));
+
+      models.set(productId, {
+        product_id: productId,
+        product_name: history.product_name,
+        source,
+        history_units: sum(series),
+        ...fitDemand(days, ALPHA),
+      });
+    }
+    return { models, slotUnits };
+  }
+
+  async getModels(machineId, slots) {
+    const cached = this.cache.get(machineId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_MS) return cached;
+
+    const built = await this.buildModels(machineId, slots);
+    const entry = { ...built, loadedAt: Date.now() };
+    this.cache.set(machineId, entry);
+    return entry;
+  }
+
+  /**
+   * Demand forecast and expected stock-out date for every slot of a machine
+   * @param {object} options - { days } forecast days listed per product (max HORIZON_DAYS)
+   * @returns {Promise<object>} { machine_id, timezone, generated_at, model, products, slots }
+   * @throws 404 for unknown machines
+   */
+  async forMachine(machineId, { days = 7 } = {}) {
+    const machine = await repositories.machines.findById(machineId);
+    if (!machine) throw httpError(404, "Machine not found");
+
+    const timezone = DEFAULT_TIMEZONE;
+    const slots = (await repositories.slots.listByMachine(machineId)).sort(
+      (a, b) => a.slot_number - b.slot_number
+    );
+    const { models, slotUnits, loadedAt } = await this.getModels(
+      machineId,
+      slots
+    );
+
+    const now = new Date();
+    const today = localDate(zonedParts(now, timezone));
+    const dayLeft =
+      (zonedMidnight(addDays(today, 1), timezone).getTime() - now.getTime()) /
+      (24 * 60 * 60 * 1000);
+
+    const products = [...models.values()].map((model) => ({
+      product_id: model.product_id,
+      product_name: model.product_name,
+      source: model.source,
+      history_units: model.history_units,
+      avg_daily: round(model.mean),
+      level: round(model.level),
+      weekday_index: Object.fromEntries(
+        WEEKDAYS.map((name, i) => [name, round(model.index[i + 1])])
+      ),
+      forecast: Array.from({ length: Math.min(days, HORIZON_DAYS) }, (_, i) => {
+        const date = addDays(today, i);
+        return { date, units: round(demandOn(model, date)) };
+      }),
+    }));
+
+    const sharing = new Map(); // product_id -> active slots holding it
+    for (const slot of slots) {
+      if (!slot.product_id || slot.is_active === false) continue;
+      sharing.set(slot.product_id, [
+        ...(sharing.get(slot.product_id) || []),
+        slot,
+      ]);
+    }
+
+    const slotForecasts = slots.map((slot) => {
+      const model = models.get(slot.product_id);
+      const siblings = sharing.get(slot.product_id) || [];
+      let share = 0;
+      if (model && slot.is_active !== false) {
+        const units = sum(siblings.map((s) => slotUnits.get(s.id) || 0));
+        share =
+          units > 0
+            ? (slotUnits.get(slot.id) || 0) / units
+            : 1 / siblings.length;
+      }
+
+      const stockOut =
+        slot.is_active === false || !slot.product_id
+          ? { expected_stockout_date: null, days_until_stockout: null }
+          : this.stockOut(
+              slot.current_stock,
+              (date) => (model ? demandOn(model, date) * share : 0),
+              today,
+              dayLeft
+            );
+      return {
+        slot_id: slot.id,
+        slot_number: slot.slot_number,
+        product_id: slot.product_id ?? null,
+        product_name: slot.product_name ?? null,
+        is_active: slot.is_active !== false,
+        current_stock: slot.current_stock,
+        capacity: slot.capacity,
+        share: round(share, 3),
+        daily_demand: model ? round(demandOn(model, today) * share) : 0,
+        ...stockOut,
+      };
+    });
+
+    return {
+      machine_id: machineId,
+      timezone,
+      generated_at: now.toISOString(),
+      model: {
+        lookback_days: LOOKBACK_DAYS,
+        horizon_days: HORIZON_DAYS,
+        alpha: ALPHA,
+        fitted_at: new Date(loadedAt).toISOString(),
+      },
+      products,
+      slots: slotForecasts,
+    };
+  }
+
+  /**
+   * Walk the forecast day by day until it uses up the stock
+   * @returns {{ expected_stockout_date, days_until_stockout }}
+   */
+  stockOut(stock, demand, today, dayLeft) {
+    if (stock <= 0) {
+      return { expected_stockout_date: today, days_until_stockout: 0 };
+    }
+
+    let remaining = stock;
+    let elapsed = 0;
+    for (let i = 0; i <= HORIZON_DAYS; i++) {
+      const date = addDays(today, i);
+      const fraction = i === 0 ? dayLeft : 1;
+      const units = demand(date) * fraction;
+      if (units >= remaining && units > 0) {
+        return {
+          expected_stockout_date: date,
+          days_until_stockout: round(
+            elapsed + (remaining / units) * fraction,
+            1
+          ),
+        };
+      }
+      remaining -= units;
+      elapsed += fraction;
+    }
+    return { expected_stockout_date: null, days_until_stockout: null };
+  }
+}
+
+const forecastService = new ForecastService();
+forecastService.LOOKBACK_DAYS = LOOKBACK_DAYS;
+forecastService.HORIZON_DAYS = HORIZON_DAYS;
+
+module.exports = forecastService;
@@ -0,0 +1,338 @@
+/**
+ * Lot Service - batch numbers and expiry dates of the stock in each slot
+ *
+ * A lot is created when a slot is restocked with a batch_number (and usually
+ * an expiry_date), or registered later for stock already in the slot. Stock
+ * without a lot stays valid; slots.current_stock remains the number of units
+ * in the slot and lots only tell which batches those units belong to.
+ *
+ *   Dispense  consumes lots FEFO (earliest expiry first, lots without expiry
+ *             last) or FIFO (oldest received first) with LOT_CONSUMPTION
+ *   Audit     a lower count trims the lots, blocked ones first
+ *   Expiry    the check-stock-lots job marks lots past expiry_date EXPIRED
+ *             and raises near_expiry / lot_expired alerts
+ *   Recall    every lot of a batch still in a machine is marked RECALLED
+ *
+ * EXPIRED and RECALLED lots (and ACTIVE ones past their date before the job
+ * runs) are blocked: their units are left out of the available stock until a
+ * technician removes them with an audit.
+ */
+
+const moment = require("moment");
+const repositories = require("../repositories");
+const { httpError } = require("../utils/httpError");
+const { KeyedLock } = require("../utils/keyedLock");
+
+const CONSUMPTION = ["FEFO", "FIFO"].includes(
+  String(process.env.LOT_CONSUMPTION).toUpperCase()
+)
+  ? String(process.env.LOT_CONSUMPTION).toUpperCase()
+  : "FEFO";
+
+const LOT_STATUSES = ["ACTIVE", "DEPLETED", "EXPIRED", "RECALLED"];
+
+function today() {
+  return moment().format("YYYY-MM-DD");
+}
+
+function isSellable(lot, date) {
+  return (
+    lot.status === "ACTIVE" && !(lot.expiry_date && lot.expiry_date < date)
+  );
+}
+
+function byReceived(a, b) {
+  return (
+    new Date(a.received_at || a.created_at) -
+      new Date(b.received_at || b.created_at) || a.id - b.id
+  );
+}
+
+function byExpiry(a, b) {
+  if (a.expiry_date === b.expiry_date) return byReceived(a, b);
+  if (!a.expiry_date) return 1;
+  if (!b.expiry_date) return -1;
+  return a.expiry_date < b.expiry_date ? -1 : 1;
+}
+
+// Lots in the order their units leave the slot
+function consumptionOrder(lots, strategy = CONSUMPTION) {
+  return [...lots].sort(strategy === "FIFO" ? byReceived : byExpiry);
+}
+
+function newLot(slot, { quantity, batchNumber, expiryDate, receivedBy }) {
+  return {
+    machine_id: slot.machine_id,
+    slot_id: slot.id,
+    product_id: slot.product_id || null,
+    batch_number: batchNumber,
+    expiry_date: expiryDate || null,
+    quantity_received: quantity,
+    quantity_remaining: quantity,
+    status: "ACTIVE",
+    received_at: new Date().toISOString(),
+    received_by: receivedBy || null,
+  };
+}
+
+function lotTotal(lots) {
+  return lots.reduce((sum, lot) => sum + lot.quantity_remaining, 0);
+}
+
+class LotService {
+  constructor() {
+    this.locks = new KeyedLock(); // keyed by slot id
+  }
+
+  // Lot changes of one slot run one after another
+  withSlotLock(slotId, fn) {
+    return this.locks.run(Number(slotId), fn);
+  }
+
+  /**
+   * Take units off the slot's lots, e.g. after a dispense
+   * @returns {Promise<Array>} [{ lot_id, batch_number, quantity }] taken per lot
+   */
+  async consume(slotId, quantity) {
+    return this.withSlotLock(slotId, async () => {
+      const date = today();
+      const lots = consumptionOrder(
+        (await repositories.lots.listInSlot(slotId)).filter((lot) =>
+          isSellable(lot, date)
+        )
+      );
+
+      const taken = [];
+      let left = quantity;
+      for (const lot of lots) {
+        if (left <= 0) break;
+        const units = Math.min(left, lot.quantity_remaining);
+        const remaining = lot.quantity_remaining - units;
+        await repositories.lots.update(lot.id, {
+          quantity_remaining: remaining,
+          ...(remaining === 0 && { status: "DEPLETED" }),
+        });
+        taken.push({
+          lot_id: lot.id,
+          batch_number: lot.batch_number,
+          quantity: units,
+        });
+        left -= units;
+      }
+      return taken;
+    });
+  }
+
+  /**
+   * Record the lot of units just loaded into a slot
+   * @param {object} slot - the slot row (before or after the restock)
+   * @param {object} lot - { quantity, batchNumber, expiryDate, receivedBy }
+   * @returns {Promise<object|null>} the new lot, null when nothing was loaded
+   */
+  async receive(slot, { quantity, batchNumber, expiryDate, receivedBy }) {
+    if (!batchNumber || quantity <= 0) return null;
+
+    return this.withSlotLock(slot.id, async () => {
+      const { id } = await repositories.lots.create(
+        newLot(slot, { quantity, batchNumber, expiryDate, receivedBy })
+      );
+      return repositories.lots.findById(id);
+    });
+  }
+
+  /**
+   * Register a lot for stock that is already in the slot
+   * @throws 404 for unknown slots, 409 when the slot has fewer units without a lot
+   */
+  async register(slotId, { quantity, batchNumber, expiryDate, receivedBy }) {
+    const slot = await repositories.slots.findById(slotId);
+    if (!slot) throw httpError(404, "Slot not found");
+
+    return this.withSlotLock(slot.id, async () => {
+      const unlotted =
+        slot.current_stock -
+        lotTotal(await repositories.lots.listInSlot(slot.id));
+      if (quantity > unlotted) {
+        throw httpError(
+          409,
+          `Slot ${slot.slot_number} has ${Math.max(
+            0,
+            unlotted
+          )} units without a lot`
+        );
+      }
+
+      const { id } = await repositories.lots.create(
+        newLot(slot, { quantity, batchNumber, expiryDate, receivedBy })
+      );
+      return repositories.lots.findById(id);
+    });
+  }
+
+  /**
+   * Trim the slot's lots so they don't hold more units than the slot has
+   * (after an audit or manual adjustment). Blocked lots go first: a count
+   * after pulling expired or recalled units removes them from the books.
+   * @param {number} [stock] - units counted, defaults to the slot's current_stock
+   * @returns {Promise<number>} units trimmed
+   */
+  async reconcile(slotId, stock) {
+    return this.withSlotLock(slotId, async () => {
+      const slot = await repositories.slots.findById(slotId);
+      if (!slot) return 0;
+
+      const date = today();
+      const lots = await repositories.lots.listInSlot(slot.id);
+      const blocked = lots.filter((lot) => !isSellable(lot, date));
+      const sellable = consumptionOrder(
+        lots.filter((lot) => isSellable(lot, date))
+      );
+
+      let excess = lotTotal(lots) - (stock ?? slot.current_stock);
+      const trimmed = Math.max(0, excess);
+      for (const lot of [...blocked, ...sellable]) {
+        if (excess <= 0) break;
+        const units = Math.min(excess, lot.quantity_remaining);
+        const remaining = lot.quantity_remaining - units;
+        await repositories.lots.update(lot.id, {
+          quantity_remaining: remaining,
+          ...(remaining === 0 &&
+            lot.status === "ACTIVE" && {
+              status: "DEPLETED",
+            }),
+        });
+        excess -= units;
+      }
+      return trimmed;
+    });
+  }
+
+  /**
+   * Units per slot that may not be sold (expired or recalled lots)
+   * @param {number[]} slotIds
+   * @returns {Promise<Map<number, number>>} slot_id -> blocked quantity
+   */
+  async getBlockedQuantities(slotIds) {
+    const blocked = new Map();
+    if (!slotIds || slotIds.length === 0) return blocked;
+
+    const rows = await repositories.lots.blockedQuantities(slotIds, today());
+    for (const row of rows) {
+      blocked.set(Number(row.slot_id), Number(row.quantity));
+    }
+    return blocked;
+  }
+
+  /**
+   * Machines and slots that still hold units of a batch
+   * @returns {Promise<object>} { batch_number, product_id, machines, total_units }
+   */
+  async locateBatch(batchNumber, productId) {
+    const { lots } = await repositories.lots.list({
+      batchNumber,
+      productId,
+      inStock: true,
+      limit: 10000,
+    });
+
+    const machines = new Map();
+    for (const lot of lots) {
+      if (!machines.has(lot.machine_id)) {
+        const machine = await repositories.machines.findById(lot.machine_id);
+        machines.set(lot.machine_id, {
+          machine_id: lot.machine_id,
+          machine_name: machine?.name || null,
+          location: machine?.location || null,
+          units: 0,
+          lots: [],
+        });
+      }
+
+      const machine = machines.get(lot.machine_id);
+      machine.units += lot.quantity_remaining;
+      machine.lots.push({
+        lot_id: lot.id,
+        slot_id: lot.slot_id,
+        slot_number: lot.slot_number,
+        product_id: lot.product_id,
+        product_name: lot.product_name,
+        expiry_date: lot.expiry_date,
+        quantity_remaining: lot.quantity_remaining,
+        status: lot.status,
+      });
+    }
+
+    return {
+      batch_number: batchNumber,
+      product_id: productId || null,
+      machines: [...machines.values()],
+      total_units: lotTotal(lots),
+    };
+  }
+
+  /**
+   * Block every lot of a batch that is still in a machine
+   * @returns {Promise<object>} locateBatch() of the batch with recalled_lots
+   */
+  async recall(batchNumber, productId, { reason, recalledBy } = {}) {
+    const { lots } = await repositories.lots.list({
+      batchNumber,
+      productId,
+      inStock: true,
+      limit: 10000,
+    });
+
+    let recalled = 0;
+    for (const lot of lots) {
+      if (lot.status === "RECALLED") continue;
+      await this.withSlotLock(lot.slot_id, () =>
+        repositories.lots.update(lot.id, {
+          status: "RECALLED",
+          recalled_at: new Date().toISOString(),
+          recall_reason: reason || null,
+        })
+      );
+      recalled++;
+    }
+    if (recalled > 0) {
+      console.warn(
+        `⛔ Batch ${batchNumber} recalled by ${
+          recalledBy || "system"
+        }: ${recalled} lot(s)`
+      );
+    }
+
+    return {
+      ...(await this.locateBatch(batchNumber, productId)),
+      recalled_lots: recalled,
+    };
+  }
+
+  /**
+   * Sweep for the check-stock-lots job: mark lots past expiry_date EXPIRED
+   * and raise/resolve the expiry alerts
+   * @returns {Promise<object>} { expired, raised, resolved }
+   */
+  async checkExpiry() {
+    const date = today();
+    const yesterday = moment().subtract(1, "day").format("YYYY-MM-DD");
+
+    let expired = 0;
+    for (const lot of await repositories.lots.listExpiring(yesterday)) {
+      if (lot.status !== "ACTIVE") continue;
+      await this.withSlotLock(lot.slot_id, () =>
+        repositories.lots.update(lot.id, { status: "EXPIRED" })
+      );
+      expired++;
+    }
+
+    const alerts = await require("./alertService").checkLots(date);
+    return { expired, ...alerts };
+  }
+}
+
+const lotService = new LotService();
+lotService.LOT_STATUSES = LOT_STATUSES;
+lotService.CONSUMPTION = CONSUMPTION;
+
+module.exports = lotService;
@@ -0,0 +1,182 @@
+/**
+ * Maintenance Service - cleanup of stale order and machine state
+ * Run periodically by the scheduler (see schedulerService.registerDefaultJobs)
+ */
+
+const reservationService = require("./reservationService");
+const eventBus = require("./eventBus");
+const repositories = require("../repositories");
+
+const BATCH_SIZE = 100;
+const MACHINE_OFFLINE_AFTER_MS =
+  parseInt(process.env.MACHINE_OFFLINE_AFTER_MS) || 5 * 60 * 1000;
+const DISPENSE_STUCK_AFTER_MS =
+  parseInt(process.env.DISPENSE_STUCK_AFTER_MS) || 10 * 60 * 1000;
+
+class MaintenanceService {
+  /**
+   * Expire a single PENDING order: order -> FAILED, payment -> EXPIRED and
+   * publish payment.failed, which releases its stock reservation.
+   * No-op if the order is no longer PENDING.
+   * @returns {Promise<boolean>} true if the order was expired
+   */
+  async expireOrder(orderId) {
+    const expired = await repositories.orders.update(
+      orderId,
+      { status: "FAILED", notes: "Payment expired" },
+      { status: "PENDING" }
+    );
+    if (!expired) return false;
+
+    await repositories.payments.updateByOrderId(
+      orderId,
+      { status: "EXPIRED", processed_at: new Date() },
+      { status: "PENDING" }
+    );
+
+    const order = await repositories.orders.findById(orderId);
+    await eventBus.publish("payment.failed", {
+      order_id: orderId,
+      machine_id: order?.machine_id || null,
+      payment_status: "EXPIRED",
+      amount: order?.total_amount ?? null,
+    });
+    return true;
+  }
+
+  /**
+   * Expire PENDING orders past expires_at
+   * @returns {Promise<object>} { expired, reservations_released }
+   */
+  async expirePendingOrders() {
+    const orders = await repositories.orders.listStale(
+      "PENDING",
+      "expires_at",
+      new Date(),
+      BATCH_SIZE
+    );
+
+    let expired = 0;
+    for (const order of orders) {
+      if (await this.expireOrder(order.id)) {
+        expired++;
+      }
+    }
+
+    // Reservations left behind by orders that were never written
+    const reservationsReleased = await reservationService.releaseExpired();
+
+    if (expired > 0) {
+      console.log(`⌛ Expired ${expired} pending orders`);
+    }
+    return { expired, reservations_released: reservationsReleased };
+  }
+
+  /**
+   * Mark machines OFFLINE when they have not been heard from recently
+   * @returns {Promise<object>} { machines: [ids] }
+   */
+  async markStaleMachinesOffline() {
+    const cutoff = new Date(Date.now() - MACHINE_OFFLINE_AFTER_MS);
+    const machineIds = await repositories.machines.markOffline(cutoff);
+
+    for (const machineId of machineIds) {
+      await eventBus.publish("machine.offline", {
+        machine_id: machineId,
+        offline_after_ms: MACHINE_OFFLINE_AFTER_MS,
+      });
+    }
+
+    if (machineIds.length > 0) {
+      console.log(`📴 Marked machines OFFLINE: ${machineIds.join(", ")}`);
+    }
+    return { machines: machineIds };
+  }
+
+  /**
+   * Fail orders that have been DISPENSING for too long without a result,
+   * then release their stock and refund them
+   * @returns {Promise<object>} { failed: [order ids] }
+   */
+  async failStuckDispenses() {
+    const cutoff = new Date(Date.now() - DISPENSE_STUCK_AFTER_MS);
+    const dispenseTracker = require("./dispenseTracker");
+    const pendingOrderIds = new Set(
+      dispenseTracker.getPendingJobs().map((job) => job.orderId)
+    );
+
+    const orders = await repositories.orders.listStale(
+      "DISPENSING",
+      "updated_at",
+      cutoff,
+      BATCH_SIZE
+    );
+
+    const failed = [];
+    for (const order of orders) {
+      // Still waiting for an ACK or retrying - the tracker owns this one
+      if (pendingOrderIds.has(order.id)) continue;
+
+      if (await this.failStuckOrder(order.id, order.machine_id)) {
+        failed.push(order.id);
+      }
+    }
+
+    if (failed.length > 0) {
+      console.log(`🧹 Failed stuck dispenses: ${failed.join(", ")}`);
+    }
+    return { failed };
+  }
+
+  async failStuckOrder(orderId, machineId = null) {
+    const notes = "Dispense result not received";
+    const items = await repositories.orders.listItems(orderId);
+
+    const outstanding = items.filter((item) =>
+      ["PENDING", "DISPENSING"].includes(item.dispense_status)
+    );
+
+    // Multi-item order whose items all have results: only the order status lags
+    let status = "FAILED";
+    if (items.length > 0 && outstanding.length === 0) {
+      status = items.some((item) => item.dispense_status === "COMPLETED")
+        ? "COMPLETED"
+        : "FAILED";
+    }
+
+    const updated = await repositories.orders.update(
+      orderId,
+      status === "FAILED" ? { status, notes } : { status },
+      { status: "DISPENSING" }
+    );
+    if (!updated) return false;
+
+    for (const item of outstanding) {
+      await repositories.orders.updateItem(item.id, {
+        dispense_status: "FAILED",
+      });
+    }
+
+    // Releases stock and refunds (see eventHandlers.js); a single-item order
+    // is failed as a whole
+    const failedItems = items.length === 0 ? [null] : outstanding;
+    for (const item of failedItems) {
+      await eventBus.publish("dispense.failed", {
+        order_id: orderId,
+        machine_id: machineId,
+        slot: null,
+        slot_id: item?.slot_id || null,
+        item_id: item?.id || null,
+        item_status: "FAILED",
+        order_status: status,
+        success: false,
+        drop_detected: false,
+        duration_ms: null,
+        error_message: notes,
+      });
+    }
+    return true;
+  }
+}
+
+module.exports = new MaintenanceService();
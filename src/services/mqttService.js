@@ -1,11 +1,32 @@
 const mqtt = require("mqtt");
-const db = require("../config/database");
+const reservationService = require("./reservationService");
+const eventBus = require("./eventBus");
+const repositories = require("../repositories");
+
+// Topics every machine publishes to - subscribed with a wildcard machine ID
+const MACHINE_TOPICS = [
+  "telemetry",
+  "dispense_result",
+  "status",
+  "ack",
+  "command_result",
+];
+
+// How long a machine ID lookup against the machines table is trusted
+const KNOWN_MACHINE_TTL_MS = 5 * 60 * 1000;
+const UNKNOWN_MACHINE_TTL_MS = 60 * 1000;
+
+// Orders that take no more dispense results: dispensed, or failed (and
+// refunded) by the ACK timeout or the stuck-dispense job
+const RESOLVED_ORDER_STATUSES = ["COMPLETED", "FAILED", "REFUNDED"];
 
 class MqttService {
   constructor() {
     this.client = null;
     this.isConnected = false;
     this.subscriptions = new Map();
+    this.machineStates = new Map(); // Per-machine connection state
+    this.machineLookupCache = new Map(); // machineId -> { exists, expiresAt }
     this.init();
   }
 
@@ -46,34 +67,96 @@ class MqttService {
   }
 
   setupSubscriptions() {
-    const machineId = process.env.MACHINE_ID || "VM01";
-
-    // Subscribe to topics
-    const topics = [
-      `vm/${machineId}/telemetry`,
-      `vm/${machineId}/dispense_result`,
-      `vm/${machineId}/status`,
-    ];
+    // Subscribe to topics for the whole fleet
+    const topics = MACHINE_TOPICS.map((type) => `vm/+/${type}`);
 
     topics.forEach((topic) => {
-      this.client.subscribe(topic, (err) => {
+      this.client.subscribe(topic, { qos: 1 }, (err) => {
         if (err) {
           console.error(`Failed to subscribe to ${topic}:`, err);
         } else {
+          this.subscriptions.set(topic, new Date().toISOString());
           console.log(`📡 Subscribed to ${topic}`);
         }
       });
     });
   }
 
+  // Check a machine ID from a topic against the machines table (cached);
+  // decommissioned machines count as unknown
+  async isKnownMachine(machineId) {
+    const cached = this.machineLookupCache.get(machineId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.exists;
+    }
+
+    const machine = await repositories.machines.findById(machineId);
+    const exists = Boolean(machine) && machine.status !== "DECOMMISSIONED";
+
+    this.machineLookupCache.set(machineId, {
+      exists,
+      expiresAt:
+        Date.now() + (exists ? KNOWN_MACHINE_TTL_MS : UNKNOWN_MACHINE_TTL_MS),
+    });
+    return exists;
+  }
+
+  // Drop the cached lookup after a machine is registered or decommissioned
+  forgetMachine(machineId) {
+    this.machineLookupCache.delete(machineId);
+    this.machineStates.delete(machineId);
+  }
+
+  // Record that a machine was heard from
+  updateMachineState(machineId, messageType, data) {
+    const state = this.machineStates.get(machineId) || {
+      machine_id: machineId,
+      status: "UNKNOWN",
+      first_seen_at: new Date().toISOString(),
+      message_count: 0,
+    };
+
+    state.last_message_at = new Date().toISOString();
+    state.last_message_type = messageType;
+    state.message_count++;
+
+    if (messageType === "status") {
+      state.status = data.status === "OFFLINE" ? "OFFLINE" : "ONLINE";
+      if (data.rssi !== undefined) state.rssi = data.rssi;
+      if (data.fw !== undefined) state.firmware = data.fw;
+    } else if (state.status !== "ONLINE") {
+      state.status = "ONLINE";
+    }
+
+    this.machineStates.set(machineId, state);
+  }
+
+  getMachineStates() {
+    return Array.from(this.machineStates.values());
+  }
+
   async handleMessage(topic, message) {
     try {
-      const data = JSON.parse(message.toString());
       const topicParts = topic.split("/");
+      if (topicParts.length !== 3 || topicParts[0] !== "vm") {
+        console.log(`Ignoring message on unexpected topic: ${topic}`);
+        return;
+      }
+
       const machineId = topicParts[1];
       const messageType = topicParts[2];
 
+      if (!(await this.isKnownMachine(machineId))) {
+        console.warn(
+          `⚠️ Ignoring MQTT message from unknown machine ${machineId}`
+        );
+        return;
+      }
+
+      const data = JSON.parse(message.toString());
+
       console.log(`📥 MQTT message received [${topic}]:`, data);
+      this.updateMachineState(machineId, messageType, data);
 
       switch (messageType) {
         case "telemetry":
@@ -84,6 +167,19 @@ class MqttService {
           break;
         case "status":
           await this.handleStatusUpdate(machineId, data);
+          await require("./configService").handleStatus(machineId, data);
+          await require("./firmwareService").handleStatus(machineId, data);
+          break;
+        case "ack":
+          // Remote commands carry a command_id, dispense commands orderId/slot
+          if (data.command_id) {
+            await require("./commandService").handleAck(machineId, data);
+          } else {
+            require("./dispenseTracker").handleAck(machineId, data);
+          }
+          break;
+        case "command_result":
+          await require("./commandService").handleResult(machineId, data);
           break;
         default:
           console.log(`Unknown message type: ${messageType}`);
@@ -95,109 +191,15 @@ class MqttService {
 
   async handleTelemetry(machineId, data) {
     try {
-      if (db.useSupabase) {
-        // Supabase implementation
-        const { supabase } = require("../config/supabase");
-
-        // Store telemetry data
-        await supabase.from("telemetry").insert({
-          machine_id: machineId,
-          data: data,
-        });
-
-        // Update machine last_seen
-        await supabase
-          .from("machines")
-          .update({ last_seen: new Date().toISOString() })
-          .eq("id", machineId);
-
-        // Process slot levels if provided
-        if (data.slots && Array.isArray(data.slots)) {
-          for (const slot of data.slots) {
-            if (slot.id && slot.level) {
-              // Update slot stock based on sensor reading
-              let estimatedStock = 0;
-              switch (slot.level.toUpperCase()) {
-                case "FULL":
-                  estimatedStock = 10;
-                  break;
-                case "HIGH":
-                  estimatedStock = 8;
-                  break;
-                case "MEDIUM":
-                  estimatedStock = 5;
-                  break;
-                case "LOW":
-                  estimatedStock = 2;
-                  break;
-                case "EMPTY":
-                  estimatedStock = 0;
-                  break;
-              }
-
-              await supabase
-                .from("slots")
-                .update({ current_stock: estimatedStock })
-                .eq("machine_id", machineId)
-                .eq("slot_number", slot.id);
-            }
-          }
-        }
-      } else {
-        // MySQL implementation
-        // Store telemetry data
-        await db.query(
-          `
-          INSERT INTO telemetry (machine_id, data)
-          VALUES (?, ?)
-        `,
-          [machineId, JSON.stringify(data)]
-        );
-
-        // Update machine last_seen
-        await db.query(
-          `
-          UPDATE machines SET last_seen = NOW() WHERE id = ?
-        `,
-          [machineId]
-        );
-
-        // Process slot levels if provided
-        if (data.slots && Array.isArray(data.slots)) {
-          for (const slot of data.slots) {
-            if (slot.id && slot.level) {
-              // Update slot stock based on sensor reading
-              let estimatedStock = 0;
-              switch (slot.level.toUpperCase()) {
-                case "FULL":
-                  estimatedStock = 10;
-                  break;
-                case "HIGH":
-                  estimatedStock = 8;
-                  break;
-                case "MEDIUM":
-                  estimatedStock = 5;
-                  break;
-                case "LOW":
-                  estimatedStock = 2;
-                  break;
-                case "EMPTY":
-                  estimatedStock = 0;
-                  break;
-              }
-
-              await db.query(
-                `
-                UPDATE slots 
-                SET current_stock = ?
-                WHERE machine_id = ? AND slot_number = ?
-              `,
-                [estimatedStock, machineId, slot.id]
-              );
-            }
-          }
-        }
-      }
+      await repositories.telemetry.create(machineId, data);
+      await repositories.machines.touch(machineId);
+
+      // Slot levels are applied by the telemetry.received subscribers
+      await eventBus.publish("telemetry.received", {
+        machine_id: machineId,
+        data,
+        source: "mqtt",
+      });
     } catch (error) {
       console.error("Error handling telemetry:", error);
     }
@@ -205,14 +207,7 @@ class MqttService {
 
   async handleDispenseResult(machineId, data) {
     try {
-      const {
-        orderId,
-        slot,
-        success,
-        dropDetected,
-        durationMs,
-        error: errorMsg,
-      } = data;
+      const { orderId, slot, success, dropDetected, durationMs } = data;
 
       console.log("🎰 Processing dispense result:", {
         orderId,
@@ -232,212 +227,163 @@ class MqttService {
 
       console.log("📊 Determined order status:", orderStatus);
 
-      if (db.useSupabase) {
-        // Supabase implementation
-        const { supabase } = require("../config/supabase");
-
-        console.log("💾 Checking if dispense log exists...");
-
-        // Check if dispense log already exists
-        const { data: existingLog } = await supabase
-          .from("dispense_logs")
-          .select("id")
-          .eq("order_id", orderId)
-          .eq("machine_id", machineId)
-          .eq("slot_number", slot)
-          .single();
-
-        if (existingLog) {
-          // Update existing log
-          console.log("💾 Updating existing dispense log...");
-          await supabase
-            .from("dispense_logs")
-            .update({
-              completed_at: new Date().toISOString(),
-              success: success,
-              drop_detected: dropDetected,
-              duration_ms: durationMs,
-              error_message: errorMsg,
-            })
-            .eq("order_id", orderId)
-            .eq("machine_id", machineId)
-            .eq("slot_number", slot);
-          console.log("✅ Dispense log updated");
-        } else {
-          // Create new log (for mobile-initiated dispense)
-          console.log("💾 Creating new dispense log (mobile-initiated)...");
-          await supabase.from("dispense_logs").insert({
-            order_id: orderId,
-            machine_id: machineId,
-            slot_number: slot,
-            command_sent_at: new Date().toISOString(),
-            completed_at: new Date().toISOString(),
-            success: success,
-            drop_detected: dropDetected,
-            duration_ms: durationMs,
-            error_message: errorMsg,
-          });
-          console.log("✅ Dispense log created");
-        }
-
-        if (orderStatus === "COMPLETED") {
-          console.log("🔄 Processing stock update...");
-          // Get order details to update stock
-          const { data: order, error: orderError } = await supabase
-            .from("orders")
-            .select("slot_id, quantity")
-            .eq("id", orderId)
-            .single();
-
-          if (!orderError && order) {
-            // Get current slot stock
-            const { data: slotData, error: slotError } = await supabase
-              .from("slots")
-              .select("current_stock")
-              .eq("id", order.slot_id)
-              .eq("machine_id", machineId)
-              .single();
-
-            if (!slotError && slotData) {
-              const quantityBefore = slotData.current_stock;
-              const newStock = Math.max(0, quantityBefore - order.quantity);
-
-              console.log("📦 Stock update:", {
-                quantityBefore,
-                quantityChange: -order.quantity,
-                newStock,
-              });
-
-              // Update stock
-              await supabase
-                .from("slots")
-                .update({ current_stock: newStock })
-                .eq("id", order.slot_id)
-                .eq("machine_id", machineId);
-
-              // Log stock change
-              await supabase.from("stock_logs").insert({
-                machine_id: machineId,
-                slot_id: order.slot_id,
-                change_type: "DISPENSE",
-                quantity_before: quantityBefore,
-                quantity_after: newStock,
-                quantity_change: -order.quantity,
-                reason: `Order ${orderId}`,
-              });
-
-              console.log("✅ Stock updated successfully");
-            }
-          }
-        }
+      const outcome = await this.applyDispenseResult(
+        machineId,
+        data,
+        orderStatus
+      );
+      if (outcome.duplicate) return;
 
-        console.log("💾 Updating order status to:", orderStatus);
-        // Update order status
-        const updateData = { status: orderStatus };
-        if (orderStatus === "COMPLETED") {
-          updateData.dispensed_at = new Date().toISOString();
-        }
-        await supabase.from("orders").update(updateData).eq("id", orderId);
-        console.log("✅ Order status updated");
-      } else {
-        // MySQL implementation
+      console.log(
+        `🎰 Dispense result processed: Order ${orderId} - ${outcome.order_status}`
+      );
+    } catch (error) {
+      console.error("Error handling dispense result:", error);
+    }
+  }
 
-        // Check if dispense log exists
-        const existingLog = await db.query(
-          `SELECT id FROM dispense_logs 
-           WHERE order_id = ? AND machine_id = ? AND slot_number = ?`,
-          [orderId, machineId, slot]
+  /**
+   * Apply a dispense result from MQTT or POST /api/dispense/confirm: stop
+   * tracking the command, update the item and order, log the result and
+   * publish dispense.completed/failed. A result for an item that already
+   * COMPLETED, or for an order that is already COMPLETED, FAILED or REFUNDED,
+   * is ignored, so a repeated or late result cannot consume stock twice or
+   * revive a refunded order.
+   * @param {object} data - { orderId, slot, success, dropDetected, durationMs, error }
+   * @param {string} itemStatus - COMPLETED or FAILED
+   * @returns {Promise<object>} { duplicate, item_status, order_status, results }
+   */
+  async applyDispenseResult(machineId, data, itemStatus) {
+    const {
+      orderId,
+      slot,
+      success,
+      dropDetected,
+      durationMs,
+      error: errorMsg,
+    } = data;
+
+    // Stop ACK/retry tracking - a result means the command arrived
+    const job = require("./dispenseTracker").handleResult(machineId, data);
+
+    // Multi-item orders only finish once every item has a result
+    const order = await repositories.orders.findById(orderId);
+    const resolved = RESOLVED_ORDER_STATUSES.includes(order?.status);
+    const orderStatus = resolved
+      ? null
+      : await this.updateOrderItemStatus(
+          orderId,
+          machineId,
+          slot,
+          job?.itemId,
+          itemStatus
         );
 
-        if (existingLog && existingLog.length > 0) {
-          // Update existing dispense log
-          await db.query(
-            `
-            UPDATE dispense_logs 
-            SET completed_at = NOW(), success = ?, drop_detected = ?, 
-                duration_ms = ?, error_message = ?
-            WHERE order_id = ? AND machine_id = ? AND slot_number = ?
-          `,
-            [
-              success,
-              dropDetected,
-              durationMs,
-              errorMsg,
-              orderId,
-              machineId,
-              slot,
-            ]
-          );
-        } else {
-          // Create new dispense log (for mobile-initiated dispense)
-          await db.query(
-            `
-            INSERT INTO dispense_logs 
-            (order_id, machine_id, slot_number, command_sent_at, completed_at, 
-             success, drop_detected, duration_ms, error_message)
-            VALUES (?, ?, ?, NOW(), NOW(), ?, ?, ?, ?)
-          `,
-            [
-              orderId,
-              machineId,
-              slot,
-              success,
-              dropDetected,
-              durationMs,
-              errorMsg,
-            ]
-          );
-        }
-
-        // Update order status
-        // Note: For testing without physical sensor, we rely on success flag only
-        // In production with sensor, change to: success && dropDetected
-        let orderStatus = "FAILED";
-        if (success) {
-          orderStatus = "COMPLETED";
-
-          // Update stock
-          await db.query(
-            `
-            UPDATE slots s
-            JOIN orders o ON s.id = o.slot_id
-            SET s.current_stock = GREATEST(0, s.current_stock - o.quantity)
-            WHERE o.id = ? AND s.machine_id = ?
-          `,
-            [orderId, machineId]
-          );
-
-          // Log stock change
-          await db.query(
-            `
-            INSERT INTO stock_logs (machine_id, slot_id, change_type, quantity_before, quantity_after, quantity_change, reason)
-            SELECT o.machine_id, o.slot_id, 'DISPENSE', s.current_stock + o.quantity, s.current_stock, -o.quantity, CONCAT('Order ', o.id)
-            FROM orders o
-            JOIN slots s ON o.slot_id = s.id
-            WHERE o.id = ?
-          `,
-            [orderId]
-          );
-        }
+    // Conditional on the status read above, so a result racing the ACK
+    // timeout or the stuck-dispense job cannot overwrite their outcome
+    const updated =
+      orderStatus !== null &&
+      (await repositories.orders.update(
+        orderId,
+        {
+          status: orderStatus,
+          dispensed_at: orderStatus === "COMPLETED" ? new Date() : null,
+        },
+        { status: order?.status }
+      ));
+    if (!updated) {
+      console.log(
+        `ℹ️ Dispense result for order ${orderId} slot ${slot} already recorded`
+      );
+      const current = resolved
+        ? order
+        : await repositories.orders.findById(orderId);
+      const itemCompleted = orderStatus === null && !resolved;
+      return {
+        duplicate: true,
+        item_status:
+          itemCompleted || current?.status === "COMPLETED"
+            ? "COMPLETED"
+            : "FAILED",
+        order_status: current?.status ?? null,
+        results: {},
+      };
+    }
+    console.log("💾 Updated order status to:", orderStatus);
 
-        await db.query(
-          `
-          UPDATE orders 
-          SET status = ?, dispensed_at = ${
-            orderStatus === "COMPLETED" ? "NOW()" : "NULL"
-          }
-          WHERE id = ?
-        `,
-          [orderStatus, orderId]
-        );
+    // Completes the latest attempt, or logs a mobile-initiated dispense
+    await repositories.dispenseLogs.recordResult(
+      orderId,
+      slot,
+      {
+        success,
+        drop_detected: dropDetected,
+        duration_ms: durationMs,
+        error_message: errorMsg,
+      },
+      machineId
+    );
+
+    // Stock, refunds and realtime pushes subscribe to these
+    const { results } = await eventBus.publish(
+      itemStatus === "COMPLETED" ? "dispense.completed" : "dispense.failed",
+      {
+        order_id: orderId,
+        machine_id: machineId,
+        slot,
+        item_id: job?.itemId || null,
+        item_status: itemStatus,
+        order_status: orderStatus,
+        success,
+        drop_detected: dropDetected ?? false,
+        duration_ms: durationMs ?? null,
+        error_message: errorMsg || null,
       }
+    );
+
+    return {
+      duplicate: false,
+      item_status: itemStatus,
+      order_status: orderStatus,
+      results,
+    };
+  }
 
-      console.log(
-        `🎰 Dispense result processed: Order ${orderId} - ${orderStatus}`
-      );
-    } catch (error) {
-      console.error("Error handling dispense result:", error);
+  /**
+   * Record a dispense result on the matching order_items row and derive the
+   * order status from all items. Single-item orders just get the item status.
+   * @returns {Promise<string|null>} DISPENSING while items are outstanding,
+   *   FAILED if every item failed, otherwise COMPLETED; null (nothing
+   *   recorded) when the item already COMPLETED
+   */
+  async updateOrderItemStatus(orderId, machineId, slot, itemId, itemStatus) {
+    const items = await repositories.orders.listItems(orderId);
+    if (items.length === 0) return itemStatus;
+
+    let item = itemId && items.find((i) => i.id === itemId);
+    if (!item) {
+      const slotId = await reservationService.getSlotId(machineId, slot);
+      const candidates = items.filter((i) => i.slot_id === slotId);
+      item =
+        candidates.find((i) => i.dispense_status === "DISPENSING") ||
+        candidates[0];
     }
+
+    if (item?.dispense_status === "COMPLETED") return null;
+
+    if (item) {
+      item.dispense_status = itemStatus;
+      await repositories.orders.updateItem(item.id, {
+        dispense_status: itemStatus,
+        dispensed_at: itemStatus === "COMPLETED" ? new Date() : null,
+      });
+    }
+
+    const statuses = items.map((i) => i.dispense_status);
+    if (statuses.some((s) => s === "PENDING" || s === "DISPENSING")) {
+      return "DISPENSING";
+    }
+    return statuses.every((s) => s === "FAILED") ? "FAILED" : "COMPLETED";
   }
 
   async handleStatusUpdate(machineId, data) {
@@ -449,55 +395,15 @@ class MqttService {
         machineStatus = status;
       }
 
-      if (db.useSupabase) {
-        // Supabase implementation
-        const { supabase } = require("../config/supabase");
-
-        // Get existing machine config
-        const { data: machine, error: fetchError } = await supabase
-          .from("machines")
-          .select("config")
-          .eq("id", machineId)
-          .single();
-
-        if (fetchError && fetchError.code !== "PGRST116") {
-          console.error("Error fetching machine:", fetchError);
-          return;
-        }
+      await repositories.machines.reportStatus(machineId, machineStatus, {
+        rssi,
+        firmware: fw,
+        door,
+      });
 
-        // Merge existing config with new data
-        const existingConfig = machine?.config || {};
-        const updatedConfig = {
-          ...existingConfig,
-          rssi: rssi || existingConfig.rssi,
-          firmware: fw || existingConfig.firmware,
-          door: door || existingConfig.door,
-        };
-
-        // Update machine status
-        const { error: updateError } = await supabase
-          .from("machines")
-          .update({
-            status: machineStatus,
-            last_seen: new Date().toISOString(),
-            config: updatedConfig,
-          })
-          .eq("id", machineId);
-
-        if (updateError) {
-          console.error("Error updating machine status:", updateError);
-        }
-      } else {
-        // MySQL implementation
-        await db.query(
-          `
-          UPDATE machines 
-          SET status = ?, last_seen = NOW(), 
-              config = JSON_SET(COALESCE(config, '{}'), '$.rssi', ?, '$.firmware', ?, '$.door', ?)
-          WHERE id = ?
-        `,
-          [machineStatus, rssi, fw, door, machineId]
-        );
+      // Door state changes arrive here rather than in telemetry
+      if (machineStatus !== "OFFLINE") {
+        await require("./alertService").checkReading(machineId, { door });
       }
     } catch (error) {
       console.error("Error handling status update:", error);
@@ -544,6 +450,50 @@ class MqttService {
     return true;
   }
 
+  // Firmware update announcement, see firmwareService
+  publishOta(machineId, announcement) {
+    if (!this.isConnected) {
+      console.error("MQTT not connected, cannot send OTA announcement");
+      return false;
+    }
+
+    const topic = `vm/${machineId}/ota`;
+    const message = JSON.stringify(announcement);
+
+    this.client.publish(topic, message, { qos: 1 }, (err) => {
+      if (err) {
+        console.error("Failed to publish OTA announcement:", err);
+      } else {
+        console.log(
+          `📤 OTA announcement sent to ${topic}: v${announcement.version}`
+        );
+      }
+    });
+
+    return true;
+  }
+
+  // Non-dispense commands on the same topic, e.g. { cmd: "open_door" }
+  publishCommand(machineId, command) {
+    if (!this.isConnected) {
+      console.error(`MQTT not connected, cannot send ${command.cmd} command`);
+      return false;
+    }
+
+    const topic = `vm/${machineId}/command`;
+    const message = JSON.stringify(command);
+
+    this.client.publish(topic, message, { qos: 1 }, (err) => {
+      if (err) {
+        console.error(`Failed to publish ${command.cmd} command:`, err);
+      } else {
+        console.log(`📤 Command sent to ${topic}:`, command);
+      }
+    });
+
+    return true;
+  }
+
   close() {
     if (this.client) {
       this.client.end();
@@ -552,4 +502,7 @@ class MqttService {
   }
 }
 
-module.exports = new MqttService();
+const mqttService = new MqttService();
+mqttService.MACHINE_TOPICS = MACHINE_TOPICS;
+
+module.exports = mqttService;
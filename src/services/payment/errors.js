@@ -0,0 +1,31 @@
+/**
+ * Payment gateway errors
+ * PaymentGatewayError is thrown by provider adapters when the gateway rejects
+ * or cannot be reached
+ */
+
+class PaymentGatewayError extends Error {
+  constructor(message, { provider, statusCode, response } = {}) {
+    super(message);
+    this.name = "PaymentGatewayError";
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.response = response;
+    // Picked up by the error handling middleware in server.js
+    this.status = 502;
+  }
+}
+
+/**
+ * Refund request that cannot be honoured for this order
+ * (not paid, already refunded, unknown items, ...)
+ */
+class RefundError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "RefundError";
+    this.status = status;
+  }
+}
+
+module.exports = { PaymentGatewayError, RefundError };
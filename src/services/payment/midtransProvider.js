@@ -0,0 +1,340 @@
+/**
+ * Midtrans payment provider
+ * Core API charges for QRIS/GoPay/ShopeePay/VA and Snap transactions,
+ * plus notification signature verification
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const { PaymentGatewayError } = require("./errors");
+
+const API_URLS = {
+  sandbox: "https://api.sandbox.midtrans.com",
+  production: "https://api.midtrans.com",
+};
+
+const SNAP_URLS = {
+  sandbox: "https://app.sandbox.midtrans.com/snap/v1",
+  production: "https://app.midtrans.com/snap/v1",
+};
+
+// Midtrans reports request errors inside a 200 body, so check status_code too
+const SUCCESS_STATUS_CODES = ["200", "201"];
+
+class MidtransProvider {
+  constructor(options = {}) {
+    const isProduction =
+      options.isProduction ?? process.env.PAYMENT_IS_PRODUCTION === "true";
+    const environment = isProduction ? "production" : "sandbox";
+
+    this.name = "midtrans";
+    this.serverKey =
+      options.serverKey ||
+      process.env.MIDTRANS_SERVER_KEY ||
+      process.env.PAYMENT_SERVER_KEY;
+    this.apiUrl =
+      options.apiUrl || process.env.MIDTRANS_API_URL || API_URLS[environment];
+    this.snapUrl =
+      options.snapUrl ||
+      process.env.MIDTRANS_SNAP_URL ||
+      SNAP_URLS[environment];
+    this.vaBank = options.vaBank || process.env.MIDTRANS_VA_BANK || "bca";
+    this.expiryMinutes = options.expiryMinutes || 15;
+
+    this.http = axios.create({ timeout: 15000 });
+  }
+
+  getHeaders() {
+    const auth = Buffer.from(`${this.serverKey}:`).toString("base64");
+    return {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      Authorization: `Basic ${auth}`,
+    };
+  }
+
+  async request(method, url, data) {
+    if (!this.serverKey) {
+      throw new PaymentGatewayError("Midtrans server key is not configured", {
+        provider: this.name,
+      });
+    }
+
+    try {
+      const response = await this.http.request({
+        method,
+        url,
+        data,
+        headers: this.getHeaders(),
+      });
+      return response.data;
+    } catch (error) {
+      const body = error.response?.data;
+      throw new PaymentGatewayError(
+        body?.status_message ||
+          body?.error_messages?.join(", ") ||
+          `Midtrans request failed: ${error.message}`,
+        {
+          provider: this.name,
+          statusCode: error.response?.status,
+          response: body,
+        }
+      );
+    }
+  }
+
+  buildItemDetails(items, amount) {
+    if (!items || items.length === 0) return undefined;
+
+    const details = items.map((item) => ({
+      id: String(item.product_id),
+      name: String(item.product_name).substring(0, 50),
+      price: Math.round(item.unit_price),
+      quantity: item.quantity,
+    }));
+
+    // Midtrans rejects the charge if item totals don't add up to gross_amount
+    const sum = details.reduce(
+      (acc, item) => acc + item.price * item.quantity,
+      0
+    );
+    return sum === Math.round(amount) ? details : undefined;
+  }
+
+  buildChargePayload(paymentMethod) {
+    switch (paymentMethod) {
+      case "qris":
+        return { payment_type: "qris", qris: { acquirer: "gopay" } };
+      case "gopay":
+        return { payment_type: "gopay" };
+      case "shopeepay":
+        return { payment_type: "shopeepay" };
+      case "va":
+        return this.vaBank === "permata"
+          ? { payment_type: "permata" }
+          : {
+              payment_type: "bank_transfer",
+              bank_transfer: { bank: this.vaBank },
+            };
+      default:
+        throw new PaymentGatewayError(
+          `Payment method ${paymentMethod} is not supported by Midtrans`,
+          { provider: this.name, statusCode: 400 }
+        );
+    }
+  }
+
+  /**
+   * Create a charge for an order
+   * @param {object} charge - { order_id, amount, payment_method, items, customer_phone }
+   * @returns {Promise<object>} Normalized charge result
+   */
+  async createCharge({
+    order_id,
+    amount,
+    payment_method,
+    items,
+    customer_phone,
+  }) {
+    if (payment_method === "midtrans") {
+      return this.createSnapTransaction({
+        order_id,
+        amount,
+        items,
+        customer_phone,
+      });
+    }
+
+    const payload = {
+      ...this.buildChargePayload(payment_method),
+      transaction_details: {
+        order_id,
+        gross_amount: Math.round(amount),
+      },
+      item_details: this.buildItemDetails(items, amount),
+      customer_details: customer_phone ? { phone: customer_phone } : undefined,
+      custom_expiry: {
+        expiry_duration: this.expiryMinutes,
+        unit: "minute",
+      },
+    };
+
+    const data = await this.request(
+      "post",
+      `${this.apiUrl}/v2/charge`,
+      payload
+    );
+
+    if (!SUCCESS_STATUS_CODES.includes(String(data.status_code))) {
+      throw new PaymentGatewayError(
+        data.status_message || "Midtrans charge was rejected",
+        {
+          provider: this.name,
+          statusCode: Number(data.status_code),
+          response: data,
+        }
+      );
+    }
+
+    const actions = data.actions || [];
+    const findAction = (name) =>
+      actions.find((a) => a.name === name)?.url || null;
+
+    let va_number = null;
+    let bank = null;
+    if (data.va_numbers && data.va_numbers.length > 0) {
+      va_number = data.va_numbers[0].va_number;
+      bank = data.va_numbers[0].bank;
+    } else if (data.permata_va_number) {
+      va_number = data.permata_va_number;
+      bank = "permata";
+    }
+
+    return {
+      gateway_name: this.name,
+      transaction_id: data.transaction_id,
+      token: null,
+      payment_type: data.payment_type,
+      payment_url:
+        findAction("deeplink-redirect") || findAction("generate-qr-code"),
+      qr_string: data.qr_string || null,
+      va_number,
+      bank,
+      raw: data,
+    };
+  }
+
+  async createSnapTransaction({ order_id, amount, items, customer_phone }) {
+    const payload = {
+      transaction_details: {
+        order_id,
+        gross_amount: Math.round(amount),
+      },
+      item_details: this.buildItemDetails(items, amount),
+      customer_details: customer_phone ? { phone: customer_phone } : undefined,
+      expiry: {
+        duration: this.expiryMinutes,
+        unit: "minutes",
+      },
+    };
+
+    const data = await this.request(
+      "post",
+      `${this.snapUrl}/transactions`,
+      payload
+    );
+
+    return {
+      gateway_name: this.name,
+      transaction_id: null,
+      token: data.token,
+      payment_type: "snap",
+      payment_url: data.redirect_url,
+      qr_string: null,
+      va_number: null,
+      bank: null,
+      raw: data,
+    };
+  }
+
+  /**
+   * Refund a settled transaction (full or partial)
+   * @param {object} refund - { order_id, amount, reason, refund_key }
+   * @returns {Promise<object>} { refund_id, status, raw }
+   */
+  async refund({ order_id, amount, reason, refund_key }) {
+    const data = await this.request(
+      "post",
+      `${this.apiUrl}/v2/${encodeURIComponent(order_id)}/refund`,
+      {
+        refund_key,
+        amount: Math.round(amount),
+        reason,
+      }
+    );
+
+    if (!SUCCESS_STATUS_CODES.includes(String(data.status_code))) {
+      throw new PaymentGatewayError(
+        data.status_message || "Midtrans refund was rejected",
+        {
+          provider: this.name,
+          statusCode: Number(data.status_code),
+          response: data,
+        }
+      );
+    }
+
+    return {
+      refund_id: data.refund_key || refund_key,
+      status: "SUCCESS",
+      raw: data,
+    };
+  }
+
+  /**
+   * Verify an HTTP notification:
+   * SHA512(order_id + status_code + gross_amount + server_key)
+   */
+  verifyNotification(body) {
+    const { order_id, status_code, gross_amount, signature_key } = body || {};
+    if (
+      !this.serverKey ||
+      !order_id ||
+      !status_code ||
+      !gross_amount ||
+      !signature_key
+    ) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHash("sha512")
+      .update(`${order_id}${status_code}${gross_amount}${this.serverKey}`)
+      .digest("hex");
+
+    const received = String(signature_key);
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+    );
+  }
+
+  /**
+   * Map a Midtrans notification to our payment status
+   * @returns {object} { order_id, status, transaction_id, payment_type, gross_amount }
+   */
+  parseNotification(body) {
+    const { transaction_status, fraud_status } = body;
+
+    let status = null;
+    switch (transaction_status) {
+      case "capture":
+        status = fraud_status === "challenge" ? "PENDING" : "SUCCESS";
+        break;
+      case "settlement":
+        status = "SUCCESS";
+        break;
+      case "pending":
+        status = "PENDING";
+        break;
+      case "deny":
+      case "cancel":
+      case "failure":
+        status = "FAILED";
+        break;
+      case "expire":
+        status = "EXPIRED";
+        break;
+    }
+
+    return {
+      order_id: body.order_id,
+      status,
+      transaction_id: body.transaction_id,
+      payment_type: body.payment_type,
+      gross_amount: body.gross_amount ? parseFloat(body.gross_amount) : null,
+    };
+  }
+}
+
+module.exports = MidtransProvider;
@@ -0,0 +1,229 @@
+/**
+ * Xendit payment provider
+ * Dynamic QRIS codes and closed virtual accounts, plus callback token verification
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const moment = require("moment");
+const { PaymentGatewayError } = require("./errors");
+
+const API_URL = "https://api.xendit.co";
+const QR_API_VERSION = "2022-07-31";
+
+class XenditProvider {
+  constructor(options = {}) {
+    this.name = "xendit";
+    this.secretKey = options.secretKey || process.env.XENDIT_SECRET_KEY;
+    this.callbackToken =
+      options.callbackToken || process.env.XENDIT_CALLBACK_TOKEN;
+    this.apiUrl = options.apiUrl || process.env.XENDIT_API_URL || API_URL;
+    this.vaBank = options.vaBank || process.env.XENDIT_VA_BANK || "BCA";
+    this.vaName = options.vaName || process.env.XENDIT_VA_NAME || "MediVend";
+    this.expiryMinutes = options.expiryMinutes || 15;
+
+    this.http = axios.create({ timeout: 15000 });
+  }
+
+  getHeaders(extra = {}) {
+    const auth = Buffer.from(`${this.secretKey}:`).toString("base64");
+    return {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      Authorization: `Basic ${auth}`,
+      ...extra,
+    };
+  }
+
+  async request(method, path, data, headers = {}) {
+    if (!this.secretKey) {
+      throw new PaymentGatewayError("Xendit secret key is not configured", {
+        provider: this.name,
+      });
+    }
+
+    try {
+      const response = await this.http.request({
+        method,
+        url: `${this.apiUrl}${path}`,
+        data,
+        headers: this.getHeaders(headers),
+      });
+      return response.data;
+    } catch (error) {
+      const body = error.response?.data;
+      throw new PaymentGatewayError(
+        body?.message || `Xendit request failed: ${error.message}`,
+        {
+          provider: this.name,
+          statusCode: error.response?.status,
+          response: body,
+        }
+      );
+    }
+  }
+
+  /**
+   * Create a charge for an order
+   * @param {object} charge - { order_id, amount, payment_method }
+   * @returns {Promise<object>} Normalized charge result
+   */
+  async createCharge({ order_id, amount, payment_method }) {
+    const expiresAt = moment().add(this.expiryMinutes, "minutes").toISOString();
+
+    if (payment_method === "qris") {
+      const data = await this.request(
+        "post",
+        "/qr_codes",
+        {
+          reference_id: order_id,
+          type: "DYNAMIC",
+          currency: "IDR",
+          amount: Math.round(amount),
+          expires_at: expiresAt,
+        },
+        { "api-version": QR_API_VERSION }
+      );
+
+      return {
+        gateway_name: this.name,
+        transaction_id: data.id,
+        token: null,
+        payment_type: "qris",
+        payment_url: null,
+        qr_string: data.qr_string,
+        va_number: null,
+        bank: null,
+        raw: data,
+      };
+    }
+
+    if (payment_method === "va") {
+      const data = await this.request("post", "/callback_virtual_accounts", {
+        external_id: order_id,
+        bank_code: this.vaBank,
+        name: this.vaName,
+        expected_amount: Math.round(amount),
+        is_closed: true,
+        is_single_use: true,
+        expiration_date: expiresAt,
+      });
+
+      return {
+        gateway_name: this.name,
+        transaction_id: data.id,
+        token: null,
+        payment_type: "va",
+        payment_url: null,
+        qr_string: null,
+        va_number: data.account_number,
+        bank: data.bank_code,
+        raw: data,
+      };
+    }
+
+    throw new PaymentGatewayError(
+      `Payment method ${payment_method} is not supported by Xendit`,
+      { provider: this.name, statusCode: 400 }
+    );
+  }
+
+  /**
+   * Refund a QRIS payment (full or partial). VA transfers cannot be refunded
+   * through the API and must be returned manually.
+   * @param {object} refund - { transaction_id, payment_type, amount, reason, refund_key }
+   * @returns {Promise<object>} { refund_id, status, raw }
+   */
+  async refund({ transaction_id, payment_type, amount, reason, refund_key }) {
+    if (payment_type !== "qris") {
+      throw new PaymentGatewayError(
+        `Refunds for ${payment_type} payments are not supported by Xendit`,
+        { provider: this.name, statusCode: 400 }
+      );
+    }
+
+    const data = await this.request(
+      "post",
+      `/qr_codes/payments/${encodeURIComponent(transaction_id)}/refunds`,
+      {
+        reference_id: refund_key,
+        amount: Math.round(amount),
+        reason,
+      },
+      { "api-version": QR_API_VERSION, "idempotency-key": refund_key }
+    );
+
+    return {
+      refund_id: data.id,
+      status: data.status === "FAILED" ? "FAILED" : "SUCCESS",
+      raw: data,
+    };
+  }
+
+  /**
+   * Verify a callback using the x-callback-token header configured in the
+   * Xendit dashboard
+   */
+  verifyNotification(body, headers = {}) {
+    const received = headers["x-callback-token"];
+    if (!this.callbackToken || !received) {
+      return false;
+    }
+
+    return (
+      received.length === this.callbackToken.length &&
+      crypto.timingSafeEqual(
+        Buffer.from(received),
+        Buffer.from(this.callbackToken)
+      )
+    );
+  }
+
+  /**
+   * Map a Xendit callback (QR payment or VA payment) to our payment status
+   * @returns {object} { order_id, status, transaction_id, payment_type, gross_amount }
+   */
+  parseNotification(body) {
+    // QR code payment callback (api-version 2022-07-31)
+    if (body.event && body.data) {
+      const { data } = body;
+      let status = null;
+      if (body.event === "qr.payment" && data.status === "SUCCEEDED") {
+        status = "SUCCESS";
+      } else if (data.status === "FAILED") {
+        status = "FAILED";
+      }
+
+      return {
+        order_id: data.reference_id,
+        status,
+        transaction_id: data.id,
+        payment_type: "qris",
+        gross_amount: data.amount ?? null,
+      };
+    }
+
+    // Virtual account payment callback - only sent once the VA is paid
+    if (body.payment_id && body.external_id) {
+      return {
+        order_id: body.external_id,
+        status: "SUCCESS",
+        transaction_id: body.payment_id,
+        payment_type: "va",
+        gross_amount: body.amount ?? null,
+      };
+    }
+
+    // Virtual account created/updated callback. A single-use VA also turns
+    // INACTIVE once paid, so these never change the payment status
+    return {
+      order_id: body.external_id || null,
+      status: null,
+      transaction_id: body.id || null,
+      payment_type: "va",
+      gross_amount: body.expected_amount ?? null,
+    };
+  }
+}
+
+module.exports = XenditProvider;
@@ -0,0 +1,66 @@
+/**
+ * Payment Service - pluggable payment gateway layer
+ * Resolves the configured provider (PAYMENT_PROVIDER) and exposes charge
+ * creation plus webhook verification to the routes
+ */
+
+const MidtransProvider = require("./payment/midtransProvider");
+const XenditProvider = require("./payment/xenditProvider");
+const StubProvider = require("./payment/stubProvider");
+const { PaymentGatewayError } = require("./payment/errors");
+
+const PROVIDERS = {
+  midtrans: MidtransProvider,
+  xendit: XenditProvider,
+  stub: StubProvider,
+};
+
+class PaymentService {
+  constructor() {
+    this.defaultProvider = process.env.PAYMENT_PROVIDER || "midtrans";
+    this.providers = new Map();
+  }
+
+  /**
+   * Get a provider instance by name (defaults to PAYMENT_PROVIDER)
+   * @param {string} name - midtrans | xendit | stub
+   * @returns {object|null} Provider or null when unknown
+   */
+  getProvider(name = this.defaultProvider) {
+    const key = String(name).toLowerCase();
+    const Provider = PROVIDERS[key];
+    if (!Provider) {
+      return null;
+    }
+
+    if (key === "stub" && process.env.NODE_ENV === "production") {
+      console.error("❌ Stub payment provider is disabled in production");
+      return null;
+    }
+
+    if (!this.providers.has(key)) {
+      this.providers.set(key, new Provider());
+    }
+    return this.providers.get(key);
+  }
+
+  /**
+   * Create a charge with the default provider
+   * @param {object} charge - { order_id, amount, payment_method, items, customer_phone }
+   * @returns {Promise<object>} { gateway_name, transaction_id, token, payment_type,
+   *   payment_url, qr_string, va_number, bank, raw }
+   */
+  async createCharge(charge) {
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new PaymentGatewayError(
+        `Unknown payment provider: ${this.defaultProvider}`
+      );
+    }
+
+    console.log(`💳 Creating ${provider.name} charge for ${charge.order_id}`);
+    return await provider.createCharge(charge);
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,480 @@
+/**
+ * Planogram Service - slot layout of each machine
+ *
+ * Slots can be edited one by one or through versioned planograms: a DRAFT
+ * layout is prepared (from scratch, from the current slots or from an older
+ * version), previewed against the slots and applied in one go. Applying
+ * creates missing slots, updates changed ones and disables slots the layout
+ * no longer has; the previous APPLIED version becomes SUPERSEDED.
+ *
+ * A product swap empties the slot (the old product is pulled) and is logged
+ * in stock_logs as PLANOGRAM, as is stock capped by a smaller capacity. After
+ * every change the slot config is pushed to the device on vm/{id}/config.
+ */
+
+const repositories = require("../repositories");
+const lotService = require("./lotService");
+const { httpError } = require("../utils/httpError");
+const { KeyedLock } = require("../utils/keyedLock");
+
+const PLANOGRAM_STATUSES = ["DRAFT", "APPLIED", "SUPERSEDED"];
+const SLOT_FIELDS = [
+  "product_id",
+  "capacity",
+  "price_override",
+  "motor_duration_ms",
+  "is_active",
+];
+
+// Same defaults as the slots table
+const SLOT_DEFAULTS = {
+  product_id: null,
+  capacity: 10,
+  price_override: null,
+  motor_duration_ms: 1500,
+  is_active: true,
+};
+
+// mysql2 returns DECIMAL as a string and BOOLEAN as 0/1
+function slotConfig(slot) {
+  return {
+    slot_number: slot.slot_number,
+    product_id: slot.product_id ?? null,
+    capacity: slot.capacity,
+    price_override:
+      slot.price_override === null || slot.price_override === undefined
+        ? null
+        : Number(slot.price_override),
+    motor_duration_ms: slot.motor_duration_ms,
+    is_active: Boolean(slot.is_active),
+  };
+}
+
+function sameValue(field, a, b) {
+  if (field === "is_active") return Boolean(a) === Boolean(b);
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  return Number(a) === Number(b);
+}
+
+/**
+ * Fill the fields an entry leaves out from the slot it replaces (or the
+ * table defaults for new slots)
+ */
+function completeLayout(layout, slots) {
+  return layout
+    .map((entry) => {
+      const slot = slots.find((s) => s.slot_number === entry.slot_number);
+      const base = slot ? slotConfig(slot) : SLOT_DEFAULTS;
+      const config = { slot_number: entry.slot_number };
+      for (const field of SLOT_FIELDS) {
+        config[field] = entry[field] !== undefined ? entry[field] : base[field];
+      }
+      return config;
+    })
+    .sort((a, b) => a.slot_number - b.slot_number);
+}
+
+function swapReason(prefix, before, after) {
+  return `${prefix}: product ${before ?? "-"} → ${after ?? "-"}`;
+}
+
+/**
+ * What applying a layout does to the slots
+ * @returns {Array<object>} [{ action: create|update|disable, slot_id, slot_number,
+ *   fields, product_swap, before }] ordered by slot number
+ */
+function layoutChanges(slots, layout) {
+  const changes = [];
+  for (const entry of layout) {
+    const slot = slots.find((s) => s.slot_number === entry.slot_number);
+    if (!slot) {
+      changes.push({
+        action: "create",
+        slot_id: null,
+        slot_number: entry.slot_number,
+        fields: entry,
+        product_swap: false,
+        before: null,
+      });
+      continue;
+    }
+
+    const fields = {};
+    for (const field of SLOT_FIELDS) {
+      if (!sameValue(field, slot[field], entry[field])) {
+        fields[field] = entry[field];
+      }
+    }
+    if (Object.keys(fields).length === 0) continue;
+
+    changes.push({
+      action: "update",
+      slot_id: slot.id,
+      slot_number: slot.slot_number,
+      fields,
+      product_swap: "product_id" in fields,
+      before: { ...slotConfig(slot), current_stock: slot.current_stock },
+    });
+  }
+
+  for (const slot of slots) {
+    if (
+      slot.is_active &&
+      !layout.some((entry) => entry.slot_number === slot.slot_number)
+    ) {
+      changes.push({
+        action: "disable",
+        slot_id: slot.id,
+        slot_number: slot.slot_number,
+        fields: { is_active: false },
+        product_swap: false,
+        before: { ...slotConfig(slot), current_stock: slot.current_stock },
+      });
+    }
+  }
+
+  return changes.sort((a, b) => a.slot_number - b.slot_number);
+}
+
+class PlanogramService {
+  constructor() {
+    this.locks = new KeyedLock(); // keyed by machine id
+  }
+
+  // Slot changes of one machine run one after another
+  withMachineLock(machineId, fn) {
+    return this.locks.run(machineId, fn);
+  }
+
+  // active: slots of a DECOMMISSIONED machine can be read but not changed
+  async requireMachine(machineId, { active = false } = {}) {
+    const machine = await repositories.machines.findById(machineId);
+    if (!machine) throw httpError(404, "Machine not found");
+    if (active && machine.status === "DECOMMISSIONED") {
+      throw httpError(409, `Machine ${machineId} is decommissioned`);
+    }
+    return machine;
+  }
+
+  async checkProducts(productIds) {
+    const ids = [...new Set(productIds.filter((id) => id !== null))];
+    const existing = await repositories.slots.existingProductIds(ids);
+    const unknown = ids.filter((id) => !existing.includes(id));
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown product: ${unknown.join(", ")}`);
+    }
+  }
+
+  /**
+   * Send the machine's slot config on vm/{id}/config
+   * @returns {Promise<boolean>} false when MQTT is not connected
+   */
+  async pushConfig(machineId) {
+    const slots = await repositories.slots.listByMachine(machineId);
+    const applied = await repositories.planograms.findApplied(machineId);
+
+    return require("./mqttService").publishConfigUpdate(machineId, {
+      type: "slots",
+      planogram_version: applied ? applied.version : null,
+      slots: slots.map((slot) => ({
+        ...slotConfig(slot),
+        product_name: slot.product_name || null,
+      })),
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  // ----- Slots -----
+
+  async listSlots(machineId) {
+    await this.requireMachine(machineId);
+    return repositories.slots.listByMachine(machineId);
+  }
+
+  async findSlot(machineId, slotId) {
+    const slot = await repositories.slots.findById(slotId);
+    if (!slot || slot.machine_id !== machineId) {
+      throw httpError(404, "Slot not found");
+    }
+    return slot;
+  }
+
+  /**
+   * @param {object} fields - slot_number plus any of SLOT_FIELDS
+   * @returns {Promise<object>} { slot, config_sent }
+   */
+  async createSlot(machineId, fields) {
+    await this.requireMachine(machineId, { active: true });
+
+    return this.withMachineLock(machineId, async () => {
+      const slots = await repositories.slots.listByMachine(machineId);
+      if (slots.some((slot) => slot.slot_number === fields.slot_number)) {
+        throw httpError(
+          409,
+          `Slot ${fields.slot_number} already exists on ${machineId}`
+        );
+      }
+      const [config] = completeLayout([fields], []);
+      await this.checkProducts([config.product_id]);
+
+      const { id } = await repositories.slots.create({
+        machine_id: machineId,
+        ...config,
+        current_stock: 0,
+      });
+
+      return {
+        slot: await repositories.slots.findById(id),
+        config_sent: await this.pushConfig(machineId),
+      };
+    });
+  }
+
+  /**
+   * Change a slot's product, capacity, price, motor time or active flag.
+   * A new product_id empties the slot and is logged as PLANOGRAM.
+   * @returns {Promise<object>} { slot, logs, config_sent }
+   */
+  async updateSlot(machineId, slotId, fields, { performedBy }) {
+    await this.requireMachine(machineId, { active: true });
+    await this.findSlot(machineId, slotId);
+
+    return this.withMachineLock(machineId, async () => {
+      const slot = await this.findSlot(machineId, slotId);
+      if (fields.product_id !== undefined) {
+        await this.checkProducts([fields.product_id]);
+      }
+
+      const [change] = layoutChanges(
+        [slot],
+        completeLayout([{ ...fields, slot_number: slot.slot_number }], [slot])
+      );
+      let logs = [];
+      if (change) {
+        logs = await repositories.slots.applyLayout(
+          [
+            {
+              slot_id: slot.id,
+              fields: change.fields,
+              clearStock: change.product_swap,
+              reason: change.product_swap
+                ? swapReason(
+                    "Slot edit",
+                    slot.product_id,
+                    change.fields.product_id
+                  )
+                : "Slot edit",
+            },
+          ],
+          { performedBy }
+        );
+        await lotService.reconcile(slot.id);
+      }
+
+      return {
+        slot: await repositories.slots.findById(slot.id),
+        logs,
+        config_sent: change ? await this.pushConfig(machineId) : false,
+      };
+    });
+  }
+
+  /**
+   * Delete a slot that was never used; slots with orders or stock history
+   * can only be disabled
+   */
+  async deleteSlot(machineId, slotId) {
+    await this.findSlot(machineId, slotId);
+
+    return this.withMachineLock(machineId, async () => {
+      const slot = await this.findSlot(machineId, slotId);
+      if (await repositories.slots.hasHistory(slot.id)) {
+        throw httpError(
+          409,
+          `Slot ${slot.slot_number} has orders or stock history; disable it with is_active: false instead`
+        );
+      }
+
+      await repositories.slots.remove(slot.id);
+      return { config_sent: await this.pushConfig(machineId) };
+    });
+  }
+
+  // ----- Planograms -----
+
+  /**
+   * New DRAFT version of a machine's layout
+   * @param {object} options - { layout, fromPlanogramId, notes, createdBy };
+   *   without layout the draft starts from the given version or the current slots
+   */
+  async createDraft(machineId, { layout, fromPlanogramId, notes, createdBy }) {
+    await this.requireMachine(machineId, { active: true });
+
+    return this.withMachineLock(machineId, async () => {
+      const slots = await repositories.slots.listByMachine(machineId);
+      let entries = layout;
+      if (!entries && fromPlanogramId) {
+        const source = await repositories.planograms.findById(fromPlanogramId);
+        if (!source || source.machine_id !== machineId) {
+          throw httpError(404, "Source planogram not found");
+        }
+        entries = source.layout;
+      }
+      if (!entries) entries = slots.map(slotConfig);
+
+      const complete = completeLayout(entries, slots);
+      await this.checkProducts(complete.map((entry) => entry.product_id));
+
+      const version =
+        (await repositories.planograms.latestVersion(machineId)) + 1;
+      const { id } = await repositories.planograms.create({
+        machine_id: machineId,
+        version,
+        status: "DRAFT",
+        notes,
+        layout: complete,
+        created_by: createdBy,
+      });
+      return this.get(id);
+    });
+  }
+
+  async updateDraft(planogramId, { layout, notes }) {
+    const planogram = await repositories.planograms.findById(planogramId);
+    if (!planogram) throw httpError(404, "Planogram not found");
+
+    return this.withMachineLock(planogram.machine_id, async () => {
+      const current = await repositories.planograms.findById(planogram.id);
+      if (current.status !== "DRAFT") {
+        throw httpError(409, `Planogram is ${current.status}`);
+      }
+
+      const fields = {};
+      if (layout) {
+        const slots = await repositories.slots.listByMachine(
+          current.machine_id
+        );
+        fields.layout = completeLayout(layout, slots);
+        await this.checkProducts(
+          fields.layout.map((entry) => entry.product_id)
+        );
+      }
+      if (notes !== undefined) fields.notes = notes;
+      if (Object.keys(fields).length > 0) {
+        await repositories.planograms.update(current.id, fields);
+      }
+      return this.get(current.id);
+    });
+  }
+
+  /**
+   * Planogram with the changes applying it would make (drafts only)
+   * @returns {Promise<object|null>}
+   */
+  async get(planogramId) {
+    const planogram = await repositories.planograms.findById(planogramId);
+    if (!planogram) return null;
+    if (planogram.status !== "DRAFT") return planogram;
+
+    const slots = await repositories.slots.listByMachine(planogram.machine_id);
+    return { ...planogram, changes: layoutChanges(slots, planogram.layout) };
+  }
+
+  /**
+   * Apply a DRAFT to the machine's slots and push the new config
+   * @returns {Promise<object>} { planogram, changes, logs, config_sent }
+   */
+  async apply(planogramId, { appliedBy }) {
+    const planogram = await repositories.planograms.findById(planogramId);
+    if (!planogram) throw httpError(404, "Planogram not found");
+    const machineId = planogram.machine_id;
+    await this.requireMachine(machineId, { active: true });
+
+    return this.withMachineLock(machineId, async () => {
+      const current = await repositories.planograms.findById(planogram.id);
+      if (current.status !== "DRAFT") {
+        throw httpError(409, `Planogram is ${current.status}`);
+      }
+
+      const prefix = `Planogram v${current.version}`;
+      const slots = await repositories.slots.listByMachine(machineId);
+      const changes = layoutChanges(slots, current.layout);
+      const logs = await repositories.slots.applyLayout(
+        changes.map((change) =>
+          change.action === "create"
+            ? {
+                fields: {
+                  machine_id: machineId,
+                  ...change.fields,
+                  current_stock: 0,
+                },
+              }
+            : {
+                slot_id: change.slot_id,
+                fields: change.fields,
+                clearStock: change.product_swap,
+                reason: change.product_swap
+                  ? swapReason(
+                      prefix,
+                      change.before.product_id,
+                      change.fields.product_id
+                    )
+                  : prefix,
+              }
+        ),
+        { reason: prefix, performedBy: appliedBy }
+      );
+      for (const log of logs) {
+        await lotService.reconcile(log.slot_id);
+      }
+
+      const previous = await repositories.planograms.findApplied(machineId);
+      if (previous) {
+        await repositories.planograms.update(previous.id, {
+          status: "SUPERSEDED",
+        });
+      }
+      await repositories.planograms.update(current.id, {
+        status: "APPLIED",
+        applied_by: appliedBy,
+        applied_at: new Date().toISOString(),
+      });
+
+      const configSent = await this.pushConfig(machineId);
+      await repositories.planograms.update(current.id, {
+        config_sent: configSent,
+      });
+      console.log(
+        `🗂️ ${prefix} applied on ${machineId}: ${changes.length} slot change(s)`
+      );
+
+      return {
+        planogram: await repositories.planograms.findById(current.id),
+        changes,
+        logs,
+        config_sent: configSent,
+      };
+    });
+  }
+
+  async discard(planogramId) {
+    const planogram = await repositories.planograms.findById(planogramId);
+    if (!planogram) throw httpError(404, "Planogram not found");
+
+    return this.withMachineLock(planogram.machine_id, async () => {
+      const current = await repositories.planograms.findById(planogram.id);
+      if (current.status !== "DRAFT") {
+        throw httpError(409, `Planogram is ${current.status}`);
+      }
+      await repositories.planograms.remove(current.id);
+    });
+  }
+}
+
+const planogramService = new PlanogramService();
+planogramService.PLANOGRAM_STATUSES = PLANOGRAM_STATUSES;
+planogramService.SLOT_FIELDS = SLOT_FIELDS;
+
+module.exports = planogramService;
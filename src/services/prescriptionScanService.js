@@ -1,4 +1,5 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const realtimeService = require("./realtimeService");
 
 class PrescriptionScanService {
   constructor() {
@@ -66,6 +67,7 @@ class PrescriptionScanService {
 
       // Update status to processing
       session.status = "processing";
+      realtimeService.publishScanStatus(sessionId, session);
 
       if (!this.model) {
         throw new Error("Gemini model not initialized");
@@ -148,6 +150,7 @@ Berikan output dalam format JSON yang valid.`;
         processedAt: new Date(),
         confidence: prescriptionData.parseError ? "low" : "high",
       };
+      realtimeService.publishScanStatus(sessionId, session);
 
       // No file cleanup needed - image never saved to disk!
       console.log(
@@ -162,6 +165,7 @@ Berikan output dalam format JSON yang valid.`;
       if (session) {
         session.status = "error";
         session.error = error.message;
+        realtimeService.publishScanStatus(sessionId, session);
       }
 
       throw error;
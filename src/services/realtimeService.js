@@ -0,0 +1,166 @@
+/**
+ * Realtime Service - Server-Sent Events push for kiosk and mobile clients
+ *
+ * Clients open GET /api/events/{orders|scans|machines}/:id and stay subscribed
+ * to one channel ("order:<id>", "scan:<sessionId>", "machine:<id>") instead of
+ * polling the status endpoints. Each event is written as an SSE frame:
+ *
+ *   id: 42
+ *   event: order.status
+ *   data: {"order_id":"ORD-1","status":"PAID",...}
+ *
+ * Order events are also sent to the order's machine channel. Subscribers live
+ * in this process only; events published while a client is reconnecting are
+ * not replayed, so clients should re-read the status endpoint after reconnect.
+ */
+
+const HEARTBEAT_INTERVAL_MS =
+  parseInt(process.env.SSE_HEARTBEAT_INTERVAL_MS) || 25000;
+
+class RealtimeService {
+  constructor() {
+    this.channels = new Map(); // channel -> Set of responses
+    this.lastEventId = 0;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Turn an Express response into an SSE stream subscribed to `channel`
+   * @returns {Function} unsubscribe
+   */
+  subscribe(req, res, channel) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      // no-transform keeps compression() from buffering the stream
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 5000\n\n");
+
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(res);
+    this.startHeartbeat();
+
+    const unsubscribe = () => {
+      const subscribers = this.channels.get(channel);
+      if (!subscribers) return;
+      subscribers.delete(res);
+      if (subscribers.size === 0) {
+        this.channels.delete(channel);
+      }
+      if (this.channels.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+    req.on("close", unsubscribe);
+
+    return unsubscribe;
+  }
+
+  /**
+   * Write one event to a single subscriber
+   */
+  send(res, type, data) {
+    this.lastEventId++;
+    res.write(
+      `id: ${this.lastEventId}\nevent: ${type}\ndata: ${JSON.stringify(
+        data
+      )}\n\n`
+    );
+  }
+
+  /**
+   * Send an event to every subscriber of a channel
+   * @returns {number} Number of subscribers reached
+   */
+  publish(channel, type, data) {
+    const subscribers = this.channels.get(channel);
+    if (!subscribers) return 0;
+
+    const event = { ...data, emitted_at: new Date().toISOString() };
+    for (const res of subscribers) {
+      this.send(res, type, event);
+    }
+    return subscribers.size;
+  }
+
+  /**
+   * Order status changes (payment settled, dispense finished, ...)
+   */
+  publishOrderStatus(order, extra = {}) {
+    const data = {
+      order_id: order.id,
+      machine_id: order.machine_id || null,
+      status: order.status,
+      ...extra,
+    };
+
+    this.publish(`order:${order.id}`, "order.status", data);
+    if (order.machine_id) {
+      this.publish(`machine:${order.machine_id}`, "order.status", data);
+    }
+  }
+
+  /**
+   * Result of one dispensed slot, followed by the resulting order status
+   */
+  publishDispenseResult(order, result) {
+    const data = {
+      order_id: order.id,
+      machine_id: order.machine_id || null,
+      ...result,
+    };
+
+    this.publish(`order:${order.id}`, "dispense.result", data);
+    if (order.machine_id) {
+      this.publish(`machine:${order.machine_id}`, "dispense.result", data);
+    }
+    this.publishOrderStatus(order, { refund_status: result.refund_status });
+  }
+
+  /**
+   * Prescription scan session changes (processing, completed, error)
+   */
+  publishScanStatus(sessionId, session) {
+    this.publish(`scan:${sessionId}`, "scan.status", {
+      session_id: sessionId,
+      status: session.status,
+      error: session.error || null,
+    });
+  }
+
+  // Comment frames keep proxies from closing idle streams
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      for (const subscribers of this.channels.values()) {
+        for (const res of subscribers) {
+          res.write(": ping\n\n");
+        }
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  close() {
+    this.stopHeartbeat();
+    for (const subscribers of this.channels.values()) {
+      for (const res of subscribers) {
+        res.end();
+      }
+    }
+    this.channels.clear();
+  }
+}
+
+module.exports = new RealtimeService();
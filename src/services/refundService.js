@@ -0,0 +1,259 @@
+/**
+ * Refund Service - gateway refunds for paid orders that could not be dispensed
+ *
+ * Every refund is recorded in the refunds table before the gateway is called,
+ * so a failed or timed-out gateway request is still visible to admins.
+ * Multi-item orders are refunded per order_item; the order only moves to
+ * REFUNDED once the whole paid amount has been returned.
+ */
+
+const repositories = require("../repositories");
+const paymentService = require("./paymentService");
+const reservationService = require("./reservationService");
+const { PaymentGatewayError, RefundError } = require("./payment/errors");
+const { KeyedLock } = require("../utils/keyedLock");
+
+// Refunds in these states count against the refundable amount
+const ACTIVE_REFUND_STATUSES = ["PENDING", "SUCCESS"];
+
+class RefundService {
+  constructor() {
+    this.locks = new KeyedLock(); // keyed by order id
+  }
+
+  /**
+   * Run refunds for the same order one after another so concurrent dispense
+   * failures cannot refund the same item twice
+   */
+  withOrderLock(orderId, fn) {
+    return this.locks.run(orderId, fn);
+  }
+
+  parseItemIds(value) {
+    if (!value) return [];
+    const ids = typeof value === "string" ? JSON.parse(value) : value;
+    return ids.map(Number);
+  }
+
+  /**
+   * Load an order together with its payment, items and refunds
+   * @returns {Promise<object|null>} { order, payment, items, refunds }
+   */
+  async getOrderContext(orderId) {
+    const order = await repositories.orders.findById(orderId);
+    if (!order) return null;
+
+    return {
+      order,
+      payment: await repositories.payments.findByOrderId(orderId),
+      items: await repositories.orders.listItems(orderId),
+      refunds: await repositories.refunds.listByOrder(orderId),
+    };
+  }
+
+  /**
+   * Get all refunds recorded for an order
+   */
+  async getRefunds(orderId) {
+    const context = await this.getOrderContext(orderId);
+    if (!context) {
+      throw new RefundError("Order not found", 404);
+    }
+    return context.refunds;
+  }
+
+  /**
+   * Refund an order in full or only some of its items
+   * @param {string} orderId
+   * @param {object} options - { reason, requestedBy, itemIds }
+   *   itemIds limits the refund to those order_items (multi-item orders only)
+   * @returns {Promise<object>} The refund record
+   */
+  async refundOrder(orderId, options = {}) {
+    return this.withOrderLock(orderId, () =>
+      this.processRefund(orderId, options)
+    );
+  }
+
+  async processRefund(
+    orderId,
+    { reason = "Refund", requestedBy = "system", itemIds = null } = {}
+  ) {
+    const context = await this.getOrderContext(orderId);
+    if (!context) {
+      throw new RefundError("Order not found", 404);
+    }
+
+    const { order, payment, items, refunds } = context;
+
+    if (!payment || payment.status !== "SUCCESS") {
+      throw new RefundError("Order has not been paid");
+    }
+    if (order.status === "REFUNDED") {
+      throw new RefundError("Order has already been refunded");
+    }
+
+    const activeRefunds = refunds.filter((r) =>
+      ACTIVE_REFUND_STATUSES.includes(r.status)
+    );
+    const refundedAmount = activeRefunds.reduce(
+      (sum, r) => sum + parseFloat(r.amount),
+      0
+    );
+    const refundedItemIds = new Set(
+      activeRefunds.flatMap((r) => this.parseItemIds(r.item_ids))
+    );
+    const orderTotal = parseFloat(order.total_amount);
+
+    let amount;
+    let refundItemIds = null;
+
+    if (itemIds && itemIds.length > 0) {
+      if (items.length === 0) {
+        throw new RefundError("Order has no items to refund individually", 400);
+      }
+
+      const selected = itemIds.map((id) =>
+        items.find((item) => item.id === Number(id))
+      );
+      if (selected.some((item) => !item)) {
+        throw new RefundError("Item does not belong to this order", 400);
+      }
+      if (selected.some((item) => refundedItemIds.has(item.id))) {
+        throw new RefundError("Item has already been refunded");
+      }
+
+      refundItemIds = selected.map((item) => item.id);
+      amount = selected.reduce((sum, item) => sum + parseFloat(item.total), 0);
+    } else {
+      // Whole order: whatever has not been refunded yet
+      amount = orderTotal - refundedAmount;
+      if (items.length > 0) {
+        refundItemIds = items
+          .filter((item) => !refundedItemIds.has(item.id))
+          .map((item) => item.id);
+      }
+    }
+
+    amount = Math.round(amount * 100) / 100;
+    if (amount <= 0 || refundedAmount + amount > orderTotal + 0.01) {
+      throw new RefundError("Nothing left to refund for this order");
+    }
+
+    const provider = paymentService.getProvider(payment.gateway_name);
+    if (!provider) {
+      throw new RefundError(
+        `Payment provider ${payment.gateway_name} is not available`,
+        502
+      );
+    }
+
+    const refund = await repositories.refunds.create({
+      order_id: orderId,
+      payment_id: payment.id,
+      item_ids: refundItemIds,
+      amount,
+      reason,
+      gateway_name: provider.name,
+      requested_by: String(requestedBy),
+    });
+
+    console.log(
+      `💸 Refunding ${amount} for order ${orderId} via ${provider.name}`
+    );
+
+    let result;
+    try {
+      result = await provider.refund({
+        order_id: orderId,
+        transaction_id: payment.gateway_transaction_id,
+        payment_type: payment.payment_type,
+        amount,
+        reason,
+        refund_key: `${orderId}-R${refund.id}`,
+      });
+    } catch (error) {
+      console.error(`❌ Refund failed for order ${orderId}:`, error.message);
+      await repositories.refunds.update(refund.id, {
+        status: "FAILED",
+        error_message: error.message,
+        raw_response: error.response || null,
+      });
+      throw error instanceof PaymentGatewayError
+        ? error
+        : new PaymentGatewayError(error.message, { provider: provider.name });
+    }
+
+    const updated = await repositories.refunds.update(refund.id, {
+      status: result.status,
+      gateway_refund_id: result.refund_id,
+      raw_response: result.raw,
+      error_message:
+        result.status === "FAILED" ? "Gateway reported refund failure" : null,
+    });
+
+    if (result.status !== "SUCCESS") {
+      throw new PaymentGatewayError("Gateway reported refund failure", {
+        provider: provider.name,
+        response: result.raw,
+      });
+    }
+
+    if (refundedAmount + amount >= orderTotal - 0.01) {
+      await repositories.orders.update(orderId, { status: "REFUNDED" });
+      await reservationService.release(orderId);
+    }
+
+    console.log(`✅ Refund ${refund.id} completed for order ${orderId}`);
+    return updated;
+  }
+
+  /**
+   * Automatic refund after a dispense failure. Multi-item orders only get the
+   * failed item refunded. Never throws - failures stay visible in the refunds table.
+   * @param {string} orderId
+   * @param {object} failure - { slot, itemId, reason }
+   */
+  async refundFailedDispense(orderId, { slot, itemId, reason } = {}) {
+    try {
+      const context = await this.getOrderContext(orderId);
+      if (!context) return null;
+
+      const { payment, items } = context;
+      if (!payment || payment.status !== "SUCCESS") {
+        console.log(`ℹ️ Order ${orderId} was not paid, no refund needed`);
+        return null;
+      }
+
+      let itemIds = null;
+      if (items.length > 0) {
+        const item = itemId
+          ? items.find((i) => i.id === Number(itemId))
+          : items.find((i) => i.slot_number === Number(slot));
+
+        if (!item) {
+          console.warn(
+            `⚠️ Cannot match failed slot ${slot} to an item of order ${orderId}, skipping refund`
+          );
+          return null;
+        }
+        itemIds = [item.id];
+      }
+
+      return await this.refundOrder(orderId, {
+        reason: reason || "Dispense failed",
+        requestedBy: "system",
+        itemIds,
+      });
+    } catch (error) {
+      if (error instanceof RefundError) {
+        console.log(`ℹ️ No refund for order ${orderId}: ${error.message}`);
+      } else {
+        console.error(`Automatic refund error for order ${orderId}:`, error);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,184 @@
+/**
+ * Reservation Service - holds slot stock for orders until they are dispensed
+ *
+ * A reservation is taken per order and slot when the order is created and
+ * expires together with the order. Paying for the order removes the expiry;
+ * a failed or expired payment releases it. On a successful dispense the
+ * reservation is consumed and turned into the actual stock decrement.
+ *
+ * Available stock for a slot = current_stock - active reservations - units in
+ * expired or recalled lots (see lotService).
+ */
+
+const repositories = require("../repositories");
+
+class InsufficientStockError extends Error {
+  constructor(slotId, available, requested) {
+    super(`Insufficient stock for slot ${slotId}`);
+    this.name = "InsufficientStockError";
+    this.slot_id = slotId;
+    this.available = available;
+    this.requested = requested;
+    this.status = 409;
+  }
+}
+
+class ReservationService {
+  // Merge items for the same slot into one { slot_id, quantity } entry
+  groupBySlot(items) {
+    const bySlot = new Map();
+    for (const item of items) {
+      const slotId = Number(item.slot_id);
+      bySlot.set(slotId, (bySlot.get(slotId) || 0) + Number(item.quantity));
+    }
+    return Array.from(bySlot, ([slot_id, quantity]) => ({ slot_id, quantity }));
+  }
+
+  /**
+   * Get reserved quantity per slot (active, unexpired reservations only)
+   * @param {number[]} slotIds
+   * @returns {Promise<Map<number, number>>} slot_id -> reserved quantity
+   */
+  async getReservedQuantities(slotIds) {
+    if (!slotIds || slotIds.length === 0) return new Map();
+    const rows = await repositories.reservations.activeQuantities(slotIds);
+    return new Map(rows.map((row) => [row.slot_id, row.quantity]));
+  }
+
+  /**
+   * Reserve stock for a new order
+   * @param {string} orderId
+   * @param {string} machineId
+   * @param {Array} items - [{ slot_id, quantity }]
+   * @param {string} expiresAt - when the reservation lapses if unpaid
+   * @throws {InsufficientStockError} when a slot cannot cover the quantity
+   */
+  async reserve(orderId, machineId, items, expiresAt) {
+    const grouped = this.groupBySlot(items);
+
+    // Units of expired or recalled lots can't be sold
+    const blocked = await require("./lotService").getBlockedQuantities(
+      grouped.map((item) => item.slot_id)
+    );
+
+    const shortage = await repositories.reservations.reserve(
+      orderId,
+      machineId,
+      grouped,
+      expiresAt,
+      blocked
+    );
+    if (shortage) {
+      throw new InsufficientStockError(
+        shortage.slot_id,
+        shortage.available,
+        shortage.requested
+      );
+    }
+  }
+
+  /**
+   * Keep the reservation until dispense (order has been paid). Only active,
+   * unexpired reservations are kept: released or lapsed stock may already be
+   * reserved by other orders, so it is not taken back.
+   */
+  async hold(orderId) {
+    await repositories.reservations.hold(orderId);
+  }
+
+  /**
+   * Release active reservations of an order (payment failed/expired, dispense failed)
+   * @param {string} orderId
+   * @param {object} options - { slotId } to release a single slot only
+   */
+  async release(orderId, { slotId } = {}) {
+    await repositories.reservations.release(orderId, { slotId });
+  }
+
+  /**
+   * Release the reservation for one machine slot of an order
+   */
+  async releaseSlot(orderId, machineId, slotNumber) {
+    const slotId = await this.getSlotId(machineId, slotNumber);
+    if (slotId) {
+      await this.release(orderId, { slotId });
+    }
+  }
+
+  /**
+   * Mark lapsed reservations as RELEASED. They already stop counting once
+   * expires_at passes; this only keeps the table tidy.
+   * @returns {Promise<number>} Number of reservations released
+   */
+  async releaseExpired() {
+    return repositories.reservations.releaseExpired();
+  }
+
+  /**
+   * Convert the reservation for a dispensed slot into a stock decrement.
+   * Orders created before reservations existed fall back to the ordered quantity.
+   * @returns {Promise<object|null>} { slot_id, quantity, quantity_before, quantity_after }
+   *   or null when there is nothing to decrement (e.g. already consumed)
+   */
+  async consume(orderId, machineId, slotNumber) {
+    const slotId = await this.getSlotId(machineId, slotNumber);
+    if (!slotId) {
+      console.warn(`⚠️ Slot ${slotNumber} not found on ${machineId}`);
+      return null;
+    }
+
+    const reservation = await repositories.reservations.findByOrderSlot(
+      orderId,
+      slotId
+    );
+    if (reservation?.status === "CONSUMED") {
+      console.log(
+        `ℹ️ Stock for order ${orderId} slot ${slotNumber} already taken`
+      );
+      return null;
+    }
+
+    const quantity = reservation
+      ? reservation.quantity
+      : await this.getOrderedQuantity(orderId, slotId);
+    if (!quantity) return null;
+
+    const [log] = await repositories.slots.applyStockChanges(
+      [{ slot_id: slotId, quantity }],
+      { changeType: "DISPENSE", reason: `Order ${orderId}` }
+    );
+    const change = {
+      slot_id: slotId,
+      quantity,
+      quantity_before: log.quantity_before,
+      quantity_after: log.quantity_after,
+    };
+
+    if (reservation) {
+      await repositories.reservations.setStatus(reservation.id, "CONSUMED");
+    }
+
+    console.log("📦 Stock update:", change);
+    return change;
+  }
+
+  async getSlotId(machineId, slotNumber) {
+    const slot = await repositories.slots.findByNumber(machineId, slotNumber);
+    return slot?.id || null;
+  }
+
+  // Quantity ordered for a slot, from order_items or the order itself
+  async getOrderedQuantity(orderId, slotId) {
+    const items = (await repositories.orders.listItems(orderId)).filter(
+      (item) => item.slot_id === slotId
+    );
+    if (items.length > 0) {
+      return items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    const order = await repositories.orders.findById(orderId);
+    return order?.slot_id === slotId ? order.quantity : 0;
+  }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,411 @@
+/**
+ * Restock Service - daily restock plans and warehouse pick lists
+ *
+ * A plan covers one visit day for a set of machines. For every active slot
+ * with a product it forecasts the units sold until the visit from the
+ * DISPENSE history in stock_logs:
+ *
+ *   forecast_sales   = units dispensed in the last lookback_days / lookback_days
+ *                      * forecast_days
+ *   expected_stock   = max(current_stock - ceil(forecast_sales), 0)
+ *   planned_quantity = capacity - expected_stock
+ *
+ * Slots with nothing to load are left out. The pick list adds the planned
+ * quantities up per product. When the technician confirms a machine's visit,
+ * its items are applied as one batch of RESTOCK stock changes (loaded
+ * quantities may differ from the plan); the plan is COMPLETED once every
+ * machine is confirmed.
+ */
+
+const moment = require("moment");
+const PDFDocument = require("pdfkit");
+const repositories = require("../repositories");
+const { httpError } = require("../utils/httpError");
+const { KeyedLock } = require("../utils/keyedLock");
+const { toCsv } = require("../utils/csv");
+
+const LOOKBACK_DAYS =
+  parseInt(process.env.RESTOCK_FORECAST_LOOKBACK_DAYS) || 14;
+const FORECAST_DAYS = parseFloat(process.env.RESTOCK_FORECAST_DAYS) || 1;
+
+const PLAN_STATUSES = ["OPEN", "COMPLETED", "CANCELLED"];
+
+class RestockService {
+  constructor() {
+    this.locks = new KeyedLock(); // keyed by plan id
+  }
+
+  /**
+   * Forecast every slot of the machines and store the plan
+   * @param {object} options - { planDate, machineIds, lookbackDays, forecastDays, notes, createdBy }
+   * @returns {Promise<object>} The plan as returned by getPlan()
+   */
+  async createPlan({
+    planDate,
+    machineIds,
+    lookbackDays = LOOKBACK_DAYS,
+    forecastDays = FORECAST_DAYS,
+    notes,
+    createdBy,
+  } = {}) {
+    const machines = await repositories.machines.list();
+    let selected = machines;
+    if (machineIds && machineIds.length > 0) {
+      const unknown = machineIds.filter(
+        (id) => !machines.some((machine) => machine.id === id)
+      );
+      if (unknown.length > 0) {
+        throw httpError(404, `Machine not found: ${unknown.join(", ")}`);
+      }
+      selected = machines.filter((machine) => machineIds.includes(machine.id));
+    }
+
+    const ids = selected.map((machine) => machine.id);
+    const since = moment().subtract(lookbackDays, "days").toDate();
+    const dispensed = new Map(
+      (await repositories.slots.dispensedSince(ids, since)).map((row) => [
+        Number(row.slot_id),
+        Number(row.quantity) || 0,
+      ])
+    );
+
+    const items = [];
+    for (const machineId of ids) {
+      const slots = await repositories.slots.listByMachine(machineId);
+      for (const slot of slots) {
+        if (!slot.is_active || !slot.product_id) continue;
+
+        const perDay = (dispensed.get(slot.id) || 0) / lookbackDays;
+        const forecastSales = Math.round(perDay * forecastDays * 100) / 100;
+        const expectedStock = Math.max(
+          slot.current_stock - Math.ceil(forecastSales),
+          0
+        );
+        const plannedQuantity = Math.max(slot.capacity - expectedStock, 0);
+        if (plannedQuantity === 0) continue;
+
+        items.push({
+          machine_id: machineId,
+          slot_id: slot.id,
+          slot_number: slot.slot_number,
+          product_id: slot.product_id,
+          product_name: slot.product_name,
+          current_stock: slot.current_stock,
+          capacity: slot.capacity,
+          forecast_sales: forecastSales,
+          planned_quantity: plannedQuantity,
+        });
+      }
+    }
+
+    const { id } = await repositories.restockPlans.create(
+      {
+        plan_date: planDate || moment().format("YYYY-MM-DD"),
+        status: "OPEN",
+        lookback_days: lookbackDays,
+        forecast_days: forecastDays,
+        notes,
+        created_by: createdBy,
+      },
+      items
+    );
+
+    return this.getPlan(id);
+  }
+
+  /**
+   * @returns {Promise<object|null>} Plan with items grouped per machine and totals
+   */
+  async getPlan(id) {
+    const plan = await repositories.restockPlans.findById(id);
+    if (!plan) return null;
+
+    const items = await repositories.restockPlans.listItems(plan.id);
+    const machines = new Map();
+    for (const item of items) {
+      if (!machines.has(item.machine_id)) {
+        machines.set(item.machine_id, {
+          machine_id: item.machine_id,
+          status: "APPLIED",
+          planned_quantity: 0,
+          items: [],
+        });
+      }
+      const machine = machines.get(item.machine_id);
+      machine.items.push(item);
+      machine.planned_quantity += item.planned_quantity;
+      if (item.status === "PENDING") machine.status = "PENDING";
+    }
+
+    return {
+      ...plan,
+      machines: [...machines.values()],
+      totals: {
+        machines: machines.size,
+        slots: items.length,
+        planned_quantity: items.reduce((sum, i) => sum + i.planned_quantity, 0),
+      },
+    };
+  }
+
+  /**
+   * Units to take from the warehouse, per product
+   * @returns {Array<object>} { product_id, product_name, quantity, machines, slots }
+   */
+  pickList(plan) {
+    const products = new Map();
+    for (const machine of plan.machines) {
+      for (const item of machine.items) {
+        const key = item.product_id;
+        if (!products.has(key)) {
+          products.set(key, {
+            product_id: item.product_id,
+            product_name: item.product_name,
+            quantity: 0,
+            machines: [],
+            slots: [],
+          });
+        }
+        const product = products.get(key);
+        product.quantity += item.planned_quantity;
+        if (!product.machines.includes(item.machine_id)) {
+          product.machines.push(item.machine_id);
+        }
+        product.slots.push({
+          machine_id: item.machine_id,
+          slot_number: item.slot_number,
+          quantity: item.planned_quantity,
+        });
+      }
+    }
+
+    return [...products.values()].sort((a, b) =>
+      String(a.product_name).localeCompare(String(b.product_name))
+    );
+  }
+
+  /**
+   * Apply a machine's items as a batch RESTOCK
+   * @param {object} options - { quantities: { slot_id: loaded }, performedBy }
+   * @returns {Promise<object>} { plan, machine_id, logs }
+   */
+  async confirmVisit(planId, machineId, { quantities = {}, performedBy }) {
+    // Confirmations of one plan run one after another so items apply once
+    return this.locks.run(String(planId), () =>
+      this.applyVisit(planId, machineId, quantities, performedBy)
+    );
+  }
+
+  async applyVisit(planId, machineId, quantities, performedBy) {
+    const plan = await repositories.restockPlans.findById(planId);
+    if (!plan) throw httpError(404, "Restock plan not found");
+    if (plan.status !== "OPEN") {
+      throw httpError(409, `Restock plan is ${plan.status}`);
+    }
+
+    const items = await repositories.restockPlans.listItems(plan.id, {
+      machineId,
+    });
+    if (items.length === 0) {
+      throw httpError(404, "Machine is not part of this restock plan");
+    }
+    const pending = items.filter((item) => item.status === "PENDING");
+    if (pending.length === 0) {
+      throw httpError(409, "Visit already confirmed for this machine");
+    }
+
+    const unknown = Object.keys(quantities).filter(
+      (slotId) => !pending.some((item) => item.slot_id === Number(slotId))
+    );
+    if (unknown.length > 0) {
+      throw httpError(400, `Slot not in plan: ${unknown.join(", ")}`);
+    }
+
+    const loaded = pending.map((item) => ({
+      item,
+      quantity: quantities[item.slot_id] ?? item.planned_quantity,
+    }));
+
+    const logs = await repositories.slots.applyStockChanges(
+      loaded
+        .filter(({ quantity }) => quantity > 0)
+        .map(({ item, quantity }) => ({ slot_id: item.slot_id, quantity })),
+      {
+        changeType: "RESTOCK",
+        reason: `Restock plan #${plan.id}`,
+        performedBy,
+      }
+    );
+
+    const confirmedAt = new Date().toISOString();
+    for (const { item, quantity } of loaded) {
+      await repositories.restockPlans.updateItem(item.id, {
+        loaded_quantity: quantity,
+        status: "APPLIED",
+        confirmed_by: performedBy,
+        confirmed_at: confirmedAt,
+      });
+    }
+
+    const planItems = await repositories.restockPlans.listItems(plan.id);
+    if (planItems.every((item) => item.status === "APPLIED")) {
+      await repositories.restockPlans.update(plan.id, {
+        status: "COMPLETED",
+        completed_at: confirmedAt,
+      });
+    }
+
+    // Resolve low-stock alerts right away instead of on the next check
+    require("./alertService")
+      .checkStock(machineId)
+      .catch((error) =>
+        console.error("Restock alert check failed:", error.message)
+      );
+
+    return {
+      plan: await this.getPlan(plan.id),
+      machine_id: machineId,
+      logs,
+    };
+  }
+
+  async cancelPlan(id) {
+    const plan = await repositories.restockPlans.findById(id);
+    if (!plan) return null;
+    if (plan.status !== "OPEN") {
+      throw httpError(409, `Restock plan is ${plan.status}`);
+    }
+
+    await repositories.restockPlans.update(plan.id, { status: "CANCELLED" });
+    return this.getPlan(plan.id);
+  }
+
+  // ----- Export -----
+
+  /**
+   * @param {string} view - "picklist" (per product) or "slots" (per machine slot)
+   */
+  toCsv(plan, view = "picklist") {
+    if (view === "slots") {
+      return toCsv(
+        [
+          "machine_id",
+          "slot_number",
+          "product_id",
+          "product_name",
+          "current_stock",
+          "capacity",
+          "forecast_sales",
+          "planned_quantity",
+          "loaded_quantity",
+          "status",
+        ],
+        plan.machines.flatMap((machine) =>
+          machine.items.map((item) => [
+            item.machine_id,
+            item.slot_number,
+            item.product_id,
+            item.product_name,
+            item.current_stock,
+            item.capacity,
+            item.forecast_sales,
+            item.planned_quantity,
+            item.loaded_quantity,
+            item.status,
+          ])
+        )
+      );
+    }
+
+    return toCsv(
+      ["product_id", "product_name", "quantity", "machines"],
+      this.pickList(plan).map((product) => [
+        product.product_id,
+        product.product_name,
+        product.quantity,
+        product.machines.join(" "),
+      ])
+    );
+  }
+
+  /**
+   * Printable pick list followed by one load sheet per machine
+   * @returns {Promise<Buffer>}
+   */
+  toPdf(plan) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 40 });
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const row = (columns, widths, options = {}) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        columns.forEach((text, index) => {
+          doc.text(String(text ?? ""), x, y, {
+            width: widths[index] - 6,
+            ...options,
+          });
+          x += widths[index];
+        });
+        doc.moveDown(0.3);
+      };
+
+      doc.fontSize(16).text(`Restock plan #${plan.id} - ${plan.plan_date}`);
+      doc
+        .fontSize(9)
+        .text(
+          `Status ${plan.status} · ${plan.totals.machines} machines · ` +
+            `${plan.totals.planned_quantity} units · forecast ` +
+            `${plan.forecast_days} day(s) from the last ${plan.lookback_days} days`
+        );
+      doc.moveDown();
+
+      doc.fontSize(12).text("Pick list");
+      doc.moveDown(0.5);
+      doc.fontSize(9).font("Helvetica-Bold");
+      row(["Product", "Qty", "Machines"], [240, 50, 225]);
+      doc.font("Helvetica");
+      for (const product of this.pickList(plan)) {
+        row(
+          [product.product_name, product.quantity, product.machines.join(", ")],
+          [240, 50, 225]
+        );
+      }
+
+      for (const machine of plan.machines) {
+        doc.moveDown();
+        doc
+          .fontSize(12)
+          .text(`Machine ${machine.machine_id}`, doc.page.margins.left);
+        doc.moveDown(0.5);
+        doc.fontSize(9).font("Helvetica-Bold");
+        const widths = [40, 195, 60, 60, 60, 100];
+        row(["Slot", "Product", "Stock", "Load", "Loaded", "Check"], widths);
+        doc.font("Helvetica");
+        for (const item of machine.items) {
+          row(
+            [
+              item.slot_number,
+              item.product_name,
+              `${item.current_stock}/${item.capacity}`,
+              item.planned_quantity,
+              item.loaded_quantity ?? "",
+              "[  ]",
+            ],
+            widths
+          );
+        }
+      }
+
+      doc.end();
+    });
+  }
+}
+
+const restockService = new RestockService();
+restockService.PLAN_STATUSES = PLAN_STATUSES;
+
+module.exports = restockService;
@@ -0,0 +1,498 @@
+/**
+ * Sales Report Service - fleet-wide sales analytics
+ *
+ * Orders are selected by created_at within a date range that is read in the
+ * requested time zone (default DEFAULT_TIMEZONE in ./timezone), so "a day"
+ * is a local day and hour-of-day buckets are local hours. Aggregation runs
+ * here rather than in SQL so MySQL, Supabase and memory give the same numbers.
+ *
+ * - paid: the order has paid_at or a status only reached after payment
+ * - completed: status COMPLETED; revenue, items and baskets count only these.
+ *   Multi-item orders count their order_items except FAILED ones (those are
+ *   refunded per item); single-item orders count the order itself
+ * - conversion: created -> paid -> completed
+ */
+
+const moment = require("moment");
+const ExcelJS = require("exceljs");
+const repositories = require("../repositories");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedParts,
+  localDate,
+  zonedMidnight,
+  addDays,
+  today,
+  isoWeekday,
+} = require("./timezone");
+const { httpError } = require("../utils/httpError");
+const { toCsv } = require("../utils/csv");
+
+const GROUP_BY = ["day", "week", "month"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const PAID_STATUSES = ["PAID", "DISPENSING", "PENDING_DISPENSE", "COMPLETED"];
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(count, total) {
+  return total > 0 ? round(count / total, 4) : null;
+}
+
+// Bucket of a local date: the day, the Monday starting its ISO week, or YYYY-MM
+function periodKey(date, groupBy) {
+  if (groupBy === "month") return date.slice(0, 7);
+  if (groupBy === "week") {
+    return moment
+      .utc(date, "YYYY-MM-DD")
+      .startOf("isoWeek")
+      .format("YYYY-MM-DD");
+  }
+  return date;
+}
+
+// ---- aggregation -----------------------------------------------------------
+
+function isPaid(order) {
+  return Boolean(order.paid_at) || PAID_STATUSES.includes(order.status);
+}
+
+// What a completed order sold: [{ product_id, product_name, category, quantity, revenue }]
+function soldLines(order) {
+  if (order.status !== "COMPLETED") return [];
+  if (!order.items || order.items.length === 0) {
+    return [
+      {
+        product_id: order.product_id,
+        product_name: order.product_name,
+        category: order.category,
+        quantity: Number(order.quantity) || 1,
+        revenue: Number(order.total_amount) || 0,
+      },
+    ];
+  }
+  return order.items
+    .filter((item) => item.dispense_status !== "FAILED")
+    .map((item) => ({
+      product_id: item.product_id,
+      product_name: item.product_name,
+      category: item.category,
+      quantity: Number(item.quantity) || 0,
+      revenue: Number(item.total) || 0,
+    }));
+}
+
+function paymentMethod(order) {
+  return String(order.payment_type || order.payment_method || "unknown")
+    .toLowerCase()
+    .trim();
+}
+
+function emptyCounts() {
+  return { orders: 0, paid: 0, completed: 0, items: 0, revenue: 0 };
+}
+
+function count(bucket, order, lines) {
+  bucket.orders++;
+  if (isPaid(order)) bucket.paid++;
+  if (order.status === "COMPLETED") bucket.completed++;
+  for (const line of lines) {
+    bucket.items += line.quantity;
+    bucket.revenue += line.revenue;
+  }
+}
+
+function finish(bucket, totalRevenue) {
+  return {
+    ...bucket,
+    revenue: round(bucket.revenue),
+    conversion_rate: ratio(bucket.completed, bucket.orders),
+    ...(totalRevenue !== undefined && {
+      revenue_share: ratio(bucket.revenue, totalRevenue),
+    }),
+  };
+}
+
+function aggregate(orders, range, groupBy) {
+  const totals = emptyCounts();
+  let failed = 0;
+  let refunded = 0;
+  let distinctProducts = 0;
+
+  const periods = new Map();
+  for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+    const key = periodKey(date, groupBy);
+    if (!periods.has(key)) periods.set(key, { period: key, ...emptyCounts() });
+  }
+  const machines = new Map();
+  const products = new Map();
+  const categories = new Map();
+  const methods = new Map();
+  const heatmap = [];
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    for (let hour = 0; hour < 24; hour++) {
+      heatmap.push({
+        weekday,
+        weekday_name: WEEKDAYS[weekday - 1],
+        hour,
+        orders: 0,
+        revenue: 0,
+      });
+    }
+  }
+
+  for (const order of orders) {
+    const lines = soldLines(order);
+    const local = zonedParts(new Date(order.created_at), range.timezone);
+    const date = localDate(local);
+
+    count(totals, order, lines);
+    if (order.status === "FAILED") failed++;
+    if (order.status === "REFUNDED") refunded++;
+    distinctProducts += new Set(lines.map((line) => line.product_id)).size;
+
+    const period = periods.get(periodKey(date, groupBy));
+    if (period) count(period, order, lines);
+
+    const machine = machines.get(order.machine_id) || {
+      machine_id: order.machine_id,
+      machine_name: order.machine_name ?? null,
+      location: order.machine_location ?? null,
+      ...emptyCounts(),
+    };
+    count(machine, order, lines);
+    machines.set(order.machine_id, machine);
+
+    const methodKey = paymentMethod(order);
+    const method = methods.get(methodKey) || {
+      payment_method: methodKey,
+      ...emptyCounts(),
+    };
+    count(method, order, lines);
+    methods.set(methodKey, method);
+
+    if (order.status === "COMPLETED") {
+      const weekday = isoWeekday(date);
+      const cell = heatmap[(weekday - 1) * 24 + local.hour];
+      cell.orders++;
+      cell.revenue += lines.reduce((sum, line) => sum + line.revenue, 0);
+    }
+
+    for (const line of lines) {
+      const product = products.get(line.product_id) || {
+        product_id: line.product_id,
+        product_name: line.product_name ?? null,
+        category: line.category ?? null,
+        orders: new Set(),
+        quantity: 0,
+        revenue: 0,
+      };
+      product.orders.add(order.id);
+      product.quantity += line.quantity;
+      product.revenue += line.revenue;
+      products.set(line.product_id, product);
+
+      const categoryKey = line.category || null;
+      const category = categories.get(categoryKey) || {
+        category: categoryKey,
+        products: new Set(),
+        quantity: 0,
+        revenue: 0,
+      };
+      category.products.add(line.product_id);
+      category.quantity += line.quantity;
+      category.revenue += line.revenue;
+      categories.set(categoryKey, category);
+    }
+  }
+
+  const revenue = totals.revenue;
+  const byRevenue = (a, b) => b.revenue - a.revenue;
+
+  return {
+    summary: {
+      orders: totals.orders,
+      paid: totals.paid,
+      completed: totals.completed,
+      failed,
+      refunded,
+      items_sold: totals.items,
+      revenue: round(revenue),
+      avg_order_value: totals.completed
+        ? round(revenue / totals.completed)
+        : null,
+      avg_basket_items: totals.completed
+        ? round(totals.items / totals.completed)
+        : null,
+      avg_basket_products: totals.completed
+        ? round(distinctProducts / totals.completed)
+        : null,
+    },
+    conversion: {
+      created: totals.orders,
+      paid: totals.paid,
+      completed: totals.completed,
+      paid_rate: ratio(totals.paid, totals.orders),
+      completion_rate: ratio(totals.completed, totals.paid),
+      overall_rate: ratio(totals.completed, totals.orders),
+    },
+    by_period: [...periods.values()].map((bucket) => finish(bucket)),
+    by_product: [...products.values()]
+      .map(({ orders: orderIds, ...product }) => ({
+        ...product,
+        orders: orderIds.size,
+        revenue: round(product.revenue),
+        revenue_share: ratio(product.revenue, revenue),
+      }))
+      .sort(byRevenue),
+    by_category: [...categories.values()]
+      .map(({ products: productIds, ...category }) => ({
+        ...category,
+        products: productIds.size,
+        revenue: round(category.revenue),
+        revenue_share: ratio(category.revenue, revenue),
+      }))
+      .sort(byRevenue),
+    by_machine: [...machines.values()]
+      .map((bucket) => finish(bucket, revenue))
+      .sort(byRevenue),
+    by_payment_method: [...methods.values()]
+      .map((bucket) => finish(bucket, revenue))
+      .sort(byRevenue),
+    heatmap: heatmap.map((cell) => ({ ...cell, revenue: round(cell.revenue) })),
+  };
+}
+
+// ---- export ----------------------------------------------------------------
+
+const money = { numFmt: "#,##0.00" };
+const percent = { numFmt: "0.00%" };
+
+// view -> sheet title, rows and columns; shared by CSV and XLSX
+const VIEWS = {
+  summary: {
+    title: "Summary",
+    rows: (report) =>
+      [
+        ["from", report.range.from],
+        ["to", report.range.to],
+        ["timezone", report.range.timezone],
+        ["machines", report.filters.machine_ids.join(" ") || "all"],
+        ...Object.entries(report.summary),
+        ...Object.entries(report.conversion).map(([key, value]) => [
+          `conversion_${key}`,
+          value,
+        ]),
+      ].map(([metric, value]) => ({ metric, value })),
+    columns: [{ key: "metric" }, { key: "value" }],
+  },
+  period: {
+    title: "By period",
+    rows: (report) => report.by_period,
+    columns: [
+      { key: "period" },
+      { key: "orders" },
+      { key: "paid" },
+      { key: "completed" },
+      { key: "items" },
+      { key: "revenue", style: money },
+      { key: "conversion_rate", style: percent },
+    ],
+  },
+  product: {
+    title: "By product",
+    rows: (report) => report.by_product,
+    columns: [
+      { key: "product_id" },
+      { key: "product_name" },
+      { key: "category" },
+      { key: "orders" },
+      { key: "quantity" },
+      { key: "revenue", style: money },
+      { key: "revenue_share", style: percent },
+    ],
+  },
+  category: {
+    title: "By category",
+    rows: (report) => report.by_category,
+    columns: [
+      { key: "category" },
+      { key: "products" },
+      { key: "quantity" },
+      { key: "revenue", style: money },
+      { key: "revenue_share", style: percent },
+    ],
+  },
+  machine: {
+    title: "By machine",
+    rows: (report) => report.by_machine,
+    columns: [
+      { key: "machine_id" },
+      { key: "machine_name" },
+      { key: "location" },
+      { key: "orders" },
+      { key: "paid" },
+      { key: "completed" },
+      { key: "items" },
+      { key: "revenue", style: money },
+      { key: "revenue_share", style: percent },
+      { key: "conversion_rate", style: percent },
+    ],
+  },
+  payment_method: {
+    title: "By payment method",
+    rows: (report) => report.by_payment_method,
+    columns: [
+      { key: "payment_method" },
+      { key: "orders" },
+      { key: "paid" },
+      { key: "completed" },
+      { key: "revenue", style: money },
+      { key: "revenue_share", style: percent },
+      { key: "conversion_rate", style: percent },
+    ],
+  },
+  heatmap: {
+    title: "Hour heatmap",
+    rows: (report) => report.heatmap,
+    columns: [
+      { key: "weekday" },
+      { key: "weekday_name" },
+      { key: "hour" },
+      { key: "orders" },
+      { key: "revenue", style: money },
+    ],
+  },
+};
+
+class SalesReportService {
+  /**
+   * Normalize a report range: from/to are YYYY-MM-DD dates in the time zone,
+   * both inclusive; by default the DEFAULT_RANGE_DAYS days up to today
+   * @returns {{ from, to, timezone, start: Date, end: Date }} end is exclusive
+   * @throws 400 for invalid dates, time zones or ranges over MAX_RANGE_DAYS
+   */
+  resolveRange({ from, to, timezone = DEFAULT_TIMEZONE } = {}) {
+    if (!isValidTimezone(timezone)) {
+      throw httpError(400, `Unknown time zone ${timezone}`);
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (
+        value &&
+        !(
+          DATE_PATTERN.test(value) &&
+          moment.utc(value, "YYYY-MM-DD", true).isValid()
+        )
+      ) {
+        throw httpError(400, `${name} must be a date (YYYY-MM-DD)`);
+      }
+    }
+
+    const end = to || today(timezone);
+    const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+    if (start > end) {
+      throw httpError(400, "from must not be after to");
+    }
+    const days =
+      moment
+        .utc(end, "YYYY-MM-DD")
+        .diff(moment.utc(start, "YYYY-MM-DD"), "days") + 1;
+    if (days > MAX_RANGE_DAYS) {
+      throw httpError(400, `Range is limited to ${MAX_RANGE_DAYS} days`);
+    }
+
+    return {
+      from: start,
+      to: end,
+      timezone,
+      start: zonedMidnight(start, timezone),
+      end: zonedMidnight(addDays(end, 1), timezone),
+    };
+  }
+
+  /**
+   * Sales report across machines
+   * @param {object} options - { from, to, timezone, groupBy, machineIds }
+   * @returns {Promise<object>} { range, filters, summary, conversion, by_period,
+   *   by_product, by_category, by_machine, by_payment_method, heatmap }
+   */
+  async salesReport({
+    from,
+    to,
+    timezone,
+    groupBy = "day",
+    machineIds = [],
+  } = {}) {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw httpError(400, `group_by must be one of ${GROUP_BY.join(", ")}`);
+    }
+    const range = this.resolveRange({ from, to, timezone });
+
+    const orders = await repositories.orders.listForReport({
+      from: range.start,
+      to: range.end,
+      machineIds,
+    });
+
+    return {
+      range: {
+        from: range.from,
+        to: range.to,
+        timezone: range.timezone,
+        start: range.start.toISOString(),
+        end: range.end.toISOString(),
+        group_by: groupBy,
+      },
+      filters: { machine_ids: machineIds },
+      ...aggregate(orders, range, groupBy),
+    };
+  }
+
+  // Products a completed order sold, for demand forecasts
+  soldLines(order) {
+    return soldLines(order);
+  }
+
+  toCsv(report, view) {
+    const { columns, rows } = VIEWS[view];
+    return toCsv(
+      columns.map((column) => column.key),
+      rows(report).map((row) => columns.map((column) => row[column.key]))
+    );
+  }
+
+  // One worksheet per view
+  async toXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    for (const { title, columns, rows } of Object.values(VIEWS)) {
+      const sheet = workbook.addWorksheet(title);
+      sheet.columns = columns.map((column) => ({
+        header: column.key,
+        key: column.key,
+        width: Math.max(12, column.key.length + 2),
+        style: column.style,
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: "frozen", ySplit: 1 }];
+      sheet.addRows(rows(report));
+    }
+
+    return workbook.xlsx.writeBuffer();
+  }
+}
+
+const salesReportService = new SalesReportService();
+salesReportService.GROUP_BY = GROUP_BY;
+salesReportService.VIEWS = Object.keys(VIEWS);
+salesReportService.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+module.exports = salesReportService;
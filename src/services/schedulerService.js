@@ -0,0 +1,210 @@
+/**
+ * Scheduler Service - in-process background jobs
+ *
+ * Runs registered jobs on fixed intervals with setInterval. A job never
+ * overlaps with itself: a tick is skipped while the previous run is still busy.
+ * The last SCHEDULER_HISTORY_LIMIT runs per job are kept in memory for the
+ * admin jobs endpoint.
+ *
+ * Set SCHEDULER_ENABLED=false on extra instances so jobs run only once per deployment.
+ */
+
+const HISTORY_LIMIT = parseInt(process.env.SCHEDULER_HISTORY_LIMIT) || 50;
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map(); // name -> job
+    this.started = false;
+    this.defaultsRegistered = false;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name
+   * @param {number} intervalMs
+   * @param {Function} handler - async () => summary object stored with the run
+   * @param {string} description
+   */
+  register(name, intervalMs, handler, description = "") {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      description,
+      intervalMs,
+      handler,
+      timer: null,
+      running: false,
+      history: [],
+    });
+
+    if (this.started) {
+      this.schedule(this.jobs.get(name));
+    }
+  }
+
+  registerDefaultJobs() {
+    if (this.defaultsRegistered) return;
+    this.defaultsRegistered = true;
+
+    const maintenanceService = require("./maintenanceService");
+
+    this.register(
+      "expire-pending-orders",
+      parseInt(process.env.JOB_EXPIRE_ORDERS_INTERVAL_MS) || 60000,
+      () => maintenanceService.expirePendingOrders(),
+      "Fail PENDING orders past expires_at and mark their payment EXPIRED"
+    );
+    this.register(
+      "mark-offline-machines",
+      parseInt(process.env.JOB_OFFLINE_MACHINES_INTERVAL_MS) || 60000,
+      () => maintenanceService.markStaleMachinesOffline(),
+      "Mark machines OFFLINE when last_seen is older than MACHINE_OFFLINE_AFTER_MS"
+    );
+    this.register(
+      "fail-stuck-dispenses",
+      parseInt(process.env.JOB_STUCK_DISPENSES_INTERVAL_MS) || 120000,
+      () => maintenanceService.failStuckDispenses(),
+      "Fail and refund orders stuck in DISPENSING longer than DISPENSE_STUCK_AFTER_MS"
+    );
+    this.register(
+      "retry-failed-events",
+      parseInt(process.env.JOB_RETRY_EVENTS_INTERVAL_MS) || 300000,
+      () => require("./eventBus").retryFailed(),
+      "Re-run event handlers that failed, up to EVENT_MAX_ATTEMPTS per event"
+    );
+    this.register(
+      "deliver-webhooks",
+      parseInt(process.env.JOB_WEBHOOK_DELIVERY_INTERVAL_MS) || 30000,
+      () => require("./webhookService").processDue(),
+      "Send due webhook deliveries and retries, dead-lettering after WEBHOOK_MAX_ATTEMPTS"
+    );
+    this.register(
+      "check-alerts",
+      parseInt(process.env.JOB_CHECK_ALERTS_INTERVAL_MS) || 60000,
+      () => require("./alertService").checkAll(),
+      "Raise or resolve low_stock/stock_out_forecast alerts for every slot and door_open alerts"
+    );
+    this.register(
+      "check-stock-lots",
+      parseInt(process.env.JOB_STOCK_LOTS_INTERVAL_MS) || 3600000,
+      () => require("./lotService").checkExpiry(),
+      "Mark stock lots past expiry_date EXPIRED and raise near_expiry/lot_expired alerts"
+    );
+    this.register(
+      "advance-firmware-rollouts",
+      parseInt(process.env.JOB_FIRMWARE_ROLLOUTS_INTERVAL_MS) || 60000,
+      () => require("./firmwareService").processRollouts(),
+      "Re-announce OTA updates, fail machines without progress and halt, promote or complete rollouts"
+    );
+  }
+
+  start() {
+    if (this.started) return;
+
+    if (process.env.SCHEDULER_ENABLED === "false") {
+      console.log("⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)");
+      return;
+    }
+
+    this.registerDefaultJobs();
+
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+    }
+    console.log(`⏰ Scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => {
+      this.runJob(job.name).catch((error) =>
+        console.error(`Job ${job.name} error:`, error)
+      );
+    }, job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    job.timer.unref();
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+    this.started = false;
+  }
+
+  /**
+   * Run a job now
+   * @param {string} name
+   * @param {string} trigger - "schedule" or who triggered it manually
+   * @returns {Promise<object|null>} The run record, null if the job was busy
+   */
+  async runJob(name, trigger = "schedule") {
+    this.registerDefaultJobs();
+    const job = this.jobs.get(name);
+    if (!job) {
+      const error = new Error(`Unknown job: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (job.running) {
+      console.log(`⏭️ Job ${name} still running, skipping`);
+      return null;
+    }
+
+    const run = {
+      job: name,
+      trigger,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      status: "RUNNING",
+      result: null,
+      error: null,
+    };
+
+    job.running = true;
+    job.history.unshift(run);
+    job.history.length = Math.min(job.history.length, HISTORY_LIMIT);
+
+    const startedAt = Date.now();
+    try {
+      run.result = (await job.handler()) || null;
+      run.status = "SUCCESS";
+    } catch (error) {
+      console.error(`❌ Job ${name} failed:`, error);
+      run.status = "FAILED";
+      run.error = error.message;
+    } finally {
+      run.finished_at = new Date().toISOString();
+      run.duration_ms = Date.now() - startedAt;
+      job.running = false;
+    }
+
+    return run;
+  }
+
+  getJobs() {
+    this.registerDefaultJobs();
+    return Array.from(this.jobs.values()).map((job) => ({
+      name: job.name,
+      description: job.description,
+      interval_ms: job.intervalMs,
+      scheduled: Boolean(job.timer),
+      running: job.running,
+      last_run: job.history[0] || null,
+    }));
+  }
+
+  getHistory(name) {
+    this.registerDefaultJobs();
+    const job = this.jobs.get(name);
+    return job ? job.history : null;
+  }
+}
+
+module.exports = new SchedulerService();
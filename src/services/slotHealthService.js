@@ -0,0 +1,250 @@
+/**
+ * Slot Health Service - motor and drop-sensor reliability per slot
+ *
+ * Built from dispense_logs over a window of days. Per slot:
+ *
+ * - success_rate: successful results / results. Attempts that timed out
+ *   waiting for the ACK are a connectivity problem and counted separately
+ * - jams: failed results whose error_message looks like a motor jam
+ * - missed_drops: results where the motor reported success but the drop
+ *   sensor saw nothing (sensor dirty/misaligned or product stuck)
+ * - duration: duration_ms of successful dispenses with a detected drop, i.e.
+ *   how long the motor had to run before the product fell. drift_pct compares
+ *   the newer half of the window with the older half
+ *
+ * Slots are flagged for maintenance when a metric crosses THRESHOLDS. With
+ * enough detected drops a motor_duration_ms is suggested: the 90th percentile
+ * plus SUGGESTION_MARGIN, rounded to 50 ms. A shorter time is not suggested
+ * while the slot misses drops, since a short run is one cause of those.
+ */
+
+const moment = require("moment");
+const repositories = require("../repositories");
+
+const THRESHOLDS = {
+  min_results: parseInt(process.env.SLOT_HEALTH_MIN_RESULTS) || 10,
+  success_rate: 0.9,
+  jam_count: 3,
+  jam_rate: 0.05,
+  missed_drop_rate: 0.1,
+  drift_pct: 20,
+};
+
+const JAM_PATTERN = /jam|stuck|stall|blocked|overcurrent/i;
+const ACK_TIMEOUT_PATTERN = /^ACK timeout/;
+
+const SUGGESTION_MARGIN = 0.2;
+// Same range as motor.duration_ms in the remote config schema
+const MOTOR_DURATION_RANGE = { min: 200, max: 10000 };
+
+function ratio(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+// Newer half of the window against the older half, in percent
+function driftPct(durations) {
+  if (durations.length < THRESHOLDS.min_results) return null;
+  const half = Math.floor(durations.length / 2);
+  const baseline = average(durations.slice(0, half));
+  const recent = average(durations.slice(durations.length - half));
+  return baseline
+    ? Math.round(((recent - baseline) / baseline) * 1000) / 10
+    : null;
+}
+
+function suggestDuration(durations, configured, flags) {
+  if (durations.length < THRESHOLDS.min_results) return null;
+
+  const p90 = percentile(durations, 0.9);
+  const suggested = Math.min(
+    MOTOR_DURATION_RANGE.max,
+    Math.max(
+      MOTOR_DURATION_RANGE.min,
+      Math.round((p90 * (1 + SUGGESTION_MARGIN)) / 50) * 50
+    )
+  );
+  if (configured && Math.abs(suggested - configured) / configured <= 0.1) {
+    return null;
+  }
+  if (
+    configured &&
+    suggested < configured &&
+    flags.some((flag) => flag.code === "missed_drops")
+  ) {
+    return null;
+  }
+
+  return {
+    motor_duration_ms: suggested,
+    reason: `90% of drops within ${p90} ms${
+      configured ? `, configured ${configured} ms` : ""
+    }`,
+  };
+}
+
+function analyzeSlot(slot, logs) {
+  const ackTimeouts = logs.filter(
+    (log) =>
+      log.completed_at && ACK_TIMEOUT_PATTERN.test(log.error_message || "")
+  );
+  const results = logs.filter(
+    (log) =>
+      log.completed_at && !ACK_TIMEOUT_PATTERN.test(log.error_message || "")
+  );
+  const successes = results.filter((log) => Boolean(log.success));
+  const failures = results.filter((log) => !log.success);
+  const jams = failures.filter((log) =>
+    JAM_PATTERN.test(log.error_message || "")
+  );
+  const missedDrops = successes.filter((log) => !log.drop_detected);
+  const durations = successes
+    .filter((log) => log.drop_detected && log.duration_ms != null)
+    .map((log) => Number(log.duration_ms));
+
+  const metrics = {
+    attempts: logs.length,
+    results: results.length,
+    ack_timeouts: ackTimeouts.length,
+    successes: successes.length,
+    failures: failures.length,
+    success_rate: ratio(successes.length, results.length),
+    jams: jams.length,
+    jam_rate: ratio(jams.length, results.length),
+    missed_drops: missedDrops.length,
+    missed_drop_rate: ratio(missedDrops.length, successes.length),
+    last_jam_at: jams.length > 0 ? jams[jams.length - 1].completed_at : null,
+  };
+  const duration = {
+    configured_ms: slot.motor_duration_ms ?? null,
+    samples: durations.length,
+    avg_ms: average(durations),
+    p90_ms: percentile(durations, 0.9),
+    max_ms: durations.length > 0 ? Math.max(...durations) : null,
+    drift_pct: driftPct(durations),
+  };
+
+  const flags = [];
+  const enoughData = results.length >= THRESHOLDS.min_results;
+  if (enoughData && metrics.success_rate < THRESHOLDS.success_rate) {
+    flags.push({
+      code: "low_success_rate",
+      message: `Success rate ${Math.round(metrics.success_rate * 100)}%`,
+    });
+  }
+  if (
+    jams.length >= THRESHOLDS.jam_count ||
+    (enoughData && metrics.jam_rate > THRESHOLDS.jam_rate)
+  ) {
+    flags.push({
+      code: "frequent_jams",
+      message: `${jams.length} jam(s) in ${results.length} dispenses`,
+    });
+  }
+  if (
+    enoughData &&
+    metrics.missed_drop_rate !== null &&
+    metrics.missed_drop_rate > THRESHOLDS.missed_drop_rate
+  ) {
+    flags.push({
+      code: "missed_drops",
+      message: `Drop sensor missed ${missedDrops.length} of ${successes.length} successful dispenses`,
+    });
+  }
+  if (
+    duration.drift_pct !== null &&
+    Math.abs(duration.drift_pct) > THRESHOLDS.drift_pct
+  ) {
+    flags.push({
+      code: "duration_drift",
+      message: `Motor time to drop ${
+        duration.drift_pct > 0 ? "up" : "down"
+      } ${Math.abs(duration.drift_pct)}%`,
+    });
+  }
+
+  let status = "OK";
+  if (flags.length > 0) status = "MAINTENANCE";
+  else if (!enoughData) status = "INSUFFICIENT_DATA";
+
+  return {
+    slot_id: slot.id,
+    slot_number: slot.slot_number,
+    product_name: slot.product_name ?? null,
+    is_active: Boolean(slot.is_active),
+    status,
+    flags,
+    metrics,
+    duration,
+    suggestion: suggestDuration(durations, duration.configured_ms, flags),
+  };
+}
+
+class SlotHealthService {
+  /**
+   * Reliability of every slot of a machine
+   * @param {object} options - { days, slotNumber, flaggedOnly }
+   * @returns {Promise<object>} { machine_id, since, days, thresholds, summary, slots }
+   * @throws 404 for unknown machines
+   */
+  async forMachine(
+    machineId,
+    { days = 30, slotNumber, flaggedOnly = false } = {}
+  ) {
+    const machine = await repositories.machines.findById(machineId);
+    if (!machine) {
+      const error = new Error("Machine not found");
+      error.status = 404;
+      throw error;
+    }
+
+    const since = moment().subtract(days, "days").toDate();
+    const logs = await repositories.dispenseLogs.listSince(machineId, since);
+    const bySlot = new Map();
+    for (const log of logs) {
+      const slotLogs = bySlot.get(Number(log.slot_number)) || [];
+      slotLogs.push(log);
+      bySlot.set(Number(log.slot_number), slotLogs);
+    }
+
+    let slots = (await repositories.slots.listByMachine(machineId))
+      .filter((slot) => !slotNumber || slot.slot_number === slotNumber)
+      .sort((a, b) => a.slot_number - b.slot_number)
+      .map((slot) => analyzeSlot(slot, bySlot.get(slot.slot_number) || []));
+
+    const summary = {
+      slots: slots.length,
+      maintenance: slots.filter((s) => s.status === "MAINTENANCE").length,
+      insufficient_data: slots.filter((s) => s.status === "INSUFFICIENT_DATA")
+        .length,
+      suggestions: slots.filter((s) => s.suggestion).length,
+    };
+    if (flaggedOnly) {
+      slots = slots.filter((s) => s.status === "MAINTENANCE");
+    }
+
+    return {
+      machine_id: machineId,
+      days,
+      since: since.toISOString(),
+      thresholds: THRESHOLDS,
+      summary,
+      slots,
+    };
+  }
+}
+
+const slotHealthService = new SlotHealthService();
+slotHealthService.THRESHOLDS = THRESHOLDS;
+
+module.exports = slotHealthService;
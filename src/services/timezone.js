@@ -0,0 +1,98 @@
+/**
+ * Time zone helpers for reports and forecasts
+ *
+ * Business days are local days (default REPORT_TIMEZONE or Asia/Jakarta).
+ * Dates are YYYY-MM-DD strings; conversion between instants and wall-clock
+ * time goes through Intl, so any IANA time zone works without extra data.
+ */
+
+const moment = require("moment");
+
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || "Asia/Jakarta";
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in the time zone
+function zonedParts(date, timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+function localDate({ year, month, day }) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Milliseconds the time zone is ahead of UTC at that instant
+function offsetMs(time, timezone) {
+  const p = zonedParts(new Date(time), timezone);
+  const wallClock = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+// Local midnight of a YYYY-MM-DD date as a UTC instant
+function zonedMidnight(date, timezone) {
+  const utcMidnight = moment.utc(date, "YYYY-MM-DD").valueOf();
+  const guess = utcMidnight - offsetMs(utcMidnight, timezone);
+  // Second pass in case the offset changes (DST) between guess and result
+  return new Date(utcMidnight - offsetMs(guess, timezone));
+}
+
+function addDays(date, days) {
+  return moment.utc(date, "YYYY-MM-DD").add(days, "days").format("YYYY-MM-DD");
+}
+
+// Current local date in the time zone
+function today(timezone = DEFAULT_TIMEZONE) {
+  return localDate(zonedParts(new Date(), timezone));
+}
+
+// ISO weekday of a local date, 1 = Monday .. 7 = Sunday
+function isoWeekday(date) {
+  return moment.utc(date, "YYYY-MM-DD").isoWeekday();
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedParts,
+  localDate,
+  zonedMidnight,
+  addDays,
+  today,
+  isoWeekday,
+};
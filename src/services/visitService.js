@@ -0,0 +1,327 @@
+/**
+ * Visit Service - technician visits to a machine
+ *
+ * A technician opens a visit on a machine (optionally sending the door-open
+ * command over MQTT), submits counts and restocks for many slots at once and
+ * closes the visit. Every batch is applied in one transaction and its
+ * stock_logs rows carry the visit_id and the technician from the token.
+ *
+ *   AUDIT    quantity is the counted stock; counted - expected is the
+ *            discrepancy (negative = shrinkage)
+ *   RESTOCK  quantity is the number of units loaded; with `counted` the slot
+ *            is audited first, so shrinkage is recorded before the load.
+ *            batch_number/expiry_date record the loaded units as a stock lot
+ *
+ * The slots are snapshotted when the visit opens and closes; the report shows
+ * both next to what was counted and loaded per slot.
+ */
+
+const repositories = require("../repositories");
+const lotService = require("./lotService");
+const { httpError } = require("../utils/httpError");
+const { KeyedLock } = require("../utils/keyedLock");
+
+const DOOR_OPEN_SECONDS = parseInt(process.env.VISIT_DOOR_OPEN_SECONDS) || 60;
+
+const VISIT_STATUSES = ["OPEN", "CLOSED"];
+const ENTRY_TYPES = ["RESTOCK", "AUDIT"];
+
+function snapshot(slots) {
+  return slots.map((slot) => ({
+    slot_id: slot.id,
+    slot_number: slot.slot_number,
+    product_id: slot.product_id,
+    product_name: slot.product_name,
+    current_stock: slot.current_stock,
+    capacity: slot.capacity,
+  }));
+}
+
+/**
+ * Per slot totals of a visit's stock logs (oldest first)
+ * @returns {Map<number, object>} slot_id -> { expected, counted, discrepancy, restocked, quantity_after }
+ */
+function slotChanges(logs) {
+  const slots = new Map();
+  for (const log of logs) {
+    const slotId = Number(log.slot_id);
+    if (!slots.has(slotId)) {
+      slots.set(slotId, {
+        expected: null,
+        counted: null,
+        discrepancy: 0,
+        restocked: 0,
+        quantity_after: null,
+      });
+    }
+
+    const slot = slots.get(slotId);
+    if (log.change_type === "AUDIT") {
+      slot.expected = log.quantity_before;
+      slot.counted = log.quantity_after;
+      slot.discrepancy += log.quantity_change;
+    } else if (log.change_type === "RESTOCK") {
+      slot.restocked += log.quantity_change;
+    }
+    slot.quantity_after = log.quantity_after;
+  }
+  return slots;
+}
+
+function summarize(changes) {
+  const summary = {
+    slots_counted: 0,
+    slots_restocked: 0,
+    restocked_units: 0,
+    shrinkage_units: 0,
+    surplus_units: 0,
+  };
+  for (const slot of changes.values()) {
+    if (slot.counted !== null) summary.slots_counted++;
+    if (slot.restocked > 0) summary.slots_restocked++;
+    summary.restocked_units += slot.restocked;
+    if (slot.discrepancy < 0) summary.shrinkage_units -= slot.discrepancy;
+    if (slot.discrepancy > 0) summary.surplus_units += slot.discrepancy;
+  }
+  return summary;
+}
+
+class VisitService {
+  constructor() {
+    this.locks = new KeyedLock(); // keyed by machine id
+  }
+
+  // Visit changes of one machine run one after another
+  withMachineLock(machineId, fn) {
+    return this.locks.run(machineId, fn);
+  }
+
+  async logs(visit) {
+    const { logs } = await repositories.slots.listStockLogs(visit.machine_id, {
+      visitId: visit.id,
+      limit: 10000,
+    });
+    return logs.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * @param {object} options - { openDoor, notes, technician, technicianId }
+   * @returns {Promise<object>} The new visit
+   */
+  async open(machineId, { openDoor = false, notes, technician, technicianId }) {
+    return this.withMachineLock(machineId, async () => {
+      const machine = await repositories.machines.findById(machineId);
+      if (!machine) throw httpError(404, "Machine not found");
+
+      const current = await repositories.visits.findOpen(machineId);
+      if (current) {
+        throw httpError(
+          409,
+          `Visit #${current.id} is still open on ${machineId}`
+        );
+      }
+
+      const slots = await repositories.slots.listByMachine(machineId);
+      const { id } = await repositories.visits.create({
+        machine_id: machineId,
+        status: "OPEN",
+        technician,
+        technician_id: technicianId,
+        door_command_sent: false,
+        notes,
+        slots_before: snapshot(slots),
+        opened_at: new Date().toISOString(),
+      });
+
+      if (openDoor) {
+        const sent = require("./mqttService").publishCommand(machineId, {
+          cmd: "open_door",
+          visitId: id,
+          durationSec: DOOR_OPEN_SECONDS,
+        });
+        if (sent) {
+          await repositories.visits.update(id, { door_command_sent: true });
+        }
+      }
+
+      return repositories.visits.findById(id);
+    });
+  }
+
+  /**
+   * Apply one batch of counts/restocks
+   * @param {Array<object>} entries - [{ slot_id, change_type, quantity, counted?,
+   *   batch_number?, expiry_date? }]
+   * @returns {Promise<object>} { visit_id, slots, summary, logs, lots } with the per slot result
+   */
+  async submit(visitId, entries, { technician }) {
+    const visit = await repositories.visits.findById(visitId);
+    if (!visit) throw httpError(404, "Visit not found");
+
+    return this.withMachineLock(visit.machine_id, async () => {
+      const current = await repositories.visits.findById(visit.id);
+      if (current.status !== "OPEN") {
+        throw httpError(409, `Visit is ${current.status}`);
+      }
+
+      const slots = await repositories.slots.listByMachine(visit.machine_id);
+      const slotIds = entries.map((entry) => Number(entry.slot_id));
+      const foreign = slotIds.filter(
+        (slotId) => !slots.some((slot) => slot.id === slotId)
+      );
+      if (foreign.length > 0) {
+        throw httpError(
+          400,
+          `Slot not on machine ${visit.machine_id}: ${foreign.join(", ")}`
+        );
+      }
+      if (new Set(slotIds).size !== slotIds.length) {
+        throw httpError(400, "Each slot may only appear once per batch");
+      }
+
+      const changes = [];
+      for (const entry of entries) {
+        const slotId = Number(entry.slot_id);
+        if (entry.change_type === "AUDIT") {
+          changes.push({
+            slot_id: slotId,
+            change_type: "AUDIT",
+            quantity: entry.quantity,
+          });
+          continue;
+        }
+
+        if (entry.counted !== undefined && entry.counted !== null) {
+          changes.push({
+            slot_id: slotId,
+            change_type: "AUDIT",
+            quantity: entry.counted,
+          });
+        }
+        changes.push({
+          slot_id: slotId,
+          change_type: "RESTOCK",
+          quantity: entry.quantity,
+        });
+      }
+
+      const logs = await repositories.slots.applyStockChanges(changes, {
+        reason: `Visit #${visit.id}`,
+        performedBy: technician,
+        visitId: visit.id,
+      });
+
+      const bySlot = slotChanges(logs);
+
+      // Counted slots lose the lots that are gone before the new lots go in
+      for (const [slotId, change] of bySlot) {
+        if (change.counted !== null) {
+          await lotService.reconcile(slotId, change.counted);
+        }
+      }
+      const lots = [];
+      for (const entry of entries) {
+        const slotId = Number(entry.slot_id);
+        if (entry.change_type !== "RESTOCK" || !entry.batch_number) continue;
+        const lot = await lotService.receive(
+          slots.find((slot) => slot.id === slotId),
+          {
+            quantity: bySlot.get(slotId).restocked,
+            batchNumber: entry.batch_number,
+            expiryDate: entry.expiry_date,
+            receivedBy: technician,
+          }
+        );
+        if (lot) lots.push(lot);
+      }
+
+      return {
+        visit_id: visit.id,
+        machine_id: visit.machine_id,
+        slots: [...bySlot].map(([slotId, change]) => ({
+          slot_id: slotId,
+          ...change,
+        })),
+        summary: summarize(bySlot),
+        logs,
+        lots,
+      };
+    });
+  }
+
+  async close(visitId, { notes } = {}) {
+    const visit = await repositories.visits.findById(visitId);
+    if (!visit) throw httpError(404, "Visit not found");
+
+    return this.withMachineLock(visit.machine_id, async () => {
+      const current = await repositories.visits.findById(visit.id);
+      if (current.status !== "OPEN") {
+        throw httpError(409, `Visit is ${current.status}`);
+      }
+
+      const slots = await repositories.slots.listByMachine(visit.machine_id);
+      await repositories.visits.update(visit.id, {
+        status: "CLOSED",
+        notes: notes ?? current.notes,
+        slots_after: snapshot(slots),
+        summary: summarize(slotChanges(await this.logs(visit))),
+        closed_at: new Date().toISOString(),
+      });
+
+      return this.report(visit.id);
+    });
+  }
+
+  /**
+   * Before/after state of every slot with what was counted and loaded.
+   * "after" is the live stock while the visit is still open.
+   * @returns {Promise<object|null>}
+   */
+  async report(visitId) {
+    const visit = await repositories.visits.findById(visitId);
+    if (!visit) return null;
+
+    const after =
+      visit.slots_after ||
+      snapshot(await repositories.slots.listByMachine(visit.machine_id));
+    const before = visit.slots_before || [];
+    const changes = slotChanges(await this.logs(visit));
+
+    const slotIds = [
+      ...new Set([...before, ...after].map((slot) => slot.slot_id)),
+    ];
+    const slots = slotIds
+      .map((slotId) => {
+        const was = before.find((slot) => slot.slot_id === slotId);
+        const is = after.find((slot) => slot.slot_id === slotId);
+        const change = changes.get(slotId);
+        return {
+          slot_id: slotId,
+          slot_number: (is || was).slot_number,
+          product_id: (is || was).product_id,
+          product_name: (is || was).product_name,
+          capacity: (is || was).capacity,
+          stock_before: was ? was.current_stock : null,
+          stock_after: is ? is.current_stock : null,
+          expected: change ? change.expected : null,
+          counted: change ? change.counted : null,
+          discrepancy: change ? change.discrepancy : 0,
+          restocked: change ? change.restocked : 0,
+        };
+      })
+      .sort((a, b) => a.slot_number - b.slot_number);
+
+    const { slots_before, slots_after, ...details } = visit;
+    return {
+      visit: details,
+      slots,
+      summary: visit.summary || summarize(changes),
+    };
+  }
+}
+
+const visitService = new VisitService();
+visitService.VISIT_STATUSES = VISIT_STATUSES;
+visitService.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = visitService;
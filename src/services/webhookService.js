@@ -0,0 +1,270 @@
+/**
+ * Webhook Service - outbound webhooks for partner systems (ERP, pharmacy inventory)
+ *
+ * Admins register subscriptions (URL, secret, event types). Every matching
+ * domain event becomes one webhook_deliveries row per subscription and is
+ * POSTed as JSON:
+ *
+ *   { "id": "<event id>", "type": "payment.succeeded", "created_at": "...", "data": {...} }
+ *
+ * Each request is signed with the subscription's secret:
+ *
+ *   X-Webhook-Timestamp: 1760000000
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, "<timestamp>.<raw body>")
+ *
+ * Any non-2xx response or network error is retried with exponential backoff
+ * (WEBHOOK_RETRY_BASE_MS, doubled per attempt). After WEBHOOK_MAX_ATTEMPTS the
+ * delivery is DEAD - the dead-letter list admins can redeliver from. Retries
+ * and replays can send the same event twice; receivers should dedupe on
+ * X-Webhook-Id.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const repositories = require("../repositories");
+
+// Domain events partners can subscribe to ("*" means all of them)
+const WEBHOOK_EVENTS = [
+  "order.created",
+  "payment.succeeded",
+  "payment.failed",
+  "dispense.completed",
+  "dispense.failed",
+  "stock.low",
+  "machine.offline",
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+class WebhookService {
+  constructor() {
+    this.processing = false;
+    this.processAgain = false;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  /**
+   * @returns {string} "sha256=<hex>" over "<timestamp>.<body>"
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    return `sha256=${digest}`;
+  }
+
+  // 30s, 1m, 2m, 4m, ... capped at 6 hours
+  retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+  }
+
+  matches(subscription, type) {
+    const types = subscription.event_types || [];
+    return types.includes("*") || types.includes(type);
+  }
+
+  /**
+   * Subscribe to the bus so every webhook event is queued for delivery
+   */
+  register(bus) {
+    for (const type of WEBHOOK_EVENTS) {
+      bus.subscribe(type, "webhooks", (event) => this.enqueue(event));
+    }
+  }
+
+  /**
+   * Queue a delivery of the event for every active subscription that wants it
+   * @returns {Promise<object>} { queued }
+   */
+  async enqueue(event) {
+    const subscriptions = (
+      await repositories.webhooks.listSubscriptions({ activeOnly: true })
+    ).filter((subscription) => this.matches(subscription, event.type));
+    if (subscriptions.length === 0) return { queued: 0 };
+
+    const payload = {
+      id: event.id,
+      type: event.type,
+      created_at: event.created_at,
+      data: event.payload,
+    };
+
+    for (const subscription of subscriptions) {
+      await repositories.webhooks.createDelivery({
+        subscription_id: subscription.id,
+        event_id: event.id,
+        event_type: event.type,
+        payload,
+        status: "PENDING",
+        attempts: 0,
+        next_attempt_at: new Date(),
+      });
+    }
+
+    // Deliver right away instead of waiting for the scheduler tick
+    setImmediate(() =>
+      this.processDue().catch((error) =>
+        console.error("Webhook delivery error:", error)
+      )
+    );
+
+    return { queued: subscriptions.length };
+  }
+
+  /**
+   * Attempt every delivery that is due (also the deliver-webhooks job).
+   * Runs one batch loop at a time; calls made meanwhile trigger another pass.
+   * @returns {Promise<object>} { attempted, delivered, retrying, dead }
+   */
+  async processDue({ limit = 50 } = {}) {
+    const summary = { attempted: 0, delivered: 0, retrying: 0, dead: 0 };
+    if (this.processing) {
+      this.processAgain = true;
+      return summary;
+    }
+
+    this.processing = true;
+    try {
+      do {
+        this.processAgain = false;
+        const deliveries = await repositories.webhooks.listDue({
+          now: new Date(),
+          limit,
+        });
+
+        for (const delivery of deliveries) {
+          const result = await this.attempt(delivery);
+          summary.attempted++;
+          if (result.status === "SUCCESS") summary.delivered++;
+          else if (result.status === "DEAD") summary.dead++;
+          else summary.retrying++;
+        }
+      } while (this.processAgain);
+    } finally {
+      this.processing = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * @returns {Promise<object>} the recorded fields ({ status, attempts, ... })
+   */
+  async attempt(delivery) {
+    const subscription = await repositories.webhooks.findSubscription(
+      delivery.subscription_id
+    );
+    if (!subscription || !subscription.is_active) {
+      const fields = {
+        status: "DEAD",
+        next_attempt_at: null,
+        last_error: "Subscription is inactive or deleted",
+      };
+      await repositories.webhooks.updateDelivery(delivery.id, fields);
+      return fields;
+    }
+
+    const attempts = (delivery.attempts || 0) + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await axios.post(subscription.url, body, {
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "VendingBackend-Webhooks/1.0",
+          "X-Webhook-Id": delivery.event_id,
+          "X-Webhook-Event": delivery.event_type,
+          "X-Webhook-Delivery": String(delivery.id),
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": this.sign(
+            subscription.secret,
+            timestamp,
+            body
+          ),
+        },
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        const responseBody =
+          typeof response.data === "string"
+            ? response.data
+            : JSON.stringify(response.data ?? "");
+        error = `HTTP ${statusCode}: ${responseBody.slice(0, 500)}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    let fields;
+    if (!error) {
+      fields = {
+        status: "SUCCESS",
+        attempts,
+        last_status_code: statusCode,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: new Date(),
+      };
+    } else if (attempts >= MAX_ATTEMPTS) {
+      fields = {
+        status: "DEAD",
+        attempts,
+        last_status_code: statusCode,
+        last_error: error,
+        next_attempt_at: null,
+      };
+      console.error(
+        `☠️ Webhook ${delivery.event_type} to ${subscription.url} dead after ${attempts} attempts: ${error}`
+      );
+    } else {
+      fields = {
+        status: "RETRYING",
+        attempts,
+        last_status_code: statusCode,
+        last_error: error,
+        next_attempt_at: new Date(Date.now() + this.retryDelay(attempts)),
+      };
+      console.warn(
+        `⚠️ Webhook ${delivery.event_type} to ${subscription.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error}`
+      );
+    }
+
+    await repositories.webhooks.updateDelivery(delivery.id, fields);
+    return fields;
+  }
+
+  /**
+   * Send a delivery again now, e.g. from the dead-letter list. The attempt
+   * count starts over, so a failure goes back to the normal retry schedule.
+   * @returns {Promise<object|null>} updated delivery, null if not found
+   */
+  async redeliver(deliveryId) {
+    const delivery = await repositories.webhooks.findDelivery(deliveryId);
+    if (!delivery) return null;
+
+    console.log(
+      `🔁 Redelivering webhook ${delivery.id} (${delivery.event_type})`
+    );
+    await this.attempt({ ...delivery, attempts: 0 });
+    return repositories.webhooks.findDelivery(deliveryId);
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = webhookService;
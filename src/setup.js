@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { createTables } = require("./database/migrate");
+const { Migrator } = require("./database/migrator");
 const { seedData } = require("./database/seed");
 
 async function setup() {
@@ -8,8 +8,8 @@ async function setup() {
     console.log("🚀 Setting up Vending Machine Backend...\n");
 
     // Create tables
-    console.log("1. Creating database tables...");
-    await createTables();
+    console.log("1. Applying schema migrations...");
+    await new Migrator().up();
 
     // Seed initial data
     console.log("\n2. Seeding initial data...");
@@ -0,0 +1,30 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell. Text that a spreadsheet would read as a formula gets a
+ * leading single quote; numbers are left as they are so negatives stay
+ * numeric.
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string[]} header
+ * @param {Array[]} rows - cell values in header order
+ * @returns {string} CSV with a trailing newline
+ */
+function toCsv(header, rows) {
+  return [header, ...rows]
+    .map((row) => row.map(csvValue).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+module.exports = { csvValue, toCsv };
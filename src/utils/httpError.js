@@ -0,0 +1,11 @@
+/**
+ * Error carrying the HTTP status a route should answer with. sendError()
+ * (utils/validation.js) passes error.message through for errors that have a status.
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { httpError };
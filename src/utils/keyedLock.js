@@ -0,0 +1,31 @@
+/**
+ * Keyed lock - runs async work for the same key one after another
+ *
+ * Work for different keys runs concurrently. A failed run does not block the
+ * runs queued behind it; its error only reaches its own caller.
+ */
+class KeyedLock {
+  constructor() {
+    this.pending = new Map(); // key -> promise of the last queued run
+  }
+
+  /**
+   * Run fn once every earlier run for the key has settled
+   * @returns {Promise<*>} Whatever fn resolves to
+   */
+  async run(key, fn) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.pending.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.pending.get(key) === current) {
+        this.pending.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { KeyedLock };
@@ -0,0 +1,39 @@
+const { validationResult } = require("express-validator");
+
+/**
+ * Answer 400 with the express-validator errors of the request
+ * @returns {boolean} true when the response was sent and the route should stop
+ */
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: "Validation failed",
+    details: errors.array(),
+  });
+  return true;
+}
+
+/**
+ * Answer with the status of an httpError(), or log the error and answer 500
+ * @param {string} message - error text of the 500 response (and the log line)
+ */
+function sendError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+  });
+}
+
+// Who made the request, as stored in created_by/performed_by columns
+function actor(req) {
+  return req.user.username || req.user.email || String(req.user.id);
+}
+
+module.exports = { validationFailed, sendError, actor };
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+
+/**
+ * Payment Gateway Adapter Test Script
+ *
+ * Runs the Midtrans and Xendit adapters against a local stand-in server that
+ * replays recorded gateway responses from fixtures/payment-gateway/.
+ * No network access or gateway credentials needed.
+ *
+ * Usage:
+ *   node test-payment-gateway.js
+ */
+
+const http = require("http");
+const path = require("path");
+const assert = require("assert");
+const MidtransProvider = require("./src/services/payment/midtransProvider");
+const XenditProvider = require("./src/services/payment/xenditProvider");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "payment-gateway");
+const SERVER_KEY = "SB-Mid-server-FIXTURE";
+const XENDIT_SECRET_KEY = "xnd_development_FIXTURE";
+const XENDIT_CALLBACK_TOKEN = "fixture-callback-token";
+const ORDER_ID = "ORD-20261019-A1B2C3D4";
+
+const fixture = (name) => require(path.join(FIXTURES_DIR, `${name}.json`));
+
+function basicAuth(key) {
+  return `Basic ${Buffer.from(`${key}:`).toString("base64")}`;
+}
+
+// Stand-in server: routes requests to recorded fixtures
+function createStandInServer() {
+  return http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : {};
+      const send = (status, data) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+      };
+
+      // Midtrans Core API
+      if (req.method === "POST" && req.url === "/v2/charge") {
+        if (req.headers.authorization !== basicAuth(SERVER_KEY)) {
+          return send(401, {
+            status_code: "401",
+            status_message: "Unknown Merchant server_key/id",
+          });
+        }
+        if (body.transaction_details.order_id === "ORD-DUPLICATE") {
+          return send(200, fixture("midtrans-charge-duplicate"));
+        }
+        if (body.payment_type === "qris") {
+          return send(200, fixture("midtrans-charge-qris"));
+        }
+        if (body.payment_type === "bank_transfer") {
+          return send(200, fixture("midtrans-charge-bank-transfer"));
+        }
+      }
+
+      // Midtrans refund
+      const refundMatch = req.url.match(/^\/v2\/([^/]+)\/refund$/);
+      if (req.method === "POST" && refundMatch) {
+        if (decodeURIComponent(refundMatch[1]) !== ORDER_ID) {
+          return send(200, fixture("midtrans-refund-denied"));
+        }
+        assert.strictEqual(body.refund_key, `${ORDER_ID}-R1`);
+        return send(200, fixture("midtrans-refund"));
+      }
+
+      // Midtrans Snap
+      if (req.method === "POST" && req.url === "/snap/v1/transactions") {
+        return send(201, fixture("midtrans-snap-transaction"));
+      }
+
+      // Xendit
+      if (req.method === "POST" && req.url.startsWith("/qr_codes/payments/")) {
+        assert.strictEqual(req.headers["api-version"], "2022-07-31");
+        assert.strictEqual(req.headers["idempotency-key"], body.reference_id);
+        return send(200, fixture("xendit-qr-refund"));
+      }
+      if (req.url === "/qr_codes" || req.url === "/callback_virtual_accounts") {
+        if (req.headers.authorization !== basicAuth(XENDIT_SECRET_KEY)) {
+          return send(401, {
+            error_code: "INVALID_API_KEY",
+            message: "API key is invalid",
+          });
+        }
+        if (req.url === "/qr_codes") {
+          assert.strictEqual(req.headers["api-version"], "2022-07-31");
+          return send(201, fixture("xendit-qr-code"));
+        }
+        return send(200, fixture("xendit-virtual-account"));
+      }
+
+      send(404, { message: `No fixture for ${req.method} ${req.url}` });
+    });
+  });
+}
+
+async function run(baseUrl) {
+  const midtrans = new MidtransProvider({
+    serverKey: SERVER_KEY,
+    apiUrl: baseUrl,
+    snapUrl: `${baseUrl}/snap/v1`,
+  });
+  const xendit = new XenditProvider({
+    secretKey: XENDIT_SECRET_KEY,
+    callbackToken: XENDIT_CALLBACK_TOKEN,
+    apiUrl: baseUrl,
+  });
+
+  const charge = { order_id: ORDER_ID, amount: 15000 };
+  const tests = [
+    [
+      "Midtrans QRIS charge returns QR string",
+      async () => {
+        const result = await midtrans.createCharge({
+          ...charge,
+          payment_method: "qris",
+        });
+        assert.strictEqual(result.gateway_name, "midtrans");
+        assert.strictEqual(
+          result.transaction_id,
+          "0f9d1a9b-8c3e-4b0e-9a9e-2f6a3d1c7b11"
+        );
+        assert.ok(result.qr_string.startsWith("000201"));
+        assert.ok(result.payment_url.endsWith("/qr-code"));
+      },
+    ],
+    [
+      "Midtrans VA charge returns VA number",
+      async () => {
+        const result = await midtrans.createCharge({
+          ...charge,
+          payment_method: "va",
+        });
+        assert.strictEqual(result.va_number, "12345678901");
+        assert.strictEqual(result.bank, "bca");
+      },
+    ],
+    [
+      "Midtrans Snap transaction returns token and redirect URL",
+      async () => {
+        const result = await midtrans.createCharge({
+          ...charge,
+          payment_method: "midtrans",
+        });
+        assert.strictEqual(
+          result.token,
+          "66e4fa55-fdac-4ef9-91b5-733b97d1b862"
+        );
+        assert.ok(result.payment_url.includes("/snap/v4/redirection/"));
+      },
+    ],
+    [
+      "Midtrans rejected charge throws PaymentGatewayError",
+      async () => {
+        await assert.rejects(
+          midtrans.createCharge({
+            ...charge,
+            order_id: "ORD-DUPLICATE",
+            payment_method: "qris",
+          }),
+          { name: "PaymentGatewayError", statusCode: 406 }
+        );
+      },
+    ],
+    [
+      "Midtrans wrong server key throws PaymentGatewayError",
+      async () => {
+        const wrongKey = new MidtransProvider({
+          serverKey: "wrong",
+          apiUrl: baseUrl,
+        });
+        await assert.rejects(
+          wrongKey.createCharge({ ...charge, payment_method: "qris" }),
+          {
+            name: "PaymentGatewayError",
+            statusCode: 401,
+          }
+        );
+      },
+    ],
+    [
+      "Midtrans notification signature is verified",
+      async () => {
+        const notification = fixture("midtrans-notification-settlement");
+        assert.strictEqual(midtrans.verifyNotification(notification), true);
+        assert.strictEqual(
+          midtrans.verifyNotification({
+            ...notification,
+            gross_amount: "1.00",
+          }),
+          false
+        );
+        assert.strictEqual(
+          midtrans.verifyNotification({
+            ...notification,
+            signature_key: undefined,
+          }),
+          false
+        );
+
+        const parsed = midtrans.parseNotification(notification);
+        assert.strictEqual(parsed.order_id, ORDER_ID);
+        assert.strictEqual(parsed.status, "SUCCESS");
+      },
+    ],
+    [
+      "Midtrans partial refund is approved",
+      async () => {
+        const result = await midtrans.refund({
+          order_id: ORDER_ID,
+          amount: 5000,
+          reason: "Dispense failed",
+          refund_key: `${ORDER_ID}-R1`,
+        });
+        assert.strictEqual(result.status, "SUCCESS");
+        assert.strictEqual(result.refund_id, `${ORDER_ID}-R1`);
+      },
+    ],
+    [
+      "Midtrans rejected refund throws PaymentGatewayError",
+      async () => {
+        await assert.rejects(
+          midtrans.refund({
+            order_id: "ORD-UNSETTLED",
+            amount: 5000,
+            refund_key: "ORD-UNSETTLED-R1",
+          }),
+          { name: "PaymentGatewayError", statusCode: 412 }
+        );
+      },
+    ],
+    [
+      "Xendit QRIS charge returns QR string",
+      async () => {
+        const result = await xendit.createCharge({
+          ...charge,
+          payment_method: "qris",
+        });
+        assert.strictEqual(result.gateway_name, "xendit");
+        assert.ok(result.qr_string.startsWith("000201"));
+      },
+    ],
+    [
+      "Xendit VA charge returns VA number",
+      async () => {
+        const result = await xendit.createCharge({
+          ...charge,
+          payment_method: "va",
+        });
+        assert.strictEqual(result.va_number, "107669999123456");
+        assert.strictEqual(result.bank, "BCA");
+      },
+    ],
+    [
+      "Xendit unsupported method throws PaymentGatewayError",
+      async () => {
+        await assert.rejects(
+          xendit.createCharge({ ...charge, payment_method: "gopay" }),
+          {
+            name: "PaymentGatewayError",
+          }
+        );
+      },
+    ],
+    [
+      "Xendit QRIS refund succeeds, VA refund is rejected",
+      async () => {
+        const refund = {
+          transaction_id: "qrpy_8182837te-87st-49ing-8696-1239bd4d759c",
+          amount: 5000,
+          reason: "Dispense failed",
+          refund_key: `${ORDER_ID}-R1`,
+        };
+        const result = await xendit.refund({ ...refund, payment_type: "qris" });
+        assert.strictEqual(result.status, "SUCCESS");
+        assert.ok(result.refund_id.startsWith("qrrf_"));
+
+        await assert.rejects(xendit.refund({ ...refund, payment_type: "va" }), {
+          name: "PaymentGatewayError",
+        });
+      },
+    ],
+    [
+      "Xendit callback token is verified",
+      async () => {
+        const callback = fixture("xendit-qr-payment-callback");
+        assert.strictEqual(
+          xendit.verifyNotification(callback, {
+            "x-callback-token": XENDIT_CALLBACK_TOKEN,
+          }),
+          true
+        );
+        assert.strictEqual(
+          xendit.verifyNotification(callback, { "x-callback-token": "forged" }),
+          false
+        );
+        assert.strictEqual(xendit.verifyNotification(callback, {}), false);
+      },
+    ],
+    [
+      "Xendit QR and VA callbacks map to SUCCESS",
+      async () => {
+        const qr = xendit.parseNotification(
+          fixture("xendit-qr-payment-callback")
+        );
+        assert.deepStrictEqual([qr.order_id, qr.status], [ORDER_ID, "SUCCESS"]);
+
+        const va = xendit.parseNotification(
+          fixture("xendit-va-payment-callback")
+        );
+        assert.deepStrictEqual([va.order_id, va.status], [ORDER_ID, "SUCCESS"]);
+      },
+    ],
+  ];
+
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(`   ${error.message}`);
+    }
+  }
+
+  console.log(`\n📝 ${tests.length - failed}/${tests.length} passed`);
+  return failed;
+}
+
+const server = createStandInServer();
+server.listen(0, "127.0.0.1", async () => {
+  const { port } = server.address();
+  console.log(`🧪 Payment gateway stand-in listening on port ${port}\n`);
+
+  const failed = await run(`http://127.0.0.1:${port}`);
+  server.close();
+  process.exit(failed > 0 ? 1 : 0);
+});
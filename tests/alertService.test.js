@@ -0,0 +1,80 @@
+const repositories = require("../src/repositories");
+const alertService = require("../src/services/alertService");
+const forecastService = require("../src/services/forecastService");
+
+const FORECAST = {
+  slots: [
+    {
+      slot_id: 1,
+      daily_demand: 2,
+      expected_stockout_date: "2026-10-20",
+      days_until_stockout: 1,
+    },
+  ],
+};
+
+let forMachine;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  forMachine = jest
+    .spyOn(forecastService, "forMachine")
+    .mockResolvedValue(FORECAST);
+
+  alertService.rulesCache = null;
+  alertService.forecasts.clear();
+  repositories.memoryStore.reset();
+  repositories.memoryStore.seed({
+    machines: [{ id: "VM01", name: "Lobby", status: "ONLINE" }],
+    products: [{ id: 1, name: "Water", price: 5000, is_active: true }],
+    slots: [
+      {
+        id: 1,
+        machine_id: "VM01",
+        slot_number: 1,
+        product_id: 1,
+        current_stock: 1,
+        capacity: 10,
+        is_active: true,
+      },
+    ],
+  });
+});
+
+async function openAlerts(ruleType) {
+  return repositories.alerts.listOpen({ ruleType });
+}
+
+describe("alertService stock checks", () => {
+  test("stock events raise low_stock without computing a forecast", async () => {
+    await alertService.checkStock("VM01");
+
+    expect(forMachine).not.toHaveBeenCalled();
+    expect(await openAlerts("low_stock")).toHaveLength(1);
+    expect(await openAlerts("stock_out_forecast")).toHaveLength(0);
+  });
+
+  test("the scheduled check computes the forecast that stock events reuse", async () => {
+    await alertService.checkAll();
+
+    expect(forMachine).toHaveBeenCalledTimes(1);
+    expect(await openAlerts("stock_out_forecast")).toHaveLength(1);
+
+    // Restocked, then sold out again: a fresh low_stock alert
+    await repositories.slots.updateStock(1, 10);
+    await alertService.checkStock("VM01");
+    expect(await openAlerts("low_stock")).toHaveLength(0);
+    await repositories.slots.updateStock(1, 1);
+    await alertService.checkStock("VM01");
+
+    expect(forMachine).toHaveBeenCalledTimes(1);
+    const [lowStock] = await openAlerts("low_stock");
+    expect(lowStock.details).toMatchObject({
+      expected_stockout_date: "2026-10-20",
+    });
+    expect(await openAlerts("stock_out_forecast")).toHaveLength(1);
+  });
+});
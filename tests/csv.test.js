@@ -0,0 +1,30 @@
+const { csvValue, toCsv } = require("../src/utils/csv");
+
+describe("csvValue", () => {
+  test("quotes separators, quotes and line breaks", () => {
+    expect(csvValue('Teh "Botol", dingin')).toBe('"Teh ""Botol"", dingin"');
+    expect(csvValue("a\nb")).toBe('"a\nb"');
+    expect(csvValue("a\rb")).toBe('"a\rb"');
+  });
+
+  test("neutralises text a spreadsheet would run as a formula", () => {
+    expect(csvValue('=HYPERLINK("http://x")')).toBe(
+      '"\'=HYPERLINK(""http://x"")"'
+    );
+    expect(csvValue("+1")).toBe("'+1");
+    expect(csvValue("-2")).toBe("'-2");
+    expect(csvValue("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(csvValue("\tcmd")).toBe("'\tcmd");
+  });
+
+  test("leaves numbers and empty values alone", () => {
+    expect(csvValue(-1500)).toBe("-1500");
+    expect(csvValue(0)).toBe("0");
+    expect(csvValue(null)).toBe("");
+    expect(csvValue(undefined)).toBe("");
+  });
+});
+
+test("toCsv writes the header, the rows and a trailing newline", () => {
+  expect(toCsv(["id", "name"], [[1, "=cmd"]])).toBe("id,name\n1,'=cmd\n");
+});
@@ -0,0 +1,195 @@
+const repositories = require("../src/repositories");
+const dispenseTracker = require("../src/services/dispenseTracker");
+const mqttService = require("../src/services/mqttService");
+const reservationService = require("../src/services/reservationService");
+
+const ORDER_ID = "ORD-DISPENSE";
+const COMMAND = { cmd: "dispense", slot: 1, orderId: ORDER_ID };
+// Four ACK timeouts plus the backoff before each retry, at the default settings
+const ALL_RETRIES_MS = 4 * 5000 + (2000 + 4000 + 8000);
+
+let publish;
+
+beforeEach(async () => {
+  jest.useFakeTimers();
+  jest.restoreAllMocks();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  mqttService.isConnected = true;
+  publish = jest
+    .spyOn(mqttService, "publishDispenseCommand")
+    .mockReturnValue(true);
+
+  repositories.memoryStore.reset();
+  repositories.memoryStore.seed({
+    machines: [{ id: "VM01", name: "Lobby", status: "ONLINE" }],
+    products: [{ id: 1, name: "Water", price: 5000, is_active: true }],
+    slots: [
+      {
+        id: 1,
+        machine_id: "VM01",
+        slot_number: 1,
+        product_id: 1,
+        current_stock: 5,
+        capacity: 10,
+        is_active: true,
+      },
+    ],
+    orders: [
+      {
+        id: ORDER_ID,
+        machine_id: "VM01",
+        slot_id: 1,
+        product_id: 1,
+        quantity: 1,
+        total_amount: 5000,
+        status: "DISPENSING",
+      },
+    ],
+    payments: [
+      {
+        order_id: ORDER_ID,
+        amount: 5000,
+        status: "SUCCESS",
+        gateway_name: "stub",
+      },
+    ],
+  });
+  await reservationService.reserve(
+    ORDER_ID,
+    "VM01",
+    [{ slot_id: 1, quantity: 1 }],
+    new Date(Date.now() + 60 * 1000).toISOString()
+  );
+  await reservationService.hold(ORDER_ID);
+});
+
+afterEach(() => {
+  dispenseTracker.jobs.forEach((job) => clearTimeout(job.timer));
+  dispenseTracker.jobs.clear();
+  mqttService.isConnected = false;
+  jest.useRealTimers();
+});
+
+describe("dispenseTracker", () => {
+  test("an acknowledged command is not sent again", async () => {
+    await dispenseTracker.dispatch("VM01", COMMAND);
+    dispenseTracker.handleAck("VM01", { orderId: ORDER_ID, slot: 1 });
+
+    await jest.advanceTimersByTimeAsync(ALL_RETRIES_MS);
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(dispenseTracker.getPendingJobs()[0]).toMatchObject({
+      state: "ACKED",
+      attempt: 1,
+    });
+  });
+
+  test("retries unacknowledged commands, then fails and refunds the order", async () => {
+    await dispenseTracker.dispatch("VM01", COMMAND);
+
+    await jest.advanceTimersByTimeAsync(ALL_RETRIES_MS);
+
+    expect(publish).toHaveBeenCalledTimes(4);
+    expect(publish).toHaveBeenLastCalledWith(
+      "VM01",
+      expect.objectContaining({ attempt: 4 })
+    );
+    expect(dispenseTracker.getPendingJobs()).toEqual([]);
+
+    const logs = await repositories.dispenseLogs.listSince("VM01", null);
+    expect(logs.map((log) => log.retry_count)).toEqual([0, 1, 2, 3]);
+    expect(logs.every((log) => log.success === false)).toBe(true);
+
+    const [refund] = await repositories.refunds.listByOrder(ORDER_ID);
+    expect(refund).toMatchObject({ amount: 5000, status: "SUCCESS" });
+    const order = await repositories.orders.findById(ORDER_ID);
+    expect(order.status).toBe("REFUNDED");
+    const slot = await repositories.slots.findById(1);
+    expect(slot.current_stock).toBe(5);
+  });
+});
+
+describe("applyDispenseResult", () => {
+  test("a repeated result is ignored and consumes stock once", async () => {
+    await dispenseTracker.dispatch("VM01", COMMAND);
+    const result = { orderId: ORDER_ID, slot: 1, success: true };
+
+    const first = await mqttService.applyDispenseResult(
+      "VM01",
+      result,
+      "COMPLETED"
+    );
+    const repeat = await mqttService.applyDispenseResult(
+      "VM01",
+      result,
+      "COMPLETED"
+    );
+
+    expect(first).toMatchObject({
+      duplicate: false,
+      order_status: "COMPLETED",
+    });
+    expect(repeat).toMatchObject({
+      duplicate: true,
+      order_status: "COMPLETED",
+    });
+    expect(dispenseTracker.getPendingJobs()).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(ALL_RETRIES_MS);
+    expect(publish).toHaveBeenCalledTimes(1);
+    const slot = await repositories.slots.findById(1);
+    expect(slot.current_stock).toBe(4);
+    const { logs } = await repositories.slots.listStockLogs("VM01");
+    expect(logs).toHaveLength(1);
+  });
+
+  test("a late success after the ACK timeout failed the order is ignored", async () => {
+    await dispenseTracker.dispatch("VM01", COMMAND);
+    await jest.advanceTimersByTimeAsync(ALL_RETRIES_MS);
+    expect((await repositories.orders.findById(ORDER_ID)).status).toBe(
+      "REFUNDED"
+    );
+
+    const late = await mqttService.applyDispenseResult(
+      "VM01",
+      { orderId: ORDER_ID, slot: 1, success: true },
+      "COMPLETED"
+    );
+
+    expect(late).toMatchObject({
+      duplicate: true,
+      item_status: "FAILED",
+      order_status: "REFUNDED",
+    });
+    const order = await repositories.orders.findById(ORDER_ID);
+    expect(order.status).toBe("REFUNDED");
+    const slot = await repositories.slots.findById(1);
+    expect(slot.current_stock).toBe(5);
+    const { logs } = await repositories.slots.listStockLogs("VM01");
+    expect(logs).toHaveLength(0);
+  });
+
+  test("a success racing the ACK timeout keeps the order FAILED", async () => {
+    await dispenseTracker.dispatch("VM01", COMMAND);
+    const dispensing = await repositories.orders.findById(ORDER_ID);
+    // The result read the order before failJob marked it FAILED
+    jest
+      .spyOn(repositories.orders, "findById")
+      .mockResolvedValueOnce(dispensing);
+    await repositories.orders.update(ORDER_ID, { status: "FAILED" });
+
+    const late = await mqttService.applyDispenseResult(
+      "VM01",
+      { orderId: ORDER_ID, slot: 1, success: true },
+      "COMPLETED"
+    );
+
+    expect(late).toMatchObject({ duplicate: true, order_status: "FAILED" });
+    const order = await repositories.orders.findById(ORDER_ID);
+    expect(order.status).toBe("FAILED");
+    const slot = await repositories.slots.findById(1);
+    expect(slot.current_stock).toBe(5);
+  });
+});
@@ -0,0 +1,130 @@
+const repositories = require("../src/repositories");
+const eventBus = require("../src/services/eventBus");
+const lotService = require("../src/services/lotService");
+const realtimeService = require("../src/services/realtimeService");
+const reservationService = require("../src/services/reservationService");
+
+const ORDER_ID = "ORD-REPLAY";
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+
+  repositories.memoryStore.reset();
+  repositories.memoryStore.seed({
+    machines: [{ id: "VM01", name: "Lobby", status: "ONLINE" }],
+    products: [{ id: 1, name: "Water", price: 5000, is_active: true }],
+    slots: [
+      {
+        id: 1,
+        machine_id: "VM01",
+        slot_number: 1,
+        product_id: 1,
+        current_stock: 5,
+        capacity: 10,
+        is_active: true,
+      },
+    ],
+    stock_lots: [
+      {
+        id: 1,
+        machine_id: "VM01",
+        slot_id: 1,
+        product_id: 1,
+        batch_number: "B-1",
+        quantity: 5,
+        quantity_remaining: 5,
+        status: "ACTIVE",
+      },
+    ],
+    orders: [
+      {
+        id: ORDER_ID,
+        machine_id: "VM01",
+        slot_id: 1,
+        product_id: 1,
+        quantity: 2,
+        total_amount: 10000,
+        status: "DISPENSING",
+      },
+    ],
+  });
+});
+
+async function failedEvent() {
+  const [event] = await repositories.outbox.listFailed({
+    maxAttempts: 5,
+    limit: 10,
+  });
+  return event;
+}
+
+describe("event replay", () => {
+  test("lots subscriber rebuilds the stock change when replayed alone", async () => {
+    await reservationService.reserve(
+      ORDER_ID,
+      "VM01",
+      [{ slot_id: 1, quantity: 2 }],
+      new Date(Date.now() + 60 * 1000).toISOString()
+    );
+    await reservationService.hold(ORDER_ID);
+    const consume = jest.spyOn(lotService, "consume");
+    consume.mockRejectedValueOnce(new Error("lots unavailable"));
+
+    const published = await eventBus.publish("dispense.completed", {
+      order_id: ORDER_ID,
+      machine_id: "VM01",
+      slot: 1,
+      order_status: "COMPLETED",
+      success: true,
+    });
+    expect(published.failed).toEqual(["lots"]);
+
+    const event = await failedEvent();
+    expect(event.failed_handlers).toEqual(["lots"]);
+
+    const replayed = await eventBus.replay(event.id);
+    expect(replayed.failed).toEqual([]);
+    expect(replayed.results.stock).toBeUndefined();
+    expect(consume).toHaveBeenLastCalledWith(1, 2);
+
+    const slot = await repositories.slots.findById(1);
+    const lot = await repositories.lots.findById(1);
+    expect(slot.current_stock).toBe(3);
+    expect(lot.quantity_remaining).toBe(3);
+  });
+
+  test("realtime subscriber reads the refund back when replayed alone", async () => {
+    repositories.memoryStore.seed({
+      refunds: [
+        { order_id: ORDER_ID, amount: 10000, status: "SUCCESS", reason: "x" },
+      ],
+    });
+    const publish = jest.spyOn(realtimeService, "publishDispenseResult");
+    publish.mockImplementationOnce(() => {
+      throw new Error("socket closed");
+    });
+
+    await eventBus.publish("dispense.failed", {
+      order_id: ORDER_ID,
+      machine_id: "VM01",
+      slot: 1,
+      order_status: "FAILED",
+      success: false,
+      error_message: "Jammed",
+    });
+    const event = await failedEvent();
+    expect(event.failed_handlers).toEqual(["realtime"]);
+
+    publish.mockImplementation(() => {});
+    await eventBus.retryFailed();
+
+    expect(publish).toHaveBeenLastCalledWith(
+      { id: ORDER_ID, machine_id: "VM01", status: "FAILED" },
+      expect.objectContaining({ refund_status: "SUCCESS" })
+    );
+    expect(await failedEvent()).toBeUndefined();
+  });
+});
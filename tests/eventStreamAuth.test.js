@@ -0,0 +1,90 @@
+const express = require("express");
+const request = require("supertest");
+const repositories = require("../src/repositories");
+const realtimeService = require("../src/services/realtimeService");
+const { signToken, signMachineToken } = require("../src/middleware/auth");
+
+const app = express();
+app.use(express.json());
+app.use("/api/events", require("../src/routes/events"));
+
+const adminToken = () =>
+  signToken({ id: 1, username: "admin", role: "ADMIN" }, { expiresIn: "1h" });
+
+function streamToken(bearer, machineId) {
+  return request(app)
+    .post("/api/events/token")
+    .set("Authorization", `Bearer ${bearer}`)
+    .send({ machine_id: machineId });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  // Answer instead of holding the stream open
+  jest
+    .spyOn(realtimeService, "subscribe")
+    .mockImplementation((req, res, channel) => res.json({ channel }));
+
+  repositories.memoryStore.reset();
+  repositories.memoryStore.seed({
+    machines: [
+      { id: "VM01", name: "Lobby", status: "ONLINE", token_version: 0 },
+      { id: "VM02", name: "Canteen", status: "ONLINE", token_version: 0 },
+    ],
+  });
+});
+
+describe("machine event stream auth", () => {
+  test("opens the stream with a stream token in the query string", async () => {
+    const issued = await streamToken(adminToken(), "VM01");
+    expect(issued.status).toBe(201);
+    expect(issued.body).toMatchObject({
+      stream: "machine:VM01",
+      expires_in: 60,
+    });
+
+    const res = await request(app)
+      .get("/api/events/machines/VM01")
+      .query({ access_token: issued.body.token });
+
+    expect(res.status).toBe(200);
+    expect(res.body.channel).toBe("machine:VM01");
+  });
+
+  test("refuses a login token in the query string", async () => {
+    const res = await request(app)
+      .get("/api/events/machines/VM01")
+      .query({ access_token: adminToken() });
+
+    expect(res.status).toBe(401);
+  });
+
+  test("a stream token opens only its own stream and is refused as a Bearer token", async () => {
+    const { body } = await streamToken(adminToken(), "VM01");
+
+    const other = await request(app)
+      .get("/api/events/machines/VM02")
+      .query({ access_token: body.token });
+    expect(other.status).toBe(401);
+
+    const asBearer = await streamToken(body.token, "VM01");
+    expect(asBearer.status).toBe(401);
+  });
+
+  test("machines only get stream tokens for themselves", async () => {
+    const machine = signMachineToken({ id: "VM01", token_version: 0 });
+
+    expect((await streamToken(machine, "VM02")).status).toBe(403);
+    expect((await streamToken(machine, "VM01")).status).toBe(201);
+  });
+
+  test("header auth still works for clients that can set it", async () => {
+    const res = await request(app)
+      .get("/api/events/machines/VM01")
+      .set("Authorization", `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+  });
+});
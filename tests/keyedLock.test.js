@@ -0,0 +1,45 @@
+const { KeyedLock } = require("../src/utils/keyedLock");
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("KeyedLock", () => {
+  test("runs work for the same key one after another", async () => {
+    const lock = new KeyedLock();
+    const order = [];
+    let release;
+    const first = lock.run("a", async () => {
+      order.push("first:start");
+      await new Promise((resolve) => (release = resolve));
+      order.push("first:end");
+    });
+    const second = lock.run("a", async () => order.push("second"));
+
+    await tick();
+    expect(order).toEqual(["first:start"]);
+    release();
+    await Promise.all([first, second]);
+    expect(order).toEqual(["first:start", "first:end", "second"]);
+  });
+
+  test("does not hold back other keys", async () => {
+    const lock = new KeyedLock();
+    let release;
+    const blocked = lock.run("a", () => new Promise((r) => (release = r)));
+
+    await expect(lock.run("b", async () => "b")).resolves.toBe("b");
+    release();
+    await blocked;
+  });
+
+  test("a failed run rejects only its own caller", async () => {
+    const lock = new KeyedLock();
+    const failed = lock.run("a", async () => {
+      throw new Error("boom");
+    });
+    const next = lock.run("a", async () => "next");
+
+    await expect(failed).rejects.toThrow("boom");
+    await expect(next).resolves.toBe("next");
+    expect(lock.pending.size).toBe(0);
+  });
+});
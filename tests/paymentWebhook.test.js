@@ -0,0 +1,177 @@
+process.env.MIDTRANS_SERVER_KEY = "SB-Mid-server-FIXTURE";
+
+const express = require("express");
+const request = require("supertest");
+const repositories = require("../src/repositories");
+const eventBus = require("../src/services/eventBus");
+const settlement = require("../fixtures/payment-gateway/midtrans-notification-settlement.json");
+
+const ORDER_ID = settlement.order_id;
+
+const app = express();
+app.use(express.json());
+app.use("/api/payments", require("../src/routes/payments"));
+
+function seed(orderStatus, paymentStatus, gatewayName = "midtrans") {
+  repositories.memoryStore.seed({
+    orders: [
+      {
+        id: ORDER_ID,
+        machine_id: "VM01",
+        total_amount: 15000,
+        status: orderStatus,
+      },
+    ],
+    payments: [
+      {
+        order_id: ORDER_ID,
+        amount: 15000,
+        status: paymentStatus,
+        gateway_name: gatewayName,
+      },
+    ],
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  repositories.memoryStore.reset();
+});
+
+describe("payment webhook signature", () => {
+  test("accepts a correctly signed Midtrans notification", async () => {
+    seed("COMPLETED", "SUCCESS");
+
+    const res = await request(app)
+      .post("/api/payments/webhook/midtrans")
+      .send(settlement);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Webhook already processed");
+  });
+
+  test("rejects a tampered Midtrans notification", async () => {
+    seed("PENDING", "PENDING");
+
+    const res = await request(app)
+      .post("/api/payments/webhook/midtrans")
+      .send({ ...settlement, gross_amount: "1.00" });
+
+    expect(res.status).toBe(401);
+    const order = await repositories.orders.findById(ORDER_ID);
+    expect(order.status).toBe("PENDING");
+  });
+});
+
+describe("settlement", () => {
+  test("concurrent duplicate notifications settle and publish once", async () => {
+    seed("PENDING", "PENDING");
+    const publish = jest
+      .spyOn(eventBus, "publish")
+      .mockResolvedValue({ results: {}, failed: [] });
+    // Both notifications read the order before either settles it
+    const findById = repositories.orders.findById.bind(repositories.orders);
+    const readers = [];
+    jest
+      .spyOn(repositories.orders, "findById")
+      .mockImplementation(async (id) => {
+        const order = await findById(id);
+        if (readers.length < 2) {
+          await new Promise((resolve) => {
+            readers.push(resolve);
+            if (readers.length === 2) readers.forEach((release) => release());
+          });
+        }
+        return order;
+      });
+
+    const responses = await Promise.all([
+      request(app).post("/api/payments/webhook/midtrans").send(settlement),
+      request(app).post("/api/payments/webhook/midtrans").send(settlement),
+    ]);
+
+    expect(responses.map((res) => res.body.message).sort()).toEqual([
+      "Webhook already processed",
+      "Webhook processed successfully",
+    ]);
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(publish).toHaveBeenCalledWith(
+      "payment.succeeded",
+      expect.objectContaining({ order_id: ORDER_ID })
+    );
+    const order = await repositories.orders.findById(ORDER_ID);
+    expect(order.status).toBe("PAID");
+  });
+
+  test("does not settle an order that expired after it was read", async () => {
+    seed("FAILED", "EXPIRED", "stub");
+    const publish = jest.spyOn(eventBus, "publish");
+    const stale = await repositories.orders.findById(ORDER_ID);
+    jest
+      .spyOn(repositories.orders, "findById")
+      .mockResolvedValueOnce({ ...stale, status: "PENDING" });
+
+    const res = await request(app).post("/api/payments/webhook/stub").send({
+      order_id: ORDER_ID,
+      transaction_status: "settlement",
+      transaction_id: "stub-race",
+    });
+
+    expect(res.body.message).toBe("Late payment recorded and refunded");
+    expect(publish).not.toHaveBeenCalled();
+    const order = await repositories.orders.findById(ORDER_ID);
+    expect(order.status).toBe("REFUNDED");
+  });
+});
+
+describe("late payment", () => {
+  const notification = {
+    order_id: ORDER_ID,
+    transaction_status: "settlement",
+    transaction_id: "stub-late",
+    payment_type: "qris",
+  };
+
+  test("records a payment for an expired order and refunds it once", async () => {
+    seed("FAILED", "EXPIRED", "stub");
+
+    const res = await request(app)
+      .post("/api/payments/webhook/stub")
+      .send(notification);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      message: "Late payment recorded and refunded",
+      refund_status: "SUCCESS",
+    });
+    const payment = await repositories.payments.findByOrderId(ORDER_ID);
+    expect(payment).toMatchObject({
+      status: "SUCCESS",
+      gateway_transaction_id: "stub-late",
+    });
+    const refunds = await repositories.refunds.listByOrder(ORDER_ID);
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0]).toMatchObject({ amount: 15000, status: "SUCCESS" });
+    const order = await repositories.orders.findById(ORDER_ID);
+    expect(order.status).toBe("REFUNDED");
+
+    const retry = await request(app)
+      .post("/api/payments/webhook/stub")
+      .send(notification);
+    expect(retry.body.message).toBe("Webhook already processed");
+    expect(await repositories.refunds.listByOrder(ORDER_ID)).toHaveLength(1);
+  });
+
+  test("does not refund an order that failed after it was paid", async () => {
+    seed("FAILED", "SUCCESS", "stub");
+
+    const res = await request(app)
+      .post("/api/payments/webhook/stub")
+      .send(notification);
+
+    expect(res.body.message).toBe("Webhook already processed");
+    expect(await repositories.refunds.listByOrder(ORDER_ID)).toHaveLength(0);
+  });
+});
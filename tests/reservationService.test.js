@@ -0,0 +1,133 @@
+const repositories = require("../src/repositories");
+const reservationService = require("../src/services/reservationService");
+
+const MINUTE = 60 * 1000;
+const inMinutes = (minutes) =>
+  new Date(Date.now() + minutes * MINUTE).toISOString();
+
+beforeEach(() => {
+  repositories.memoryStore.reset();
+  repositories.memoryStore.seed({
+    machines: [{ id: "VM01", name: "Lobby", status: "ONLINE" }],
+    products: [{ id: 1, name: "Water", price: 5000, is_active: true }],
+    slots: [
+      {
+        id: 1,
+        machine_id: "VM01",
+        slot_number: 1,
+        product_id: 1,
+        current_stock: 3,
+        capacity: 10,
+        is_active: true,
+      },
+    ],
+  });
+});
+
+describe("reservationService", () => {
+  test("reserves stock and counts it against the slot", async () => {
+    await reservationService.reserve(
+      "ORD-1",
+      "VM01",
+      [{ slot_id: 1, quantity: 2 }],
+      inMinutes(15)
+    );
+
+    const reserved = await reservationService.getReservedQuantities([1]);
+    expect(reserved.get(1)).toBe(2);
+  });
+
+  test("rejects an order the slot cannot cover and reserves nothing", async () => {
+    await reservationService.reserve(
+      "ORD-1",
+      "VM01",
+      [{ slot_id: 1, quantity: 2 }],
+      inMinutes(15)
+    );
+
+    await expect(
+      reservationService.reserve(
+        "ORD-2",
+        "VM01",
+        [{ slot_id: 1, quantity: 2 }],
+        inMinutes(15)
+      )
+    ).rejects.toMatchObject({
+      name: "InsufficientStockError",
+      status: 409,
+      slot_id: 1,
+      available: 1,
+      requested: 2,
+    });
+    const reserved = await reservationService.getReservedQuantities([1]);
+    expect(reserved.get(1)).toBe(2);
+  });
+
+  test("lapsed reservations no longer hold stock and are not taken back on hold", async () => {
+    repositories.memoryStore.seed({
+      stock_reservations: [
+        {
+          order_id: "ORD-1",
+          machine_id: "VM01",
+          slot_id: 1,
+          quantity: 3,
+          status: "ACTIVE",
+          expires_at: inMinutes(-1),
+        },
+      ],
+    });
+
+    await reservationService.hold("ORD-1");
+    expect((await reservationService.getReservedQuantities([1])).size).toBe(0);
+    await expect(reservationService.releaseExpired()).resolves.toBe(1);
+  });
+
+  test("consume turns the reservation into a DISPENSE stock change once", async () => {
+    await reservationService.reserve(
+      "ORD-1",
+      "VM01",
+      [{ slot_id: 1, quantity: 2 }],
+      inMinutes(15)
+    );
+    await reservationService.hold("ORD-1");
+
+    await expect(
+      reservationService.consume("ORD-1", "VM01", 1)
+    ).resolves.toEqual({
+      slot_id: 1,
+      quantity: 2,
+      quantity_before: 3,
+      quantity_after: 1,
+    });
+    await expect(reservationService.consume("ORD-1", "VM01", 1)).resolves.toBe(
+      null
+    );
+
+    const { logs } = await repositories.slots.listStockLogs("VM01");
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({
+      change_type: "DISPENSE",
+      quantity_change: -2,
+      reason: "Order ORD-1",
+    });
+  });
+
+  test("release frees the stock for other orders", async () => {
+    await reservationService.reserve(
+      "ORD-1",
+      "VM01",
+      [{ slot_id: 1, quantity: 3 }],
+      inMinutes(15)
+    );
+    await reservationService.releaseSlot("ORD-1", "VM01", 1);
+
+    await expect(
+      reservationService.reserve(
+        "ORD-2",
+        "VM01",
+        [{ slot_id: 1, quantity: 3 }],
+        inMinutes(15)
+      )
+    ).resolves.toBeUndefined();
+  });
+});
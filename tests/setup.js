@@ -0,0 +1,5 @@
+// Services run on the memory repositories; no database, broker or gateway is
+// contacted. The Supabase client still needs a URL to be created.
+process.env.REPOSITORY_DRIVER = "memory";
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://127.0.0.1:9";
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || "test";